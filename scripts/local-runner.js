@@ -0,0 +1,192 @@
+/**
+ * --- LOCAL RUNNER ---
+ * A Piston-compatible execution server (GET /api/v2/runtimes, POST /api/v2/execute)
+ * backed by whatever toolchains are installed on this machine. Meant for CI and
+ * offline development: point the app's "Local runner" backend at it.
+ *
+ *   npm run runner              # http://127.0.0.1:2000/api/v2
+ *   PORT=3000 HOST=0.0.0.0 npm run runner
+ *   ORIGINS=https://kode-it.example npm run runner
+ *
+ * There is no isolation beyond a temporary directory and a time limit, so only
+ * run code you trust and never expose it to the network you do not control.
+ * Browsers may only call it from the pages in ORIGINS (comma-separated, the
+ * Vite dev server by default): other web pages the developer visits get a 403
+ * rather than a way to run code on their machine. Requests must also name this
+ * server in their Host header, which stops DNS rebinding; HOSTS adds names
+ * beyond localhost and HOST.
+ */
+import { createServer } from 'node:http';
+import { spawn, spawnSync } from 'node:child_process';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { basename, dirname, join } from 'node:path';
+
+const PORT = Number(process.env.PORT) || 2000;
+const HOST = process.env.HOST || '127.0.0.1';
+const PREFIX = '/api/v2';
+const COMPILE_TIMEOUT_MS = 10000;
+const RUN_TIMEOUT_MS = 3000;
+const MAX_RUN_TIMEOUT_MS = 30000;
+const OUTPUT_LIMIT = 64 * 1024;
+const BODY_LIMIT = 1024 * 1024;
+
+const listOf = (value, fallback) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : fallback);
+
+const ORIGINS = new Set(listOf(process.env.ORIGINS, ['http://localhost:5173', 'http://127.0.0.1:5173']));
+const HOSTS = new Set(listOf(process.env.HOSTS, []).concat(['localhost', '127.0.0.1', '[::1]', HOST]).map(h => h.toLowerCase()));
+
+const versionOf = (command, args = ['--version']) => {
+  const probe = spawnSync(command, args, { encoding: 'utf8' });
+  if (probe.error || probe.status !== 0) return null;
+  return `${probe.stdout}${probe.stderr}`.match(/(\d+\.\d+(?:\.\d+)?)/)?.[1] ?? null;
+};
+
+/**
+ * Each runtime says how to lay out, compile and run a program whose entry file
+ * is `main` (a path relative to the working directory, e.g. 'main.cpp' or 'src/app.py').
+ */
+const TOOLCHAINS = [
+  {
+    language: 'javascript',
+    aliases: ['js', 'node-javascript', 'node-js'],
+    detect: () => process.versions.node,
+    extension: 'js',
+    run: (main) => [process.execPath, main],
+  },
+  {
+    language: 'c++',
+    aliases: ['cpp', 'g++'],
+    detect: () => versionOf('g++'),
+    extension: 'cpp',
+    compile: (files) => ['g++', '-std=c++17', '-O2', '-o', 'main', ...files.filter(f => /\.(cc|cpp|cxx)$/.test(f))],
+    run: () => ['./main'],
+  },
+  {
+    language: 'java',
+    aliases: [],
+    detect: () => versionOf('javac', ['-version']),
+    extension: 'java',
+    compile: (files) => ['javac', '-d', '.', ...files.filter(f => f.endsWith('.java'))],
+    run: (main) => ['java', '-cp', '.', basename(main).replace(/\.java$/, '')],
+  },
+  {
+    language: 'python',
+    aliases: ['py', 'python3'],
+    detect: () => versionOf('python3'),
+    extension: 'py',
+    run: (main) => ['python3', main],
+  },
+];
+
+const runtimes = TOOLCHAINS
+  .map(toolchain => ({ ...toolchain, version: toolchain.detect() }))
+  .filter(toolchain => toolchain.version);
+
+const findToolchain = (language) => runtimes.find(r => r.language === language || r.aliases.includes(language));
+
+// Runs one stage and reports it the way Piston does.
+const runStage = ([command, ...args], { cwd, stdin = '', timeoutMs }) => new Promise(resolve => {
+  const started = Date.now();
+  const child = spawn(command, args, { cwd, timeout: timeoutMs, killSignal: 'SIGKILL' });
+  const result = { stdout: '', stderr: '', output: '', code: null, signal: null };
+  const collect = (stream) => (chunk) => {
+    if (result.output.length >= OUTPUT_LIMIT) {
+      child.kill('SIGKILL');
+      return;
+    }
+    const text = chunk.toString().slice(0, OUTPUT_LIMIT - result.output.length);
+    result[stream] += text;
+    result.output += text;
+  };
+  child.stdout.on('data', collect('stdout'));
+  child.stderr.on('data', collect('stderr'));
+  child.stdin.on('error', () => { /* the program exited without reading its input */ });
+  child.stdin.end(stdin);
+  child.on('error', (e) => {
+    result.stderr += e.message;
+    result.output += e.message;
+  });
+  child.on('close', (code, signal) => resolve({ ...result, code, signal, wall_time: Date.now() - started }));
+});
+
+// Projects can have folders ('lib/util.h'); anything that would leave the directory is dropped.
+const safePath = (name) => name.split(/[\\/]/).filter(p => p && p !== '.' && p !== '..').join('/');
+
+const execute = async ({ language, version, files, stdin = '', args = [], run_timeout: runTimeout }) => {
+  const toolchain = findToolchain(language);
+  if (!toolchain) return [400, { message: `${language}-${version || '*'} runtime is unknown` }];
+  if (!Array.isArray(files) || !files.length) return [400, { message: 'files is required as an array' }];
+
+  const dir = await mkdtemp(join(tmpdir(), 'kode-it-'));
+  try {
+    const names = await Promise.all(files.map(async (file, i) => {
+      const name = safePath(file.name || '') || `${i === 0 ? 'Main' : `file${i}`}.${toolchain.extension}`;
+      await mkdir(join(dir, dirname(name)), { recursive: true });
+      await writeFile(join(dir, name), file.content ?? '');
+      return name;
+    }));
+
+    let compile;
+    if (toolchain.compile) {
+      compile = await runStage(toolchain.compile(names), { cwd: dir, timeoutMs: COMPILE_TIMEOUT_MS });
+      if (compile.code !== 0) return [200, { language: toolchain.language, version: toolchain.version, compile, run: null }];
+    }
+    const timeoutMs = Math.min(Number(runTimeout) || RUN_TIMEOUT_MS, MAX_RUN_TIMEOUT_MS);
+    const run = await runStage([...toolchain.run(names[0]), ...args.map(String)], { cwd: dir, stdin, timeoutMs });
+    return [200, { language: toolchain.language, version: toolchain.version, ...(compile ? { compile } : {}), run }];
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > BODY_LIMIT) reject(new Error('Request body too large'));
+  });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+// Tools such as curl send no Origin; browsers always do for cross-origin requests.
+const allowedOrigin = (req) => !req.headers.origin || ORIGINS.has(req.headers.origin);
+
+// The Host header without its port; `[::1]:2000` keeps its brackets.
+const allowedHost = (req) => HOSTS.has((req.headers.host || '').toLowerCase().replace(/:\d+$/, ''));
+
+const send = (req, res, status, payload) => {
+  const cors = req.headers.origin && ORIGINS.has(req.headers.origin) ? {
+    'Access-Control-Allow-Origin': req.headers.origin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  } : {};
+  res.writeHead(status, { 'Content-Type': 'application/json', Vary: 'Origin', ...cors });
+  res.end(payload === undefined ? '' : JSON.stringify(payload));
+};
+
+const server = createServer(async (req, res) => {
+  const path = req.url.split('?')[0].replace(/\/+$/, '');
+  try {
+    if (!allowedHost(req)) return send(req, res, 403, { message: `Host ${req.headers.host} is not allowed; add it to HOSTS` });
+    if (!allowedOrigin(req)) return send(req, res, 403, { message: `Origin ${req.headers.origin} is not allowed; add it to ORIGINS` });
+    if (req.method === 'OPTIONS') return send(req, res, 204);
+    if (req.method === 'GET' && path === `${PREFIX}/runtimes`) {
+      return send(req, res, 200, runtimes.map(({ language, version, aliases }) => ({ language, version, aliases })));
+    }
+    if (req.method === 'POST' && path === `${PREFIX}/execute`) {
+      const [status, payload] = await execute(JSON.parse(await readBody(req)));
+      return send(req, res, status, payload);
+    }
+    send(req, res, 404, { message: `No route for ${req.method} ${path}` });
+  } catch (e) {
+    send(req, res, 400, { message: e.message });
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Local runner on http://${HOST}:${PORT}${PREFIX}`);
+  console.log(`Browser origins: ${[...ORIGINS].join(', ')}`);
+  console.log(`Runtimes: ${runtimes.map(r => `${r.language} ${r.version}`).join(', ') || 'none found'}`);
+});
@@ -1,19 +1,48 @@
 import React, { useState, useEffect, useRef, useMemo } from 'react';
-import { initializeApp } from 'firebase/app';
 import {
-  getFirestore, collection, addDoc, query,
-  onSnapshot, deleteDoc, doc, serverTimestamp
-} from 'firebase/firestore';
-import {
-  getAuth, signInAnonymously, onAuthStateChanged,
-  signInWithCustomToken, GoogleAuthProvider, signInWithPopup, signOut
+  signInAnonymously, onAuthStateChanged,
+  signInWithCustomToken, GoogleAuthProvider, signOut
 } from 'firebase/auth';
 import {
-  Play, Save, Trash2, Code2,
-  Loader2, Layers, ChevronRight, ChevronDown,
-  LogOut, Box, List as ListIcon, AlertTriangle, GripVertical, ArrowDown,
-  Wand2, BrainCircuit
+  Play, Save, Code2,
+  Loader2, Layers,
+  LogOut, AlertTriangle, GripVertical,
+  Wand2, BrainCircuit, Square, Settings, ChevronDown, ChevronRight, AlignLeft, FilePlus, Share2
 } from 'lucide-react';
+import { DEFAULT_MAX_STEPS } from './visualizer/tracer.js';
+import { runTrace, DEFAULT_TIMEOUT_MS } from './visualizer/runTrace.js';
+import { BACKENDS, createBackend, findRuntime, loadBackendSettings, saveBackendSettings } from './execution/backends.js';
+import { splitArgs, locateProblems } from './execution/console.js';
+import { runTestCases } from './execution/testRunner.js';
+import { runBenchmark, DEFAULT_BENCHMARK } from './execution/benchmark.js';
+import { findProblems } from './editor/diagnostics.js';
+import { analyzeComplexity } from './analysis/complexity.js';
+import { buildControlFlow } from './analysis/controlFlow.js';
+import { formatCode, BRACE_STYLES, INDENT_WIDTHS, loadFormatSettings, saveFormatSettings } from './editor/formatter.js';
+import {
+  ENTRY_NAMES, singleFile, projectOf, projectFields, fileContent, isMultiFile, programFiles, sameFiles, projectText,
+  projectFileAt, checkFileName, newFileName, addFile, updateFile, renameFile, removeFile, canBeEntry, setEntry
+} from './editor/project.js';
+import MemoryView from './components/MemoryView.jsx';
+import GraphView from './components/GraphView.jsx';
+import PlaybackControls from './components/PlaybackControls.jsx';
+import RunOutput from './components/RunOutput.jsx';
+import CodeEditor from './components/CodeEditor.jsx';
+import TestsPanel from './components/TestsPanel.jsx';
+import BenchmarkPanel from './components/BenchmarkPanel.jsx';
+import ProblemsList from './components/ProblemsList.jsx';
+import ComplexityPanel from './components/ComplexityPanel.jsx';
+import ControlFlowView from './components/ControlFlowView.jsx';
+import LibraryPanel from './components/LibraryPanel.jsx';
+import RevisionHistory from './components/RevisionHistory.jsx';
+import GuestImportDialog from './components/GuestImportDialog.jsx';
+import ShareDialog from './components/ShareDialog.jsx';
+import EditorTabs from './components/EditorTabs.jsx';
+import FileTree from './components/FileTree.jsx';
+import { createLibrary, compareLibraries, adoptDeviceSnippets, LOCAL_OWNER } from './library/snippets.js';
+import { signInWithGoogle, moveGuestSnippets } from './library/account.js';
+import { firebase, appId } from './library/firebase.js';
+import { createShares, sharedLink, ShareError } from './library/shares.js';
 
 /**
  * --- ERROR BOUNDARY ---
@@ -36,30 +65,28 @@ class ErrorBoundary extends React.Component {
 
 /**
  * --- FIREBASE CONFIGURATION ---
+ * Optional; see library/firebase.js. Without it the library lives on this device only.
  */
-// In production, these are injected by the build environment or environment variables
-const firebaseConfig = {
-  apiKey: import.meta.env.VITE_API_KEY,
-  authDomain: import.meta.env.VITE_AUTH_DOMAIN,
-  projectId: import.meta.env.VITE_PROJECT_ID,
-  storageBucket: import.meta.env.VITE_STORAGE_BUCKET,
-  messagingSenderId: import.meta.env.VITE_MESSAGING_SENDER_ID,
-  appId: import.meta.env.VITE_APP_ID
-};
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
+const auth = firebase?.auth ?? null;
+const db = firebase?.db ?? null;
 const googleProvider = new GoogleAuthProvider();
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'kode-it';
+
+// A snapshot rather than the live User: linking a guest to Google changes it in place.
+const accountOf = (u) => (u ? { uid: u.uid, isAnonymous: u.isAnonymous, displayName: u.displayName } : null);
+// Who snippets belong to with no Firebase, or while no session can be had (offline on a first visit).
+const DEVICE_ACCOUNT = { uid: LOCAL_OWNER, isAnonymous: true, displayName: null };
+// `?share=<id>` opens a shared snippet in the editor (with `&embed`, main.jsx renders EmbedView instead).
+const sharedId = sharedLink(window.location).id;
+const NO_BREAKPOINTS = new Set();
 
 /**
  * --- CONSTANTS ---
  */
 const LANGUAGES = {
-  javascript: { name: 'JavaScript', version: '18.15.0', icon: 'JS', color: 'text-yellow-400', keywords: ['function', 'return', 'console', 'const', 'let', 'var', 'if', 'else', 'for', 'while', 'class', 'extends', 'import', 'export', 'default', 'async', 'await', 'new', 'this', 'try', 'catch'] },
-  cpp: { name: 'C++', version: '10.2.0', icon: 'C++', color: 'text-blue-600', keywords: ['int', 'float', 'double', 'char', 'void', 'return', 'cout', 'cin', 'if', 'else', 'for', 'while', 'class', 'struct', 'public', 'private', 'include', 'std', 'vector', 'string', 'map', 'unordered_map'] },
-  java: { name: 'Java', version: '15.0.2', icon: 'JV', color: 'text-orange-400', keywords: ['public', 'static', 'void', 'main', 'class', 'int', 'String', 'System', 'out', 'println', 'if', 'else', 'for', 'while', 'new', 'return', 'extends', 'implements', 'ArrayList', 'HashMap'] },
-  python: { name: 'Python', version: '3.10.0', icon: 'PY', color: 'text-blue-400', keywords: ['def', 'return', 'print', 'if', 'else', 'elif', 'for', 'in', 'range', 'class', 'import', 'from', 'as', 'pass', 'break', 'continue'] },
+  javascript: { name: 'JavaScript', icon: 'JS', color: 'text-yellow-400', keywords: ['function', 'return', 'console', 'const', 'let', 'var', 'if', 'else', 'for', 'while', 'class', 'extends', 'import', 'export', 'default', 'async', 'await', 'new', 'this', 'try', 'catch'] },
+  cpp: { name: 'C++', icon: 'C++', color: 'text-blue-600', keywords: ['int', 'float', 'double', 'char', 'void', 'return', 'cout', 'cin', 'if', 'else', 'for', 'while', 'class', 'struct', 'public', 'private', 'include', 'std', 'vector', 'string', 'map', 'unordered_map'] },
+  java: { name: 'Java', icon: 'JV', color: 'text-orange-400', keywords: ['public', 'static', 'void', 'main', 'class', 'int', 'String', 'System', 'out', 'println', 'if', 'else', 'for', 'while', 'new', 'return', 'extends', 'implements', 'ArrayList', 'HashMap'] },
+  python: { name: 'Python', icon: 'PY', color: 'text-blue-400', keywords: ['def', 'return', 'print', 'if', 'else', 'elif', 'for', 'in', 'range', 'class', 'import', 'from', 'as', 'pass', 'break', 'continue'] },
 };
 
 // CLEAN BOILERPLATE CODE
@@ -70,145 +97,116 @@ const DEFAULT_CODE = {
   python: `print("Hello, World!")`
 };
 
-/**
- * --- TRANSPILER (C++/Java -> JS) ---
- */
-const transpileToJs = (code, lang) => {
-  if (lang === 'javascript') return code;
-
-  let jsCode = code;
-
-  // 1. Remove Headers & Imports
-  jsCode = jsCode.replace(/#include\s+<.*>/g, '')
-    .replace(/using\s+namespace\s+std;/g, '')
-    .replace(/import\s+.*;/g, '')
-    .replace(/package\s+.*;/g, '');
-
-  // 2. Remove Modifiers
-  jsCode = jsCode.replace(/\b(public|private|protected|static|final|volatile|const)\b/g, '');
-
-  // 3. Remove Generics (Recursive)
-  let prev;
-  do {
-    prev = jsCode;
-    jsCode = jsCode.replace(/<[^<>]*>/g, '');
-  } while (prev !== jsCode);
-
-  // 4. Data Structures
-  // 2D Array Init: { {1,2}, {3,4} } -> [ [1,2], [3,4] ]
-  jsCode = jsCode.replace(/(\w+)\s*=\s*(\{[\s\S]*?\});/g, (match, name, content) => {
-    let arr = content;
-    while (arr.includes('{')) {
-      arr = arr.replace(/\{/g, '[').replace(/\}/g, ']');
-    }
-    return `${name} = ${arr};`;
-  });
-
-  // Vector/Array declarations
-  jsCode = jsCode.replace(/vector\s+([a-zA-Z0-9_]+)\s*\(([^,]+),([^)]+)\);/g, 'let $1 = new Array($2).fill($3);');
-  jsCode = jsCode.replace(/vector\s+([a-zA-Z0-9_]+);/g, 'let $1 = [];');
-  jsCode = jsCode.replace(/(\w+)\[\]\s*=/g, '$1 =');
-  jsCode = jsCode.replace(/\[\]\s+(\w+)\s*=/g, ' $1 =');
-
-  // Allocation
-  jsCode = jsCode.replace(/new\s+(?:int|float|double|char|string|boolean|long)\s*\[([^\]]+)\]/g, 'new Array($1).fill(0)');
-  jsCode = jsCode.replace(/new\s+(?:int|float|double|char|string|boolean|long)\s*\[([^\]]+)\]\[([^\]]+)\]/g, '[...Array($1)].map(() => Array($2).fill(0))');
-
-  // 5. Functions
-  const types = ['void', 'int', 'float', 'double', 'bool', 'boolean', 'char', 'string', 'String', 'vector', 'ArrayList', 'List', 'Map', 'HashMap', 'set', 'queue', 'stack', 'long', 'auto'];
-  const typePattern = types.join('|');
-
-  jsCode = jsCode.replace(new RegExp(`(?:${typePattern})\\s+([a-zA-Z0-9_]+)\\s*\\(([^)]*)\\)\\s*\\{`, 'g'), (match, name, args) => {
-    const cleanArgs = args.replace(new RegExp(`\\b(${typePattern})\\s+`, 'g'), '').replace(/[*&]/g, '');
-    return `async function ${name}(${cleanArgs}) {`;
-  });
-
-  // 6. Classes & Vars
-  if (lang === 'java') {
-    jsCode = jsCode.replace(/class\s+Main\s*\{/, '');
-    jsCode = jsCode.replace(/}\s*$/, '');
-  }
-  jsCode = jsCode.replace(new RegExp(`\\b(${typePattern})\\s+`, 'g'), 'let ');
-
-  // 7. Methods & IO
-  jsCode = jsCode.replace(/\.push_back\(/g, '.push(');
-  jsCode = jsCode.replace(/\.add\(/g, '.push(');
-  jsCode = jsCode.replace(/\.size\(\)/g, '.length');
-  jsCode = jsCode.replace(/\.length\(\)/g, '.length');
-  jsCode = jsCode.replace(/\.length/g, '.length');
-  jsCode = jsCode.replace(/cout\s*<<\s*(.*);/g, (m, args) => {
-    const parts = args.split('<<').map(s => s.trim()).filter(s => s !== 'endl');
-    return `console.log(${parts.join(',')});`;
-  });
-  jsCode = jsCode.replace(/System\.out\.println\((.*)\);/g, 'console.log($1);');
-
-  // 8. Cleanup
-  jsCode = jsCode.replace(/[*&]/g, '');
-
-  if (!jsCode.includes('main()') && jsCode.includes('async function main')) {
-    jsCode += '\nawait main();';
-  }
-
-  return jsCode;
-};
-
 /**
  * --- STRUCTURE ANALYZER ---
+ * Functions, their complexity and their control flow, from the syntax tree
+ * (analysis/complexity.js, analysis/controlFlow.js).
  */
-const analyzeStructure = (code) => {
-  const structure = [{ type: 'root', name: 'File', children: [] }];
-  const lines = code.split('\n');
-  let currentNesting = 0;
-  let maxNesting = 0;
-  let bigO = "O(1)";
-
-  lines.forEach((line) => {
-    const trimmed = line.trim();
-    if (/^(for|while)/.test(trimmed)) {
-      currentNesting++;
-      maxNesting = Math.max(maxNesting, currentNesting);
-      if (trimmed.includes('*=') || trimmed.includes('/=')) bigO = "O(log n)";
-    }
-    if (trimmed.includes('}') && currentNesting > 0 && !trimmed.includes('{')) currentNesting--;
-
-    const funcMatch = line.match(/(?:function|void|int|def)\s+([a-zA-Z0-9_]+)/);
-    if (funcMatch) {
-      structure[0].children.push({ type: 'method', name: funcMatch[1], children: [] });
-    }
-  });
-
-  if (maxNesting === 1 && bigO !== "O(log n)") bigO = "O(n)";
-  else if (maxNesting === 2) bigO = "O(n²)";
-  else if (maxNesting >= 3) bigO = "O(n³)";
+// `line 4`, or `lib/util.h:4` once the project has several files.
+const lineLabel = ({ file, line }, multiFile) => (multiFile && file ? `${file}:${line}` : `line ${line}`);
 
-  return { structure, bigO };
+const analyzeStructure = (code, language) => {
+  const complexity = analyzeComplexity(code, language);
+  const structure = [{ type: 'root', name: 'File', children: complexity.functions.map(f => ({ type: 'method', name: f.name, children: [] })) }];
+  return { structure, complexity, flow: buildControlFlow(code, language) };
 };
 
 export default function App() {
-  const [user, setUser] = useState(null);
-  const [code, setCode] = useState(DEFAULT_CODE.javascript);
+  const [user, setUser] = useState(auth ? null : DEVICE_ACCOUNT);
+  // The editor holds a project (editor/project.js); `code` is the file shown, one of the open tabs.
+  const [project, setProject] = useState(() => singleFile('javascript', DEFAULT_CODE.javascript));
+  const [activeFile, setActiveFile] = useState(ENTRY_NAMES.javascript);
+  const [openFiles, setOpenFiles] = useState([ENTRY_NAMES.javascript]);
+  const code = fileContent(project, activeFile);
+  const setCode = (content) => setProject(p => updateFile(p, activeFile, content));
+  const pendingJump = useRef(null);
   const [output, setOutput] = useState([]);
   const [language, setLanguage] = useState('javascript');
   const [isRunning, setIsRunning] = useState(false);
   const [snippets, setSnippets] = useState([]);
+  const [syncStatus, setSyncStatus] = useState(null);
   const [activeTab, setActiveTab] = useState('editor');
   const [sidebarTab, setSidebarTab] = useState('files');
   const [editorWidth, setEditorWidth] = useState(60);
   const isResizing = useRef(false);
 
-  const [suggestions, setSuggestions] = useState([]);
-  const [cursorPos, setCursorPos] = useState({ top: 0, left: 0 });
-
   const [visStep, setVisStep] = useState(0);
   const [visHistory, setVisHistory] = useState([]);
   const [isVisualizing, setIsVisualizing] = useState(false);
+  // File name -> Set of lines.
+  const [breakpoints, setBreakpoints] = useState(() => new Map());
+  const [isTracing, setIsTracing] = useState(false);
+  const [visError, setVisError] = useState(null);
+  const [visOutput, setVisOutput] = useState([]);
+  const [visLimits, setVisLimits] = useState({ maxSteps: DEFAULT_MAX_STEPS, timeoutMs: DEFAULT_TIMEOUT_MS });
+  const traceRun = useRef(null);
+
+  const [backendSettings, setBackendSettings] = useState(loadBackendSettings);
+  const [settingsDraft, setSettingsDraft] = useState(null);
+  const [runtimes, setRuntimes] = useState(null);
+  const [runtimeError, setRuntimeError] = useState(null);
+  const backend = useMemo(() => createBackend(backendSettings), [backendSettings]);
+  const [stdin, setStdin] = useState('');
+  const [argsText, setArgsText] = useState('');
+  const [showInput, setShowInput] = useState(false);
+  const [tests, setTests] = useState([]);
+  const [testResults, setTestResults] = useState({});
+  const [isTesting, setIsTesting] = useState(false);
+  const [benchSettings, setBenchSettings] = useState(DEFAULT_BENCHMARK);
+  const [benchResult, setBenchResult] = useState(null);
+  const [isBenchmarking, setIsBenchmarking] = useState(false);
+  const benchRun = useRef(null);
+  const [activeSnippetId, setActiveSnippetId] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [guestImport, setGuestImport] = useState(null);
+  const [sharing, setSharing] = useState(false);
+  const [tracedProject, setTracedProject] = useState(null);
+  const [runResult, setRunResult] = useState(null);
+  const [formatSettings, setFormatSettings] = useState(loadFormatSettings);
+  const [showFormatOptions, setShowFormatOptions] = useState(false);
+  const [isFormatting, setIsFormatting] = useState(false);
+  const runProblemLines = useMemo(() => {
+    if (!runResult) return new Set();
+    const text = `${runResult.compile?.output || ''}\n${runResult.run?.stderr || ''}`;
+    // Paths outside the project (system headers) are put down to the entry file, as before projects.
+    return new Set(locateProblems(text)
+      .filter(p => p && p.severity === 'error' && (projectFileAt(project, p.file) ?? project.entry) === activeFile)
+      .map(p => p.line));
+  }, [runResult, project, activeFile]);
 
   const editorRef = useRef(null);
-  const analysis = useMemo(() => analyzeStructure(code), [code, language]);
+  const openSharedRef = useRef(null);
+  const lineMarks = useMemo(() => {
+    const marks = new Map();
+    if (!isVisualizing) {
+      runProblemLines.forEach(line => marks.set(line, 'error'));
+      return marks;
+    }
+    if (visError?.line && visError.file === activeFile) marks.set(visError.line, 'error');
+    visError?.problems?.forEach(p => { if (p.file === activeFile) marks.set(p.line, 'error'); });
+    const current = visHistory[visStep];
+    if (current?.line && current.file === activeFile) marks.set(current.line, 'step');
+    return marks;
+  }, [isVisualizing, runProblemLines, visError, visHistory, visStep, activeFile]);
+  const analysis = useMemo(() => analyzeStructure(code, language), [code, language]);
+  // JSON data files in a JavaScript project are not programs.
+  const problems = useMemo(() => (activeFile.endsWith('.json') ? [] : findProblems(code, language)), [code, language, activeFile]);
+  const multiFile = isMultiFile(project);
+  // Every library operation goes through the signed-in uid; there is no shared 'guest' path.
+  const uid = user?.uid;
+  const library = useMemo(() => (uid ? createLibrary(db, appId, uid) : null), [uid]);
+  const shares = useMemo(() => (uid && uid !== LOCAL_OWNER ? createShares(db, appId, uid) : null), [uid]);
+  // The editor stays bound to the snippet it was opened from until another is opened or the language changes.
+  const activeSnippet = snippets.find(s => s.id === activeSnippetId) || null;
+  const isModified = Boolean(activeSnippet) && (activeSnippet.language !== language || !sameFiles(projectOf(activeSnippet), project));
 
   // Auth & Data
   useEffect(() => {
+    if (!auth) return;
     const initAuth = async () => {
+      // A restored session (Google or guest) is kept; only a first visit starts a new one.
+      await auth.authStateReady();
+      if (auth.currentUser) return;
       if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
         try { await signInWithCustomToken(auth, __initial_auth_token); }
         catch { await signInAnonymously(auth); }
@@ -216,154 +214,408 @@ export default function App() {
         await signInAnonymously(auth);
       }
     };
-    initAuth();
-    return onAuthStateChanged(auth, setUser);
+    initAuth().catch(() => setUser(u => u ?? DEVICE_ACCOUNT));
+    return onAuthStateChanged(auth, u => setUser(accountOf(u)));
+  }, []);
+
+  useEffect(() => {
+    if (!library) return;
+    return library.subscribe(({ snippets: list, status }) => {
+      setSnippets(list);
+      setSyncStatus(status);
+    });
+  }, [library]);
+
+  // Snippets saved on this device before there was a session move into the account.
+  useEffect(() => {
+    if (!library || uid === LOCAL_OWNER) return;
+    adoptDeviceSnippets(library, appId).catch(e => setOutput([`Database Error: ${e.message}`]));
+  }, [library, uid]);
+
+  useEffect(() => {
+    if (!sharedId) return;
+    const load = async () => {
+      if (!db) throw new ShareError('Shared links need a Firebase project, and this deployment has none.');
+      return createShares(db, appId, null).load(sharedId);
+    };
+    // Only the link the page was opened with; the share opens with the handler current when it arrives.
+    load().then(s => openSharedRef.current(s)).catch((e) => {
+      setActiveTab('console');
+      setOutput([`Could not open the shared link: ${e.message}`]);
+    });
   }, []);
 
+  // Runtimes come from the backend itself, so versions follow whatever it has installed.
   useEffect(() => {
-    if (!user) return;
-    const q = query(collection(db, 'artifacts', appId, 'users', user.uid, 'snippets'));
-    const unsub = onSnapshot(q,
-      (snap) => {
-        const fetched = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-        fetched.sort((a, b) => (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0));
-        setSnippets(fetched);
-      },
-      (err) => setOutput([`Database Error: ${err.message}`])
-    );
-    return () => unsub();
-  }, [user]);
+    let stale = false;
+    backend.runtimes()
+      .then(list => { if (!stale) setRuntimes(list); })
+      .catch(e => { if (!stale) { setRuntimes([]); setRuntimeError(e.message); } });
+    return () => { stale = true; };
+  }, [backend]);
 
   // Handlers
+  const applyBackendSettings = () => {
+    saveBackendSettings(settingsDraft);
+    setBackendSettings(settingsDraft);
+    setSettingsDraft(null);
+    setRuntimes(null);
+    setRuntimeError(null);
+  };
+
+  // Resolves to the uid signed in with, or null. Guest snippets come along either way:
+  // linked in place, or moved (asking about title clashes) when the Google account already exists.
   const handleLogin = async () => {
-    try { await signInWithPopup(auth, googleProvider); }
-    catch (e) { alert(`Login failed: ${e.message}`); }
+    if (!auth) return null;
+    try {
+      const { user: signedIn, guestSnippets } = await signInWithGoogle(auth, googleProvider, guestUid => createLibrary(db, appId, guestUid).exportAll());
+      setUser(accountOf(signedIn));
+      if (guestSnippets) {
+        const target = createLibrary(db, appId, signedIn.uid);
+        const comparison = compareLibraries(guestSnippets, await target.list());
+        if (comparison.conflicts.length) setGuestImport(comparison);
+        else if (comparison.fresh.length) {
+          const moved = await moveGuestSnippets(target, comparison, 'skip');
+          alert(`Moved ${moved} guest snippet${moved === 1 ? '' : 's'} to your Google account.`);
+        }
+      }
+      return signedIn.uid;
+    } catch (e) {
+      alert(`Login failed: ${e.message}`);
+      return null;
+    }
+  };
+
+  const importGuestSnippets = async (strategy) => {
+    try {
+      await moveGuestSnippets(library, guestImport, strategy);
+      setGuestImport(null);
+    } catch (e) {
+      alert(`Import failed: ${e.message}`);
+    }
+  };
+
+  // Back to a fresh guest session, so saving keeps working after signing out.
+  const handleSignOut = async () => {
+    await signOut(auth);
+    try { await signInAnonymously(auth); }
+    catch { setUser(DEVICE_ACCOUNT); }
+  };
+
+  // Shows a project from its entry file, with only that tab open.
+  const showProject = (p) => {
+    setProject(p);
+    setActiveFile(p.entry);
+    setOpenFiles([p.entry]);
   };
 
   const handleLanguageChange = (e) => {
     const l = e.target.value;
     setLanguage(l);
-    setCode(DEFAULT_CODE[l]);
+    showProject(singleFile(l, DEFAULT_CODE[l]));
     setOutput([]);
+    setRunResult(null);
+    setTestResults({});
+    setActiveSnippetId(null);
     setVisHistory([]);
     setIsVisualizing(false);
+    setVisError(null);
+    setBreakpoints(new Map());
+    traceRun.current?.cancel();
   };
 
-  const saveSnippet = async () => {
-    if (!user || user.isAnonymous) {
+  // Saves over the open snippet (recording a revision), or creates a new one when none is open or `asNew`.
+  const saveSnippet = async (asNew = false) => {
+    if (auth && (!user || user.isAnonymous)) {
       if (!confirm("You are currently a guest. Login with Google to save permanently?")) {
         // Proceed as guest if they cancel (store in anon user doc)
-      } else {
-        await handleLogin();
+      } else if (await handleLogin() !== uid) {
+        // The session moved to an existing Google account; its library is not loaded yet.
         return;
       }
     }
-    const name = prompt("Enter snippet name:");
+    if (!library) return;
+    const target = asNew ? null : activeSnippet;
+    const name = target ? target.title : prompt("Enter snippet name:", activeSnippet ? `${activeSnippet.title} (copy)` : '');
     if (!name) return;
 
+    let saved = project;
+    if (formatSettings.formatOnSave) {
+      try {
+        saved = updateFile(project, activeFile, await formatDocument());
+      } catch (e) {
+        if (!confirm(`${e.message}\n\nSave without formatting?`)) return;
+      }
+    }
+
     try {
-      const uid = auth.currentUser ? auth.currentUser.uid : 'guest';
-      await addDoc(collection(db, 'artifacts', appId, 'users', uid, 'snippets'), {
-        title: name, code, language, createdAt: serverTimestamp()
-      });
-      alert("Saved successfully!");
+      if (target) await library.save(target, { ...projectFields(saved), language, tests });
+      else {
+        const id = await library.create({
+          title: name, ...projectFields(saved), language, tests, folder: activeSnippet?.folder, tags: activeSnippet?.tags,
+        });
+        setActiveSnippetId(id);
+      }
     } catch (e) {
       alert(`Error saving: ${e.message}. Ensure you are logged in.`);
     }
   };
 
+  // Formats the file in the editor in place and returns the result; throws FormatError when it cannot.
+  const formatDocument = async () => {
+    setIsFormatting(true);
+    try {
+      const formatted = await formatCode(code, language, formatSettings);
+      editorRef.current?.replaceDocument(formatted);
+      return formatted;
+    } finally {
+      setIsFormatting(false);
+    }
+  };
+
+  const handleFormat = () => formatDocument().catch(e => alert(e.message));
+
+  const updateFormatSettings = (changes) => {
+    const next = { ...formatSettings, ...changes };
+    setFormatSettings(next);
+    saveFormatSettings(next);
+  };
+
+  const unavailableMessage = () => (runtimes === null
+    ? 'Still asking the execution backend which runtimes it has...'
+    : `${LANGUAGES[language].name} is not available on the ${BACKENDS[backendSettings.kind].name} backend${runtimeError ? `: ${runtimeError}` : '.'}`);
+
+  // What the backend gets for the project, entry file first; shared by Run Code and the test runner.
+  const backendFiles = () => programFiles(project).map((file) => {
+    const { name, content } = file;
+    if (language !== 'javascript' || name !== project.entry || !(content.includes('await') || content.includes('async'))) return file;
+    return { name, content: `(async () => {\n${content}\n})();` };
+  });
+
   const runCode = async () => {
+    const runtime = findRuntime(runtimes, language);
+    if (!runtime) {
+      setActiveTab('console');
+      setOutput([unavailableMessage()]);
+      return;
+    }
+
     setIsRunning(true);
     setActiveTab('console');
     setOutput(['Running...']);
+    setRunResult(null);
 
-    let content = code;
-    if (language === 'javascript' && (code.includes('await') || code.includes('async'))) {
-      content = `(async () => {\n${code}\n})();`;
-    }
-
+    const started = performance.now();
     try {
-      const response = await fetch('https://emkc.org/api/v2/piston/execute', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          language: language === 'cpp' ? 'c++' : language,
-          version: LANGUAGES[language].version,
-          files: [{ name: language === 'java' ? 'Main.java' : undefined, content: content }],
-        }),
+      const { compile, run } = await backend.execute({
+        language: runtime.language,
+        version: runtime.version,
+        files: backendFiles(),
+        stdin,
+        args: splitArgs(argsText),
       });
-      const data = await response.json();
-      if (data.message) throw new Error(data.message);
-      setOutput([data.run ? (data.run.output || data.run.stderr) : 'Execution failed.']);
+      setOutput([]);
+      setRunResult({ compile, run, runtime, elapsedMs: performance.now() - started });
     } catch (e) { setOutput([`Runtime Error: ${e.message}`]); }
     finally { setIsRunning(false); }
   };
 
+  const runTests = async (selected) => {
+    const runtime = findRuntime(runtimes, language);
+    const failed = (message) => ({ verdict: 'error', stdout: '', stderr: '', compileOutput: '', time: null, message });
+    if (!runtime) {
+      setTestResults(prev => ({ ...prev, ...Object.fromEntries(selected.map(t => [t.id, failed(unavailableMessage())])) }));
+      return;
+    }
+    setIsTesting(true);
+    setTestResults(prev => ({ ...prev, ...Object.fromEntries(selected.map(t => [t.id, 'running'])) }));
+    try {
+      await runTestCases(backend, { runtime, files: backendFiles(), args: splitArgs(argsText) }, selected,
+        (id, result) => setTestResults(prev => ({ ...prev, [id]: result })));
+    } catch (e) {
+      // runTestCases reports backend errors per case; anything else stops the batch, so the cases it left fail here.
+      const stuck = (prev) => selected.filter(t => prev[t.id] === 'running');
+      setTestResults(prev => ({ ...prev, ...Object.fromEntries(stuck(prev).map(t => [t.id, failed(`Test run failed: ${e.message}`)])) }));
+    } finally { setIsTesting(false); }
+  };
+
+  const startBenchmark = async () => {
+    const runtime = findRuntime(runtimes, language);
+    if (!runtime) {
+      setBenchResult({ points: [], stopped: { message: unavailableMessage() }, stepsNote: null });
+      return;
+    }
+    setIsBenchmarking(true);
+    setBenchResult({ points: [], stopped: null, stepsNote: null });
+    const run = runBenchmark(backend, { runtime, files: backendFiles(), args: splitArgs(argsText), project, language }, benchSettings,
+      (point) => setBenchResult(prev => ({ ...prev, points: [...prev.points, point] })));
+    benchRun.current = run;
+    try {
+      setBenchResult(await run.promise);
+    } catch (e) {
+      // Network failures and backend rejections end the run; the points measured so far stay.
+      setBenchResult(prev => ({ ...prev, stopped: { message: e.message } }));
+    } finally {
+      benchRun.current = null;
+      setIsBenchmarking(false);
+    }
+  };
+
+  const saveTests = async () => {
+    try {
+      await library.update(activeSnippetId, { tests });
+      alert("Test cases saved!");
+    } catch (e) {
+      alert(`Error saving tests: ${e.message}`);
+    }
+  };
+
+  const openSnippet = (s) => {
+    showProject(projectOf(s));
+    setLanguage(s.language);
+    setTests(s.tests || []);
+    setTestResults({});
+    setActiveSnippetId(s.id);
+  };
+
+  // A shared snippet opens unsaved; its recorded visualization, if any, is ready to step through.
+  const openShared = (s) => {
+    openSnippet({ ...s, id: null });
+    if (!s.trace) return;
+    setVisHistory(s.trace.steps);
+    setVisOutput(s.trace.output);
+    setVisError(s.trace.error);
+    setVisStep(0);
+    setIsVisualizing(true);
+    setTracedProject(projectOf(s));
+    setActiveTab('visualizer');
+  };
+  useEffect(() => { openSharedRef.current = openShared; });
+
+  const publishShare = ({ title, includeTrace }) => shares.publish({
+    title, project, language, tests, snippetId: activeSnippetId,
+    trace: includeTrace ? { steps: visHistory, output: visOutput, error: visError } : null,
+  });
+
+  const libraryAction = (action) => async (...args) => {
+    try { await action(...args); }
+    catch (e) { alert(`Library error: ${e.message}`); }
+  };
+  const updateSnippet = libraryAction((s, fields) => library.update(s.id, fields));
+  const duplicateSnippet = libraryAction(s => library.duplicate(s));
+  const deleteSnippet = libraryAction(async (s) => {
+    await library.remove(s.id);
+    if (s.id === activeSnippetId) setActiveSnippetId(null);
+  });
+
+  const openHistory = (s) => {
+    setHistory({ snippet: s, revisions: null, error: null });
+    library.revisions(s.id)
+      .then(revisions => setHistory(h => (h?.snippet.id === s.id ? { ...h, revisions } : h)))
+      .catch(e => setHistory(h => (h?.snippet.id === s.id ? { ...h, error: e.message } : h)));
+  };
+
+  // A restored revision lands in the editor as unsaved changes to its snippet.
+  const restoreRevision = (revision) => {
+    openSnippet({
+      ...history.snippet, code: revision.code, files: revision.files, entry: revision.entry, language: revision.language, tests: revision.tests,
+    });
+    setHistory(null);
+  };
+
   const startVisualizer = async () => {
-    if (language === 'python') return alert("Python visualization coming soon.");
     setIsVisualizing(true);
     setActiveTab('visualizer');
     setVisHistory([]);
     setVisStep(0);
 
-    try {
-      const jsCode = transpileToJs(code, language);
-      const tokens = [...jsCode.matchAll(/\b[a-zA-Z_]\w*\b/g)].map(m => m[0]);
-      const reserved = new Set([...LANGUAGES.javascript.keywords, 'console', 'step', 'Math', 'Array', 'Map', 'Set', 'push', 'length', 'fill', 'map', 'shift']);
-      const candidates = [...new Set(tokens)].filter(t => !reserved.has(t));
-
-      const lines = jsCode.split('\n');
-      const instrumented = [];
-      let braceLevel = 0;
-      let inSyncFunc = false;
-      let funcStartLevel = 0;
-
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const open = (line.match(/\{/g) || []).length;
-        const close = (line.match(/\}/g) || []).length;
-
-        if (/\bfunction\b/.test(line) && !/\basync\b/.test(line)) {
-          if (!inSyncFunc) { inSyncFunc = true; funcStartLevel = braceLevel; }
-        }
-        braceLevel += (open - close);
-        if (inSyncFunc && braceLevel <= funcStartLevel) inSyncFunc = false;
-
-        instrumented.push(line);
-
-        if (line.trim() && !line.trim().startsWith('//') && !line.trim().startsWith('/*') && !inSyncFunc) {
-          const captureLogic = `{
-                const _scope = {};
-                const _candidates = ${JSON.stringify(candidates)};
-                for(const c of _candidates) {
-                    try {
-                        const val = eval(c);
-                        if (typeof val !== 'function') {
-                            _scope[c] = (typeof val === 'object' && val !== null) ? JSON.parse(JSON.stringify(val, (k,v) => typeof v === 'bigint' ? v.toString() : v)) : val;
-                        }
-                    } catch(e) {}
-                }
-                await step(${i + 1}, _scope);
-             }`;
-          instrumented.push(captureLogic);
-        }
-      }
+    setVisError(null);
+    setVisOutput([]);
+    setTracedProject(project);
+
+    const run = runTrace(project, { ...visLimits, language });
+    traceRun.current = run;
+    setIsTracing(true);
+    const { steps, output: printed, error } = await run.promise;
+    traceRun.current = null;
+    setIsTracing(false);
+
+    setVisHistory(steps);
+    showStep(0, steps);
+    setVisOutput(printed);
+    setVisError(error);
+    if (error?.problems?.length) setOutput(error.problems.map(p => `${lineLabel(p, multiFile)}: ${p.message}`));
+    else if (error) setOutput([`Visualizer Error: ${error.message}${error.line ? ` (${lineLabel(error, multiFile)})` : ''}`]);
+    else if (steps.length === 0) setOutput(["No steps captured. Ensure code is valid."]);
+  };
 
-      const fullCode = `return (async () => { try { ${instrumented.join('\n')} } catch(e) { console.log("Sim Error: " + e.message); } })();`;
-      const runFn = new Function('step', 'console', fullCode);
-      const steps = [];
+  const cancelVisualizer = () => traceRun.current?.cancel();
 
-      await runFn(async (line, scope) => {
-        steps.push({ line, scope });
-        await new Promise(r => setTimeout(r, 0));
-      }, { log: () => { } });
+  const openFile = (name) => {
+    setOpenFiles(list => (list.includes(name) ? list : [...list, name]));
+    setActiveFile(name);
+  };
+
+  const closeFile = (name) => {
+    const rest = openFiles.filter(n => n !== name);
+    setOpenFiles(rest.length ? rest : [project.entry]);
+    if (name === activeFile) setActiveFile(rest[Math.max(0, openFiles.indexOf(name) - 1)] ?? project.entry);
+  };
+
+  const addProjectFile = (name) => {
+    setProject(p => addFile(p, name));
+    openFile(name);
+  };
+
+  const renameProjectFile = (from, to) => {
+    setProject(p => renameFile(p, from, to));
+    setOpenFiles(list => list.map(n => (n === from ? to : n)));
+    if (activeFile === from) setActiveFile(to);
+    setBreakpoints(prev => new Map([...prev].map(([file, lines]) => [file === from ? to : file, lines])));
+  };
+
+  const removeProjectFile = (name) => {
+    setProject(p => removeFile(p, name));
+    closeFile(name);
+    setBreakpoints(prev => new Map([...prev].filter(([file]) => file !== name)));
+  };
+
+  // Moves the visualizer to step `i` and brings the file it is in into the editor.
+  const showStep = (i, steps = visHistory) => {
+    setVisStep(i);
+    const file = steps[i]?.file;
+    if (file && file !== activeFile && project.files.some(f => f.name === file)) openFile(file);
+  };
 
-      if (steps.length === 0) setOutput(["No steps captured. Ensure code is valid."]);
-      setVisHistory(steps);
+  // `path` is a file as a backend printed it; without one the jump stays in the file shown.
+  const jumpToLine = (line, column, path) => {
+    const file = path ? projectFileAt(project, path) ?? project.entry : activeFile;
+    if (file === activeFile) editorRef.current?.jumpTo(line, column);
+    else {
+      pendingJump.current = { line, column };
+      openFile(file);
+    }
+  };
 
-    } catch (e) { setOutput([`Visualizer Error: ${e.message}`]); }
+  // A jump into another file lands once the editor shows it.
+  useEffect(() => {
+    if (!pendingJump.current) return;
+    editorRef.current?.jumpTo(pendingJump.current.line, pendingJump.current.column);
+    pendingJump.current = null;
+  }, [activeFile]);
+
+  const toggleBreakpoint = (line) => {
+    setBreakpoints(prev => {
+      const lines = new Set(prev.get(activeFile));
+      if (lines.has(line)) lines.delete(line);
+      else lines.add(line);
+      return new Map(prev).set(activeFile, lines);
+    });
   };
 
+  const validateFileName = (name, current) => checkFileName(name, project, language, current);
+  const suggestFileName = (folder) => newFileName(project, language, folder);
+
   // --- EDITOR UTILS ---
   const startResizing = () => { isResizing.current = true; };
   const stopResizing = () => { isResizing.current = false; };
@@ -379,68 +631,6 @@ export default function App() {
     return () => { window.removeEventListener('mousemove', handleResize); window.removeEventListener('mouseup', stopResizing); };
   }, []);
 
-  const handleKeyDown = (e) => {
-    const { selectionStart, selectionEnd, value } = editorRef.current;
-    if (e.key === 'Tab') {
-      e.preventDefault();
-      if (suggestions.length > 0) insertSuggestion(suggestions[0]);
-      else {
-        const newValue = value.substring(0, selectionStart) + "    " + value.substring(selectionEnd);
-        setCode(newValue);
-        setTimeout(() => editorRef.current.selectionStart = editorRef.current.selectionEnd = selectionStart + 4, 0);
-      }
-    }
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      const currentLineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
-      const currentLine = value.substring(currentLineStart, selectionStart);
-      const match = currentLine.match(/^(\s*)/);
-      const indent = match ? match[1] : '';
-      const extra = (currentLine.trim().endsWith('{') || currentLine.trim().endsWith('(')) ? '    ' : '';
-      const newValue = value.substring(0, selectionStart) + '\n' + indent + extra + value.substring(selectionEnd);
-      setCode(newValue);
-      setTimeout(() => editorRef.current.selectionStart = editorRef.current.selectionEnd = selectionStart + 1 + indent.length + extra.length, 0);
-    }
-    const pairs = { '(': ')', '{': '}', '[': ']', '"': '"', "'": "'" };
-    if (pairs[e.key]) {
-      e.preventDefault();
-      const newValue = value.substring(0, selectionStart) + e.key + pairs[e.key] + value.substring(selectionEnd);
-      setCode(newValue);
-      setTimeout(() => editorRef.current.selectionStart = editorRef.current.selectionEnd = selectionStart + 1, 0);
-    }
-  };
-
-  const handleEditorChange = (e) => {
-    const val = e.target.value;
-    setCode(val);
-    const { selectionStart } = e.target;
-    const textBefore = val.slice(0, selectionStart);
-    const match = textBefore.match(/\b([a-zA-Z_]\w*)$/);
-    if (match) {
-      const word = match[1];
-      const keys = LANGUAGES[language].keywords;
-      setSuggestions(keys.filter(k => k.startsWith(word) && k !== word).slice(0, 5));
-      const lines = textBefore.split('\n');
-      setCursorPos({ top: lines.length * 24 + 5, left: lines[lines.length - 1].length * 8.5 + 48 });
-    } else setSuggestions([]);
-  };
-
-  const insertSuggestion = (word) => {
-    const { selectionStart, value } = editorRef.current;
-    const textBefore = value.slice(0, selectionStart);
-    const match = textBefore.match(/\b([a-zA-Z_]\w*)$/);
-    if (match) {
-      const prefixLen = match[1].length;
-      const newValue = value.substring(0, selectionStart - prefixLen) + word + value.substring(selectionStart);
-      setCode(newValue);
-      setSuggestions([]);
-      setTimeout(() => {
-        editorRef.current.focus();
-        editorRef.current.selectionStart = editorRef.current.selectionEnd = selectionStart - prefixLen + word.length;
-      }, 0);
-    }
-  };
-
   return (
     <ErrorBoundary>
       <div className="flex h-screen bg-[#0a0a0c] text-slate-200 font-sans overflow-hidden select-none">
@@ -460,50 +650,42 @@ export default function App() {
             {sidebarTab === 'files' ? (
               <div className="space-y-4">
                 <div className="bg-slate-800/40 p-3 rounded-lg border border-slate-700/50 flex items-center justify-between">
-                  {user && !user.isAnonymous ? <span className="text-xs truncate">{user.displayName || 'User'}</span> : <button onClick={handleLogin} className="text-xs text-emerald-400 font-bold hover:underline">Sign In</button>}
-                  {user && !user.isAnonymous && <button onClick={() => signOut(auth)}><LogOut size={12} className="text-slate-500" /></button>}
-                </div>
-                <div>
-                  <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-wider mb-2">My Library</h3>
-                  {snippets.length === 0 && <p className="text-[10px] text-slate-600 italic">No snippets found.</p>}
-                  {snippets.map(s => (
-                    <div key={s.id} className="group flex items-center justify-between p-2 rounded hover:bg-slate-800 cursor-pointer text-sm mb-1">
-                      <span onClick={() => { setCode(s.code); setLanguage(s.language); }} className="truncate flex-1 text-slate-300">{s.title}</span>
-                      <button onClick={async () => { if (confirm("Del?")) await deleteDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'snippets', s.id)) }} className="hidden group-hover:block text-slate-600 hover:text-red-400"><Trash2 size={12} /></button>
-                    </div>
-                  ))}
+                  {user && !user.isAnonymous ? <span className="text-xs truncate">{user.displayName || 'User'}</span>
+                    : auth ? <button onClick={handleLogin} className="text-xs text-emerald-400 font-bold hover:underline">Sign In</button>
+                      : <span className="text-[10px] text-slate-500">No cloud configured; snippets stay on this device.</span>}
+                  {user && !user.isAnonymous && <button onClick={handleSignOut} title="Sign out"><LogOut size={12} className="text-slate-500" /></button>}
                 </div>
+                <FileTree
+                  project={project}
+                  activeFile={activeFile}
+                  onOpen={openFile}
+                  onAdd={addProjectFile}
+                  onRename={renameProjectFile}
+                  onDelete={removeProjectFile}
+                  onSetEntry={name => setProject(p => setEntry(p, name))}
+                  canBeEntry={name => canBeEntry(name, language)}
+                  suggestName={suggestFileName}
+                  validateName={validateFileName}
+                />
+                <LibraryPanel
+                  snippets={snippets}
+                  status={syncStatus}
+                  onSync={() => library?.sync()}
+                  activeId={activeSnippetId}
+                  languages={LANGUAGES}
+                  onOpen={openSnippet}
+                  onUpdate={updateSnippet}
+                  onDuplicate={duplicateSnippet}
+                  onDelete={deleteSnippet}
+                  onHistory={openHistory}
+                />
               </div>
             ) : (
               <div className="space-y-6">
-                <div className="bg-slate-800/30 p-4 rounded border border-slate-700/50 text-center">
-                  <div className="text-xs text-slate-500 mb-1">Time Complexity</div>
-                  <div className="text-3xl font-black text-emerald-400 tracking-tight">{analysis.bigO}</div>
-                </div>
+                <ComplexityPanel complexity={analysis.complexity} onJump={jumpToLine} />
                 <div>
                   <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-wider mb-3">Code Flow</h3>
-                  <div className="flex flex-col items-center space-y-2">
-                    {analysis.structure[0].children.map((item, i) => (
-                      <React.Fragment key={i}>
-                        <div className="w-full bg-purple-500/10 border border-purple-500/30 rounded p-2 text-center relative group">
-                          <span className="text-xs font-bold text-purple-300 block">{item.name}</span>
-                          <span className="text-[9px] text-purple-400 uppercase tracking-wide">{item.type}</span>
-                        </div>
-                        <ArrowDown size={14} className="text-slate-600" />
-                        {item.children?.map((child, j) => (
-                          <React.Fragment key={j}>
-                            <div className="w-3/4 bg-blue-500/10 border border-blue-500/30 rounded p-2 text-center relative">
-                              <span className="text-xs font-bold text-blue-300 block">{child.name}</span>
-                              <span className="text-[9px] text-blue-400 uppercase tracking-wide">{child.type}</span>
-                            </div>
-                            {j < item.children.length - 1 && <ArrowDown size={14} className="text-slate-600" />}
-                          </React.Fragment>
-                        ))}
-                        {i < analysis.structure[0].children.length - 1 && <ArrowDown size={14} className="text-slate-600" />}
-                      </React.Fragment>
-                    ))}
-                    <div className="w-20 bg-slate-800 border border-slate-600 rounded-full py-1 text-center"><span className="text-[10px] text-slate-400">End</span></div>
-                  </div>
+                  <ControlFlowView flow={analysis.flow} activeLine={isVisualizing && visHistory[visStep]?.file === activeFile ? visHistory[visStep].line : null} onSelect={(from, to) => editorRef.current?.selectRange(from, to)} />
                 </div>
               </div>
             )}
@@ -516,14 +698,83 @@ export default function App() {
             <div className="flex items-center bg-[#161b22] rounded-md border border-slate-800">
               <div className="px-3 py-1.5 text-xs font-bold text-slate-500 border-r border-slate-800">LANG</div>
               <select value={language} onChange={handleLanguageChange} className="bg-transparent text-sm text-slate-200 outline-none px-2 py-1.5 cursor-pointer">
-                {Object.entries(LANGUAGES).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                {Object.entries(LANGUAGES).map(([k, v]) => {
+                  const runtime = findRuntime(runtimes, k);
+                  return <option key={k} value={k}>{v.name}{runtime ? ` ${runtime.version}` : runtimes ? ' (unavailable)' : ''}</option>;
+                })}
               </select>
             </div>
             <div className="flex items-center gap-3">
-              <button onClick={saveSnippet} className="p-2 text-slate-400 hover:text-white rounded"><Save size={16} /></button>
-              <button onClick={startVisualizer} className={`flex items-center gap-2 px-3 py-1.5 text-xs font-bold bg-slate-800 hover:bg-slate-700 rounded border border-slate-700 ${language === 'python' ? 'opacity-50 cursor-not-allowed' : 'text-slate-300'}`}>
-                <Wand2 size={14} className="text-purple-400" /> Visualize <span className="ml-1 text-[9px] bg-purple-500/20 text-purple-300 px-1 rounded uppercase">BETA</span>
-              </button>
+              <div className="relative flex items-center">
+                <button onClick={handleFormat} disabled={isFormatting} title="Format Document (Shift+Alt+F)" className="p-2 pr-0.5 text-slate-400 hover:text-white rounded">{isFormatting ? <Loader2 size={16} className="animate-spin" /> : <AlignLeft size={16} />}</button>
+                <button onClick={() => setShowFormatOptions(v => !v)} title="Formatting options" className={`py-2 rounded ${showFormatOptions ? 'text-emerald-400' : 'text-slate-500 hover:text-white'}`}><ChevronDown size={12} /></button>
+                {showFormatOptions && (
+                  <div className="absolute right-0 top-full mt-2 z-50 w-64 bg-[#161b22] border border-slate-700 rounded-lg shadow-xl p-3 space-y-3 text-xs">
+                    <div className="text-[10px] font-bold text-slate-500 uppercase tracking-wider">Formatting</div>
+                    <label className="flex items-center justify-between gap-2">
+                      <span className="text-slate-500">Indent width</span>
+                      <select value={formatSettings.indentWidth} onChange={e => updateFormatSettings({ indentWidth: Number(e.target.value) })} className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 outline-none">
+                        {INDENT_WIDTHS.map(w => <option key={w} value={w}>{w} spaces</option>)}
+                      </select>
+                    </label>
+                    <label className="flex items-center justify-between gap-2">
+                      <span className="text-slate-500">Braces</span>
+                      <select value={formatSettings.braceStyle} onChange={e => updateFormatSettings({ braceStyle: e.target.value })} className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-slate-200 outline-none">
+                        {Object.entries(BRACE_STYLES).map(([k, b]) => <option key={k} value={k}>{b.name}</option>)}
+                      </select>
+                    </label>
+                    <label className="flex items-center gap-2 text-slate-300 cursor-pointer">
+                      <input type="checkbox" checked={formatSettings.formatOnSave} onChange={e => updateFormatSettings({ formatOnSave: e.target.checked })} className="accent-emerald-400" />
+                      Format on save
+                    </label>
+                  </div>
+                )}
+              </div>
+              {activeSnippet && (
+                <span title={isModified ? 'Unsaved changes' : 'Saved'} className="max-w-[10rem] truncate text-xs text-slate-400">
+                  {activeSnippet.title}{isModified && <span className="text-amber-400"> ●</span>}
+                </span>
+              )}
+              <button onClick={() => saveSnippet()} title={activeSnippet ? `Save to "${activeSnippet.title}"` : 'Save as a new snippet'} className="p-2 text-slate-400 hover:text-white rounded"><Save size={16} /></button>
+              {activeSnippet && <button onClick={() => saveSnippet(true)} title="Save as a new snippet" className="p-2 -ml-3 text-slate-400 hover:text-white rounded"><FilePlus size={16} /></button>}
+              <button onClick={() => setSharing(true)} disabled={!shares} title={shares ? 'Share a link' : 'Sharing needs a Firebase project'} className="p-2 -ml-3 text-slate-400 hover:text-white disabled:opacity-40 disabled:hover:text-slate-400 rounded"><Share2 size={16} /></button>
+              <div className="relative">
+                <button onClick={() => setSettingsDraft(settingsDraft ? null : backendSettings)} title="Execution backend" className={`p-2 rounded ${settingsDraft ? 'text-emerald-400' : 'text-slate-400 hover:text-white'}`}><Settings size={16} /></button>
+                {settingsDraft && (
+                  <div className="absolute right-0 top-full mt-2 z-50 w-72 bg-[#161b22] border border-slate-700 rounded-lg shadow-xl p-3 space-y-3 text-xs select-text">
+                    <div className="text-[10px] font-bold text-slate-500 uppercase tracking-wider">Execution backend</div>
+                    <select value={settingsDraft.kind} onChange={e => setSettingsDraft({ kind: e.target.value, url: '' })} className="w-full bg-slate-800 border border-slate-700 rounded px-2 py-1.5 text-slate-200 outline-none">
+                      {Object.entries(BACKENDS).map(([k, b]) => <option key={k} value={k}>{b.name}</option>)}
+                    </select>
+                    {BACKENDS[settingsDraft.kind].needsUrl && (
+                      <label className="block space-y-1">
+                        <span className="text-slate-500">API URL</span>
+                        <input value={settingsDraft.url} onChange={e => setSettingsDraft(d => ({ ...d, url: e.target.value }))} placeholder={BACKENDS[settingsDraft.kind].defaultUrl} className="w-full bg-slate-800 border border-slate-700 rounded px-2 py-1.5 text-slate-200 outline-none font-mono" />
+                      </label>
+                    )}
+                    {settingsDraft.kind === backendSettings.kind && settingsDraft.url === backendSettings.url && (
+                      <div className="text-[10px] text-slate-400">
+                        {runtimes === null ? 'Discovering runtimes...'
+                          : runtimeError ? <span className="text-red-400">{runtimeError}</span>
+                            : `${runtimes.length} runtimes available.`}
+                      </div>
+                    )}
+                    <div className="flex justify-end gap-2">
+                      <button onClick={() => setSettingsDraft(null)} className="px-3 py-1 rounded text-slate-400 hover:text-white">Cancel</button>
+                      <button onClick={applyBackendSettings} className="px-3 py-1 rounded font-bold text-slate-900 bg-emerald-400 hover:bg-emerald-300">Apply</button>
+                    </div>
+                  </div>
+                )}
+              </div>
+              {isTracing ? (
+                <button onClick={cancelVisualizer} className="flex items-center gap-2 px-3 py-1.5 text-xs font-bold bg-slate-800 hover:bg-slate-700 rounded border border-red-500/50 text-red-300">
+                  <Square size={14} className="text-red-400" /> Stop
+                </button>
+              ) : (
+                <button onClick={startVisualizer} className="flex items-center gap-2 px-3 py-1.5 text-xs font-bold bg-slate-800 hover:bg-slate-700 rounded border border-slate-700 text-slate-300">
+                  <Wand2 size={14} className="text-purple-400" /> Visualize <span className="ml-1 text-[9px] bg-purple-500/20 text-purple-300 px-1 rounded uppercase">BETA</span>
+                </button>
+              )}
               <button onClick={runCode} disabled={isRunning} className="flex items-center gap-2 px-4 py-1.5 text-xs font-bold text-slate-900 bg-emerald-400 hover:bg-emerald-300 rounded shadow-sm">{isRunning ? <Loader2 size={14} className="animate-spin" /> : <Play size={14} />} Run Code</button>
             </div>
           </header>
@@ -531,32 +782,33 @@ export default function App() {
           <div className="flex-1 flex overflow-hidden">
             {/* EDITOR */}
             <div style={{ width: `${editorWidth}%` }} className="relative bg-[#0d1117] flex flex-col border-r border-slate-800">
-              <div className="flex-1 relative overflow-auto font-mono text-sm" style={{ lineHeight: '1.5rem' }}>
-                <div className="min-h-full pointer-events-none p-4">
-                  {code.split('\n').map((line, i) => (
-                    <div key={i} className={`flex ${isVisualizing && visHistory[visStep]?.line === i + 1 ? 'bg-emerald-500/10 border-l-2 border-emerald-500' : ''}`}>
-                      <span className="w-8 text-right pr-3 text-slate-600 select-none text-xs leading-[1.5rem] shrink-0 inline-block">{i + 1}</span>
-                      <span className="flex-1 opacity-0 leading-[1.5rem] whitespace-pre pl-2">{line || ' '}</span>
-                    </div>
-                  ))}
-                </div>
-                <textarea
+              <EditorTabs
+                files={openFiles}
+                activeFile={activeFile}
+                entry={project.entry}
+                onSelect={setActiveFile}
+                onClose={closeFile}
+                onAdd={addProjectFile}
+                onRename={renameProjectFile}
+                suggestName={() => suggestFileName('')}
+                validateName={validateFileName}
+              />
+              <div className="flex-1 relative overflow-hidden">
+                <CodeEditor
                   ref={editorRef}
                   value={code}
-                  onChange={handleEditorChange}
-                  onKeyDown={handleKeyDown}
-                  className="absolute inset-0 w-full h-full bg-transparent text-slate-300 caret-emerald-400 p-4 pl-[3.5rem] resize-none outline-none leading-[1.5rem] whitespace-pre font-mono"
-                  spellCheck="false"
-                  style={{ tabSize: 4 }}
+                  file={activeFile}
+                  onChange={setCode}
+                  language={language}
+                  keywords={LANGUAGES[language].keywords}
+                  functions={analysis.structure[0].children.map(c => c.name)}
+                  lineMarks={lineMarks}
+                  breakpoints={breakpoints.get(activeFile) ?? NO_BREAKPOINTS}
+                  onToggleBreakpoint={toggleBreakpoint}
+                  diagnostics={problems}
+                  indentWidth={formatSettings.indentWidth}
+                  onFormat={handleFormat}
                 />
-                {suggestions.length > 0 && (
-                  <div className="absolute z-50 bg-[#1e232b] border border-slate-700 rounded shadow-xl flex flex-col min-w-[140px] overflow-hidden" style={{ top: cursorPos.top, left: cursorPos.left }}>
-                    <div className="px-2 py-1 text-[9px] text-slate-500 bg-slate-900 uppercase font-bold">Suggestions</div>
-                    {suggestions.map((s, idx) => (
-                      <button key={s} onClick={() => insertSuggestion(s)} className={`px-3 py-1.5 text-left text-xs ${idx === 0 ? 'bg-emerald-900/30 text-emerald-400' : 'text-slate-300'} hover:bg-emerald-500/20`}>{s}</button>
-                    ))}
-                  </div>
-                )}
               </div>
             </div>
 
@@ -566,82 +818,109 @@ export default function App() {
             <div style={{ width: `${100 - editorWidth}%` }} className="bg-[#0F1115] flex flex-col min-w-[200px]">
               <div className="flex border-b border-slate-800 shrink-0">
                 <button onClick={() => setActiveTab('console')} className={`flex-1 py-2 text-xs font-bold border-b-2 transition-colors ${activeTab === 'console' ? 'border-emerald-500 text-emerald-400' : 'border-transparent text-slate-500'}`}>CONSOLE</button>
+                <button onClick={() => setActiveTab('tests')} className={`flex-1 py-2 text-xs font-bold border-b-2 transition-colors ${activeTab === 'tests' ? 'border-cyan-500 text-cyan-400' : 'border-transparent text-slate-500'}`}>TESTS{tests.length > 0 ? ` (${tests.length})` : ''}</button>
+                <button onClick={() => setActiveTab('benchmark')} className={`flex-1 py-2 text-xs font-bold border-b-2 transition-colors ${activeTab === 'benchmark' ? 'border-amber-500 text-amber-400' : 'border-transparent text-slate-500'}`}>BENCHMARK</button>
                 <button onClick={() => setActiveTab('visualizer')} className={`flex-1 py-2 text-xs font-bold border-b-2 transition-colors ${activeTab === 'visualizer' ? 'border-purple-500 text-purple-400' : 'border-transparent text-slate-500'}`}>VISUALIZER</button>
               </div>
 
               <div className="flex-1 overflow-auto p-4 font-mono text-xs">
                 {activeTab === 'console' && (
                   <div className="space-y-1">
-                    {output.length > 0 ? output.map((line, i) => <div key={i} className="text-slate-300 whitespace-pre-wrap">{line}</div>)
-                      : <div className="text-slate-600 italic text-center mt-10">Output will appear here...</div>}
+                    <div className="mb-3 bg-slate-800/30 border border-slate-700/50 rounded">
+                      <button onClick={() => setShowInput(v => !v)} className="w-full flex items-center gap-1 px-2 py-1 text-[10px] font-bold text-slate-500 hover:text-slate-300 uppercase tracking-wider">
+                        {showInput ? <ChevronDown size={12} /> : <ChevronRight size={12} />} Input{stdin || argsText ? <span className="text-emerald-400">•</span> : null}
+                      </button>
+                      {showInput && <div className="p-2 pt-0 space-y-2">
+                        <label className="block space-y-1">
+                          <span className="text-[10px] text-slate-500">Program arguments</span>
+                          <input value={argsText} onChange={e => setArgsText(e.target.value)} placeholder='e.g. 10 "two words"' spellCheck="false" className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-300 outline-none" />
+                        </label>
+                        <label className="block space-y-1">
+                          <span className="text-[10px] text-slate-500">Standard input</span>
+                          <textarea value={stdin} onChange={e => setStdin(e.target.value)} rows={4} spellCheck="false" className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-300 outline-none resize-y select-text" />
+                        </label>
+                      </div>}
+                    </div>
+                    <ProblemsList problems={problems} onJump={jumpToLine} />
+                    {output.map((line, i) => <div key={i} className="text-slate-300 whitespace-pre-wrap">{line}</div>)}
+                    {runResult && <RunOutput result={runResult} onJump={jumpToLine} />}
+                    {output.length === 0 && !runResult && !(isVisualizing && visOutput.length > 0) && <div className="text-slate-600 italic text-center mt-10">Output will appear here...</div>}
+                    {isVisualizing && visOutput.length > 0 && (
+                      <>
+                        <div className="text-[10px] text-purple-400 uppercase tracking-wider font-bold pt-2">Visualizer output (up to step {visStep + 1})</div>
+                        {visOutput.filter(o => o.step <= visStep).map((o, i) => (
+                          <div
+                            key={i}
+                            onClick={() => { showStep(o.step); setActiveTab('visualizer'); }}
+                            title={`Printed at step ${o.step + 1}${visHistory[o.step] ? ` (${lineLabel(visHistory[o.step], multiFile)})` : ''}`}
+                            className={`whitespace-pre-wrap cursor-pointer hover:bg-slate-800 rounded px-1 ${o.level === 'error' ? 'text-red-400' : o.level === 'warn' ? 'text-yellow-300' : 'text-slate-300'} ${o.step === visStep ? 'bg-purple-500/10' : ''}`}
+                          >{o.text}</div>
+                        ))}
+                      </>
+                    )}
                   </div>
                 )}
 
+                {activeTab === 'tests' && (
+                  <TestsPanel
+                    tests={tests}
+                    setTests={setTests}
+                    results={testResults}
+                    running={isTesting}
+                    onRun={runTests}
+                    onSave={activeSnippetId && user ? saveTests : null}
+                  />
+                )}
+
+                {activeTab === 'benchmark' && (
+                  <BenchmarkPanel
+                    settings={benchSettings}
+                    setSettings={setBenchSettings}
+                    result={benchResult}
+                    running={isBenchmarking}
+                    onRun={startBenchmark}
+                    onCancel={() => benchRun.current?.cancel()}
+                    estimate={analysis.complexity.program?.time ?? null}
+                  />
+                )}
+
                 {activeTab === 'visualizer' && (
                   <div className="h-full flex flex-col gap-4">
                     {(language === 'cpp' || language === 'java') && (
                       <div className="bg-orange-500/10 border border-orange-500/30 p-2 rounded text-[10px] text-orange-200 flex items-center gap-2">
                         <AlertTriangle size={12} className="text-orange-400" />
-                        EXPERIMENTAL: Simulating via JS translation.
+                        Simulated: the program runs in a JavaScript model of {language === 'cpp' ? 'C++' : 'Java'}; unsupported features are listed instead of guessed at.
+                      </div>
+                    )}
+
+                    <div className="flex items-center gap-3 text-[10px] text-slate-500 shrink-0">
+                      <label className="flex items-center gap-1">Max steps
+                        <input type="number" min={100} step={100} value={visLimits.maxSteps} onChange={e => setVisLimits(l => ({ ...l, maxSteps: Math.max(1, Number(e.target.value) || 0) }))} className="w-16 bg-slate-800 border border-slate-700 rounded px-1 text-slate-300 outline-none" />
+                      </label>
+                      <label className="flex items-center gap-1">Timeout (s)
+                        <input type="number" min={1} value={visLimits.timeoutMs / 1000} onChange={e => setVisLimits(l => ({ ...l, timeoutMs: Math.max(1, Number(e.target.value) || 0) * 1000 }))} className="w-12 bg-slate-800 border border-slate-700 rounded px-1 text-slate-300 outline-none" />
+                      </label>
+                      {isTracing && <span className="flex items-center gap-1 text-purple-300"><Loader2 size={12} className="animate-spin" /> Tracing...</span>}
+                    </div>
+
+                    {visError && (
+                      <div className="bg-red-500/10 border border-red-500/30 p-2 rounded text-[10px] text-red-200 flex items-center gap-2 shrink-0">
+                        <AlertTriangle size={12} className="text-red-400 shrink-0" />
+                        <span className="break-all">{visError.message}{visError.line ? ` (${lineLabel(visError, multiFile)})` : ''}</span>
                       </div>
                     )}
+                    {visError?.problems?.length > 1 && (
+                      <ul className="text-[10px] text-red-200/80 font-mono space-y-0.5 shrink-0">
+                        {visError.problems.map((p, i) => <li key={i}>{lineLabel(p, multiFile)}: {p.message}</li>)}
+                      </ul>
+                    )}
 
                     {isVisualizing && visHistory.length > 0 ? (
                       <>
-                        <div className="flex items-center justify-between bg-slate-800 p-2 rounded shrink-0">
-                          <button onClick={() => setVisStep(s => Math.max(0, s - 1))} disabled={visStep === 0} className="p-1 hover:bg-slate-700 rounded disabled:opacity-30"><ChevronDown size={14} className="rotate-90" /></button>
-                          <span className="text-slate-400">Step {visStep + 1} / {visHistory.length}</span>
-                          <button onClick={() => setVisStep(s => Math.min(visHistory.length - 1, s + 1))} disabled={visStep === visHistory.length - 1} className="p-1 hover:bg-slate-700 rounded disabled:opacity-30"><ChevronRight size={14} /></button>
-                        </div>
-
-                        {/* FRAMES */}
-                        <div className="flex-1 bg-[#0a0a0c] border border-slate-800 rounded p-3 overflow-auto min-h-[100px]">
-                          <h4 className="text-blue-400 font-bold mb-2 flex items-center gap-2 uppercase tracking-wider text-[10px]"><ListIcon size={12} /> Frames (Stack)</h4>
-                          <div className="space-y-1">
-                            {visHistory[visStep]?.scope && Object.keys(visHistory[visStep].scope).length > 0 ? (
-                              Object.entries(visHistory[visStep].scope).filter(([_, v]) => !Array.isArray(v) && typeof v !== 'object').map(([k, v]) => (
-                                <div key={k} className="flex justify-between border-b border-slate-800/50 pb-1">
-                                  <span className="text-slate-300">{k}</span>
-                                  <span className="text-emerald-400 font-bold break-all">{String(v)}</span>
-                                </div>
-                              ))
-                            ) : <div className="text-slate-600 italic">No locals</div>}
-                          </div>
-                        </div>
-
-                        {/* OBJECTS */}
-                        <div className="flex-1 bg-[#0a0a0c] border border-slate-800 rounded p-3 overflow-auto min-h-[150px]">
-                          <h4 className="text-orange-400 font-bold mb-2 flex items-center gap-2 uppercase tracking-wider text-[10px]"><Box size={12} /> Objects (Heap)</h4>
-                          <div className="space-y-4">
-                            {visHistory[visStep]?.scope ? (
-                              Object.entries(visHistory[visStep].scope).filter(([_, v]) => Array.isArray(v)).map(([k, v]) => (
-                                <div key={k}>
-                                  <div className="text-xs text-slate-400 mb-1">{k} <span className="text-slate-600">({Array.isArray(v[0]) ? `Matrix[${v.length}x${v[0].length}]` : `Array[${v.length}]`})</span></div>
-                                  {Array.isArray(v[0]) ? (
-                                    <div className="flex flex-col gap-1 bg-slate-900/50 p-2 rounded border border-slate-700">
-                                      {v.map((row, rIdx) => (
-                                        <div key={rIdx} className="flex gap-1">
-                                          {row.map((cell, cIdx) => (
-                                            <div key={cIdx} className="w-6 h-6 flex items-center justify-center border border-slate-700 bg-slate-800 text-[10px] text-orange-200">{String(cell)}</div>
-                                          ))}
-                                        </div>
-                                      ))}
-                                    </div>
-                                  ) : (
-                                    <div className="flex flex-wrap gap-1">
-                                      {v.map((val, idx) => (
-                                        <div key={idx} className="flex flex-col items-center">
-                                          <div className="w-8 h-8 flex items-center justify-center border border-slate-700 bg-slate-800/50 text-slate-200 font-bold rounded-sm text-xs">{String(val)}</div>
-                                          <span className="text-[9px] text-slate-600 mt-0.5">{idx}</span>
-                                        </div>
-                                      ))}
-                                    </div>
-                                  )}
-                                </div>
-                              ))
-                            ) : null}
-                          </div>
-                        </div>
+                        <PlaybackControls history={visHistory} step={visStep} setStep={showStep} breakpoints={breakpoints} />
+
+                        {visHistory[visStep] && <GraphView step={visHistory[visStep]} prevStep={visHistory[visStep - 1]} />}
+                        {visHistory[visStep] && <MemoryView step={visHistory[visStep]} prevStep={visHistory[visStep - 1]} />}
                       </>
                     ) : (
                       <div className="text-slate-600 italic mt-10 text-center">
@@ -657,6 +936,29 @@ export default function App() {
           </div>
         </div>
       </div>
+      {guestImport && <GuestImportDialog comparison={guestImport} onImport={importGuestSnippets} onDiscard={() => setGuestImport(null)} />}
+      {sharing && (
+        <ShareDialog
+          title={activeSnippet?.title || 'Untitled'}
+          traceSteps={isVisualizing && !isTracing && tracedProject && sameFiles(tracedProject, project) ? visHistory.length : 0}
+          isGuest={user?.isAnonymous}
+          onPublish={publishShare}
+          loadShares={shares.mine}
+          onRevoke={id => shares.revoke(id)}
+          onClose={() => setSharing(false)}
+        />
+      )}
+      {history && (
+        <RevisionHistory
+          key={history.snippet.id}
+          snippet={history.snippet}
+          revisions={history.revisions}
+          error={history.error}
+          currentText={projectText(project)}
+          onRestore={restoreRevision}
+          onClose={() => setHistory(null)}
+        />
+      )}
     </ErrorBoundary>
   );
 }
\ No newline at end of file
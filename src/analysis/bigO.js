@@ -0,0 +1,47 @@
+/**
+ * --- BIG-O TERMS ---
+ * A growth rate in one size variable n: n^poly · log^log n · exp^n, where
+ * `poly` may be fractional (0.5 is √n) and `exp` is 0 when there is no
+ * exponential factor. Constant factors and lower-order terms are dropped, so
+ * a sequence of steps costs as much as its most expensive step.
+ */
+export const term = (poly = 0, log = 0, exp = 0) => ({ poly, log, exp });
+
+export const CONSTANT = term();
+export const LOGARITHMIC = term(0, 1);
+export const SQRT = term(0.5);
+export const LINEAR = term(1);
+export const LINEARITHMIC = term(1, 1);
+export const QUADRATIC = term(2);
+
+/** Cost of doing `b` once for each of `a` steps. */
+export const times = (a, b) => term(a.poly + b.poly, a.log + b.log, a.exp && b.exp ? a.exp * b.exp : a.exp || b.exp);
+
+export const power = (t, k) => term(t.poly * k, t.log * k, t.exp ? t.exp ** k : 0);
+
+export const compare = (a, b) => (a.exp - b.exp) || (a.poly - b.poly) || (a.log - b.log);
+
+/** The larger of two costs, which is also the cost of doing both. */
+export const dominant = (a, b) => (compare(a, b) >= 0 ? a : b);
+
+export const isConstant = (t) => compare(t, CONSTANT) === 0;
+
+const SUPERSCRIPTS = { 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+
+const polynomial = (poly) => {
+  if (poly === 0) return '';
+  if (poly === 0.5) return '√n';
+  if (poly === 1) return 'n';
+  if (Number.isInteger(poly)) return `n${SUPERSCRIPTS[poly] || `^${poly}`}`;
+  if (Number.isInteger(poly - 0.5)) return `${polynomial(poly - 0.5)}√n`;
+  return `n^${+poly.toFixed(2)}`;
+};
+
+/** 'O(n log n)', 'O(n²)', 'O(2ⁿ)', ... */
+export const formatBigO = (t) => {
+  const parts = [polynomial(t.poly)];
+  if (t.log) parts.push(t.log === 1 ? 'log n' : `log${SUPERSCRIPTS[t.log] || `^${t.log}`} n`);
+  let text = parts.filter(Boolean).join(' ');
+  if (t.exp) text = `${text ? `${text}·` : ''}${+t.exp.toFixed(2)}ⁿ`;
+  return `O(${text || '1'})`;
+};
@@ -0,0 +1,642 @@
+import { parseProgram } from '../editor/languages.js';
+import { findFunctions, calleeOf, loopBody } from './functions.js';
+import {
+  term, CONSTANT, LOGARITHMIC, SQRT, LINEAR, LINEARITHMIC, times, power, compare, dominant, isConstant, formatBigO,
+} from './bigO.js';
+
+/**
+ * --- COMPLEXITY ANALYSIS ---
+ * Static time and space estimates, read off the syntax tree:
+ *   { functions: [{ name, line, endLine, from, to, time, space, timeNotes, spaceNotes }],
+ *     program: { name, time, space, timeNotes, spaceNotes } }
+ * `time` / `space` are big-O terms (bigO.js); the notes say how each estimate
+ * was reached. Loops multiply their body by the iteration count their header
+ * implies, calls cost what the callee costs, and self-recursion is solved as
+ * a recurrence (the Master theorem for divide-and-conquer). Everything that
+ * grows is measured in a single n.
+ * The program estimate starts at the entry point: `main` for C++ and Java,
+ * the top-level statements for JavaScript and Python.
+ */
+const ITERATING_JS = ['forEach', 'map', 'filter', 'reduce', 'reduceRight', 'find', 'findIndex', 'findLast', 'some', 'every', 'flatMap', 'sort'];
+
+const table = (entries) => Object.fromEntries(entries.flatMap(([cost, names]) => names.map(name => [name, cost])));
+
+const PROFILES = {
+  javascript: {
+    loops: ['ForStatement', 'WhileStatement', 'DoStatement'],
+    calls: ['CallExpression'],
+    lambdas: ['ArrowFunction', 'FunctionExpression'],
+    branches: ['IfStatement', 'ConditionalExpression', 'SwitchBody'],
+    self: ['this'],
+    namespaces: [],
+    qualified: table([
+      [LINEAR, ['Object.keys', 'Object.values', 'Object.entries', 'Object.assign', 'Array.from', 'JSON.stringify', 'JSON.parse']],
+    ]),
+    members: table([
+      [LINEARITHMIC, ['sort', 'toSorted']],
+      [LINEAR, ['indexOf', 'lastIndexOf', 'includes', 'slice', 'splice', 'concat', 'join', 'reverse', 'fill', 'shift', 'unshift',
+        'split', 'repeat', 'flat', ...ITERATING_JS.filter(n => n !== 'sort')]],
+    ]),
+    functions: {},
+    iterating: ITERATING_JS,
+  },
+  python: {
+    loops: ['ForStatement', 'WhileStatement'],
+    calls: ['CallExpression'],
+    lambdas: ['LambdaExpression'],
+    branches: ['IfStatement', 'ConditionalExpression'],
+    self: ['self'],
+    comprehensions: ['ArrayComprehensionExpression', 'DictionaryComprehensionExpression', 'SetComprehensionExpression', 'ComprehensionExpression'],
+    namespaces: ['heapq', 'bisect', 'math', 'collections', 'itertools', 'functools'],
+    qualified: {},
+    members: table([
+      [LINEARITHMIC, ['sort']],
+      [LINEAR, ['index', 'count', 'remove', 'insert', 'copy', 'extend', 'join', 'split', 'reverse', 'replace', 'find']],
+    ]),
+    functions: table([
+      [LINEARITHMIC, ['sorted', 'nlargest', 'nsmallest']],
+      [LINEAR, ['sum', 'min', 'max', 'list', 'set', 'dict', 'tuple', 'any', 'all', 'reversed', 'map', 'filter', 'heapify', 'Counter', 'deque', 'insort']],
+      [LOGARITHMIC, ['heappush', 'heappop', 'heappushpop', 'heapreplace', 'bisect', 'bisect_left', 'bisect_right', 'gcd']],
+    ]),
+    iterating: ['sorted', 'sort', 'map', 'filter', 'min', 'max'],
+  },
+  cpp: {
+    loops: ['ForStatement', 'ForRangeLoop', 'WhileStatement', 'DoStatement'],
+    calls: ['CallExpression'],
+    lambdas: ['LambdaExpression'],
+    branches: ['IfStatement', 'ConditionalExpression'],
+    self: ['this'],
+    namespaces: ['std'],
+    qualified: {},
+    // Member lookups assume ordered containers (set, map); hash containers are faster on average.
+    members: table([
+      [LOGARITHMIC, ['find', 'count', 'insert', 'erase', 'lower_bound', 'upper_bound']],
+      [LINEAR, ['substr', 'assign', 'resize']],
+    ]),
+    functions: table([
+      [LINEARITHMIC, ['sort', 'stable_sort', 'partial_sort']],
+      [LINEAR, ['find', 'count', 'reverse', 'accumulate', 'fill', 'copy', 'unique', 'max_element', 'min_element', 'iota',
+        'memset', 'count_if', 'find_if', 'for_each', 'transform', 'next_permutation', 'make_heap']],
+      [LOGARITHMIC, ['lower_bound', 'upper_bound', 'binary_search', 'equal_range', 'push_heap', 'pop_heap', '__gcd', 'gcd']],
+    ]),
+    iterating: ['sort', 'stable_sort', 'for_each', 'count_if', 'find_if', 'transform'],
+  },
+  java: {
+    loops: ['ForStatement', 'EnhancedForStatement', 'WhileStatement', 'DoStatement'],
+    calls: ['MethodInvocation'],
+    lambdas: ['LambdaExpression'],
+    branches: ['IfStatement', 'ConditionalExpression', 'SwitchBlock'],
+    self: ['this'],
+    namespaces: [],
+    qualified: table([
+      [LINEARITHMIC, ['Arrays.sort', 'Collections.sort']],
+      [LINEAR, ['Arrays.fill', 'Arrays.copyOf', 'Arrays.copyOfRange', 'Arrays.toString', 'Arrays.asList', 'Arrays.stream',
+        'Collections.max', 'Collections.min', 'Collections.reverse', 'Collections.shuffle', 'String.join', 'String.valueOf']],
+      [LOGARITHMIC, ['Arrays.binarySearch', 'Collections.binarySearch']],
+    ]),
+    members: table([
+      [LINEARITHMIC, ['sort']],
+      [LINEAR, ['indexOf', 'lastIndexOf', 'toCharArray', 'substring', 'split', 'toArray', 'replace', 'forEach', 'removeIf', 'reverse']],
+    ]),
+    functions: {},
+    iterating: ['forEach', 'removeIf', 'sort', 'Arrays.sort', 'Collections.sort'],
+  },
+};
+
+/** Loops: how many times a header says the body runs. */
+const LITERAL = /^[\d\s+\-*/().e]*$/i;
+const isLiteral = (text) => LITERAL.test(text.trim()) && /\d/.test(text);
+
+const splitTopLevel = (text, separator) => {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if ('([{'.includes(c)) depth++;
+    else if (')]}'.includes(c)) depth--;
+    else if (c === separator && depth === 0) {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start).trim());
+  return parts;
+};
+
+const loopHeader = (doc, node, body) => (node.name === 'DoStatement'
+  ? doc.sliceString(body.to, node.to)
+  : doc.sliceString(node.from, body.from)
+).replace(/^\s*(for|while)\b/, '').trim().replace(/:$/, '').replace(/;$/, '').trim();
+
+const stripParens = (text) => {
+  const t = text.trim();
+  return t.startsWith('(') && t.endsWith(')') ? t.slice(1, -1).trim() : t;
+};
+
+const HALVING = /(\*=|\/=|\/\/=|>>=|<<=)\s*\d/;
+const escape = (name) => name.replace(/[$]/g, '\\$');
+
+const counted = (cost, reason) => ({ cost, reason });
+
+const countingLoop = (init, condition, update) => {
+  const variable = update.match(/[A-Za-z_$][\w$]*/)?.[0];
+  if (!variable) return counted(LINEAR, condition || 'no condition');
+  const v = escape(variable);
+  const multiplies = HALVING.test(update) || new RegExp(`\\b${v}\\s*=\\s*${v}\\s*[*/]\\s*\\d`).test(update);
+  const comparison = condition.match(/^(.*?)\s*(<=|>=|<|>|!=)\s*(.*)$/);
+  if (!comparison) return counted(LINEAR, condition || 'no condition');
+  const [, left, , right] = comparison;
+  const bound = new RegExp(`\\b${v}\\b`).test(left) ? right : left;
+  const start = init.match(/=\s*(.+)$/)?.[1] ?? '';
+  if (isLiteral(bound) && isLiteral(start)) return counted(CONSTANT, `${condition}`);
+  if (multiplies) return counted(LOGARITHMIC, update);
+  if (new RegExp(`\\b${v}\\s*\\*\\s*${v}\\b`).test(condition)) return counted(SQRT, condition);
+  return counted(LINEAR, condition);
+};
+
+const CONSTANT_COLLECTION = /^[[{(][\d\s,.'"+-]*[\]})]$/;
+
+const eachLoop = (header) => {
+  const inner = stripParens(header);
+  const iterable = (inner.match(/\s(?:of|in)\s+([\s\S]+)$/) || inner.match(/[^:]:(?!:)\s*([\s\S]+)$/))?.[1]?.trim() || inner;
+  const range = iterable.match(/^range\s*\(([\s\S]*)\)$/);
+  if (range) {
+    return splitTopLevel(range[1], ',').every(isLiteral) ? counted(CONSTANT, iterable) : counted(LINEAR, iterable);
+  }
+  if (CONSTANT_COLLECTION.test(iterable)) return counted(CONSTANT, `over ${iterable}`);
+  return counted(LINEAR, `over ${iterable}`);
+};
+
+const CONDITION_WORDS = new Set(['true', 'false', 'True', 'False', 'None', 'null', 'not', 'and', 'or', 'len', 'size', 'length', 'empty', 'isEmpty']);
+
+const conditionalLoop = (condition, bodyText) => {
+  if (/^(true|True|1)$/.test(condition)) return counted(LINEAR, 'runs until a break; assumed n');
+  const variables = [...new Set(condition.match(/[A-Za-z_$][\w$]*/g) || [])].filter(v => !CONDITION_WORDS.has(v));
+  const assigned = variables.filter(v => new RegExp(`\\b${escape(v)}\\s*([-+*/%^&|]|//|<<|>>)?=(?!=)|(\\+\\+|--)\\s*${escape(v)}\\b|\\b${escape(v)}\\s*(\\+\\+|--)`).test(bodyText));
+  const halves = assigned.some(v => new RegExp(`\\b${escape(v)}\\s*(\\*=|/=|//=|>>=|<<=)|\\b${escape(v)}\\s*=(?!=)[^;\\n]*(/\\s*2|>>\\s*1|//\\s*2|\\*\\s*2)`).test(bodyText));
+  if (halves) return counted(LOGARITHMIC, `${assigned.join(', ')} halves or doubles each step`);
+  // Binary search: the bounds move to a midpoint.
+  if (assigned.length && /(\/\s*2|>>\s*1|\/\/\s*2)/.test(bodyText) && variables.length >= 2) {
+    return counted(LOGARITHMIC, `the range ${variables.slice(0, 2).join('..')} halves each step`);
+  }
+  if (/\.(length|size\(\)|empty\(\)|isEmpty\(\))|^!?\s*\w+$/.test(condition) && !assigned.length) {
+    return counted(LINEAR, `until ${condition} is exhausted; each element once`);
+  }
+  if (assigned.length) return counted(LINEAR, `${assigned.join(', ')} moves by a constant step`);
+  return counted(LINEAR, `${condition}; assumed n`);
+};
+
+const iterations = (doc, node, body) => {
+  const header = loopHeader(doc, node, body);
+  if (node.name === 'WhileStatement' || node.name === 'DoStatement') {
+    return conditionalLoop(stripParens(header.replace(/^\s*while\b/, '')), doc.sliceString(body.from, body.to));
+  }
+  const parts = splitTopLevel(stripParens(header), ';');
+  if (parts.length === 3 && !['ForRangeLoop', 'EnhancedForStatement'].includes(node.name)) return countingLoop(...parts);
+  return eachLoop(header);
+};
+
+const HOW_OFTEN = (cost) => {
+  if (isConstant(cost)) return 'a constant number of times';
+  return `${formatBigO(cost).slice(2, -1)} times`;
+};
+
+/** Calls: what a library call costs. */
+const libraryCost = (profile, { name, receiver }) => {
+  const qualified = profile.qualified[`${receiver}.${name}`];
+  if (qualified) return { cost: qualified, iterates: profile.iterating.includes(`${receiver}.${name}`) || profile.iterating.includes(name) };
+  const free = !receiver || profile.namespaces.includes(receiver);
+  const cost = free ? profile.functions[name] : profile.members[name];
+  return cost ? { cost, iterates: profile.iterating.includes(name) } : null;
+};
+
+/** Walk: the cost of running a node once, with the chain of steps that dominates it. */
+const NOTHING = { cost: CONSTANT, notes: [] };
+const heavier = (a, b) => (compare(b.cost, a.cost) > 0 ? b : a);
+
+const lineOf = (doc, pos) => doc.lineAt(pos).number;
+
+const walk = (ctx, node) => {
+  const { profile } = ctx;
+  if (node.from !== ctx.fn.node.from && ctx.functionsAt.has(node.from) && ctx.functionsAt.get(node.from).node.to === node.to) return NOTHING;
+  if (profile.loops.includes(node.name)) return loopCost(ctx, node);
+  if (isComprehension(profile, node)) return comprehensionCost(ctx, node);
+  if (profile.calls.includes(node.name)) return callCost(ctx, node);
+  return sequence(ctx, node);
+};
+
+const sequence = (ctx, node) => {
+  let best = NOTHING;
+  for (let child = node.firstChild; child; child = child.nextSibling) best = heavier(best, walk(ctx, child));
+  return best;
+};
+
+const loopCost = (ctx, node) => {
+  const body = loopBody(node);
+  if (!body) return NOTHING;
+  const { cost, reason } = iterations(ctx.doc, node, body);
+  const inner = walk(ctx, body);
+  return {
+    cost: times(cost, inner.cost),
+    notes: [`Line ${lineOf(ctx.doc, node.from)}: loop runs ${HOW_OFTEN(cost)} (${reason})`, ...inner.notes],
+  };
+};
+
+// `[f(x) for x in xs if x]`, and `sum(x for x in xs)`, whose generator is the argument list itself.
+const isComprehension = (profile, node) => profile.comprehensions?.includes(node.name)
+  || (node.name === 'ArgList' && Boolean(node.getChild('for')));
+
+// Each `for` clause is a loop over what follows its `in`, up to the next clause or the closing bracket.
+const CLAUSE_ENDS = new Set(['for', 'if', ']', '}', ')']);
+
+const comprehensionCost = (ctx, node) => {
+  const clauses = [];
+  let afterFor = false;
+  let start = null;
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (start !== null && CLAUSE_ENDS.has(child.name)) {
+      clauses.push(eachLoop(`_ in ${ctx.doc.sliceString(start, child.from).trim()}`));
+      start = null;
+    }
+    if (child.name === 'for') afterFor = true;
+    else if (child.name === 'in' && afterFor) {
+      start = child.to;
+      afterFor = false;
+    }
+  }
+  const inner = sequence(ctx, node);
+  const line = lineOf(ctx.doc, node.from);
+  return clauses.reduce((acc, { cost, reason }) => ({
+    cost: times(cost, acc.cost),
+    notes: [`Line ${line}: comprehension runs ${HOW_OFTEN(cost)} (${reason})`, ...acc.notes],
+  }), inner);
+};
+
+const isSelfCall = (ctx, call) => call && call.name === ctx.fn.name && (!call.receiver || ctx.profile.self.includes(call.receiver));
+
+const callCost = (ctx, node) => {
+  const args = sequence(ctx, node);
+  const call = calleeOf(ctx.doc, node, ctx.language);
+  if (!call || isSelfCall(ctx, call)) return args;
+  const line = lineOf(ctx.doc, node.from);
+
+  const target = ctx.functions.get(call.name);
+  const local = target && (!call.receiver || ctx.profile.self.includes(call.receiver) || /^[A-Z]/.test(call.receiver));
+  if (local) {
+    ctx.callees.add(target);
+    const result = analyzeFunction(ctx.shared, target);
+    if (!result) {
+      return heavier(args, { cost: CONSTANT, notes: [`Line ${line}: ${call.name}() calls back into this function; mutual recursion is not modeled`] });
+    }
+    return heavier(args, { cost: result.time, notes: [`Line ${line}: calls ${call.name}() — ${formatBigO(result.time)}`] });
+  }
+
+  const library = libraryCost(ctx.profile, call);
+  if (!library) return args;
+  let cost = library.cost;
+  const label = `${call.receiver && ctx.profile.namespaces.includes(call.receiver) ? '' : call.receiver ? `${call.receiver}.` : ''}${call.name}()`;
+  const notes = [`Line ${line}: ${label} — ${formatBigO(cost)}`];
+  if (library.iterates) {
+    // The callback runs once per element.
+    const callback = lambdasIn(ctx, node).reduce((best, lambda) => heavier(best, sequence(ctx, lambda)), NOTHING);
+    cost = times(cost, callback.cost);
+    notes.push(...callback.notes);
+  }
+  return heavier(args, { cost, notes });
+};
+
+const lambdasIn = (ctx, node) => {
+  const found = [];
+  for (let child = node.lastChild?.firstChild; child; child = child.nextSibling) {
+    if (ctx.profile.lambdas.includes(child.name)) found.push(child);
+  }
+  return found;
+};
+
+/** Recursion: the recurrence a function's calls to itself describe. */
+const MEMO = /\b(memo|cache|dp|visited|seen|vis)\b|@(functools\.)?(lru_cache|cache)\b/;
+const VISITED = /\b(visited|seen|vis)\b/;
+const DIVIDES = /\/\/?\s*(\d+)|>>\s*(\d+)/;
+const ASSIGNMENT = /(?:^|[^\w$.])([A-Za-z_$][\w$]*)\s*=(?!=)([^;\n]*)/g;
+
+const divisorOf = (match) => Number(match[1] || (match[2] ? 2 ** Number(match[2]) : 2)) || 2;
+
+/**
+ * Locals that hold a fraction of the input: assigned from `/ 2`, `>> 1`, ...
+ * (`m = (lo + hi) >> 1`) or from another such local (`left = a.slice(0, m)`).
+ * Name -> divisor.
+ */
+const dividingLocals = (source) => {
+  const assignments = [...source.matchAll(ASSIGNMENT)].map(([, name, value]) => ({ name, value }));
+  const found = new Map();
+  for (let changed = true; changed;) {
+    changed = false;
+    assignments.forEach(({ name, value }) => {
+      if (found.has(name)) return;
+      const divide = value.match(DIVIDES);
+      const from = [...found].find(([local]) => new RegExp(`\\b${escape(local)}\\b`).test(value));
+      if (!divide && !from) return;
+      found.set(name, divide ? divisorOf(divide) : from[1]);
+      changed = true;
+    });
+  }
+  return found;
+};
+
+const selfCalls = (ctx) => {
+  const found = [];
+  const visit = (node, loops) => {
+    if (node.from !== ctx.fn.node.from && ctx.functionsAt.get(node.from)?.node.to === node.to) return;
+    if (ctx.profile.calls.includes(node.name) && isSelfCall(ctx, calleeOf(ctx.doc, node, ctx.language))) {
+      const args = node.lastChild;
+      found.push({ node, inLoop: loops > 0, args: args ? splitTopLevel(stripParens(ctx.doc.sliceString(args.from, args.to)), ',') : [] });
+    }
+    const inner = loops + (ctx.profile.loops.includes(node.name) ? 1 : 0);
+    for (let child = node.firstChild; child; child = child.nextSibling) visit(child, inner);
+  };
+  visit(ctx.fn.body, 0);
+  return found;
+};
+
+// Calls to itself on the busiest path: branches of an if are alternatives, everything else adds up.
+const callsPerInvocation = (ctx, node, calls) => {
+  if (calls.some(c => c.node.from === node.from && c.node.to === node.to)) return 1;
+  if (node.from !== ctx.fn.node.from && ctx.functionsAt.get(node.from)?.node.to === node.to) return 0;
+  const counts = [];
+  for (let child = node.firstChild; child; child = child.nextSibling) counts.push(callsPerInvocation(ctx, child, calls));
+  if (!counts.length) return 0;
+  return ctx.profile.branches.includes(node.name) ? Math.max(...counts) : counts.reduce((a, b) => a + b, 0);
+};
+
+const masterTheorem = (a, b, work) => {
+  const critical = Math.log(a) / Math.log(b);
+  const equation = `T(n) = ${a > 1 ? `${a}·` : ''}T(n/${b}) + ${formatBigO(work)}`;
+  if (work.exp) return { cost: work, note: `${equation}: the non-recursive work dominates` };
+  if (Math.abs(work.poly - critical) < 1e-9) {
+    return { cost: term(work.poly, work.log + 1), note: `${equation} → Master theorem case 2 (work is balanced across levels)` };
+  }
+  if (work.poly < critical) {
+    return { cost: term(+critical.toFixed(2)), note: `${equation} → Master theorem case 1 (the ${a} subproblems dominate)` };
+  }
+  return { cost: work, note: `${equation} → Master theorem case 3 (the work at the top level dominates)` };
+};
+
+const solveRecursion = (ctx, calls, work) => {
+  const { doc, fn } = ctx;
+  const a = Math.max(1, callsPerInvocation(ctx, fn.body, calls));
+  // Decorators (`@lru_cache`) sit on the lines just above the definition.
+  let start = doc.lineAt(fn.node.from).number;
+  while (start > 1 && doc.line(start - 1).text.trim().startsWith('@')) start--;
+  const source = doc.sliceString(doc.line(start).from, fn.node.to);
+
+  if (MEMO.test(source)) {
+    if (VISITED.test(source) && work.poly <= 1 && !work.exp) {
+      return { time: LINEAR, stack: LINEAR, note: 'Recursion guarded by a visited set: every vertex and edge is handled once (n = V + E)' };
+    }
+    // Each distinct combination of the arguments that change is solved once.
+    const varying = fn.params.filter((param, i) => calls.some(c => (c.args[i] ?? '') !== param)).length || 1;
+    const states = power(LINEAR, Math.min(varying, 3));
+    return {
+      time: times(states, work),
+      stack: LINEAR,
+      note: `Memoized recursion: at most ${formatBigO(states)} distinct calls × ${formatBigO(work)} each`,
+    };
+  }
+  if (calls.some(c => c.inLoop)) {
+    return {
+      time: times(term(0, 0, 2), work),
+      stack: LINEAR,
+      note: 'Recursive call inside a loop (backtracking): at least exponential, O(2ⁿ) × the work per call',
+    };
+  }
+  const args = calls.flatMap(c => c.args).join(' ');
+  if (/%/.test(args) && a === 1) {
+    return { time: times(LOGARITHMIC, work), stack: LOGARITHMIC, note: 'The argument shrinks by a remainder each call (Euclid): O(log n) calls' };
+  }
+  // The argument is cut down in the call itself (`f(n / 2)`) or through a local (`m = (lo + hi) >> 1; f(a, lo, m)`).
+  const locals = [...dividingLocals(source)].find(([local]) => new RegExp(`\\b${escape(local)}\\b`).test(args));
+  const inCall = args.match(DIVIDES);
+  const divide = inCall ? divisorOf(inCall) : locals?.[1];
+  // Calls that each move a different end of a range split it, like merge sort and quicksort.
+  const changed = calls.map(c => fn.params.filter((param, i) => c.args[i] !== undefined && c.args[i] !== param).join(','));
+  const splitsRange = a >= 2 && new Set(changed).size >= 2;
+  if (divide || splitsRange) {
+    const { cost, note } = masterTheorem(a, divide || 2, work);
+    const pivot = !divide && splitsRange ? '; assumes balanced splits, the worst case of an unbalanced split is quadratic' : '';
+    return { time: cost, stack: LOGARITHMIC, note: `${note}${pivot}` };
+  }
+  if (a === 1) {
+    return { time: times(LINEAR, work), stack: LINEAR, note: `T(n) = T(n−1) + ${formatBigO(work)} → n levels of ${formatBigO(work)}` };
+  }
+  return {
+    time: times(term(0, 0, a), work),
+    stack: LINEAR,
+    note: `T(n) = ${a}·T(n−1) + ${formatBigO(work)} → the call tree has up to ${a}ⁿ nodes`,
+  };
+};
+
+/** Space: allocations whose size grows, containers filled inside loops, and the call stack. */
+const SIZED = {
+  javascript: [/(?:new\s+)?\bArray\s*\(\s*([^()]*?)\s*\)/g, /\{\s*length\s*:\s*([^}]*?)\s*\}/g],
+  python: [/\[[^[\]]*\]\s*\*\s*(\(?[\w.]+(?:\s*[-+]\s*\w+)?\)?)/g, /(?<=[[{].*)\bfor\s+[\w, ]+\s+in\s+(.+?)(?=\s+if\b|\s+for\b|[\]}]|$)/g],
+  cpp: [/\bvector\s*<(?:[^()<>]|<(?:[^()<>]|<[^()<>]*>)*>)*>\s*\w*\s*\(\s*([^,()]+)/g, /\[\s*([^\]]+?)\s*\]/g],
+  java: [/\[\s*([^\]]+?)\s*\]/g],
+};
+const COPIES = {
+  javascript: /\.(slice|map|filter|concat|split)\s*\(|\[\s*\.\.\.|Array\.from\s*\(/,
+  python: /\b(list|sorted|set|dict|tuple)\s*\(|\w\[[^\]\n]*:[^\]\n]*\]|\.split\s*\(|\.copy\s*\(/,
+  cpp: /\.substr\s*\(/,
+  java: /\.(clone|toCharArray|split|substring|toArray)\s*\(|Arrays\.copyOf/,
+};
+// Only declarations and `new` expressions size arrays in C++ and Java; `a[i]` is an index.
+const DECLARES_ARRAY = { cpp: /^\s*(?:static\s+|const\s+)*[\w:<>]+\s+\w+\s*\[|\bvector\s*</, java: /\bnew\s+\w+\s*\[/ };
+const APPENDS = ['push', 'push_back', 'emplace_back', 'append', 'add', 'put', 'insert', 'unshift', 'push_front', 'appendleft', 'offer', 'extend', 'set'];
+
+/**
+ * Writes through a subscript (`freq[x] = ...`, `cnt[x]++`) add a key to maps,
+ * dicts, plain objects and empty JavaScript arrays; a list or array that was
+ * sized up front only changes in place. Java writes by subscript only to arrays.
+ * `declares(name)` finds where a container is set up and `grows` says, from
+ * that declaration, whether it is one of the growing kinds.
+ */
+const KEYED_WRITES = {
+  javascript: {
+    writes: ['AssignmentExpression', 'PostfixExpression'],
+    subscript: 'MemberExpression',
+    declares: (name) => new RegExp(`\\b(?:const|let|var)\\s+${escape(name)}\\s*=\\s*([^;\\n]*)`, 'g'),
+    grows: /^(\{\s*\}|\[\s*\]|Object\.create\b)/,
+  },
+  python: {
+    writes: ['AssignStatement', 'UpdateStatement'],
+    subscript: 'MemberExpression',
+    declares: (name) => new RegExp(`^[ \\t]*${escape(name)}\\s*=(?!=)\\s*(.*)$`, 'gm'),
+    grows: /^(\{|dict\s*\(|(collections\.)?(defaultdict|Counter|OrderedDict)\s*\()/,
+  },
+  cpp: {
+    writes: ['AssignmentExpression', 'UpdateExpression'],
+    subscript: 'SubscriptExpression',
+    declares: (name) => new RegExp(`([\\w:]+(?:\\s*<[^;()]*>)?)\\s+${escape(name)}\\s*(?=[;=({]|$)`, 'gm'),
+    grows: /map\s*</,
+  },
+};
+
+// The container a subscript write adds to, `{ name, from }` with `from` where it is declared; null for anything else.
+const keyedWrite = (ctx, node) => {
+  const rules = KEYED_WRITES[ctx.language];
+  if (!rules?.writes.includes(node.name)) return null;
+  let target = node.firstChild;
+  if (target?.name === 'UpdateOp') target = target.nextSibling;
+  if (target?.name !== rules.subscript || !target.getChild('[')) return null;
+  while (target.firstChild?.name === rules.subscript) target = target.firstChild;
+  const base = target.firstChild;
+  if (!base || !['VariableName', 'Identifier'].includes(base.name)) return null;
+  const name = ctx.doc.sliceString(base.from, base.to);
+  const scope = ctx.fn.node;
+  const text = ctx.doc.sliceString(scope.from, node.from);
+  const declaration = [...text.matchAll(rules.declares(name))].pop();
+  if (!declaration || !rules.grows.test(declaration[1].trim())) return null;
+  return { name, from: scope.from + declaration.index };
+};
+
+const slotSize = (slot) => {
+  const text = slot.trim();
+  const range = text.match(/^range\s*\(([\s\S]*)\)$/);
+  if (range) return splitTopLevel(range[1], ',').every(isLiteral) ? 0 : 1;
+  // `for x in [1, 2, 3]`, cut off at its closing bracket.
+  if (CONSTANT_COLLECTION.test(`${text}]`) || CONSTANT_COLLECTION.test(text)) return 0;
+  return isLiteral(text) ? 0 : 1;
+};
+
+const allocationOnLine = (language, text) => {
+  if (DECLARES_ARRAY[language] && !DECLARES_ARRAY[language].test(text)) return COPIES[language].test(text) ? 1 : 0;
+  const slots = SIZED[language].flatMap(pattern => [...text.matchAll(pattern)].map(m => slotSize(m[1])));
+  const sized = slots.reduce((a, b) => a + b, 0);
+  return Math.min(3, sized || (COPIES[language].test(text) ? 1 : 0));
+};
+
+const ownLines = (ctx) => {
+  const { doc, fn } = ctx;
+  const nested = [...ctx.functionsAt.values()].filter(f => f !== fn && f.node.from >= fn.body.from && f.node.to <= fn.body.to);
+  const lines = [];
+  for (let n = lineOf(doc, fn.body.from); n <= lineOf(doc, fn.body.to); n++) {
+    const line = doc.line(n);
+    if (!nested.some(f => f.node.from <= line.from && line.to <= f.node.to)) lines.push(line);
+  }
+  return lines;
+};
+
+const spaceOf = (ctx, recursion) => {
+  const { doc, fn, language } = ctx;
+  let best = { cost: CONSTANT, notes: [] };
+  const consider = (cost, note) => { if (compare(cost, best.cost) > 0) best = { cost, notes: [note] }; };
+
+  ownLines(ctx).forEach((line) => {
+    const text = line.text.replace(/\/\/.*$|#.*$/, '');
+    const degree = allocationOnLine(language, text);
+    if (degree) consider(power(LINEAR, degree), `Line ${line.number} allocates ${formatBigO(power(LINEAR, degree))}: ${text.trim().slice(0, 60)}`);
+  });
+
+  // Containers that grow once per iteration; `loops` are the enclosing loops as `{ from, cost }`.
+  const visit = (node, loops) => {
+    if (node.from !== fn.node.from && ctx.functionsAt.get(node.from)?.node.to === node.to) return;
+    let inner = loops;
+    if (ctx.profile.loops.includes(node.name)) {
+      const body = loopBody(node);
+      if (body) inner = [...loops, { from: node.from, cost: iterations(doc, node, body).cost }];
+    }
+    const all = loops.reduce((acc, loop) => times(acc, loop.cost), CONSTANT);
+    if (ctx.profile.calls.includes(node.name) && !isConstant(all)) {
+      const call = calleeOf(doc, node, language);
+      if (call?.receiver && APPENDS.includes(call.name)) {
+        consider(all, `Line ${lineOf(doc, node.from)}: ${call.receiver}.${call.name}() inside a loop grows to ${formatBigO(all)}`);
+      }
+    }
+    const write = loops.length ? keyedWrite(ctx, node) : null;
+    if (write) {
+      // Only loops the container outlives add to it.
+      const growth = loops.filter(loop => loop.from > write.from).reduce((acc, loop) => times(acc, loop.cost), CONSTANT);
+      if (!isConstant(growth)) consider(growth, `Line ${lineOf(doc, node.from)}: ${write.name}[...] gets a new key each iteration, up to ${formatBigO(growth)}`);
+    }
+    for (let child = node.firstChild; child; child = child.nextSibling) visit(child, inner);
+  };
+  visit(fn.body, []);
+
+  if (recursion) consider(recursion.stack, `Recursion depth ${formatBigO(recursion.stack)} on the call stack`);
+  ctx.callees.forEach((callee) => {
+    const result = ctx.shared.results.get(callee);
+    if (result) consider(result.space, `Calls ${callee.name}(), which uses ${formatBigO(result.space)}`);
+  });
+  return best;
+};
+
+/** Per-function analysis, memoized; null while a function is still being analyzed (a call cycle). */
+const analyzeFunction = (shared, fn) => {
+  if (shared.results.has(fn)) return shared.results.get(fn);
+  if (shared.active.has(fn)) return null;
+  shared.active.add(fn);
+
+  const ctx = { ...shared.base, shared, fn, callees: new Set() };
+  const calls = selfCalls(ctx);
+  const walked = walk(ctx, fn.body);
+  let time = walked.cost;
+  let timeNotes = walked.notes;
+  let recursion = null;
+  if (calls.length) {
+    recursion = solveRecursion(ctx, calls, walked.cost);
+    time = dominant(recursion.time, walked.cost);
+    timeNotes = [recursion.note, ...walked.notes];
+  }
+  if (!timeNotes.length) timeNotes = ['No loops, recursion or costly calls'];
+  const space = spaceOf(ctx, recursion);
+
+  const result = {
+    time,
+    space: space.cost,
+    timeNotes,
+    spaceNotes: space.notes.length ? space.notes : ['Nothing allocated grows with n'],
+  };
+  shared.active.delete(fn);
+  shared.results.set(fn, result);
+  return result;
+};
+
+const ENTRY_FUNCTIONS = { cpp: 'main', java: 'main' };
+
+export const analyzeComplexity = (code, language) => {
+  const profile = PROFILES[language];
+  const parsed = profile && parseProgram(code, language);
+  if (!parsed) return { functions: [], program: null };
+  const { state: { doc }, tree } = parsed;
+
+  const list = findFunctions(doc, tree, language);
+  const functions = new Map();
+  list.forEach(fn => { if (!functions.has(fn.name)) functions.set(fn.name, fn); });
+  const functionsAt = new Map(list.map(fn => [fn.node.from, fn]));
+  const shared = { base: { doc, language, profile, functions, functionsAt }, results: new Map(), active: new Set() };
+
+  const analyzed = list.map(fn => ({
+    name: fn.name,
+    line: lineOf(doc, fn.node.from),
+    endLine: lineOf(doc, fn.node.to),
+    from: fn.node.from,
+    to: fn.node.to,
+    ...analyzeFunction(shared, fn),
+  }));
+
+  const entryName = ENTRY_FUNCTIONS[language];
+  let program;
+  if (entryName) {
+    const entry = analyzed.find(f => f.name === entryName);
+    program = entry && { ...entry, name: `${entryName}()` };
+  } else {
+    const top = { name: null, params: [], node: tree.topNode, body: tree.topNode };
+    program = { name: 'top-level code', ...analyzeFunction(shared, top) };
+  }
+  // Without an entry point that does anything, the costliest function stands for the file.
+  if (!program || (isConstant(program.time) && analyzed.length && !program.timeNotes.some(n => n.includes('calls ')))) {
+    const costliest = analyzed.reduce((best, f) => (!best || compare(f.time, best.time) > 0 ? f : best), null);
+    if (costliest && (!program || compare(costliest.time, program.time) > 0)) program = { ...costliest, name: `${costliest.name}()` };
+  }
+  return { functions: analyzed, program: program || null };
+};
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeComplexity } from './complexity.js';
+import { formatBigO } from './bigO.js';
+
+const analyzed = (code, language, name) => {
+  const { functions, program } = analyzeComplexity(code, language);
+  const found = name ? functions.find(f => f.name === name) : program;
+  return { time: formatBigO(found.time), space: formatBigO(found.space) };
+};
+
+test('merge sort that halves through a local is O(n log n)', () => {
+  const code = [
+    'function ms(a) {',
+    '  if (a.length <= 1) return a;',
+    '  const m = a.length >> 1;',
+    '  return merge(ms(a.slice(0, m)), ms(a.slice(m)));',
+    '}',
+    'function merge(l, r) {',
+    '  const out = [];',
+    '  let i = 0, j = 0;',
+    '  while (i < l.length && j < r.length) out.push(l[i] <= r[j] ? l[i++] : r[j++]);',
+    '  return out.concat(l.slice(i), r.slice(j));',
+    '}',
+  ].join('\n');
+  assert.equal(analyzed(code, 'javascript', 'ms').time, 'O(n log n)');
+});
+
+test('recursive binary search on a midpoint bound is O(log n)', () => {
+  const code = [
+    'function bsr(a, lo, hi, x) {',
+    '  if (lo > hi) return -1;',
+    '  const m = (lo + hi) >> 1;',
+    '  if (a[m] === x) return m;',
+    '  return a[m] < x ? bsr(a, m + 1, hi, x) : bsr(a, lo, m - 1, x);',
+    '}',
+  ].join('\n');
+  assert.equal(analyzed(code, 'javascript', 'bsr').time, 'O(log n)');
+});
+
+test('a step that does not halve stays linear', () => {
+  const code = 'function f(n) {\n  const m = n >> 1;\n  if (n === 0) return m;\n  return f(n - 1);\n}';
+  assert.equal(analyzed(code, 'javascript', 'f').time, 'O(n)');
+});
+
+// One size variable: n·m is reported as n².
+test('a Python table built by a comprehension loops over its rows and allocates every cell', () => {
+  const result = analyzed('n, m = 5, 7\nt = [[0] * m for _ in range(n)]\n', 'python');
+  assert.equal(result.time, 'O(n)');
+  assert.equal(result.space, 'O(n²)');
+});
+
+test('a JavaScript map counted by subscript inside a loop grows with the input', () => {
+  const code = 'function count(a) {\n  const freq = {};\n  for (const x of a) freq[x] = (freq[x] || 0) + 1;\n  return freq;\n}';
+  assert.equal(analyzed(code, 'javascript', 'count').space, 'O(n)');
+});
+
+test('a Python dict filled by subscript inside a loop grows with the input', () => {
+  const code = 'def index(a):\n    seen = {}\n    for i, x in enumerate(a):\n        seen[x] = i\n    return seen\n';
+  assert.equal(analyzed(code, 'python', 'index').space, 'O(n)');
+});
+
+test('writing into a fixed-size list inside a loop allocates nothing', () => {
+  const code = 'def roll(a):\n    last = [0, 0, 0]\n    for i in range(len(a)):\n        last[i % 3] = a[i]\n    return last\n';
+  assert.equal(analyzed(code, 'python', 'roll').space, 'O(1)');
+});
+
+test('a C++ map counted by subscript grows, a fixed array does not', () => {
+  const code = [
+    'void f(vector<int>& a) {',
+    '  map<int, int> cnt;',
+    '  for (int x : a) cnt[x]++;',
+    '}',
+    'void g(vector<int>& a) {',
+    '  int last[3];',
+    '  for (int i = 0; i < a.size(); i++) last[i % 3] = a[i];',
+    '}',
+  ].join('\n');
+  assert.equal(analyzed(code, 'cpp', 'f').space, 'O(n)');
+  assert.equal(analyzed(code, 'cpp', 'g').space, 'O(1)');
+});
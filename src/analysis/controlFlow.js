@@ -0,0 +1,394 @@
+import { parseProgram } from '../editor/languages.js';
+import { findFunctions, calleeOf, loopBody } from './functions.js';
+
+/**
+ * --- CONTROL FLOW ---
+ * A control-flow graph per function and a call graph for the whole file:
+ *   { graphs: [{ name, line, endLine, from, to, nodes, edges, calls }], callGraph: { nodes, edges } }
+ * Nodes are `{ id, kind, label, from, to, line, endLine, calls }` with kind
+ * 'entry' | 'exit' | 'block' | 'branch' | 'loop' | 'switch' | 'try' | 'return'.
+ * A block is a run of plain statements; [from, to) covers only the node's
+ * own text (a loop's header, not its body), which is what clicking it selects.
+ * `calls` names the file's own functions called there. Edges are
+ * `{ from, to, label, back }`, where `back` marks a jump back to a loop header.
+ * JavaScript and Python also get a graph for their top-level code.
+ */
+const SYNTAX = {
+  javascript: {
+    blocks: ['Block', 'Script'],
+    ifs: ['IfStatement'],
+    loops: ['ForStatement', 'WhileStatement'],
+    doLoops: ['DoStatement'],
+    switches: ['SwitchStatement'],
+    caseLabels: ['CaseLabel', 'DefaultLabel'],
+    tries: ['TryStatement'],
+    exits: ['ReturnStatement', 'ThrowStatement'],
+    wrappers: ['LabeledStatement'],
+    headed: [],
+    calls: ['CallExpression'],
+    self: ['this'],
+  },
+  python: {
+    blocks: ['Body', 'Script'],
+    ifs: ['IfStatement'],
+    loops: ['ForStatement', 'WhileStatement'],
+    doLoops: [],
+    switches: [],
+    caseLabels: [],
+    tries: ['TryStatement'],
+    exits: ['ReturnStatement', 'RaiseStatement'],
+    wrappers: [],
+    headed: ['WithStatement'],
+    calls: ['CallExpression'],
+    self: ['self'],
+  },
+  cpp: {
+    blocks: ['CompoundStatement'],
+    ifs: ['IfStatement'],
+    loops: ['ForStatement', 'ForRangeLoop', 'WhileStatement'],
+    doLoops: ['DoStatement'],
+    switches: ['SwitchStatement'],
+    // C++ groups each case with its statements.
+    caseGroups: ['CaseStatement'],
+    caseLabels: [],
+    tries: ['TryStatement'],
+    exits: ['ReturnStatement', 'ThrowStatement'],
+    wrappers: ['LabeledStatement'],
+    headed: [],
+    calls: ['CallExpression'],
+    self: ['this'],
+  },
+  java: {
+    blocks: ['Block', 'ConstructorBody'],
+    ifs: ['IfStatement'],
+    loops: ['ForStatement', 'EnhancedForStatement', 'WhileStatement'],
+    doLoops: ['DoStatement'],
+    switches: ['SwitchStatement'],
+    caseLabels: ['SwitchLabel'],
+    tries: ['TryStatement'],
+    exits: ['ReturnStatement', 'ThrowStatement'],
+    wrappers: ['LabeledStatement'],
+    headed: ['SynchronizedStatement'],
+    calls: ['MethodInvocation'],
+    self: ['this'],
+  },
+};
+
+const PUNCTUATION = new Set(['{', '}', '(', ')', ':', ';', ',']);
+const INFINITE = /^(while\s*\(?\s*(true|1|True)\s*\)?|for\s*\(\s*[^;]*;\s*;)/;
+const LABEL_LENGTH = 48;
+
+const significant = (node) => {
+  const children = [];
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (!child.type.isSkipped && !child.type.isError && !PUNCTUATION.has(child.name)) children.push(child);
+  }
+  return children;
+};
+
+const createBuilder = ({ doc, syntax, language, functionsAt, functionsByName }) => {
+  const nodes = [];
+  const edges = [];
+  const returns = [];
+  const targets = [];
+
+  const text = (from, to) => doc.sliceString(from, to).split('\n')[0].trim().replace(/\s+/g, ' ');
+  const label = (from, to) => {
+    const first = text(from, to);
+    return first.length > LABEL_LENGTH ? `${first.slice(0, LABEL_LENGTH - 1)}…` : first;
+  };
+
+  const isFunction = (node) => functionsAt.get(node.from)?.node.to === node.to;
+
+  // Calls to the file's own functions inside [node], not counting nested function bodies.
+  const callsIn = (roots) => {
+    const found = new Set();
+    const visit = (node) => {
+      if (isFunction(node)) return;
+      if (syntax.calls.includes(node.name)) {
+        const call = calleeOf(doc, node, language);
+        const local = call && functionsByName.has(call.name)
+          && (!call.receiver || syntax.self.includes(call.receiver) || /^[A-Z]/.test(call.receiver));
+        if (local) found.add(call.name);
+      }
+      for (let child = node.firstChild; child; child = child.nextSibling) visit(child);
+    };
+    roots.filter(Boolean).forEach(visit);
+    return [...found];
+  };
+
+  const add = (kind, from, to, { labelText, callRoots = [] } = {}) => {
+    const node = {
+      id: nodes.length,
+      kind,
+      label: labelText ?? label(from, to),
+      from,
+      to,
+      line: doc.lineAt(from).number,
+      endLine: doc.lineAt(Math.max(from, to - 1)).number,
+      calls: callsIn(callRoots),
+    };
+    nodes.push(node);
+    return node;
+  };
+  const link = (preds, node, back = false) => preds.forEach(p => edges.push({ from: p.id, to: node.id, label: p.label || '', back }));
+  const exit = (node, edgeLabel = '') => ({ id: node.id, label: edgeLabel });
+
+  const isCompound = (node) => [
+    syntax.ifs, syntax.loops, syntax.doLoops, syntax.switches, syntax.tries, syntax.exits, syntax.wrappers, syntax.headed,
+  ].some(names => names.includes(node.name)) || node.name === 'BreakStatement' || node.name === 'ContinueStatement';
+
+  // Definitions are not steps: functions get graphs of their own.
+  const isDefinition = (node) => isFunction(node) || node.name === 'DecoratedStatement'
+    || (node.name === 'VariableDeclaration' && significant(node).some(isFunction));
+
+  const body = (node, preds) => (node ? sequence(syntax.blocks.includes(node.name) ? significant(node) : [node], preds) : preds);
+
+  const sequence = (statements, preds) => {
+    let current = preds;
+    let block = null;
+    statements.forEach((statement) => {
+      if (isDefinition(statement)) {
+        block = null;
+        return;
+      }
+      if (isCompound(statement) || syntax.blocks.includes(statement.name)) {
+        block = null;
+        current = compound(statement, current);
+        return;
+      }
+      // Straight-line statements share a block until something branches.
+      if (block && current.length === 1 && current[0].id === block.id) {
+        block.to = statement.to;
+        block.endLine = doc.lineAt(Math.max(statement.from, statement.to - 1)).number;
+        block.calls = [...new Set([...block.calls, ...callsIn([statement])])];
+        return;
+      }
+      block = add('block', statement.from, statement.to, { callRoots: [statement] });
+      link(current, block);
+      current = [exit(block)];
+    });
+    return current;
+  };
+
+  const ifStatement = (node, preds) => {
+    const exits = [];
+    let pending = preds;
+    let keyword = null;
+    let condition = null;
+    significant(node).forEach((child) => {
+      if (child.name === 'if' || child.name === 'elif') keyword = child;
+      else if (child.name === 'else') {
+        keyword = null;
+        condition = 'else';
+      } else if (keyword && !condition) condition = child;
+      else if (condition === 'else') {
+        exits.push(...body(child, pending));
+        pending = [];
+        condition = null;
+      } else if (condition) {
+        const branch = add('branch', keyword.from, condition.to, { callRoots: [condition] });
+        link(pending, branch);
+        exits.push(...body(child, [exit(branch, 'true')]));
+        pending = [exit(branch, 'false')];
+        keyword = null;
+        condition = null;
+      }
+    });
+    return [...exits, ...pending];
+  };
+
+  const loop = (node, preds) => {
+    const inner = loopBody(node);
+    const headerEnd = inner ? inner.from : node.to;
+    const header = add('loop', node.from, headerEnd, { callRoots: significant(node).filter(c => c.to <= headerEnd) });
+    link(preds, header);
+    const each = node.name !== 'WhileStatement' && !/;/.test(doc.sliceString(node.from, headerEnd));
+    const target = { breaks: [], continues: [] };
+    targets.push(target);
+    const bodyExits = body(inner, [exit(header, each ? 'next' : 'true')]);
+    targets.pop();
+    link([...bodyExits, ...target.continues], header, true);
+
+    const done = INFINITE.test(doc.sliceString(node.from, headerEnd).trim()) ? [] : [exit(header, each ? 'done' : 'false')];
+    // Python's `for ... else` / `while ... else` runs the else block unless the loop breaks.
+    const orElse = node.getChildren('Body')[1];
+    return [...(orElse ? body(orElse, done) : done), ...target.breaks];
+  };
+
+  const doLoop = (node, preds) => {
+    const inner = loopBody(node);
+    const first = nodes.length;
+    const target = { breaks: [], continues: [] };
+    targets.push(target);
+    const bodyExits = body(inner, preds);
+    targets.pop();
+    const condition = add('loop', inner ? inner.to : node.from, node.to, { callRoots: [node.lastChild] });
+    link([...bodyExits, ...target.continues], condition);
+    if (first < condition.id) edges.push({ from: condition.id, to: first, label: 'true', back: true });
+    return [exit(condition, 'false'), ...target.breaks];
+  };
+
+  const cases = (switchBody) => {
+    const found = [];
+    significant(switchBody).forEach((child) => {
+      if (syntax.caseGroups?.includes(child.name)) {
+        const parts = significant(child);
+        const labelEnd = parts.findIndex(p => p.name !== 'case' && p.name !== 'default' && p.from > child.from && /Statement|Declaration/.test(p.name));
+        const statements = labelEnd === -1 ? [] : parts.slice(labelEnd);
+        found.push({ label: text(child.from, statements[0]?.from ?? child.to).replace(/:$/, ''), statements, fallsThrough: true });
+      } else if (syntax.caseLabels.includes(child.name) || /^default\s*->/.test(text(child.from, child.to))) {
+        // Java parses `default ->` as a stray declaration.
+        const caseText = text(child.from, child.to);
+        found.push({ label: caseText.replace(/\s*(:|->)$/, ''), statements: [], fallsThrough: !caseText.includes('->') });
+      } else found[found.length - 1]?.statements.push(child);
+    });
+    return found;
+  };
+
+  const switchStatement = (node, preds) => {
+    const switchBody = node.lastChild;
+    const head = add('switch', node.from, switchBody.from, { callRoots: significant(node).slice(0, -1) });
+    link(preds, head);
+    const target = { breaks: null, continues: null, switchBreaks: [] };
+    targets.push(target);
+    const exits = [];
+    let fallThrough = [];
+    let hasDefault = false;
+    cases(switchBody).forEach((c) => {
+      if (/^default\b/.test(c.label)) hasDefault = true;
+      const caseExits = sequence(c.statements, [exit(head, c.label), ...fallThrough]);
+      if (c.fallsThrough) fallThrough = caseExits;
+      else exits.push(...caseExits);
+    });
+    targets.pop();
+    return [...exits, ...fallThrough, ...target.switchBreaks, ...(hasDefault ? [] : [exit(head, 'no match')])];
+  };
+
+  const tryStatement = (node, preds) => {
+    const head = add('try', node.from, node.from + 3, { labelText: 'try' });
+    link(preds, head);
+    let role = 'try';
+    let handlerLabel = '';
+    let tryExits = [];
+    const handlerExits = [];
+    let finallyBlock = null;
+    significant(node).forEach((child) => {
+      if (['try', 'except', 'catch', 'else', 'finally'].includes(child.name)) {
+        role = child.name;
+        handlerLabel = text(child.from, child.to);
+        return;
+      }
+      if (child.name === 'CatchClause') {
+        handlerExits.push(...body(child.lastChild, [exit(head, label(child.from, child.lastChild.from))]));
+        return;
+      }
+      if (child.name === 'FinallyClause') {
+        finallyBlock = child.lastChild;
+        return;
+      }
+      if (!syntax.blocks.includes(child.name)) {
+        // `except ValueError as e`: the parts between the keyword and its block.
+        if (role === 'except') handlerLabel = text(doc.lineAt(child.from).from, child.to).replace(/:$/, '');
+        return;
+      }
+      if (role === 'try') tryExits = body(child, [exit(head)]);
+      else if (role === 'except') handlerExits.push(...body(child, [exit(head, handlerLabel || 'except')]));
+      else if (role === 'else') tryExits = body(child, tryExits);
+      else if (role === 'finally') finallyBlock = child;
+    });
+    const exits = [...tryExits, ...handlerExits];
+    return finallyBlock ? body(finallyBlock, exits) : exits;
+  };
+
+  const compound = (node, preds) => {
+    if (syntax.ifs.includes(node.name)) return ifStatement(node, preds);
+    if (syntax.loops.includes(node.name)) return loop(node, preds);
+    if (syntax.doLoops.includes(node.name)) return doLoop(node, preds);
+    if (syntax.switches.includes(node.name)) return switchStatement(node, preds);
+    if (syntax.tries.includes(node.name)) return tryStatement(node, preds);
+    if (syntax.blocks.includes(node.name)) return body(node, preds);
+    if (syntax.wrappers.includes(node.name)) return body(node.lastChild, preds);
+    if (syntax.exits.includes(node.name)) {
+      const end = add('return', node.from, node.to, { callRoots: [node] });
+      link(preds, end);
+      returns.push(end);
+      return [];
+    }
+    if (node.name === 'BreakStatement' || node.name === 'ContinueStatement') {
+      const breaks = node.name === 'BreakStatement';
+      // `break` leaves the innermost loop or switch, `continue` the innermost loop.
+      const target = [...targets].reverse().find(t => breaks || t.continues);
+      if (target) (breaks ? (target.breaks ?? target.switchBreaks) : target.continues).push(...preds);
+      return [];
+    }
+    // A statement with a header and a body (`with`, `synchronized`).
+    const inner = node.lastChild;
+    const head = add('block', node.from, inner.from, { callRoots: significant(node).slice(0, -1) });
+    link(preds, head);
+    return body(inner, [exit(head)]);
+  };
+
+  const graph = ({ name, entryLabel, from, to, headerEnd, statements }) => {
+    const entry = add('entry', from, headerEnd, { labelText: entryLabel });
+    const exits = sequence(statements, [exit(entry)]);
+    const end = add('exit', Math.max(from, to - 1), to, { labelText: 'end' });
+    link([...exits, ...returns.map(r => exit(r))], end);
+    return {
+      name,
+      from,
+      to,
+      line: entry.line,
+      endLine: end.line,
+      nodes,
+      edges,
+      calls: [...new Set(nodes.flatMap(n => n.calls))],
+    };
+  };
+
+  return { graph };
+};
+
+export const buildControlFlow = (code, language) => {
+  const syntax = SYNTAX[language];
+  const parsed = syntax && parseProgram(code, language);
+  if (!parsed) return { graphs: [], callGraph: { nodes: [], edges: [] } };
+  const { state: { doc }, tree } = parsed;
+
+  const functions = findFunctions(doc, tree, language);
+  const functionsAt = new Map(functions.map(fn => [fn.node.from, fn]));
+  const functionsByName = new Map();
+  functions.forEach(fn => { if (!functionsByName.has(fn.name)) functionsByName.set(fn.name, fn); });
+  const context = { doc, syntax, language, functionsAt, functionsByName };
+
+  const graphs = functions.map(fn => createBuilder(context).graph({
+    name: fn.name,
+    entryLabel: `${fn.name}(${fn.params.join(', ')})`,
+    from: fn.node.from,
+    to: fn.node.to,
+    headerEnd: fn.body.from,
+    statements: syntax.blocks.includes(fn.body.name) ? significant(fn.body) : [fn.body],
+  }));
+
+  if (language === 'javascript' || language === 'python') {
+    const top = createBuilder(context).graph({
+      name: '(top level)',
+      entryLabel: 'start',
+      from: 0,
+      to: doc.length,
+      headerEnd: 0,
+      statements: significant(tree.topNode),
+    });
+    // Only worth showing when the file does something besides defining functions.
+    if (top.nodes.length > 2) graphs.unshift(top);
+  }
+
+  const index = new Map(graphs.map((g, i) => [g.name, i]));
+  return {
+    graphs,
+    callGraph: {
+      nodes: graphs.map((g, id) => ({ id, kind: 'entry', label: g.name, from: g.from, to: g.to, line: g.line, endLine: g.endLine, calls: [] })),
+      edges: graphs.flatMap((g, from) => g.calls.filter(name => index.has(name)).map(name => ({ from, to: index.get(name), label: '', back: index.get(name) <= from }))),
+    },
+  };
+};
@@ -0,0 +1,73 @@
+import { term, CONSTANT, LOGARITHMIC, LINEAR, LINEARITHMIC, QUADRATIC, compare } from './bigO.js';
+
+/**
+ * --- CURVE FIT ---
+ * Which growth rate best explains measurements `[{ n, y }]`: each candidate
+ * f(n) is fitted as y = a + b·f(n) by least squares (the constant `a` absorbs
+ * start-up cost such as launching a process) and the one with the smallest
+ * residual wins. A simpler model whose residual is nearly as small is
+ * preferred, so timing noise does not push a linear program to O(n log n).
+ * Result: `{ cost, r2, predict(n), models: [{ cost, r2 }] }`, or null with
+ * fewer than three usable points.
+ */
+const log2 = (n) => Math.log2(Math.max(n, 1));
+
+// log f(n), so 2ⁿ can be compared at large n without overflowing.
+const FIT_MODELS = [
+  { cost: LOGARITHMIC, logF: n => Math.log(log2(n)) },
+  { cost: LINEAR, logF: n => Math.log(n) },
+  { cost: LINEARITHMIC, logF: n => Math.log(n * log2(n)) },
+  { cost: QUADRATIC, logF: n => 2 * Math.log(n) },
+  { cost: term(0, 0, 2), logF: n => n * Math.LN2 },
+];
+
+// Below this relative spread the measurements are treated as flat.
+const FLAT_SPREAD = 0.1;
+// A simpler model wins while its residual is within this factor of the best one.
+const SIMPLER_TOLERANCE = 1.25;
+
+const regression = (xs, ys) => {
+  const count = xs.length;
+  const meanX = xs.reduce((s, x) => s + x, 0) / count;
+  const meanY = ys.reduce((s, y) => s + y, 0) / count;
+  let covariance = 0;
+  let variance = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    variance += (x - meanX) ** 2;
+  });
+  if (variance === 0) return null;
+  const b = covariance / variance;
+  const a = meanY - b * meanX;
+  const rss = xs.reduce((s, x, i) => s + (ys[i] - (a + b * x)) ** 2, 0);
+  return { a, b, rss };
+};
+
+export const fitComplexity = (points) => {
+  const usable = points.filter(p => p.n > 0 && Number.isFinite(p.y));
+  if (usable.length < 3) return null;
+  const ys = usable.map(p => p.y);
+  const meanY = ys.reduce((s, y) => s + y, 0) / ys.length;
+  const tss = ys.reduce((s, y) => s + (y - meanY) ** 2, 0);
+  const maxY = Math.max(...ys.map(Math.abs));
+  const flat = { cost: CONSTANT, r2: 1, predict: () => meanY };
+  if (maxY === 0 || (Math.max(...ys) - Math.min(...ys)) / maxY < FLAT_SPREAD) return { ...flat, models: [{ cost: CONSTANT, r2: 1 }] };
+
+  const largest = Math.max(...usable.map(p => p.n));
+  const fits = FIT_MODELS.map((model) => {
+    // f(n) / f(largest n) keeps every x in [0, 1].
+    const scale = model.logF(largest);
+    const x = (n) => Math.exp(model.logF(n) - scale);
+    const line = regression(usable.map(p => x(p.n)), ys);
+    if (!line || line.b <= 0) return null;
+    return { cost: model.cost, rss: line.rss, r2: tss ? 1 - line.rss / tss : 1, predict: (n) => line.a + line.b * x(n) };
+  }).filter(Boolean);
+  if (!fits.length) return { ...flat, r2: 0, models: [] };
+
+  const best = Math.min(...fits.map(f => f.rss));
+  const chosen = fits.find(f => f.rss <= best * SIMPLER_TOLERANCE + tss * 1e-12);
+  return { ...chosen, models: fits.map(({ cost, r2 }) => ({ cost, r2 })) };
+};
+
+/** Whether a measured fit agrees with a static estimate. */
+export const agrees = (fit, estimate) => Boolean(fit && estimate) && compare(fit.cost, estimate) === 0;
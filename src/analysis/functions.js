@@ -0,0 +1,90 @@
+/**
+ * --- FUNCTIONS ---
+ * What the analyses share about a program's syntax tree: the named functions
+ * it defines, `{ name, params, node, body }`, who a call node calls, and
+ * where a loop's body starts.
+ */
+const descendants = (node, name, found = []) => {
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.name === name) found.push(child);
+    else descendants(child, name, found);
+  }
+  return found;
+};
+
+const READERS = {
+  javascript: (doc, node) => {
+    if (node.name === 'FunctionDeclaration' || node.name === 'MethodDeclaration') {
+      const name = node.getChild('VariableDefinition') || node.getChild('PropertyDefinition');
+      const body = node.getChild('Block');
+      return name && body ? { name, params: node.getChild('ParamList'), body } : null;
+    }
+    // `const f = (a) => ...`
+    if ((node.name === 'ArrowFunction' || node.name === 'FunctionExpression') && node.parent?.name === 'VariableDeclaration') {
+      const name = node.prevSibling?.prevSibling;
+      if (name?.name !== 'VariableDefinition') return null;
+      return { name, params: node.getChild('ParamList') || node.getChild('VariableDefinition'), body: node.lastChild };
+    }
+    return null;
+  },
+  python: (doc, node) => {
+    if (node.name !== 'FunctionDefinition') return null;
+    const name = node.getChild('VariableName');
+    const body = node.getChild('Body');
+    return name && body ? { name, params: node.getChild('ParamList'), body } : null;
+  },
+  cpp: (doc, node) => {
+    if (node.name !== 'FunctionDefinition') return null;
+    let declarator = node.getChild('FunctionDeclarator');
+    // `int& f(...)`, `int* f(...)`
+    for (let d = node.firstChild; !declarator && d; d = d.nextSibling) declarator = d.getChild?.('FunctionDeclarator') || null;
+    const body = node.getChild('CompoundStatement');
+    return declarator?.firstChild && body ? { name: declarator.firstChild, params: declarator.getChild('ParameterList'), body } : null;
+  },
+  java: (doc, node) => {
+    if (node.name !== 'MethodDeclaration' && node.name !== 'ConstructorDeclaration') return null;
+    const name = node.getChild('Definition');
+    const body = node.getChild('Block') || node.getChild('ConstructorBody');
+    return name && body ? { name, params: node.getChild('FormalParameters'), body } : null;
+  },
+};
+
+const PARAM_NAMES = { javascript: 'VariableDefinition', python: 'VariableName', cpp: 'Identifier', java: 'Definition' };
+
+export const findFunctions = (doc, tree, language) => {
+  const found = [];
+  tree.iterate({
+    enter: (ref) => {
+      const read = READERS[language](doc, ref.node);
+      if (!read) return;
+      const paramNode = read.params;
+      const params = !paramNode ? []
+        : paramNode.name === PARAM_NAMES[language] ? [paramNode] : descendants(paramNode, PARAM_NAMES[language]);
+      found.push({
+        name: doc.sliceString(read.name.from, read.name.to).replace(/^.*(::|\.)/, ''),
+        params: params.map(p => doc.sliceString(p.from, p.to)),
+        node: ref.node,
+        body: read.body,
+      });
+    },
+  });
+  return found;
+};
+
+/** `{ name, receiver }` for a call node: `a.b.f(x)` is `{ name: 'f', receiver: 'a.b' }`. */
+export const calleeOf = (doc, node, language) => {
+  if (language === 'java') {
+    const method = node.getChild('MethodName');
+    if (!method) return null;
+    return { name: doc.sliceString(method.from, method.to), receiver: doc.sliceString(node.from, method.from).replace(/\.\s*$/, '').trim() };
+  }
+  const target = node.firstChild;
+  if (!target) return null;
+  const match = doc.sliceString(target.from, target.to).match(/^([\s\S]*?)\s*(?:\.|->|::)?\s*([A-Za-z_$][\w$]*)$/);
+  return match ? { name: match[2], receiver: match[1].trim() } : null;
+};
+
+export const loopBody = (node) => {
+  if (node.name === 'DoStatement') return node.firstChild?.nextSibling || null;
+  return node.getChild('Body') || node.lastChild;
+};
@@ -0,0 +1,123 @@
+import React, { useMemo } from 'react';
+import { Play, Square, Loader2, CheckCircle2, AlertTriangle } from 'lucide-react';
+import { formatBigO } from '../analysis/bigO.js';
+import { fitComplexity, agrees } from '../analysis/curveFit.js';
+import { benchmarkSizes } from '../execution/benchmark.js';
+
+/**
+ * --- BENCHMARK PANEL ---
+ * Benchmark mode: the input generator and the sizes to try, then one chart
+ * per measurement (time, steps) with the fitted curve, and the fitted class
+ * next to the Structure tab's static estimate.
+ */
+const WIDTH = 300;
+const HEIGHT = 120;
+const PAD = { left: 44, right: 8, top: 8, bottom: 18 };
+
+const shortNumber = (v) => {
+  if (Math.abs(v) >= 1e9) return `${+(v / 1e9).toFixed(1)}G`;
+  if (Math.abs(v) >= 1e6) return `${+(v / 1e6).toFixed(1)}M`;
+  if (Math.abs(v) >= 1e3) return `${+(v / 1e3).toFixed(1)}k`;
+  return `${+v.toFixed(1)}`;
+};
+
+const Chart = ({ title, unit, points, fit, color }) => {
+  const ns = points.map(p => p.n);
+  const ys = points.map(p => p.y);
+  const minN = Math.min(...ns);
+  const maxN = Math.max(...ns);
+  const maxY = Math.max(...ys, ...(fit ? [fit.predict(maxN)] : [])) || 1;
+  const x = (n) => PAD.left + ((n - minN) / (maxN - minN || 1)) * (WIDTH - PAD.left - PAD.right);
+  const y = (v) => HEIGHT - PAD.bottom - (Math.max(0, v) / maxY) * (HEIGHT - PAD.top - PAD.bottom);
+  const curve = fit && Array.from({ length: 41 }, (_, i) => minN + ((maxN - minN) * i) / 40)
+    .map(n => `${x(n).toFixed(1)},${y(fit.predict(n)).toFixed(1)}`).join(' ');
+
+  return (
+    <div className="bg-slate-800/30 border border-slate-700/50 rounded p-2">
+      <div className="flex items-center text-[10px] mb-1">
+        <span className="font-bold text-slate-400 uppercase tracking-wider">{title}</span>
+        {fit && <span className={`ml-auto font-bold ${color.text}`}>{formatBigO(fit.cost)}<span className="text-slate-500 font-normal"> · R² {fit.r2.toFixed(3)}</span></span>}
+      </div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full">
+        <line x1={PAD.left} y1={HEIGHT - PAD.bottom} x2={WIDTH - PAD.right} y2={HEIGHT - PAD.bottom} className="stroke-slate-700" />
+        <line x1={PAD.left} y1={PAD.top} x2={PAD.left} y2={HEIGHT - PAD.bottom} className="stroke-slate-700" />
+        <text x={PAD.left - 4} y={PAD.top + 6} textAnchor="end" className="fill-slate-500 text-[8px]">{shortNumber(maxY)}{unit}</text>
+        <text x={PAD.left - 4} y={HEIGHT - PAD.bottom} textAnchor="end" className="fill-slate-500 text-[8px]">0</text>
+        <text x={PAD.left} y={HEIGHT - 4} className="fill-slate-500 text-[8px]">n = {shortNumber(minN)}</text>
+        <text x={WIDTH - PAD.right} y={HEIGHT - 4} textAnchor="end" className="fill-slate-500 text-[8px]">{shortNumber(maxN)}</text>
+        {curve && <polyline points={curve} fill="none" strokeDasharray="3 2" className={color.stroke} />}
+        {points.map(p => (
+          <circle key={p.n} cx={x(p.n)} cy={y(p.y)} r={2.5} className={color.fill}>
+            <title>{`n = ${p.n}: ${p.y.toLocaleString()}${unit}`}</title>
+          </circle>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+const TIME_COLORS = { text: 'text-amber-300', stroke: 'stroke-amber-300', fill: 'fill-amber-400' };
+const STEP_COLORS = { text: 'text-cyan-300', stroke: 'stroke-cyan-300', fill: 'fill-cyan-400' };
+
+const NumberField = ({ label, value, onChange, min = 1, width = 'w-16' }) => (
+  <label className="flex items-center gap-1">{label}
+    <input type="number" min={min} value={value} onChange={e => onChange(Math.max(min, Number(e.target.value) || min))} className={`${width} bg-slate-800 border border-slate-700 rounded px-1 text-slate-300 outline-none`} />
+  </label>
+);
+
+export default function BenchmarkPanel({ settings, setSettings, result, running, onRun, onCancel, estimate }) {
+  const update = (patch) => setSettings({ ...settings, ...patch });
+  const points = useMemo(() => result?.points ?? [], [result]);
+  const timePoints = useMemo(() => points.map(p => ({ n: p.n, y: p.time })), [points]);
+  const stepPoints = useMemo(() => points.filter(p => p.steps !== null).map(p => ({ n: p.n, y: p.steps })), [points]);
+  const timeFit = useMemo(() => fitComplexity(timePoints), [timePoints]);
+  const stepFit = useMemo(() => fitComplexity(stepPoints), [stepPoints]);
+  // Step counts are exact, so they decide whenever there are enough of them.
+  const measured = stepFit || timeFit;
+
+  return (
+    <div className="space-y-3">
+      <label className="block space-y-1">
+        <span className="text-[10px] text-slate-500">Input generator: a JavaScript function of n that returns the program's stdin</span>
+        <textarea value={settings.generator} onChange={e => update({ generator: e.target.value })} rows={6} spellCheck="false" className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-300 outline-none resize-y select-text" />
+      </label>
+      <div className="flex flex-wrap items-center gap-3 text-[10px] text-slate-500">
+        <NumberField label="n from" value={settings.from} onChange={v => update({ from: v })} />
+        <NumberField label="to" value={settings.to} onChange={v => update({ to: v })} />
+        <NumberField label="Sizes" value={settings.points} onChange={v => update({ points: Math.min(v, 30) })} min={3} width="w-10" />
+        <NumberField label="Repeats" value={settings.repeats} onChange={v => update({ repeats: Math.min(v, 10) })} width="w-10" />
+        <NumberField label="Limit (s)" value={settings.timeLimitMs / 1000} onChange={v => update({ timeLimitMs: v * 1000 })} width="w-10" />
+        {running
+          ? <button onClick={onCancel} className="ml-auto flex items-center gap-1 px-2 py-1 rounded bg-red-600/80 hover:bg-red-500 text-white font-bold"><Square size={10} /> Stop</button>
+          : <button onClick={onRun} className="ml-auto flex items-center gap-1 px-2 py-1 rounded bg-amber-600 hover:bg-amber-500 text-white font-bold"><Play size={10} /> Benchmark</button>}
+      </div>
+      <div className="text-[10px] text-slate-600">n = {benchmarkSizes(settings).join(', ')}</div>
+
+      {running && <div className="flex items-center gap-1 text-[10px] text-amber-300"><Loader2 size={12} className="animate-spin" /> Measuring n = {benchmarkSizes(settings)[points.length] ?? '…'}</div>}
+      {result?.stopped && (
+        <div className="flex items-start gap-1 text-[10px] text-orange-300"><AlertTriangle size={12} className="shrink-0" /> Stopped{result.stopped.n !== undefined ? ` at n = ${result.stopped.n}` : ''}: {result.stopped.message}</div>
+      )}
+      {result?.stepsNote && <div className="text-[10px] text-slate-500 italic">{result.stepsNote}</div>}
+
+      {(measured || estimate) && (
+        <div className="grid grid-cols-2 gap-2">
+          <div className="bg-slate-800/30 p-2 rounded border border-slate-700/50 text-center">
+            <div className="text-[10px] text-slate-500">Measured</div>
+            <div className="text-lg font-black text-amber-300">{measured ? formatBigO(measured.cost) : '—'}</div>
+          </div>
+          <div className="bg-slate-800/30 p-2 rounded border border-slate-700/50 text-center">
+            <div className="text-[10px] text-slate-500">Static estimate</div>
+            <div className="text-lg font-black text-emerald-400">{estimate ? formatBigO(estimate) : '—'}</div>
+          </div>
+        </div>
+      )}
+      {measured && estimate && (agrees(measured, estimate)
+        ? <div className="flex items-center gap-1 text-[10px] text-emerald-400"><CheckCircle2 size={12} /> The measurements agree with the static estimate.</div>
+        : <div className="flex items-center gap-1 text-[10px] text-yellow-300"><AlertTriangle size={12} /> The measurements disagree with the static estimate; check the generator covers the worst case, and the Structure tab for how the estimate was reached.</div>)}
+
+      {stepPoints.length > 0 && <Chart title="Steps" unit="" points={stepPoints} fit={stepFit} color={STEP_COLORS} />}
+      {timePoints.length > 0 && <Chart title="Time" unit=" ms" points={timePoints} fit={timeFit} color={TIME_COLORS} />}
+      {!result && !running && <div className="text-slate-600 italic text-center mt-6">Run the program on growing inputs to measure how its cost grows.</div>}
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+import React, { useEffect, useImperativeHandle, useRef } from 'react';
+import { EditorState, Compartment } from '@codemirror/state';
+import {
+  EditorView, keymap, lineNumbers, highlightActiveLine, highlightActiveLineGutter,
+  highlightSpecialChars, drawSelection, dropCursor, rectangularSelection, crosshairCursor
+} from '@codemirror/view';
+import { history, defaultKeymap, historyKeymap, indentWithTab } from '@codemirror/commands';
+import { foldGutter, foldKeymap, indentOnInput, bracketMatching, indentUnit } from '@codemirror/language';
+import { search, searchKeymap, highlightSelectionMatches } from '@codemirror/search';
+import { autocompletion, completionKeymap, closeBrackets, closeBracketsKeymap } from '@codemirror/autocomplete';
+import { lintGutter, setDiagnostics } from '@codemirror/lint';
+import { languageSupport } from '../editor/languages.js';
+import { lineMarks, breakpointToggleHandlers, setLineMarks, setBreakpoints } from '../editor/lineMarks.js';
+import { codeCompletions } from '../editor/completions.js';
+import { editorTheme } from '../editor/theme.js';
+import { documentChanges } from '../editor/formatter.js';
+
+const indentation = (width) => [indentUnit.of(' '.repeat(width)), EditorState.tabSize.of(width)];
+
+// Everything but the document is the same for every file; `latest` holds the current props.
+const createEditorState = (doc, { languageSlot, indentSlot, latest }) => {
+  const { language, indentWidth, readOnly } = latest.current;
+  const getOnToggle = () => latest.current.onToggleBreakpoint;
+  return EditorState.create({
+    doc,
+    extensions: [
+      lineMarks(getOnToggle),
+      lintGutter(),
+      lineNumbers({ domEventHandlers: breakpointToggleHandlers(getOnToggle) }),
+      highlightActiveLineGutter(),
+      foldGutter(),
+      highlightSpecialChars(),
+      history(),
+      drawSelection(),
+      dropCursor(),
+      EditorState.allowMultipleSelections.of(true),
+      EditorState.readOnly.of(readOnly),
+      indentOnInput(),
+      indentSlot.of(indentation(indentWidth)),
+      bracketMatching(),
+      closeBrackets(),
+      autocompletion({ override: [codeCompletions(() => latest.current)] }),
+      rectangularSelection(),
+      crosshairCursor(),
+      highlightActiveLine(),
+      highlightSelectionMatches(),
+      search({ top: true }),
+      keymap.of([
+        { key: 'Shift-Alt-f', run: () => { latest.current.onFormat?.(); return true; } },
+        ...closeBracketsKeymap,
+        ...defaultKeymap,
+        ...searchKeymap,
+        ...historyKeymap,
+        ...foldKeymap,
+        ...completionKeymap,
+        indentWithTab,
+      ]),
+      languageSlot.of(languageSupport(language)),
+      editorTheme,
+      EditorView.updateListener.of(update => {
+        if (update.docChanged) latest.current.onChange?.(update.state.doc.toString());
+      }),
+    ],
+  });
+};
+
+/**
+ * --- CODE EDITOR ---
+ * CodeMirror 6 behind a controlled-component interface: `value` / `onChange`.
+ * Edits go through CodeMirror's own transactions, so undo/redo covers
+ * auto-indent and bracket insertion. Find/replace (with regex) is Mod-F,
+ * extra cursors come from Mod-click, Alt-drag or Mod-D. Autocomplete draws on
+ * `keywords` and the structure analysis' `functions` besides the code itself.
+ * `lineMarks` (Map of line -> 'step' | 'error') and `breakpoints` (Set of lines)
+ * are drawn over the code; `diagnostics` (from `findProblems`, computed for
+ * `value`) become squiggles and gutter markers that explain themselves on
+ * hover. `ref.jumpTo(line, column)` moves the cursor there.
+ * Shift-Alt-F calls `onFormat`; `ref.replaceDocument(text)` applies its result
+ * as one undoable edit that leaves unchanged lines (and the cursor) alone.
+ * `indentWidth` sets the spaces per indent level. `readOnly` is fixed when the
+ * editor mounts; `value` still updates it. `file` names the project file
+ * `value` belongs to: each file keeps its own undo history while others are shown.
+ */
+export default function CodeEditor({ value, file = null, onChange, language, keywords, functions, lineMarks: marks, breakpoints, onToggleBreakpoint, diagnostics, indentWidth = 4, onFormat, readOnly = false, ref }) {
+  const hostRef = useRef(null);
+  const viewRef = useRef(null);
+  const languageSlot = useRef(new Compartment());
+  const indentSlot = useRef(new Compartment());
+  // Callbacks and data the extensions read lazily, so they never go stale. The
+  // effects that build editor states read `value` and the settings from here too:
+  // they run when the editor mounts or the file changes, not on every edit.
+  const latest = useRef({});
+  const fileStates = useRef(new Map());
+  const shownFile = useRef(file);
+  useEffect(() => {
+    latest.current = { value, onChange, onToggleBreakpoint, onFormat, language, indentWidth, readOnly, keywords, functions };
+  });
+
+  // The view is created once; later prop changes are dispatched by the effects below.
+  useEffect(() => {
+    const state = createEditorState(latest.current.value, { languageSlot: languageSlot.current, indentSlot: indentSlot.current, latest });
+    const view = new EditorView({ parent: hostRef.current, state });
+    viewRef.current = view;
+    return () => {
+      view.destroy();
+      viewRef.current = null;
+    };
+  }, []);
+
+  // Switching files swaps in that file's own state (undo history, selection, folds); the effects below then sync it.
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view || shownFile.current === file) return;
+    fileStates.current.set(shownFile.current, view.state);
+    shownFile.current = file;
+    const { value, language, indentWidth } = latest.current;
+    const saved = fileStates.current.get(file);
+    view.setState(saved ?? createEditorState(value, { languageSlot: languageSlot.current, indentSlot: indentSlot.current, latest }));
+    if (saved) {
+      view.dispatch({ effects: [languageSlot.current.reconfigure(languageSupport(language)), indentSlot.current.reconfigure(indentation(indentWidth))] });
+    }
+  }, [file]);
+
+  useEffect(() => {
+    const view = viewRef.current;
+    if (view && value !== view.state.doc.toString()) {
+      view.dispatch({ changes: { from: 0, to: view.state.doc.length, insert: value } });
+    }
+  }, [value, file]);
+
+  useEffect(() => {
+    viewRef.current?.dispatch({ effects: languageSlot.current.reconfigure(languageSupport(language)) });
+  }, [language]);
+
+  useEffect(() => {
+    viewRef.current?.dispatch({ effects: indentSlot.current.reconfigure(indentation(indentWidth)) });
+  }, [indentWidth]);
+
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view) return;
+    const effects = [setLineMarks.of(marks)];
+    // Keep the line the visualizer is on in view while stepping.
+    const step = [...marks].find(([, kind]) => kind === 'step')?.[0];
+    if (step && step <= view.state.doc.lines) {
+      effects.push(EditorView.scrollIntoView(view.state.doc.line(step).from, { y: 'nearest' }));
+    }
+    view.dispatch({ effects });
+  }, [marks, file]);
+
+  useEffect(() => {
+    viewRef.current?.dispatch({ effects: setBreakpoints.of(breakpoints) });
+  }, [breakpoints, file]);
+
+  // Runs after the `value` effect above, so the positions match the document.
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view) return;
+    const length = view.state.doc.length;
+    view.dispatch(setDiagnostics(view.state, diagnostics.filter(d => d.to <= length)));
+  }, [diagnostics, file]);
+
+  useImperativeHandle(ref, () => ({
+    jumpTo: (line, column) => {
+      const view = viewRef.current;
+      const { doc } = view.state;
+      const target = doc.line(Math.min(Math.max(line, 1), doc.lines));
+      const pos = target.from + Math.min(Math.max((column || 1) - 1, 0), target.length);
+      view.dispatch({ selection: { anchor: pos }, effects: EditorView.scrollIntoView(pos, { y: 'center' }) });
+      view.focus();
+    },
+    selectRange: (from, to) => {
+      const view = viewRef.current;
+      const length = view.state.doc.length;
+      view.dispatch({ selection: { anchor: Math.min(from, length), head: Math.min(to, length) }, effects: EditorView.scrollIntoView(Math.min(from, length), { y: 'center' }) });
+      view.focus();
+    },
+    replaceDocument: (text) => {
+      const view = viewRef.current;
+      const before = view.state.doc.toString();
+      if (text === before) return;
+      view.dispatch({ changes: documentChanges(before, text), userEvent: 'format' });
+    },
+  }), []);
+
+  return <div ref={hostRef} className="h-full select-text" />;
+}
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { formatBigO } from '../analysis/bigO.js';
+
+/**
+ * --- COMPLEXITY PANEL ---
+ * The Structure tab: time and space for the whole program, then one card per
+ * function with the steps behind its estimate. Clicking a function jumps to it.
+ */
+const Reasons = ({ time, space }) => (
+  <ul className="mt-2 space-y-1 text-[10px] leading-snug">
+    {time.map((note, i) => <li key={`t${i}`} className="text-slate-400"><span className="text-emerald-500 mr-1">T</span>{note}</li>)}
+    {space.map((note, i) => <li key={`s${i}`} className="text-slate-400"><span className="text-sky-400 mr-1">S</span>{note}</li>)}
+  </ul>
+);
+
+export default function ComplexityPanel({ complexity, onJump }) {
+  const [open, setOpen] = useState(null);
+  const { program, functions } = complexity;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <div className="grid grid-cols-2 gap-2">
+          <div className="bg-slate-800/30 p-3 rounded border border-slate-700/50 text-center">
+            <div className="text-xs text-slate-500 mb-1">Time</div>
+            <div className="text-2xl font-black text-emerald-400 tracking-tight">{program ? formatBigO(program.time) : 'O(1)'}</div>
+          </div>
+          <div className="bg-slate-800/30 p-3 rounded border border-slate-700/50 text-center">
+            <div className="text-xs text-slate-500 mb-1">Space</div>
+            <div className="text-2xl font-black text-sky-400 tracking-tight">{program ? formatBigO(program.space) : 'O(1)'}</div>
+          </div>
+        </div>
+        {program && (
+          <>
+            <div className="mt-2 text-[10px] text-slate-500">Estimated from {program.name}</div>
+            <Reasons time={program.timeNotes} space={program.spaceNotes} />
+          </>
+        )}
+      </div>
+      <div>
+        <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-wider mb-3">Functions</h3>
+        {functions.length === 0 && <p className="text-[10px] text-slate-600 italic">No functions found.</p>}
+        <div className="space-y-2">
+          {functions.map((f, i) => (
+            <div key={`${f.name}:${f.line}`} className="bg-purple-500/10 border border-purple-500/30 rounded p-2">
+              <div className="flex items-center gap-1">
+                <button onClick={() => setOpen(open === i ? null : i)} className="text-purple-400 hover:text-purple-200">
+                  {open === i ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+                </button>
+                <button onClick={() => onJump(f.line, 1)} title={`Go to line ${f.line}`} className="text-xs font-bold text-purple-300 hover:underline truncate">
+                  {f.name}
+                </button>
+                <span className="ml-auto shrink-0 text-[10px] font-mono text-emerald-400">{formatBigO(f.time)}</span>
+                <span className="shrink-0 text-[10px] font-mono text-sky-400">{formatBigO(f.space)}</span>
+              </div>
+              {open === i && <Reasons time={f.timeNotes} space={f.spaceNotes} />}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react';
+
+/**
+ * --- CODE FLOW ---
+ * The Structure tab's graphs: which functions call which, then the selected
+ * function's control flow, laid out top to bottom with loop edges curving
+ * back on the right. Clicking a node selects its lines in the editor. While
+ * the visualizer runs, the function and node of the current step are shown.
+ */
+const NODE_W = 116;
+const NODE_H = 30;
+const GAP_X = 14;
+const GAP_Y = 26;
+const MARGIN = 8;
+const BACK_SPACE = 30;
+const LABEL_CHARS = 19;
+
+const KIND_STYLES = {
+  entry: 'fill-emerald-900/60 stroke-emerald-500',
+  exit: 'fill-slate-800 stroke-slate-500',
+  block: 'fill-slate-800/80 stroke-slate-600',
+  branch: 'fill-amber-900/40 stroke-amber-500',
+  loop: 'fill-purple-900/40 stroke-purple-400',
+  switch: 'fill-orange-900/40 stroke-orange-400',
+  try: 'fill-sky-900/40 stroke-sky-400',
+  return: 'fill-red-900/30 stroke-red-400',
+};
+
+const EDGE_LABEL_STYLES = { true: 'fill-emerald-400', false: 'fill-red-400' };
+
+const shorten = (text, length = LABEL_CHARS) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Layered layout: edges that close a cycle are drawn as back edges, every
+// other edge points down, and each layer keeps the nodes in source order.
+const layout = (nodes, edges) => {
+  const out = nodes.map(() => []);
+  edges.forEach((e, i) => out[e.from].push(i));
+
+  const back = new Set();
+  const state = nodes.map(() => 0);
+  const visit = (id) => {
+    state[id] = 1;
+    out[id].forEach((i) => {
+      const target = edges[i].to;
+      if (state[target] === 1) back.add(i);
+      else if (state[target] === 0) visit(target);
+    });
+    state[id] = 2;
+  };
+  nodes.forEach(n => { if (!state[n.id]) visit(n.id); });
+
+  const rank = nodes.map(() => 0);
+  const incoming = nodes.map(() => 0);
+  edges.forEach((e, i) => { if (!back.has(i)) incoming[e.to]++; });
+  const queue = nodes.filter(n => !incoming[n.id]).map(n => n.id);
+  while (queue.length) {
+    const id = queue.shift();
+    out[id].forEach((i) => {
+      if (back.has(i)) return;
+      const target = edges[i].to;
+      rank[target] = Math.max(rank[target], rank[id] + 1);
+      if (--incoming[target] === 0) queue.push(target);
+    });
+  }
+
+  const rows = [];
+  nodes.forEach(n => (rows[rank[n.id]] ||= []).push(n));
+  const widest = Math.max(1, ...rows.map(row => row?.length ?? 0));
+  const rowWidth = (count) => count * NODE_W + (count - 1) * GAP_X;
+  const positions = [];
+  rows.forEach((row, r) => {
+    if (!row) return;
+    row.sort((a, b) => a.from - b.from || a.id - b.id);
+    const offset = (rowWidth(widest) - rowWidth(row.length)) / 2;
+    row.forEach((n, i) => { positions[n.id] = { x: MARGIN + offset + i * (NODE_W + GAP_X), y: MARGIN + r * (NODE_H + GAP_Y) }; });
+  });
+
+  return {
+    positions,
+    back,
+    width: MARGIN * 2 + rowWidth(widest) + (back.size ? BACK_SPACE : 0),
+    height: MARGIN * 2 + rows.length * (NODE_H + GAP_Y) - GAP_Y,
+  };
+};
+
+const Graph = ({ nodes, edges, activeId = null, onClick, title }) => {
+  const { positions, back, width, height } = useMemo(() => layout(nodes, edges), [nodes, edges]);
+  const marker = `arrow-${useId().replace(/[^\w-]/g, '')}`;
+  const activeRef = useRef(null);
+
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+  }, [activeId, nodes]);
+
+  return (
+    <div className="overflow-x-auto bg-slate-900/50 border border-slate-800 rounded">
+      <svg width={width} height={height} className="block">
+        <defs>
+          <marker id={marker} viewBox="0 0 6 6" refX="5" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+            <path d="M0,0 L6,3 L0,6 z" className="fill-slate-500" />
+          </marker>
+        </defs>
+        {edges.map((e, i) => {
+          const a = positions[e.from];
+          const b = positions[e.to];
+          let path;
+          let labelAt;
+          if (back.has(i)) {
+            const x1 = a.x + NODE_W;
+            const x2 = b.x + NODE_W;
+            const y1 = a.y + NODE_H * (e.from === e.to ? 0.3 : 0.5);
+            const y2 = b.y + NODE_H * 0.7;
+            const bend = Math.max(x1, x2) + BACK_SPACE - 6;
+            path = `M${x1},${y1} C${bend},${y1} ${bend},${y2} ${x2},${y2}`;
+            labelAt = { x: x1 + 4, y: y1 - 3 };
+          } else {
+            const x1 = a.x + NODE_W / 2;
+            const y1 = a.y + NODE_H;
+            const x2 = b.x + NODE_W / 2;
+            const y2 = b.y;
+            path = `M${x1},${y1} L${x2},${y2}`;
+            labelAt = { x: x1 + (x2 - x1) * 0.3 + 3, y: y1 + (y2 - y1) * 0.3 + 3 };
+          }
+          return (
+            <g key={i}>
+              <path d={path} fill="none" markerEnd={`url(#${marker})`} className={back.has(i) ? 'stroke-purple-400/70' : 'stroke-slate-600'} />
+              {e.label && <text x={labelAt.x} y={labelAt.y} className={`text-[8px] ${EDGE_LABEL_STYLES[e.label] || 'fill-slate-400'}`}>{shorten(e.label, 14)}</text>}
+            </g>
+          );
+        })}
+        {nodes.map((n) => {
+          const { x, y } = positions[n.id];
+          const active = n.id === activeId;
+          const rounded = n.kind === 'entry' || n.kind === 'exit';
+          return (
+            <g key={n.id} ref={active ? activeRef : undefined} onClick={() => onClick(n)} className="cursor-pointer">
+              <title>{title(n)}</title>
+              <rect
+                x={x} y={y} width={NODE_W} height={NODE_H} rx={rounded ? NODE_H / 2 : 4}
+                strokeWidth={active ? 2 : 1}
+                className={active ? 'fill-yellow-500/30 stroke-yellow-300' : `${KIND_STYLES[n.kind]} hover:stroke-slate-200`}
+              />
+              <text x={x + NODE_W / 2} y={y + (n.calls.length ? 12 : 18)} textAnchor="middle" className="fill-slate-200 text-[9px] font-mono pointer-events-none">
+                {shorten(n.label)}
+              </text>
+              {n.calls.length > 0 && (
+                <text x={x + NODE_W / 2} y={y + 24} textAnchor="middle" className="fill-purple-300 text-[8px] pointer-events-none">
+                  {shorten(`→ ${n.calls.join(', ')}`, 24)}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+const lines = (n) => (n.line === n.endLine ? `line ${n.line}` : `lines ${n.line}–${n.endLine}`);
+const graphKey = (g) => `${g.name}:${g.line}`;
+
+// The innermost graph and node whose lines contain `line`.
+const findActive = (graphs, line) => {
+  if (!line) return null;
+  const span = (x) => x.endLine - x.line;
+  const inner = (items) => items.filter(x => x.line <= line && line <= x.endLine).sort((a, b) => span(a) - span(b))[0];
+  const graph = inner(graphs);
+  if (!graph) return null;
+  const node = inner(graph.nodes.filter(n => n.kind !== 'entry' && n.kind !== 'exit'));
+  return { graph, nodeId: node ? node.id : null };
+};
+
+export default function ControlFlowView({ flow, activeLine, onSelect }) {
+  const [selected, setSelected] = useState(null);
+  const { graphs, callGraph } = flow;
+  const active = useMemo(() => findActive(graphs, activeLine), [graphs, activeLine]);
+  // The running step decides which function is shown; otherwise the user does.
+  const shown = active?.graph ?? graphs.find(g => graphKey(g) === selected) ?? graphs[0];
+
+  if (graphs.length === 0) return <p className="text-[10px] text-slate-600 italic">No code to draw.</p>;
+
+  return (
+    <div className="space-y-3">
+      {callGraph.nodes.length > 1 && (
+        <div>
+          <div className="text-[10px] text-slate-500 mb-1">Call graph</div>
+          <Graph
+            nodes={callGraph.nodes}
+            edges={callGraph.edges}
+            activeId={graphs.indexOf(shown)}
+            title={n => `${n.label} (${lines(n)})`}
+            onClick={(n) => {
+              setSelected(graphKey(graphs[n.id]));
+              onSelect(n.from, n.to);
+            }}
+          />
+        </div>
+      )}
+      <div>
+        <div className="flex items-center gap-2 mb-1">
+          <span className="text-[10px] text-slate-500">Control flow of</span>
+          <select
+            value={graphKey(shown)}
+            onChange={e => setSelected(e.target.value)}
+            disabled={Boolean(active)}
+            className="flex-1 min-w-0 bg-slate-800 border border-slate-700 rounded px-1 text-[10px] text-slate-300 outline-none"
+          >
+            {graphs.map(g => <option key={graphKey(g)} value={graphKey(g)}>{g.name}</option>)}
+          </select>
+        </div>
+        <Graph
+          nodes={shown.nodes}
+          edges={shown.edges}
+          activeId={active?.graph === shown ? active.nodeId : null}
+          title={n => `${n.label} (${lines(n)})${n.calls.length ? `\ncalls ${n.calls.join(', ')}` : ''}`}
+          onClick={n => onSelect(n.from, n.to)}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { Plus, X, Play } from 'lucide-react';
+import FileNameField from './FileNameField.jsx';
+
+/**
+ * --- EDITOR TABS ---
+ * The project files open in the editor. Clicking a tab shows that file,
+ * double-clicking renames it and the cross closes it (the file stays in the
+ * project); the last open tab cannot be closed. The entry file is marked,
+ * and + names and adds a new file, starting from `suggestName()`.
+ * `validateName(name, current)` is checkFileName for this project.
+ */
+const baseName = (name) => name.slice(name.lastIndexOf('/') + 1);
+
+export default function EditorTabs({ files, activeFile, entry, onSelect, onClose, onAdd, onRename, suggestName, validateName }) {
+  const [renaming, setRenaming] = useState(null);
+  const [adding, setAdding] = useState(null);
+  // Folders only show when two open files share a name.
+  const label = (name) => (files.filter(f => baseName(f) === baseName(name)).length > 1 ? name : baseName(name));
+
+  return (
+    <div className="h-8 shrink-0 flex items-stretch bg-[#0a0a0c] border-b border-slate-800 text-xs overflow-x-auto">
+      {files.map(name => (renaming === name ? (
+        <FileNameField
+          key={name}
+          initial={name}
+          validate={n => validateName(n, name)}
+          onSubmit={(to) => { setRenaming(null); if (to !== name) onRename(name, to); }}
+          onCancel={() => setRenaming(null)}
+          className="w-40 self-center px-1"
+        />
+      ) : (
+        <div
+          key={name}
+          onClick={() => onSelect(name)}
+          onDoubleClick={() => setRenaming(name)}
+          title={`${name}${name === entry ? ' (entry point)' : ''} · double-click to rename`}
+          className={`group flex items-center gap-1.5 pl-3 pr-1.5 border-r border-slate-800 cursor-pointer whitespace-nowrap ${name === activeFile ? 'bg-[#0d1117] text-slate-200 shadow-[inset_0_2px_0_#10b981]' : 'text-slate-500 hover:text-slate-300'}`}
+        >
+          {name === entry && <Play size={9} className="text-emerald-400 fill-emerald-400" />}
+          <span>{label(name)}</span>
+          <button
+            onClick={(e) => { e.stopPropagation(); onClose(name); }}
+            disabled={files.length === 1}
+            title="Close"
+            className={`p-0.5 rounded hover:bg-slate-700 disabled:invisible ${name === activeFile ? '' : 'invisible group-hover:visible'}`}
+          ><X size={11} /></button>
+        </div>
+      )))}
+      {adding !== null ? (
+        <FileNameField
+          initial={adding}
+          validate={n => validateName(n, null)}
+          onSubmit={(name) => { setAdding(null); onAdd(name); }}
+          onCancel={() => setAdding(null)}
+          className="w-40 self-center px-1"
+        />
+      ) : (
+        <button onClick={() => setAdding(suggestName())} title="New file" className="px-2 text-slate-500 hover:text-white"><Plus size={13} /></button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Code2, Loader2, Wand2, AlertTriangle, ExternalLink } from 'lucide-react';
+import { runTrace } from '../visualizer/runTrace.js';
+import { DEFAULT_MAX_STEPS } from '../visualizer/tracer.js';
+import { createShares, shareUrl } from '../library/shares.js';
+import { fileContent, isMultiFile, programFiles } from '../editor/project.js';
+import { firebase, appId } from '../library/firebase.js';
+import CodeEditor from './CodeEditor.jsx';
+import PlaybackControls from './PlaybackControls.jsx';
+import GraphView from './GraphView.jsx';
+import MemoryView from './MemoryView.jsx';
+
+/**
+ * --- EMBED VIEW ---
+ * What `?share=<id>&embed` renders, for iframes in slides and course pages:
+ * the shared code read-only beside the visualizer, nothing else. A share
+ * without a recorded trace can still be visualized here, in the browser.
+ * A multi-file share has a tab per file, and stepping shows the step's file.
+ */
+const NO_BREAKPOINTS = new Set();
+const NO_FILE_BREAKPOINTS = new Map();
+// Reading a share needs no session.
+const shares = createShares(firebase?.db ?? null, appId, null);
+
+export default function EmbedView({ shareId }) {
+  const [share, setShare] = useState(null);
+  const [loadError, setLoadError] = useState(shares ? null : 'Shared links need a Firebase project, and this deployment has none.');
+  const [trace, setTrace] = useState(null);
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [isTracing, setIsTracing] = useState(false);
+  const traceRun = useRef(null);
+
+  useEffect(() => {
+    if (!shares) return;
+    let stale = false;
+    shares.load(shareId)
+      .then(s => { if (!stale) { setShare(s); setTrace(s.trace); } })
+      .catch(e => { if (!stale) setLoadError(e.message); });
+    return () => { stale = true; traceRun.current?.cancel(); };
+  }, [shareId]);
+
+  const visualize = async () => {
+    setIsTracing(true);
+    const run = runTrace({ files: share.files, entry: share.entry }, { language: share.language, maxSteps: DEFAULT_MAX_STEPS });
+    traceRun.current = run;
+    const result = await run.promise;
+    traceRun.current = null;
+    setIsTracing(false);
+    setTrace(result);
+    showStep(0, result.steps);
+  };
+
+  const showStep = (i, steps = trace.steps) => {
+    setStep(i);
+    if (steps[i]?.file) setFile(steps[i].file);
+  };
+
+  const current = trace?.steps[step];
+  const shownFile = file ?? current?.file ?? share?.entry;
+  const lineMarks = useMemo(() => {
+    const marks = new Map();
+    if (trace?.error?.line && trace.error.file === shownFile) marks.set(trace.error.line, 'error');
+    if (current?.line && current.file === shownFile) marks.set(current.line, 'step');
+    return marks;
+  }, [trace, current, shownFile]);
+
+  if (loadError || !share) {
+    return (
+      <div className="h-screen bg-[#0a0a0c] text-slate-400 text-xs flex items-center justify-center gap-2">
+        {loadError ? <><AlertTriangle size={14} className="text-red-400" /> {loadError}</> : <><Loader2 size={14} className="animate-spin" /> Loading...</>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-screen flex flex-col bg-[#0a0a0c] text-slate-200 font-sans overflow-hidden">
+      <header className="h-9 shrink-0 flex items-center gap-2 px-3 border-b border-slate-800 text-xs">
+        <div className="w-5 h-5 bg-emerald-500 rounded flex items-center justify-center text-white"><Code2 size={12} /></div>
+        <span className="font-bold text-slate-300 truncate">{share.title}</span>
+        <a href={shareUrl(shareId)} target="_blank" rel="noreferrer" className="ml-auto flex items-center gap-1 text-slate-500 hover:text-emerald-400">Open in Kode It <ExternalLink size={10} /></a>
+      </header>
+      <div className="flex-1 flex flex-col md:flex-row min-h-0">
+        <div className="flex-1 min-h-0 min-w-0 bg-[#0d1117] border-b md:border-b-0 md:border-r border-slate-800 flex flex-col">
+          {isMultiFile(share) && (
+            <div className="h-7 shrink-0 flex items-stretch border-b border-slate-800 text-[11px] overflow-x-auto">
+              {programFiles(share).map(f => (
+                <button key={f.name} onClick={() => setFile(f.name)} className={`px-3 border-r border-slate-800 whitespace-nowrap ${f.name === shownFile ? 'bg-[#0d1117] text-slate-200' : 'bg-[#0a0a0c] text-slate-500 hover:text-slate-300'}`}>{f.name}</button>
+              ))}
+            </div>
+          )}
+          <div className="flex-1 min-h-0">
+            <CodeEditor
+              value={fileContent(share, shownFile)}
+              file={shownFile}
+              language={share.language}
+              lineMarks={lineMarks}
+              breakpoints={NO_BREAKPOINTS}
+              diagnostics={[]}
+              readOnly
+            />
+          </div>
+        </div>
+        <div className="flex-1 min-h-0 min-w-0 overflow-auto p-3 bg-[#0F1115] font-mono text-xs flex flex-col gap-3">
+          {trace?.error && (
+            <div className="bg-red-500/10 border border-red-500/30 p-2 rounded text-[10px] text-red-200 flex items-center gap-2 shrink-0">
+              <AlertTriangle size={12} className="text-red-400 shrink-0" />
+              <span className="break-all">{trace.error.message}{trace.error.line ? ` (${isMultiFile(share) && trace.error.file ? `${trace.error.file}:` : 'line '}${trace.error.line})` : ''}</span>
+            </div>
+          )}
+          {trace?.steps.length > 0 ? (
+            <>
+              <PlaybackControls history={trace.steps} step={step} setStep={showStep} breakpoints={NO_FILE_BREAKPOINTS} />
+              <GraphView step={current} prevStep={trace.steps[step - 1]} />
+              <MemoryView step={current} prevStep={trace.steps[step - 1]} />
+              {trace.output.some(o => o.step <= step) && (
+                <div className="border-t border-slate-800 pt-2 space-y-0.5">
+                  {trace.output.filter(o => o.step <= step).map((o, i) => (
+                    <div key={i} className={`whitespace-pre-wrap ${o.level === 'error' ? 'text-red-400' : o.level === 'warn' ? 'text-yellow-300' : 'text-slate-300'}`}>{o.text}</div>
+                  ))}
+                </div>
+              )}
+            </>
+          ) : (
+            <div className="m-auto text-center">
+              <button onClick={visualize} disabled={isTracing} className="flex items-center gap-2 px-3 py-1.5 text-xs font-bold bg-slate-800 hover:bg-slate-700 rounded border border-slate-700 text-slate-300">
+                {isTracing ? <Loader2 size={14} className="animate-spin" /> : <Wand2 size={14} className="text-purple-400" />} Visualize
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import React, { useRef, useState } from 'react';
+
+/**
+ * --- FILE NAME FIELD ---
+ * The inline input for naming a new file or renaming one, in the tab bar and
+ * the file tree. `validate(name)` returns why a name cannot be used, or null.
+ * Enter or leaving the field accepts a valid name, Escape cancels; the part
+ * before the extension starts selected.
+ */
+export default function FileNameField({ initial, validate, onSubmit, onCancel, className = '' }) {
+  const [name, setName] = useState(initial);
+  // Enter unmounts the field, and the blur that follows must not submit again.
+  const settled = useRef(false);
+  const error = validate(name.trim());
+
+  const finish = (accept) => {
+    if (settled.current) return;
+    settled.current = true;
+    if (accept && !error) onSubmit(name.trim());
+    else onCancel();
+  };
+
+  const selectBaseName = (e) => {
+    const start = initial.lastIndexOf('/') + 1;
+    const dot = initial.lastIndexOf('.');
+    e.target.setSelectionRange(start, dot > start ? dot : initial.length);
+  };
+
+  return (
+    <form onSubmit={(e) => { e.preventDefault(); if (!error) finish(true); }} className={`relative ${className}`}>
+      <input
+        autoFocus
+        value={name}
+        onChange={e => setName(e.target.value)}
+        onFocus={selectBaseName}
+        onBlur={() => finish(true)}
+        onKeyDown={e => { if (e.key === 'Escape') finish(false); }}
+        spellCheck="false"
+        className={`w-full bg-slate-900 border rounded px-1.5 py-0.5 text-xs text-slate-200 outline-none ${error ? 'border-red-500/60' : 'border-slate-700'}`}
+      />
+      {error && name !== initial && <div className="absolute top-full left-0 z-20 mt-0.5 w-56 p-1 rounded bg-[#161b22] border border-red-500/40 text-[10px] text-red-300 whitespace-normal">{error}</div>}
+    </form>
+  );
+}
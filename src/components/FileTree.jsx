@@ -0,0 +1,116 @@
+import React, { useMemo, useState } from 'react';
+import {
+  FileCode, Folder, FolderOpen, FilePlus, Plus, Pencil, Trash2, Play
+} from 'lucide-react';
+import { fileTree } from '../editor/project.js';
+import FileNameField from './FileNameField.jsx';
+
+/**
+ * --- FILE TREE ---
+ * The project's files by folder, above the library in the "files" sidebar.
+ * A file opens in the editor when clicked and can be renamed, deleted or
+ * made the entry point (the file a run starts from, which cannot be deleted).
+ * New files go at the top level or, from a folder's +, into that folder;
+ * typing a path such as `lib/util.h` creates the folders along the way.
+ */
+export default function FileTree({ project, activeFile, onOpen, onAdd, onRename, onDelete, onSetEntry, canBeEntry, suggestName, validateName }) {
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [renaming, setRenaming] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  // `{ folder, name }` while a new file is being named.
+  const [adding, setAdding] = useState(null);
+  const tree = useMemo(() => fileTree(project.files), [project.files]);
+
+  const toggleFolder = (path) => setCollapsed((prev) => {
+    const next = new Set(prev);
+    if (next.has(path)) next.delete(path);
+    else next.add(path);
+    return next;
+  });
+
+  const startAdding = (folder) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      next.delete(folder);
+      return next;
+    });
+    setAdding({ folder, name: suggestName(folder) });
+  };
+
+  const newFileField = (folder, depth) => adding?.folder === folder && (
+    <div style={{ paddingLeft: depth * 12 + 4 }} className="py-0.5">
+      <FileNameField
+        initial={adding.name}
+        validate={n => validateName(n, null)}
+        onSubmit={(name) => { setAdding(null); onAdd(name); }}
+        onCancel={() => setAdding(null)}
+      />
+    </div>
+  );
+
+  const file = (node, depth) => {
+    if (renaming === node.path) {
+      return (
+        <div key={node.path} style={{ paddingLeft: depth * 12 + 4 }} className="py-0.5">
+          <FileNameField
+            initial={node.path}
+            validate={n => validateName(n, node.path)}
+            onSubmit={(to) => { setRenaming(null); if (to !== node.path) onRename(node.path, to); }}
+            onCancel={() => setRenaming(null)}
+          />
+        </div>
+      );
+    }
+    const isEntry = node.path === project.entry;
+    return (
+      <div key={node.path}>
+        <div style={{ paddingLeft: depth * 12 + 4 }} className={`group flex items-center gap-1.5 pr-1 py-0.5 rounded ${node.path === activeFile ? 'bg-slate-800 text-slate-200' : 'text-slate-400 hover:bg-slate-800/60'}`}>
+          <FileCode size={12} className="shrink-0 text-slate-500" />
+          <span onClick={() => onOpen(node.path)} title={node.path} className="truncate flex-1 cursor-pointer">{node.name}</span>
+          {isEntry && <span title="Entry point: runs start here" className="shrink-0 text-emerald-400"><Play size={9} className="fill-emerald-400" /></span>}
+          <div className="hidden group-hover:flex items-center gap-1 text-slate-600">
+            {!isEntry && canBeEntry(node.path) && <button onClick={() => onSetEntry(node.path)} title="Make this the entry point" className="hover:text-emerald-400"><Play size={11} /></button>}
+            <button onClick={() => setRenaming(node.path)} title="Rename or move" className="hover:text-slate-300"><Pencil size={11} /></button>
+            {!isEntry && <button onClick={() => setDeleting(node.path)} title="Delete" className="hover:text-red-400"><Trash2 size={11} /></button>}
+          </div>
+        </div>
+        {deleting === node.path && (
+          <div style={{ paddingLeft: depth * 12 + 22 }} className="flex items-center gap-2 py-0.5 text-[10px]">
+            <span className="text-red-300">Delete {node.name}?</span>
+            <button onClick={() => { setDeleting(null); onDelete(node.path); }} className="font-bold text-red-400 hover:underline">Delete</button>
+            <button onClick={() => setDeleting(null)} className="text-slate-500 hover:underline">Cancel</button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const nodes = (list, depth) => list.map(node => (node.children ? (
+    <div key={node.path}>
+      <div style={{ paddingLeft: depth * 12 + 4 }} className="group flex items-center gap-1.5 pr-1 py-0.5 rounded text-slate-400 hover:bg-slate-800/60">
+        <span onClick={() => toggleFolder(node.path)} className="flex-1 min-w-0 flex items-center gap-1.5 cursor-pointer">
+          {collapsed.has(node.path) ? <Folder size={12} className="shrink-0 text-slate-500" /> : <FolderOpen size={12} className="shrink-0 text-slate-500" />}
+          <span className="truncate">{node.name}</span>
+        </span>
+        <button onClick={() => startAdding(node.path)} title={`New file in ${node.path}`} className="hidden group-hover:block text-slate-600 hover:text-slate-300"><Plus size={11} /></button>
+      </div>
+      {!collapsed.has(node.path) && (
+        <>
+          {newFileField(node.path, depth + 1)}
+          {nodes(node.children, depth + 1)}
+        </>
+      )}
+    </div>
+  ) : file(node, depth)));
+
+  return (
+    <div className="text-xs">
+      <h3 className="flex items-center text-[10px] font-bold text-slate-500 uppercase tracking-wider mb-2">
+        Project
+        <button onClick={() => startAdding('')} title="New file (type a path such as lib/util.h for a folder)" className="ml-auto text-slate-500 hover:text-slate-300"><FilePlus size={12} /></button>
+      </h3>
+      {newFileField('', 0)}
+      {nodes(tree, 0)}
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useMemo } from 'react';
+import { Network } from 'lucide-react';
+import { detectStructures, diffStructure, layoutStructure } from '../visualizer/graphs.js';
+
+/**
+ * --- GRAPH VIEW ---
+ * Draws every graph/tree detected in the current step. Nodes and edges that
+ * changed since the previous step are outlined in yellow; visited nodes are
+ * green and the node a cursor variable points at is purple.
+ */
+const WIDTH = 320;
+const HEIGHT = 200;
+const RADIUS = 12;
+
+const nodeFill = (node) => (node.active ? '#a855f7' : node.visited ? '#10b981' : '#1e293b');
+
+const StructureSvg = ({ structure }) => {
+  const positions = useMemo(() => layoutStructure(structure, WIDTH, HEIGHT), [structure]);
+  const markerId = `arrow-${structure.key.replace(':', '-')}`;
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full max-h-[220px] bg-slate-900/50 rounded border border-slate-700">
+      <defs>
+        <marker id={markerId} viewBox="0 0 10 10" refX={10 + RADIUS} refY="5" markerWidth="6" markerHeight="6" orient="auto">
+          <path d="M0,0 L10,5 L0,10 z" fill="#64748b" />
+        </marker>
+      </defs>
+      {structure.edges.map((e, i) => {
+        const a = positions[e.from];
+        const b = positions[e.to];
+        if (!a || !b) return null;
+        return (
+          <g key={i}>
+            <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={e.changed ? '#facc15' : '#475569'} strokeWidth={e.changed ? 2.5 : 1.5}
+              markerEnd={structure.directed ? `url(#${markerId})` : undefined} />
+            {e.label && <text x={(a.x + b.x) / 2} y={(a.y + b.y) / 2 - 3} fontSize="9" fill="#fdba74" textAnchor="middle">{e.label}</text>}
+          </g>
+        );
+      })}
+      {structure.nodes.map(n => {
+        const p = positions[n.id];
+        if (!p) return null;
+        return (
+          <g key={n.id}>
+            <circle cx={p.x} cy={p.y} r={RADIUS} fill={nodeFill(n)} stroke={n.changed ? '#facc15' : '#64748b'} strokeWidth={n.changed ? 2.5 : 1} />
+            <text x={p.x} y={p.y + 3.5} fontSize="10" fill="#e2e8f0" textAnchor="middle">{n.label.length > 4 ? `${n.label.slice(0, 3)}…` : n.label}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default function GraphView({ step, prevStep }) {
+  const structures = useMemo(() => {
+    const previous = new Map(detectStructures(prevStep).map(s => [s.key, s]));
+    return detectStructures(step).map(s => diffStructure(s, previous.get(s.key)));
+  }, [step, prevStep]);
+
+  if (structures.length === 0) return null;
+  return (
+    <div className="bg-[#0a0a0c] border border-slate-800 rounded p-3 shrink-0 space-y-3">
+      <h4 className="text-cyan-400 font-bold flex items-center gap-2 uppercase tracking-wider text-[10px]"><Network size={12} /> Graphs &amp; Trees</h4>
+      {structures.map(s => (
+        <div key={s.key}>
+          <div className="text-xs text-slate-400 mb-1">{s.name} <span className="text-slate-600">({s.kind === 'tree' ? 'tree' : s.directed ? 'directed graph' : 'graph'}, {s.nodes.length} nodes)</span></div>
+          <StructureSvg structure={s} />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { Loader2, AlertTriangle } from 'lucide-react';
+import { IMPORT_STRATEGIES } from '../library/account.js';
+
+/**
+ * --- GUEST IMPORT ---
+ * Asks what to do with guest snippets whose titles the Google account
+ * already uses, after signing in moved the session to that account.
+ */
+export default function GuestImportDialog({ comparison, onImport, onDiscard }) {
+  const [strategy, setStrategy] = useState('keep-both');
+  const [busy, setBusy] = useState(false);
+  const { fresh, conflicts } = comparison;
+  const run = async (action) => {
+    setBusy(true);
+    try { await action(); }
+    finally { setBusy(false); }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center">
+      <div className="w-[28rem] max-w-[95vw] bg-[#161b22] border border-slate-700 rounded-lg shadow-xl p-4 space-y-3 text-xs">
+        <div className="flex items-center gap-2 font-bold text-slate-200"><AlertTriangle size={14} className="text-amber-400" /> Your guest snippets</div>
+        <p className="text-slate-400">
+          This Google account already has a library. {fresh.length > 0 && `${fresh.length} guest snippet${fresh.length === 1 ? '' : 's'} will be added to it. `}
+          {conflicts.length} share{conflicts.length === 1 ? 's' : ''} a title with a different snippet there:
+        </p>
+        <ul className="max-h-32 overflow-y-auto space-y-0.5 text-slate-300">
+          {conflicts.map(c => <li key={c.guest.id} className="truncate">• {c.guest.title}</li>)}
+        </ul>
+        <div className="space-y-1">
+          {Object.entries(IMPORT_STRATEGIES).map(([key, label]) => (
+            <label key={key} className="flex items-center gap-2 text-slate-300 cursor-pointer">
+              <input type="radio" name="guest-import" checked={strategy === key} onChange={() => setStrategy(key)} className="accent-emerald-400" />
+              {label}
+            </label>
+          ))}
+        </div>
+        <div className="flex items-center justify-end gap-2 pt-1">
+          {busy && <Loader2 size={14} className="animate-spin text-slate-400" />}
+          <button disabled={busy} onClick={() => run(onDiscard)} className="px-3 py-1.5 rounded text-slate-400 hover:text-white">Discard guest snippets</button>
+          <button disabled={busy} onClick={() => run(() => onImport(strategy))} className="px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500 text-white font-bold">Import</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Search, Folder, FolderOpen, Pencil, Copy, History, Trash2, X, Check,
+  Cloud, CloudOff, HardDrive, RefreshCw, AlertTriangle
+} from 'lucide-react';
+import { filterSnippets, groupByFolder, parseTags } from '../library/snippets.js';
+
+/**
+ * --- LIBRARY PANEL ---
+ * "My Library": the saved snippets grouped by folder, with search over titles
+ * and code, a language filter and tag filters. Each snippet can be opened,
+ * renamed and re-filed, duplicated, deleted or its history opened. The
+ * header says whether the library is synced, waiting to sync or local only.
+ */
+const SyncBadge = ({ status, onSync }) => {
+  if (!status) return null;
+  const pending = status.pending ? ` · ${status.pending} pending` : '';
+  const badges = {
+    local: { icon: HardDrive, text: 'This device', title: 'Stored in this browser only', style: 'text-slate-500' },
+    syncing: { icon: RefreshCw, text: 'Syncing', title: 'Sending changes to the cloud', style: 'text-sky-400', spin: true },
+    synced: { icon: Cloud, text: 'Synced', title: 'Everything is saved in the cloud', style: 'text-emerald-500' },
+    offline: { icon: CloudOff, text: `Offline${pending}`, title: 'Changes are kept in this browser and sync once back online; click to retry', style: 'text-amber-400' },
+    error: { icon: AlertTriangle, text: `Sync failed${pending}`, title: `${status.error}; click to retry`, style: 'text-red-400' },
+  };
+  const { icon: Icon, text, title, style, spin } = badges[status.state];
+  return (
+    <button onClick={onSync} title={title} className={`ml-auto flex items-center gap-1 text-[9px] normal-case tracking-normal font-normal ${style}`}>
+      <Icon size={10} className={spin ? 'animate-spin' : ''} /> {text}
+    </button>
+  );
+};
+
+const SnippetEditor = ({ snippet, folders, onSave, onCancel }) => {
+  const [title, setTitle] = useState(snippet.title);
+  const [folder, setFolder] = useState(snippet.folder || '');
+  const [tags, setTags] = useState((snippet.tags || []).join(', '));
+  const submit = (e) => {
+    e.preventDefault();
+    if (title.trim()) onSave({ title: title.trim(), folder: folder.trim(), tags: parseTags(tags) });
+  };
+  const input = 'w-full bg-slate-900 border border-slate-700 rounded px-1.5 py-0.5 text-xs text-slate-200 outline-none';
+
+  return (
+    <form onSubmit={submit} className="space-y-1 p-2 bg-slate-800/60 rounded border border-slate-700 mb-1">
+      <input autoFocus value={title} onChange={e => setTitle(e.target.value)} placeholder="Title" className={input} />
+      <input value={folder} onChange={e => setFolder(e.target.value)} placeholder="Folder" list="library-folders" className={input} />
+      <datalist id="library-folders">{folders.map(f => <option key={f} value={f} />)}</datalist>
+      <input value={tags} onChange={e => setTags(e.target.value)} placeholder="Tags, comma separated" className={input} />
+      <div className="flex justify-end gap-1">
+        <button type="button" onClick={onCancel} className="p-1 text-slate-500 hover:text-slate-300"><X size={12} /></button>
+        <button type="submit" className="p-1 text-emerald-400 hover:text-emerald-300"><Check size={12} /></button>
+      </div>
+    </form>
+  );
+};
+
+export default function LibraryPanel({ snippets, status, onSync, activeId, languages, onOpen, onUpdate, onDuplicate, onDelete, onHistory }) {
+  const [search, setSearch] = useState('');
+  const [language, setLanguage] = useState('');
+  const [tag, setTag] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+
+  const groups = useMemo(() => groupByFolder(filterSnippets(snippets, { search, language, tag })), [snippets, search, language, tag]);
+  const folders = useMemo(() => [...new Set(snippets.map(s => s.folder).filter(Boolean))].sort(), [snippets]);
+  const toggleFolder = (folder) => setCollapsed((prev) => {
+    const next = new Set(prev);
+    if (next.has(folder)) next.delete(folder);
+    else next.add(folder);
+    return next;
+  });
+
+  const item = (s) => {
+    if (editing === s.id) {
+      return (
+        <SnippetEditor
+          key={s.id}
+          snippet={s}
+          folders={folders}
+          onCancel={() => setEditing(null)}
+          onSave={(fields) => {
+            setEditing(null);
+            onUpdate(s, fields);
+          }}
+        />
+      );
+    }
+    const lang = languages[s.language];
+    return (
+      <div key={s.id} className={`group p-2 rounded text-sm mb-1 ${s.id === activeId ? 'bg-slate-800 ring-1 ring-emerald-500/40' : 'hover:bg-slate-800'}`}>
+        <div className="flex items-center gap-1">
+          <span className={`shrink-0 text-[9px] font-bold w-6 ${lang?.color || 'text-slate-500'}`}>{lang?.icon}</span>
+          <span onClick={() => onOpen(s)} title={s.title} className="truncate flex-1 text-slate-300 cursor-pointer">{s.title}</span>
+          {s.pending && status?.state !== 'local' && <span title="Not synced yet" className="shrink-0 w-1.5 h-1.5 rounded-full bg-amber-400" />}
+          <div className="hidden group-hover:flex items-center gap-1 text-slate-600">
+            <button onClick={() => setEditing(s.id)} title="Rename / organize" className="hover:text-slate-300"><Pencil size={12} /></button>
+            <button onClick={() => onDuplicate(s)} title="Duplicate" className="hover:text-slate-300"><Copy size={12} /></button>
+            <button onClick={() => onHistory(s)} title="History" className="hover:text-slate-300"><History size={12} /></button>
+            <button onClick={() => setDeleting(s.id)} title="Delete" className="hover:text-red-400"><Trash2 size={12} /></button>
+          </div>
+        </div>
+        {s.tags?.length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-1 pl-7">
+            {s.tags.map(t => (
+              <button key={t} onClick={() => setTag(t)} className={`px-1 rounded text-[9px] ${t === tag ? 'bg-emerald-500/20 text-emerald-300' : 'bg-slate-700/50 text-slate-400 hover:text-slate-200'}`}>#{t}</button>
+            ))}
+          </div>
+        )}
+        {deleting === s.id && (
+          <div className="flex items-center gap-2 mt-1 pl-7 text-[10px]">
+            <span className="text-red-300">Delete with its history?</span>
+            <button onClick={() => { setDeleting(null); onDelete(s); }} className="font-bold text-red-400 hover:underline">Delete</button>
+            <button onClick={() => setDeleting(null)} className="text-slate-500 hover:underline">Cancel</button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <h3 className="flex items-center text-[10px] font-bold text-slate-500 uppercase tracking-wider mb-2">My Library <SyncBadge status={status} onSync={onSync} /></h3>
+      <div className="space-y-1 mb-2">
+        <div className="flex items-center gap-1 bg-slate-900 border border-slate-700 rounded px-1.5">
+          <Search size={12} className="text-slate-500 shrink-0" />
+          <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Search titles and code" className="flex-1 min-w-0 bg-transparent py-1 text-xs text-slate-200 outline-none" />
+        </div>
+        <div className="flex items-center gap-1">
+          <select value={language} onChange={e => setLanguage(e.target.value)} className="flex-1 min-w-0 bg-slate-900 border border-slate-700 rounded px-1 py-0.5 text-[10px] text-slate-300 outline-none">
+            <option value="">All languages</option>
+            {Object.entries(languages).map(([k, l]) => <option key={k} value={k}>{l.name}</option>)}
+          </select>
+          {tag && <button onClick={() => setTag('')} className="flex items-center gap-0.5 px-1 rounded bg-emerald-500/20 text-emerald-300 text-[10px]">#{tag} <X size={10} /></button>}
+        </div>
+      </div>
+
+      {snippets.length === 0 && <p className="text-[10px] text-slate-600 italic">No snippets found.</p>}
+      {snippets.length > 0 && groups.length === 0 && <p className="text-[10px] text-slate-600 italic">No snippets match.</p>}
+      {groups.map(({ folder, snippets: inFolder }) => (folder ? (
+        <div key={folder} className="mb-1">
+          <button onClick={() => toggleFolder(folder)} className="flex items-center gap-1 w-full text-xs text-slate-400 hover:text-slate-200 py-1">
+            {collapsed.has(folder) ? <Folder size={12} /> : <FolderOpen size={12} />}
+            <span className="truncate">{folder}</span>
+            <span className="ml-auto text-[10px] text-slate-600">{inFolder.length}</span>
+          </button>
+          {!collapsed.has(folder) && <div className="pl-2 border-l border-slate-800 ml-1.5">{inFolder.map(item)}</div>}
+        </div>
+      ) : <div key="">{inFolder.map(item)}</div>))}
+    </div>
+  );
+}
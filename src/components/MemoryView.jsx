@@ -0,0 +1,179 @@
+import React, { useLayoutEffect, useMemo, useRef } from 'react';
+import { Box, List as ListIcon } from 'lucide-react';
+import { diffSteps, indexPointers, isRef, layoutHeap } from '../visualizer/heap.js';
+
+/**
+ * --- MEMORY VIEW ---
+ * Stack frames on the left, heap objects on the right, and SVG arrows from
+ * every reference (variable or field) to the box it points at. Whatever
+ * changed since the previous step is highlighted, and index-like integer
+ * locals (`i`, `lo`, `mid`, ...) are drawn as pointers under array cells.
+ */
+const CHANGED = 'bg-yellow-500/20 border-yellow-400';
+const formatPrimitive = (v) => (typeof v === 'string' ? JSON.stringify(v) : String(v));
+
+const RefDot = ({ id }) => (
+  <span data-ref={id} className="inline-block w-2.5 h-2.5 rounded-full bg-orange-400 align-middle" title={`#${id}`} />
+);
+
+const Value = ({ value }) => (isRef(value)
+  ? <RefDot id={value.ref} />
+  : <span className="text-emerald-400 font-bold break-all">{formatPrimitive(value)}</span>);
+
+const Pointers = ({ names }) => (names.length > 0
+  ? <span className="text-[9px] font-bold text-purple-300 leading-tight">▲{names.join(',')}</span>
+  : null);
+
+const Cell = ({ value, label, small, changed, pointers = [] }) => (
+  <div className="flex flex-col items-center">
+    <div className={`${small ? 'w-6 h-6 text-[10px] text-orange-200' : 'w-8 h-8 text-xs text-slate-200 font-bold rounded-sm'} flex items-center justify-center border ${changed ? CHANGED : `border-slate-700 ${small ? 'bg-slate-800' : 'bg-slate-800/50'}`}`}>
+      {isRef(value) ? <RefDot id={value.ref} /> : formatPrimitive(value)}
+    </div>
+    {label !== undefined && <span className="text-[9px] text-slate-600 mt-0.5">{label}</span>}
+    <Pointers names={pointers} />
+  </div>
+);
+
+const namesAt = (pointers, index) => pointers.filter(p => p.index === index).map(p => p.name);
+
+const HeapObject = ({ entry, heap, rows, diff, pointers }) => {
+  const changed = diff.slots.get(entry.id) || new Set();
+  const title = {
+    array: rows ? `Matrix[${rows.length}x${heap[rows[0]].items.length}]` : `Array[${entry.items?.length}]`,
+    map: `Map(${entry.entries?.length})`,
+    set: `Set(${entry.items?.length})`,
+    object: entry.className || 'Object',
+    function: `ƒ ${entry.name}`,
+  }[entry.kind];
+
+  return (
+    <div data-heap-id={entry.id} className={`bg-slate-900/50 p-2 rounded border w-fit ${diff.fresh.has(entry.id) ? 'border-yellow-400' : 'border-slate-700'}`}>
+      <div className="text-[10px] text-slate-400 mb-1">{title} <span className="text-slate-600">#{entry.id}</span></div>
+      {rows ? (
+        <div className="flex flex-col gap-1">
+          {rows.map((rowId, r) => (
+            <div key={rowId} data-heap-id={rowId} className="flex gap-1 items-center">
+              <span className="w-6 text-right"><Pointers names={namesAt(pointers.rows, r)} /></span>
+              {heap[rowId].items.map((cell, c) => <Cell key={c} value={cell} small changed={diff.slots.get(rowId)?.has(c)} />)}
+            </div>
+          ))}
+          <div className="flex gap-1">
+            <span className="w-6" />
+            {heap[rows[0]].items.map((_, c) => <span key={c} className="w-6 text-center"><Pointers names={namesAt(pointers.cols, c)} /></span>)}
+          </div>
+        </div>
+      ) : entry.kind === 'array' || entry.kind === 'set' ? (
+        <div className="flex flex-wrap gap-1">
+          {entry.items.map((v, i) => (
+            <Cell key={i} value={v} changed={changed.has(i)}
+              label={entry.kind === 'array' ? i : undefined}
+              pointers={entry.kind === 'array' ? namesAt(pointers.cells, i) : []} />
+          ))}
+        </div>
+      ) : entry.kind === 'map' || entry.kind === 'object' ? (
+        <div className="space-y-0.5">
+          {(entry.kind === 'map' ? entry.entries : Object.entries(entry.fields)).map(([k, v], i) => (
+            <div key={i} className={`flex justify-between gap-3 border-b border-slate-800/50 ${changed.has(entry.kind === 'map' ? i : k) ? 'bg-yellow-500/20' : ''}`}>
+              {isRef(k) ? <RefDot id={k.ref} /> : <span className="text-slate-300">{entry.kind === 'map' ? formatPrimitive(k) : k}</span>}
+              <Value value={v} />
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+};
+
+// Drawn imperatively: positions are only known once the boxes are laid out.
+const drawArrows = (container, svg) => {
+  const origin = container.getBoundingClientRect();
+  const paths = [...container.querySelectorAll('[data-ref]')].map(dot => {
+    const target = container.querySelector(`[data-heap-id="${dot.dataset.ref}"]`);
+    if (!target) return '';
+    const a = dot.getBoundingClientRect();
+    const b = target.getBoundingClientRect();
+    const x1 = a.left + a.width / 2 - origin.left + container.scrollLeft;
+    const y1 = a.top + a.height / 2 - origin.top + container.scrollTop;
+    const x2 = b.left - origin.left + container.scrollLeft;
+    const y2 = b.top + Math.min(b.height / 2, 12) - origin.top + container.scrollTop;
+    const bend = Math.max(30, Math.abs(x2 - x1) / 2);
+    return `<path d="M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}" />`;
+  });
+  svg.setAttribute('width', container.scrollWidth);
+  svg.setAttribute('height', container.scrollHeight);
+  svg.querySelector('g').innerHTML = paths.join('');
+};
+
+export default function MemoryView({ step, prevStep }) {
+  const containerRef = useRef(null);
+  const svgRef = useRef(null);
+  const { columns, rowsOf } = useMemo(() => layoutHeap(step), [step]);
+  const diff = useMemo(() => diffSteps(step, prevStep), [step, prevStep]);
+  const pointers = useMemo(() => indexPointers(step), [step]);
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const redraw = () => drawArrows(container, svgRef.current);
+    redraw();
+    const observer = new ResizeObserver(redraw);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [step]);
+
+  return (
+    <div ref={containerRef} className="relative flex-1 flex gap-6 bg-[#0a0a0c] border border-slate-800 rounded p-3 overflow-auto min-h-[150px]">
+      <svg ref={svgRef} className="absolute top-0 left-0 pointer-events-none text-orange-400/70">
+        <defs>
+          <marker id="heap-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+            <path d="M0,0 L10,5 L0,10 z" fill="currentColor" />
+          </marker>
+        </defs>
+        <g fill="none" stroke="currentColor" strokeWidth="1.5" markerEnd="url(#heap-arrow)" />
+      </svg>
+
+      {/* FRAMES */}
+      <div className="shrink-0 w-48">
+        <h4 className="text-blue-400 font-bold mb-2 flex items-center gap-2 uppercase tracking-wider text-[10px]"><ListIcon size={12} /> Frames (Stack)</h4>
+        <div className="space-y-2">
+          {step.frames.map((frame, depth, stack) => {
+            const vars = [...Object.entries(frame.args), ...Object.entries(frame.locals)];
+            const isTop = depth === stack.length - 1;
+            return (
+              <div key={frame.id} style={{ marginLeft: depth * 12 }} className={`rounded border p-2 ${isTop ? 'border-blue-500/50 bg-blue-500/5' : 'border-slate-800 opacity-70'}`}>
+                <div className="flex justify-between mb-1">
+                  <span className="text-blue-300 font-bold">{frame.name}</span>
+                  <span className="text-[9px] text-slate-500">{frame.callLine ? `called from ${frame.callFile && frame.callFile !== frame.file ? `${frame.callFile}:` : 'line '}${frame.callLine}` : `line ${frame.line}`}</span>
+                </div>
+                {vars.length > 0 ? vars.map(([k, v]) => (
+                  <div key={k} className={`flex justify-between border-b border-slate-800/50 pb-1 ${diff.vars.has(`${frame.id}:${k}`) ? 'bg-yellow-500/20' : ''}`}>
+                    <span className={k in frame.args ? 'text-cyan-300' : 'text-slate-300'}>{k}</span>
+                    <Value value={v} />
+                  </div>
+                )) : <div className="text-slate-600 italic">No locals</div>}
+                {'returnValue' in frame && (
+                  <div className="flex justify-between pt-1">
+                    <span className="text-purple-300">return</span>
+                    <Value value={frame.returnValue} />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* OBJECTS */}
+      <div className="flex-1">
+        <h4 className="text-orange-400 font-bold mb-2 flex items-center gap-2 uppercase tracking-wider text-[10px]"><Box size={12} /> Objects (Heap)</h4>
+        {columns.length === 0 && <div className="text-slate-600 italic">No objects</div>}
+        <div className="flex gap-8 items-start">
+          {columns.map((ids, c) => (
+            <div key={c} className="flex flex-col gap-4">
+              {ids.map(id => <HeapObject key={id} entry={step.heap[id]} heap={step.heap} rows={rowsOf.get(id)} diff={diff} pointers={pointers} />)}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
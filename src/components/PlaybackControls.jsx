@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from 'react';
+import {
+  ChevronRight, ChevronLeft, ChevronsLeft, ChevronsRight,
+  Play, Pause, CornerDownRight, CornerLeftUp, SkipForward
+} from 'lucide-react';
+
+/**
+ * --- PLAYBACK CONTROLS ---
+ * Play/pause at an adjustable speed, timeline scrubbing, jump to start/end,
+ * and step over / step out based on call depth. Playback pauses when it
+ * reaches a step on one of the editor's breakpoint lines; `breakpoints` maps
+ * each project file to its Set of lines.
+ */
+const SPEEDS = [1, 2, 5, 10, 25, 100];
+
+const depthOf = (step) => step.frames.length;
+
+// First step after `from` whose call depth is at most `maxDepth`.
+const nextAtDepth = (history, from, maxDepth) => {
+  for (let i = from + 1; i < history.length; i++) {
+    if (depthOf(history[i]) <= maxDepth) return i;
+  }
+  return history.length - 1;
+};
+
+const atBreakpoint = (step, breakpoints) => Boolean(breakpoints.get(step.file)?.has(step.line));
+
+const nextBreakpoint = (history, from, breakpoints) => {
+  for (let i = from + 1; i < history.length; i++) {
+    if (atBreakpoint(history[i], breakpoints)) return i;
+  }
+  return history.length - 1;
+};
+
+const Control = ({ onClick, disabled, title, children }) => (
+  <button onClick={onClick} disabled={disabled} title={title} className="p-1 hover:bg-slate-700 rounded disabled:opacity-30">{children}</button>
+);
+
+export default function PlaybackControls({ history, step, setStep, breakpoints }) {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(5);
+  const last = history.length - 1;
+  const atEnd = step >= last;
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    const timer = setTimeout(() => {
+      const next = Math.min(last, step + 1);
+      setStep(next);
+      if (next === last || atBreakpoint(history[next], breakpoints)) setIsPlaying(false);
+    }, 1000 / speed);
+    return () => clearTimeout(timer);
+  }, [isPlaying, speed, step, history, last, breakpoints, setStep]);
+
+  const jump = (target) => {
+    setIsPlaying(false);
+    setStep(Math.max(0, Math.min(last, target)));
+  };
+  const depth = depthOf(history[step]);
+
+  return (
+    <div className="bg-slate-800 p-2 rounded shrink-0 space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-0.5">
+          <Control onClick={() => jump(0)} disabled={step === 0} title="Jump to start"><ChevronsLeft size={14} /></Control>
+          <Control onClick={() => jump(step - 1)} disabled={step === 0} title="Step back"><ChevronLeft size={14} /></Control>
+          <Control onClick={() => setIsPlaying(p => !p)} disabled={atEnd && !isPlaying} title={isPlaying ? 'Pause' : 'Play'}>
+            {isPlaying ? <Pause size={14} /> : <Play size={14} />}
+          </Control>
+          <Control onClick={() => jump(step + 1)} disabled={atEnd} title="Step into"><ChevronRight size={14} /></Control>
+          <Control onClick={() => jump(nextAtDepth(history, step, depth))} disabled={atEnd} title="Step over"><CornerDownRight size={14} /></Control>
+          <Control onClick={() => jump(nextAtDepth(history, step, depth - 1))} disabled={atEnd || depth === 1} title="Step out"><CornerLeftUp size={14} /></Control>
+          <Control onClick={() => jump(nextBreakpoint(history, step, breakpoints))} disabled={atEnd} title="Continue to next breakpoint"><SkipForward size={14} /></Control>
+          <Control onClick={() => jump(last)} disabled={atEnd} title="Jump to end"><ChevronsRight size={14} /></Control>
+        </div>
+        <span className="text-slate-400">Step {step + 1} / {history.length}</span>
+        <select value={speed} onChange={e => setSpeed(Number(e.target.value))} title="Playback speed (steps per second)" className="bg-transparent text-slate-300 outline-none cursor-pointer">
+          {SPEEDS.map(s => <option key={s} value={s}>{s}x</option>)}
+        </select>
+      </div>
+      <input
+        type="range" min={0} max={last} value={step}
+        onChange={e => jump(Number(e.target.value))}
+        className="w-full accent-purple-500 cursor-pointer"
+      />
+    </div>
+  );
+}
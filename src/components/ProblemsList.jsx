@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CircleX, ChevronDown, ChevronRight } from 'lucide-react';
+
+/**
+ * --- PROBLEMS LIST ---
+ * The editor's live diagnostics as a list; clicking one moves the cursor to it.
+ */
+export default function ProblemsList({ problems, onJump }) {
+  const [open, setOpen] = useState(true);
+  const errors = problems.filter(p => p.severity === 'error').length;
+  const warnings = problems.length - errors;
+
+  return (
+    <div className="mb-3 bg-slate-800/30 border border-slate-700/50 rounded">
+      <button onClick={() => setOpen(v => !v)} className="w-full flex items-center gap-1 px-2 py-1 text-[10px] font-bold text-slate-500 hover:text-slate-300 uppercase tracking-wider">
+        {open ? <ChevronDown size={12} /> : <ChevronRight size={12} />} Problems
+        {errors > 0 && <span className="ml-1 flex items-center gap-0.5 text-red-400"><CircleX size={10} />{errors}</span>}
+        {warnings > 0 && <span className="ml-1 flex items-center gap-0.5 text-yellow-300"><AlertTriangle size={10} />{warnings}</span>}
+      </button>
+      {open && (
+        <div className="pb-1 max-h-40 overflow-auto">
+          {problems.length === 0 && <div className="px-2 py-1 text-slate-600 italic">No problems detected.</div>}
+          {problems.map((p, i) => (
+            <div
+              key={i}
+              onClick={() => onJump(p.line, p.column)}
+              title={`Go to line ${p.line}`}
+              className="flex items-start gap-2 px-2 py-0.5 cursor-pointer hover:bg-slate-800"
+            >
+              {p.severity === 'error'
+                ? <CircleX size={12} className="mt-0.5 shrink-0 text-red-400" />
+                : <AlertTriangle size={12} className="mt-0.5 shrink-0 text-yellow-300" />}
+              <span className="text-slate-300 break-words min-w-0">{p.message}</span>
+              <span className="ml-auto shrink-0 text-slate-500">{p.line}:{p.column}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useMemo, useState } from 'react';
+import { X, Loader2, RotateCcw } from 'lucide-react';
+import { diffLines } from '../execution/diff.js';
+import { projectOf, projectText } from '../editor/project.js';
+
+/**
+ * --- REVISION HISTORY ---
+ * A snippet's saved versions, newest first. The selected revision is diffed
+ * against the editor or against the revision before it, and can be restored
+ * into the editor (saving then records it as the newest revision).
+ * Multi-file revisions are diffed as one text with a header per file.
+ */
+const DIFF_STYLES = {
+  same: 'text-slate-400',
+  removed: 'bg-red-500/10 text-red-300',
+  added: 'bg-emerald-500/10 text-emerald-300',
+};
+
+const DIFF_MARKS = { same: ' ', removed: '-', added: '+' };
+
+const when = (ms) => new Date(ms).toLocaleString();
+
+const textOf = (revision) => projectText(projectOf(revision));
+
+export default function RevisionHistory({ snippet, revisions, error, currentText, onRestore, onClose }) {
+  const [selected, setSelected] = useState(0);
+  const [against, setAgainst] = useState('editor');
+  const revision = revisions?.[selected];
+  const diff = useMemo(() => {
+    if (!revision) return [];
+    const other = against === 'editor' ? currentText : (revisions[selected + 1] ? textOf(revisions[selected + 1]) : '');
+    return against === 'editor' ? diffLines(textOf(revision), other) : diffLines(other, textOf(revision));
+  }, [revision, revisions, selected, against, currentText]);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center" onClick={onClose}>
+      <div onClick={e => e.stopPropagation()} className="w-[52rem] max-w-[95vw] h-[75vh] bg-[#161b22] border border-slate-700 rounded-lg shadow-xl flex flex-col text-xs">
+        <div className="flex items-center px-4 py-2 border-b border-slate-800">
+          <span className="font-bold text-slate-300 truncate">History of {snippet.title}</span>
+          <button onClick={onClose} className="ml-auto text-slate-500 hover:text-white"><X size={14} /></button>
+        </div>
+        <div className="flex flex-1 min-h-0">
+          <div className="w-56 shrink-0 border-r border-slate-800 overflow-y-auto p-2 space-y-1">
+            {error && <p className="text-red-300">{error}</p>}
+            {!revisions && !error && <div className="flex items-center gap-1 text-slate-500"><Loader2 size={12} className="animate-spin" /> Loading...</div>}
+            {revisions?.length === 0 && <p className="text-slate-600 italic">No revisions yet. Saving records one.</p>}
+            {revisions?.map((r, i) => (
+              <button key={r.id} onClick={() => setSelected(i)} className={`block w-full text-left px-2 py-1 rounded ${i === selected ? 'bg-slate-800 text-emerald-400' : 'text-slate-400 hover:bg-slate-800/60'}`}>
+                <div>{when(r.savedAt)}</div>
+                <div className="text-[10px] text-slate-500">{i === 0 ? 'Latest · ' : ''}{r.files?.length > 1 ? `${r.files.length} files · ` : ''}{textOf(r).split('\n').length} lines</div>
+                {r.note && <div className="text-[10px] text-amber-400/80">{r.note}</div>}
+              </button>
+            ))}
+          </div>
+          <div className="flex-1 min-w-0 flex flex-col">
+            {revision && (
+              <>
+                <div className="flex items-center gap-2 px-3 py-2 border-b border-slate-800 text-[10px] text-slate-500">
+                  Compare with
+                  <select value={against} onChange={e => setAgainst(e.target.value)} className="bg-slate-800 border border-slate-700 rounded px-1 text-slate-300 outline-none">
+                    <option value="editor">the editor</option>
+                    <option value="previous">the previous revision</option>
+                  </select>
+                  <span><span className="text-red-300">- {against === 'editor' ? 'revision' : 'previous'}</span> <span className="text-emerald-300 ml-1">+ {against === 'editor' ? 'editor' : 'revision'}</span></span>
+                  <button onClick={() => onRestore(revision)} className="ml-auto flex items-center gap-1 px-2 py-1 rounded bg-emerald-600 hover:bg-emerald-500 text-white font-bold"><RotateCcw size={10} /> Restore</button>
+                </div>
+                <div className="flex-1 overflow-auto font-mono py-1 select-text">
+                  {diff.every(d => d.type === 'same') && <div className="px-3 py-1 text-slate-500 italic font-sans">No differences.</div>}
+                  {diff.map((d, i) => <div key={i} className={`px-3 whitespace-pre ${DIFF_STYLES[d.type]}`}>{DIFF_MARKS[d.type]} {d.text}</div>)}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
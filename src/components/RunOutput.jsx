@@ -0,0 +1,73 @@
+import React from 'react';
+import { locateProblems } from '../execution/console.js';
+
+/**
+ * --- RUN OUTPUT ---
+ * One "Run Code" result, split into compiler output, stdout and stderr with a
+ * status line (exit code, signal, time). Lines that point at the user's code
+ * (compiler errors, Python tracebacks) jump to that line when clicked;
+ * `onJump(line, column, path)` gets the file path as the backend printed it.
+ */
+const Section = ({ title, tone, children }) => (
+  <div>
+    <div className={`text-[10px] uppercase tracking-wider font-bold pb-1 ${tone}`}>{title}</div>
+    {children}
+  </div>
+);
+
+const Lines = ({ text, className, onJump }) => {
+  const problems = locateProblems(text);
+  return (
+    <div className={`whitespace-pre-wrap ${className}`}>
+      {text.split('\n').map((line, i) => (problems[i] ? (
+        <div
+          key={i}
+          onClick={() => onJump(problems[i].line, problems[i].column, problems[i].file)}
+          title={`Go to line ${problems[i].line}`}
+          className={`cursor-pointer hover:bg-slate-800 rounded underline decoration-dotted ${problems[i].severity === 'warning' ? 'text-yellow-300' : problems[i].severity === 'note' ? 'text-slate-400' : 'text-red-400'}`}
+        >{line}</div>
+      ) : <div key={i}>{line || ' '}</div>))}
+    </div>
+  );
+};
+
+const formatTime = (ms) => (ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`);
+
+export default function RunOutput({ result, onJump }) {
+  const { compile, run, runtime, elapsedMs } = result;
+  const compileFailed = compile && compile.code !== 0;
+  const showCompile = compile && (compileFailed || compile.output.trim());
+  const time = run?.time ?? null;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-[10px] text-slate-500">
+        <span>{runtime.language} {runtime.version}</span>
+        {compileFailed && <span className="text-red-400 font-bold">Compilation failed (exit {compile.code ?? compile.signal})</span>}
+        {run && (
+          <span className={run.code === 0 ? 'text-emerald-400 font-bold' : 'text-red-400 font-bold'}>
+            {run.signal ? `Killed by ${run.signal}` : `Exit code ${run.code}`}
+          </span>
+        )}
+        {run && <span title={time === null ? 'Round trip to the execution backend' : 'Wall time reported by the backend'}>{formatTime(time ?? elapsedMs)}{time === null ? ' (round trip)' : ''}</span>}
+      </div>
+
+      {showCompile && (
+        <Section title="Compiler" tone={compileFailed ? 'text-red-400' : 'text-yellow-300'}>
+          <Lines text={compile.output.replace(/\n$/, '')} className="text-slate-300" onJump={onJump} />
+        </Section>
+      )}
+      {run && (
+        <Section title="stdout" tone="text-emerald-400">
+          {run.stdout ? <Lines text={run.stdout.replace(/\n$/, '')} className="text-slate-300" onJump={onJump} />
+            : <div className="text-slate-600 italic">(no output)</div>}
+        </Section>
+      )}
+      {run?.stderr && (
+        <Section title="stderr" tone="text-red-400">
+          <Lines text={run.stderr.replace(/\n$/, '')} className="text-red-300" onJump={onJump} />
+        </Section>
+      )}
+    </div>
+  );
+}
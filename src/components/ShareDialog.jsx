@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { X, Loader2, Link2, Copy, Check, Trash2, ExternalLink } from 'lucide-react';
+import { shareUrl, embedCode } from '../library/shares.js';
+
+/**
+ * --- SHARE DIALOG ---
+ * Publishes the editor's code, language and test cases (and, when it matches
+ * the code, the recorded visualization) as a public link with an embed
+ * snippet, and lists the links this account published so they can be revoked.
+ */
+const when = (ms) => new Date(ms).toLocaleString();
+
+const CopyField = ({ label, text, multiline }) => {
+  const [copied, setCopied] = useState(false);
+  const copy = async () => {
+    await navigator.clipboard.writeText(text);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 1500);
+  };
+  const field = 'flex-1 min-w-0 bg-slate-900 border border-slate-700 rounded px-1.5 py-1 text-slate-300 font-mono text-[10px] outline-none select-text';
+  return (
+    <label className="block space-y-1">
+      <span className="text-slate-500">{label}</span>
+      <div className="flex items-start gap-1">
+        {multiline ? <textarea readOnly rows={3} value={text} onFocus={e => e.target.select()} className={`${field} resize-none`} />
+          : <input readOnly value={text} onFocus={e => e.target.select()} className={field} />}
+        <button type="button" onClick={copy} title="Copy" className="p-1.5 rounded text-slate-400 hover:text-white hover:bg-slate-800">{copied ? <Check size={12} className="text-emerald-400" /> : <Copy size={12} />}</button>
+      </div>
+    </label>
+  );
+};
+
+export default function ShareDialog({ title: initialTitle, traceSteps, isGuest, onPublish, loadShares, onRevoke, onClose }) {
+  const [title, setTitle] = useState(initialTitle);
+  const [includeTrace, setIncludeTrace] = useState(traceSteps > 0);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [published, setPublished] = useState(null);
+  const [shares, setShares] = useState(null);
+  const [revoking, setRevoking] = useState(null);
+
+  const refresh = () => loadShares().then(setShares, e => setError(e.message));
+  // `loadShares` stays the same while the account does, so this loads once per opening.
+  useEffect(() => {
+    loadShares().then(setShares, e => setError(e.message));
+  }, [loadShares]);
+
+  const publish = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+    setBusy(true);
+    setError(null);
+    try {
+      setPublished(await onPublish({ title: title.trim(), includeTrace }));
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const revoke = async (id) => {
+    setRevoking(null);
+    try {
+      await onRevoke(id);
+      if (published === id) setPublished(null);
+      setShares(list => list.filter(s => s.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center" onClick={onClose}>
+      <div onClick={e => e.stopPropagation()} className="w-[32rem] max-w-[95vw] max-h-[85vh] bg-[#161b22] border border-slate-700 rounded-lg shadow-xl flex flex-col text-xs">
+        <div className="flex items-center gap-2 px-4 py-2 border-b border-slate-800">
+          <Link2 size={14} className="text-emerald-400" />
+          <span className="font-bold text-slate-300">Share</span>
+          <button onClick={onClose} className="ml-auto text-slate-500 hover:text-white"><X size={14} /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          <form onSubmit={publish} className="space-y-2">
+            <input value={title} onChange={e => setTitle(e.target.value)} placeholder="Title" className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1.5 text-slate-200 outline-none" />
+            <label className={`flex items-center gap-2 ${traceSteps > 0 ? 'text-slate-300 cursor-pointer' : 'text-slate-600'}`}>
+              <input type="checkbox" disabled={traceSteps === 0} checked={includeTrace && traceSteps > 0} onChange={e => setIncludeTrace(e.target.checked)} className="accent-emerald-400" />
+              {traceSteps > 0 ? `Include the recorded visualization (${traceSteps} steps)` : 'Visualize the current code to include its trace'}
+            </label>
+            <p className="text-[10px] text-slate-500">
+              Anyone with the link can view this copy of the code and its test cases; later edits are not shared.
+              {isGuest && ' As a guest you can only revoke it from this session; sign in to keep that ability.'}
+            </p>
+            <div className="flex items-center justify-end gap-2">
+              {busy && <Loader2 size={14} className="animate-spin text-slate-400" />}
+              <button type="submit" disabled={busy || !title.trim()} className="px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white font-bold">Create link</button>
+            </div>
+          </form>
+
+          {error && <p className="text-red-300 break-words">{error}</p>}
+
+          {published && (
+            <div className="space-y-2 p-3 rounded border border-emerald-500/30 bg-emerald-500/5">
+              <CopyField label="Link" text={shareUrl(published)} />
+              <CopyField label="Embed (read-only editor and visualizer)" text={embedCode(published)} multiline />
+            </div>
+          )}
+
+          <div>
+            <div className="text-[10px] font-bold text-slate-500 uppercase tracking-wider mb-2">Your shared links</div>
+            {!shares && !error && <div className="flex items-center gap-1 text-slate-500"><Loader2 size={12} className="animate-spin" /> Loading...</div>}
+            {shares?.length === 0 && <p className="text-slate-600 italic">Nothing shared yet.</p>}
+            {shares?.map(s => (
+              <div key={s.id} className="group flex items-center gap-2 py-1 border-b border-slate-800/60">
+                <div className="flex-1 min-w-0">
+                  <div className="truncate text-slate-300">{s.title}</div>
+                  <div className="text-[10px] text-slate-500">{when(s.createdAt)}{s.traceSteps ? ` · ${s.traceSteps} steps` : ''}</div>
+                </div>
+                {revoking === s.id ? (
+                  <span className="flex items-center gap-2 text-[10px]">
+                    <span className="text-red-300">Revoke?</span>
+                    <button onClick={() => revoke(s.id)} className="font-bold text-red-400 hover:underline">Revoke</button>
+                    <button onClick={() => setRevoking(null)} className="text-slate-500 hover:underline">Cancel</button>
+                  </span>
+                ) : (
+                  <span className="flex items-center gap-1 text-slate-500">
+                    <a href={shareUrl(s.id)} target="_blank" rel="noreferrer" title="Open" className="p-1 hover:text-slate-200"><ExternalLink size={12} /></a>
+                    <button onClick={() => setPublished(s.id)} title="Show link and embed code" className="p-1 hover:text-slate-200"><Link2 size={12} /></button>
+                    <button onClick={() => setRevoking(s.id)} title="Revoke" className="p-1 hover:text-red-400"><Trash2 size={12} /></button>
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
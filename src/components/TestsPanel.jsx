@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { Play, Plus, Trash2, Loader2, ChevronDown, ChevronRight, CloudUpload } from 'lucide-react';
+import { VERDICTS, newTestCase, normalizeOutput } from '../execution/testRunner.js';
+import { diffLines } from '../execution/diff.js';
+
+/**
+ * --- TESTS PANEL ---
+ * Edits a snippet's test cases (stdin, expected stdout, optional time limit),
+ * runs them one by one or all together and shows each verdict. Wrong answers
+ * expand into a line diff of expected vs. actual output.
+ */
+const VERDICT_STYLES = {
+  pass: 'bg-emerald-500/15 text-emerald-300 border-emerald-500/40',
+  'wrong-answer': 'bg-red-500/15 text-red-300 border-red-500/40',
+  'runtime-error': 'bg-orange-500/15 text-orange-300 border-orange-500/40',
+  'time-limit': 'bg-yellow-500/15 text-yellow-300 border-yellow-500/40',
+  'compile-error': 'bg-purple-500/15 text-purple-300 border-purple-500/40',
+  error: 'bg-slate-500/15 text-slate-300 border-slate-500/40',
+};
+
+const DIFF_STYLES = {
+  same: 'text-slate-400',
+  removed: 'bg-red-500/10 text-red-300',
+  added: 'bg-emerald-500/10 text-emerald-300',
+};
+
+const DIFF_MARKS = { same: ' ', removed: '-', added: '+' };
+
+const DiffView = ({ expected, actual }) => (
+  <div className="rounded border border-slate-700 overflow-auto max-h-60">
+    <div className="px-2 py-1 text-[10px] text-slate-500 bg-slate-900 border-b border-slate-700">
+      <span className="text-red-300">- expected</span> <span className="text-emerald-300 ml-2">+ actual</span>
+    </div>
+    {diffLines(normalizeOutput(expected), normalizeOutput(actual)).map((d, i) => (
+      <div key={i} className={`px-2 whitespace-pre ${DIFF_STYLES[d.type]}`}>{DIFF_MARKS[d.type]} {d.text}</div>
+    ))}
+  </div>
+);
+
+const Badge = ({ verdict }) => (
+  <span title={VERDICTS[verdict].label} className={`px-1.5 py-0.5 rounded border text-[10px] font-bold ${VERDICT_STYLES[verdict]}`}>{VERDICTS[verdict].short}</span>
+);
+
+const Field = ({ label, value, onChange, rows = 3 }) => (
+  <label className="block space-y-1 flex-1 min-w-0">
+    <span className="text-[10px] text-slate-500">{label}</span>
+    <textarea value={value} onChange={e => onChange(e.target.value)} rows={rows} spellCheck="false" className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-300 outline-none resize-y select-text" />
+  </label>
+);
+
+const Result = ({ test, result }) => (
+  <div className="space-y-2">
+    <div className="flex items-center gap-2 text-[10px] text-slate-400">
+      <Badge verdict={result.verdict} /> {VERDICTS[result.verdict].label}
+      {result.time !== null && <span>· {result.time} ms</span>}
+      {result.message && <span>· {result.message}</span>}
+    </div>
+    {result.verdict === 'wrong-answer' && <DiffView expected={test.expected} actual={result.stdout} />}
+    {result.verdict === 'compile-error' && <pre className="whitespace-pre-wrap text-red-300">{result.compileOutput}</pre>}
+    {(result.verdict === 'runtime-error' || result.verdict === 'time-limit') && result.stdout && (
+      <pre className="whitespace-pre-wrap text-slate-300">{result.stdout}</pre>
+    )}
+    {result.stderr && <pre className="whitespace-pre-wrap text-red-300">{result.stderr}</pre>}
+  </div>
+);
+
+export default function TestsPanel({ tests, setTests, results, running, onRun, onSave }) {
+  const [open, setOpen] = useState(() => new Set());
+  const finished = tests.filter(t => results[t.id]);
+  const passed = finished.filter(t => results[t.id].verdict === 'pass').length;
+
+  const update = (id, patch) => setTests(tests.map(t => (t.id === id ? { ...t, ...patch } : t)));
+  const toggle = (id) => setOpen(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+  const add = () => {
+    const test = newTestCase();
+    setTests([...tests, test]);
+    setOpen(prev => new Set(prev).add(test.id));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2">
+        <button onClick={() => onRun(tests)} disabled={running || tests.length === 0} className="flex items-center gap-1 px-3 py-1 text-xs font-bold text-slate-900 bg-emerald-400 hover:bg-emerald-300 rounded disabled:opacity-40">
+          {running ? <Loader2 size={12} className="animate-spin" /> : <Play size={12} />} Run all
+        </button>
+        <button onClick={add} className="flex items-center gap-1 px-2 py-1 text-xs text-slate-300 bg-slate-800 hover:bg-slate-700 rounded border border-slate-700"><Plus size={12} /> Add case</button>
+        {onSave && <button onClick={onSave} title="Store these test cases with the open snippet" className="flex items-center gap-1 px-2 py-1 text-xs text-slate-300 bg-slate-800 hover:bg-slate-700 rounded border border-slate-700"><CloudUpload size={12} /> Save to snippet</button>}
+        {finished.length > 0 && <span className={`ml-auto text-[10px] font-bold ${passed === tests.length ? 'text-emerald-400' : 'text-slate-400'}`}>{passed}/{tests.length} passed</span>}
+      </div>
+
+      {tests.length === 0 && <div className="text-slate-600 italic text-center mt-10">No test cases yet. Add one with its input and the output you expect.</div>}
+
+      {tests.map((test, i) => {
+        const result = results[test.id];
+        const expanded = open.has(test.id);
+        return (
+          <div key={test.id} className="bg-slate-800/30 border border-slate-700/50 rounded">
+            <div className="flex items-center gap-2 px-2 py-1.5">
+              <button onClick={() => toggle(test.id)} className="flex items-center gap-1 flex-1 text-left text-slate-300 font-bold">
+                {expanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />} Case {i + 1}
+              </button>
+              {result === 'running' ? <Loader2 size={12} className="animate-spin text-slate-400" /> : result && <Badge verdict={result.verdict} />}
+              <button onClick={() => onRun([test])} disabled={running} title="Run this case" className="p-1 text-slate-400 hover:text-emerald-400 disabled:opacity-40"><Play size={12} /></button>
+              <button onClick={() => setTests(tests.filter(t => t.id !== test.id))} title="Delete case" className="p-1 text-slate-500 hover:text-red-400"><Trash2 size={12} /></button>
+            </div>
+            {expanded && (
+              <div className="px-2 pb-2 space-y-2">
+                <div className="flex gap-2">
+                  <Field label="Input (stdin)" value={test.stdin} onChange={v => update(test.id, { stdin: v })} />
+                  <Field label="Expected output" value={test.expected} onChange={v => update(test.id, { expected: v })} />
+                </div>
+                <label className="flex items-center gap-1 text-[10px] text-slate-500">Time limit (ms)
+                  <input type="number" min={1} value={test.timeLimitMs ?? ''} placeholder="backend default" onChange={e => update(test.id, { timeLimitMs: Number(e.target.value) > 0 ? Number(e.target.value) : null })} className="w-28 bg-slate-900 border border-slate-700 rounded px-1 text-slate-300 outline-none" />
+                </label>
+                {result && result !== 'running' && <Result test={test} result={result} />}
+              </div>
+            )}
+            {!expanded && result && result !== 'running' && result.verdict !== 'pass' && (
+              <div className="px-2 pb-2"><Result test={test} result={result} /></div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { STATICS, TYPES, toCompletion } from './stdlib.js';
+import { templatesFor } from './snippets.js';
+import { visibleDeclarations } from './scope.js';
+
+/**
+ * --- COMPLETIONS ---
+ * The editor's autocomplete source. After `receiver.` / `->` / `::` it offers
+ * library members for the receiver (a known static like `Math` or
+ * `System.out`, or a variable whose type is known). Otherwise it offers
+ * identifiers visible at the cursor, functions from the structure analysis,
+ * keywords and templates. `getContext()` returns `{ language, keywords,
+ * functions }` and is read on every request.
+ */
+const KIND_TYPES = { variable: 'variable', parameter: 'variable', field: 'property', function: 'function', class: 'class', module: 'namespace' };
+
+// Completions are ranked by CodeMirror's fuzzy match first; boosts break ties in favour of nearby names.
+const BOOSTS = { parameter: 3, variable: 2, field: 1, function: 1, class: 0, module: 0 };
+
+const MEMBER_ACCESS = /([A-Za-z_][\w]*(?:\.[A-Za-z_]\w*)*)\s*(\.|->|::)\s*(\w*)$/;
+
+const describe = (declaration) => ({
+  label: declaration.name,
+  type: KIND_TYPES[declaration.kind],
+  detail: declaration.signature || declaration.type || declaration.kind,
+  info: `${declaration.kind[0].toUpperCase()}${declaration.kind.slice(1)} declared on line ${declaration.line}`,
+  boost: BOOSTS[declaration.kind],
+});
+
+const memberCompletions = (context, language, match) => {
+  const [, receiver, , prefix] = match;
+  const statics = STATICS[language] || {};
+  let entries = statics[receiver];
+  if (!entries) {
+    const declared = visibleDeclarations(context.state, language, context.pos).find(d => d.name === receiver);
+    if (!declared?.type) return null;
+    // Python modules (`import math as m`) carry the module name as their type.
+    entries = declared.kind === 'module' ? statics[declared.type] : TYPES[language]?.[declared.type];
+  }
+  if (!entries) return null;
+  return {
+    from: context.pos - prefix.length,
+    options: entries.map(toCompletion),
+    validFor: /^\w*$/,
+  };
+};
+
+export const codeCompletions = (getContext) => (context) => {
+  const { language, keywords = [], functions = [] } = getContext();
+  const line = context.state.doc.lineAt(context.pos);
+  const before = context.state.sliceDoc(line.from, context.pos);
+
+  const member = before.match(MEMBER_ACCESS);
+  if (member) return memberCompletions(context, language, member);
+
+  // Ctrl+Space on whitespace lists everything.
+  const word = context.matchBefore(/[A-Za-z_]\w*/) ?? (context.explicit ? { from: context.pos } : null);
+  if (!word) return null;
+
+  const declarations = visibleDeclarations(context.state, language, context.pos)
+    // Skip the very name being typed, so a half-written declaration does not suggest itself.
+    .filter(d => d.from !== word.from);
+  const names = new Set(declarations.map(d => d.name));
+  const options = [
+    ...declarations.map(describe),
+    ...functions.filter(name => !names.has(name)).map(name => ({ label: name, type: 'function', detail: 'from structure analysis' })),
+    ...keywords.filter(k => !names.has(k)).map(label => ({ label, type: 'keyword', boost: -2 })),
+    ...templatesFor(language),
+  ];
+  return { from: word.from, options, validFor: /^\w*$/ };
+};
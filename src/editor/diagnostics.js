@@ -0,0 +1,272 @@
+import { Text } from '@codemirror/state';
+import { parse as parseJavaScript } from '@babel/parser';
+import { parseProgram } from './languages.js';
+import { collectDeclarations } from './scope.js';
+
+/**
+ * --- DIAGNOSTICS ---
+ * Problems found in the code without running it:
+ *   { from, to, line, column, severity: 'error' | 'warning', message }
+ * JavaScript syntax errors come from Babel's parser; the other languages use
+ * the error nodes of the editor's syntax tree. Every language is also checked
+ * for unbalanced brackets and for statements after return/break/throw, and
+ * JavaScript, Python and Java for undeclared identifiers. C++ identifiers are
+ * left alone: headers and `using namespace` bring in names that cannot be
+ * known without a compiler.
+ */
+const problem = (doc, from, to, severity, message) => {
+  const line = doc.lineAt(from);
+  return { from, to: Math.max(from, Math.min(to, doc.length)), line: line.number, column: from - line.from + 1, severity, message };
+};
+
+// Stretches a position to the word (or single character) that starts there, so the squiggle is visible.
+const tokenAt = (doc, pos) => {
+  const line = doc.lineAt(pos);
+  const rest = doc.sliceString(pos, line.to);
+  const word = rest.match(/^\w+/);
+  return { from: pos, to: pos + (word ? word[0].length : Math.min(1, rest.length)) };
+};
+
+/** JavaScript: Babel with error recovery reports every error it can get past. */
+const BABEL_OPTIONS = {
+  sourceType: 'script',
+  errorRecovery: true,
+  // Programs are wrapped in an async function before they run.
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true,
+};
+
+const javascriptSyntax = (doc, code) => {
+  let errors;
+  try {
+    errors = parseJavaScript(code, BABEL_OPTIONS).errors;
+  } catch (err) {
+    errors = [err];
+  }
+  return errors
+    .filter(err => typeof err.pos === 'number')
+    .map(err => {
+      const { from, to } = tokenAt(doc, Math.min(err.pos, doc.length));
+      return problem(doc, from, to, 'error', err.message.replace(/\s*\(\d+:\d+\)$/, ''));
+    });
+};
+
+/** C++, Java, Python: the parser marks what it could not make sense of with error nodes. */
+const treeSyntax = (doc, tree) => {
+  const found = [];
+  tree.iterate({
+    enter: (node) => {
+      if (!node.type.isError) return undefined;
+      const text = doc.sliceString(node.from, node.to).trim();
+      const { from, to } = text ? node : tokenAt(doc, node.from);
+      found.push(problem(doc, from, to, 'error', text ? `Unexpected '${text.length > 20 ? `${text.slice(0, 20)}…` : text}'` : 'Syntax error: something is missing here'));
+      return false;
+    },
+  });
+  return found;
+};
+
+/** Brackets, read from the syntax tree so strings and comments are already skipped. */
+const OPENERS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = { ')': '(', ']': '[', '}': '{' };
+
+const bracketTokens = (doc, tree) => {
+  const tokens = [];
+  tree.iterate({
+    enter: (node) => {
+      if (node.type.isError) {
+        // Brackets the parser gave up on sit inside error nodes.
+        const text = doc.sliceString(node.from, node.to);
+        for (const match of text.matchAll(/[()[\]{}]/g)) tokens.push({ char: match[0], pos: node.from + match.index });
+        return false;
+      }
+      if (node.from + 1 === node.to && (OPENERS[node.name] || CLOSERS[node.name])) tokens.push({ char: node.name, pos: node.from });
+      return undefined;
+    },
+  });
+  return tokens;
+};
+
+const bracketProblems = (doc, tree) => {
+  const found = [];
+  const open = [];
+  const unclosed = (token) => found.push(problem(doc, token.pos, token.pos + 1, 'error', `'${token.char}' on line ${doc.lineAt(token.pos).number} is never closed`));
+  bracketTokens(doc, tree).forEach((token) => {
+    if (OPENERS[token.char]) {
+      open.push(token);
+      return;
+    }
+    const match = open.findLastIndex(o => o.char === CLOSERS[token.char]);
+    if (match === -1) {
+      found.push(problem(doc, token.pos, token.pos + 1, 'error', `Unmatched '${token.char}'`));
+      return;
+    }
+    open.splice(match + 1).forEach(unclosed);
+    open.pop();
+  });
+  open.forEach(unclosed);
+  return found;
+};
+
+/** Statements after an unconditional jump in the same block. */
+const FLOW = {
+  javascript: {
+    blocks: ['Block', 'SwitchBody', 'Script'],
+    exits: ['ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement'],
+    // A new case label is reachable again; function declarations are hoisted.
+    resets: ['CaseLabel', 'DefaultLabel'],
+    ignored: ['FunctionDeclaration'],
+    severity: 'warning',
+  },
+  cpp: {
+    blocks: ['CompoundStatement', 'CaseStatement'],
+    exits: ['ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement', 'GotoStatement'],
+    // `goto` can land on a label.
+    resets: ['LabeledStatement'],
+    ignored: [],
+    severity: 'warning',
+  },
+  java: {
+    blocks: ['Block', 'SwitchBlock'],
+    exits: ['ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement'],
+    resets: ['SwitchLabel'],
+    ignored: [],
+    // javac refuses to compile unreachable statements.
+    severity: 'error',
+  },
+  python: {
+    blocks: ['Body', 'Script'],
+    exits: ['ReturnStatement', 'RaiseStatement', 'BreakStatement', 'ContinueStatement'],
+    resets: [],
+    ignored: [],
+    severity: 'warning',
+  },
+};
+const PUNCTUATION = new Set(['{', '}', ';', ':']);
+
+const unreachableCode = (doc, tree, language) => {
+  const flow = FLOW[language];
+  const found = [];
+  tree.iterate({
+    enter: (node) => {
+      if (!flow.blocks.includes(node.name)) return;
+      let exit = null;
+      let dead = [];
+      const report = () => {
+        if (dead.length) {
+          const keyword = doc.sliceString(exit.from, exit.to).match(/^\w+/)?.[0];
+          found.push(problem(doc, dead[0].from, dead[dead.length - 1].to, flow.severity, `Unreachable code after '${keyword}'`));
+        }
+        exit = null;
+        dead = [];
+      };
+      for (let child = node.node.firstChild; child; child = child.nextSibling) {
+        if (child.type.isSkipped || child.type.isError || PUNCTUATION.has(child.name)) continue;
+        if (flow.resets.includes(child.name)) report();
+        else if (exit && !flow.ignored.includes(child.name)) dead.push(child);
+        else if (!exit && flow.exits.includes(child.name)) exit = child;
+      }
+      report();
+    },
+  });
+  return found;
+};
+
+/** Undeclared identifiers: references that no declaration in an enclosing scope accounts for. */
+const JS_RUNTIME = new Set(['require', 'module', 'exports', 'process', 'global', 'Buffer', '__dirname', '__filename', 'arguments', 'undefined']);
+const PY_BUILTINS = new Set([
+  'print', 'input', 'len', 'range', 'enumerate', 'zip', 'map', 'filter', 'sorted', 'reversed', 'sum', 'min', 'max', 'abs',
+  'round', 'pow', 'divmod', 'int', 'float', 'str', 'bool', 'list', 'dict', 'set', 'frozenset', 'tuple', 'bytes', 'bytearray',
+  'complex', 'object', 'type', 'isinstance', 'issubclass', 'super', 'iter', 'next', 'any', 'all', 'chr', 'ord', 'hex', 'bin',
+  'oct', 'hash', 'id', 'repr', 'format', 'open', 'callable', 'getattr', 'setattr', 'hasattr', 'delattr', 'vars', 'dir',
+  'globals', 'locals', 'slice', 'property', 'staticmethod', 'classmethod', 'exit', 'quit', 'help', 'memoryview', 'eval', 'exec',
+  'compile', 'ascii', 'breakpoint', 'NotImplemented', 'Ellipsis', '__name__', '__file__', '__doc__', '__import__',
+  'Exception', 'BaseException', 'ArithmeticError', 'AssertionError', 'AttributeError', 'EOFError', 'ImportError',
+  'IndexError', 'KeyError', 'KeyboardInterrupt', 'LookupError', 'MemoryError', 'NameError', 'NotImplementedError',
+  'OSError', 'IOError', 'OverflowError', 'RecursionError', 'RuntimeError', 'StopIteration', 'SystemExit', 'TypeError',
+  'ValueError', 'ZeroDivisionError', 'FileNotFoundError', 'UnicodeError', 'Warning',
+]);
+const JAVA_SKIPPED = new Set(['MethodName', 'ImportDeclaration', 'PackageDeclaration', 'ScopedIdentifier', 'Annotation', 'MarkerAnnotation', 'SwitchLabel']);
+
+const IDENTIFIERS = {
+  javascript: {
+    isReference: (node) => node.name === 'VariableName' && !(node.parent?.name === 'UnaryExpression' && node.prevSibling?.name === 'typeof'),
+    isKnown: (name) => name in globalThis || JS_RUNTIME.has(name),
+  },
+  python: {
+    // Keyword arguments (`f(key=1)`, `case Point(x=px)`) and module paths in imports look like names but are not references.
+    isReference: (node) => node.name === 'VariableName' && node.parent?.name !== 'ImportStatement'
+      && !(node.parent?.name === 'ArgList' && node.nextSibling?.name === 'AssignOp')
+      && !(node.parent?.name === 'KeywordPattern' && !node.prevSibling),
+    isKnown: (name) => PY_BUILTINS.has(name),
+    // `from x import *` can bring in anything.
+    skip: (code) => /^\s*from\s+\S+\s+import\s+\*/m.test(code),
+  },
+  java: {
+    isReference: (node) => {
+      if (node.name !== 'Identifier' || node.prevSibling?.name === '.') return false;
+      for (let n = node.parent; n; n = n.parent) {
+        if (JAVA_SKIPPED.has(n.name)) return false;
+        // Fields can be inherited from a class this file does not contain.
+        if (n.name === 'ClassDeclaration' && n.getChild('Superclass')) return false;
+      }
+      return true;
+    },
+    // Capitalized names are classes (`Math`, `System`) that need no declaration here.
+    isKnown: (name) => /^[A-Z]/.test(name),
+  },
+};
+
+const undeclaredIdentifiers = (doc, state, tree, language, code) => {
+  const rules = IDENTIFIERS[language];
+  if (!rules || rules.skip?.(code)) return [];
+  const declarations = collectDeclarations(state, language);
+  const declaredAt = new Set(declarations.map(d => d.from));
+  const found = [];
+  tree.iterate({
+    enter: (node) => {
+      if (declaredAt.has(node.from) || !rules.isReference(node.node)) return;
+      const name = doc.sliceString(node.from, node.to);
+      if (rules.isKnown(name)) return;
+      // Order is ignored on purpose: hoisting and calls from inside functions make "used before declared" legal.
+      if (declarations.some(d => d.name === name && d.scope.from <= node.from && node.from <= d.scope.to)) return;
+      found.push(problem(doc, node.from, node.to, 'warning', `'${name}' is not declared`));
+    },
+  });
+  return found;
+};
+
+// Later checks yield to earlier ones: once a line has a problem, syntax noise on the same line adds nothing.
+const mergeProblems = (groups) => {
+  const lines = new Set();
+  const seen = new Set();
+  const merged = [];
+  groups.forEach((group) => {
+    const added = group.filter((p) => {
+      const key = `${p.from}:${p.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return !lines.has(p.line) || p.severity === 'warning';
+    });
+    added.forEach(p => lines.add(p.line));
+    merged.push(...added);
+  });
+  return merged.sort((a, b) => a.from - b.from);
+};
+
+export const findProblems = (code, language) => {
+  if (!FLOW[language]) return [];
+  const parsed = parseProgram(code, language);
+  if (!parsed) return language === 'javascript' ? javascriptSyntax(Text.of(code.split('\n')), code) : [];
+  const { state, tree } = parsed;
+  const { doc } = state;
+
+  const brackets = bracketProblems(doc, tree);
+  const syntax = language === 'javascript' ? javascriptSyntax(doc, code) : treeSyntax(doc, tree);
+  return mergeProblems([
+    brackets,
+    syntax,
+    unreachableCode(doc, tree, language),
+    undeclaredIdentifiers(doc, state, tree, language, code),
+  ]);
+};
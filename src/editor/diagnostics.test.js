@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findProblems } from './diagnostics.js';
+
+const undeclared = (code, language) => findProblems(code, language)
+  .filter(p => p.message.endsWith('is not declared'))
+  .map(p => p.message);
+
+test('Python names in nested tuple and list targets are declared', () => {
+  const code = [
+    'pairs = [(1, 2)]',
+    'for i, (x, y) in enumerate(pairs):',
+    '    print(i, x, y)',
+    'a, [b, (c, d)] = 1, [2, (3, 4)]',
+    'print(a, b, c, d)',
+    'sums = [p + q for k, (p, q) in enumerate(pairs)]',
+    'total = sum(u * v for (u, v) in pairs)',
+  ].join('\n');
+  assert.deepEqual(undeclared(code, 'python'), []);
+});
+
+test('Python names only read inside a tuple are still checked', () => {
+  assert.deepEqual(undeclared('for x in [(1, y)]:\n    print(x)', 'python'), ["'y' is not declared"]);
+});
+
+test('Python match/case capture names are declared in their case', () => {
+  const code = [
+    'def area(shape):',
+    '    match shape:',
+    '        case Point(x=px, y=0):',
+    '            return px',
+    '        case [first, *rest]:',
+    '            return first + len(rest)',
+    '        case {"w": w, **extra}:',
+    '            return w',
+    '        case (a, b) as pair if a:',
+    '            return pair',
+    '        case _:',
+    '            return missing',
+  ].join('\n');
+  assert.deepEqual(undeclared(code, 'python'), ["'Point' is not declared", "'missing' is not declared"]);
+});
+
+test('Java try-with-resources variables are declared in the statement', () => {
+  const code = [
+    'import java.util.Scanner;',
+    'public class Main {',
+    '    public static void main(String[] args) {',
+    '        try (Scanner sc = new Scanner(System.in)) {',
+    '            System.out.println(sc.nextInt());',
+    '        }',
+    '        System.out.println(other);',
+    '    }',
+    '}',
+  ].join('\n');
+  assert.deepEqual(undeclared(code, 'java'), ["'other' is not declared"]);
+});
@@ -0,0 +1,131 @@
+import { diffLines } from '../execution/diff.js';
+
+/**
+ * --- FORMATTER ---
+ * "Format Document" for every editor language, entirely in the browser:
+ * clang-format (compiled to WebAssembly) handles JavaScript, C++ and Java,
+ * Ruff's formatter handles Python. Both are loaded on first use, so the
+ * editor does not pay for them until someone formats.
+ * Settings: `{ indentWidth, braceStyle, formatOnSave }`; Python has no braces
+ * and only follows the indent width.
+ */
+export class FormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FormatError';
+  }
+}
+
+export const BRACE_STYLES = {
+  attach: { name: 'Same line', clang: 'Attach' },
+  stroustrup: { name: 'Same line, else on its own', clang: 'Stroustrup' },
+  allman: { name: 'Next line (Allman)', clang: 'Allman' },
+};
+export const INDENT_WIDTHS = [2, 4, 8];
+
+// clang-format picks its language from the file name.
+const CLANG_FILES = { javascript: 'main.js', cpp: 'main.cpp', java: 'Main.java' };
+const LINE_WIDTH = 100;
+
+const clangStyle = ({ indentWidth, braceStyle }) => JSON.stringify({
+  BasedOnStyle: 'LLVM',
+  IndentWidth: indentWidth,
+  ContinuationIndentWidth: indentWidth,
+  TabWidth: indentWidth,
+  UseTab: 'Never',
+  ColumnLimit: LINE_WIDTH,
+  BreakBeforeBraces: BRACE_STYLES[braceStyle]?.clang || 'Attach',
+  AllowShortFunctionsOnASingleLine: 'Empty',
+  // Include order can matter (`bits/stdc++.h` first), so leave it alone.
+  SortIncludes: 'Never',
+});
+
+let clang = null;
+let ruff = null;
+
+const loadClang = () => {
+  clang ??= import('@wasm-fmt/clang-format/vite').then(async (module) => {
+    await module.default();
+    return module;
+  });
+  return clang;
+};
+
+const loadRuff = () => {
+  ruff ??= import('@wasm-fmt/ruff_fmt/vite').then(async (module) => {
+    await module.default();
+    return module;
+  });
+  return ruff;
+};
+
+export const formatCode = async (code, language, settings) => {
+  if (language === 'python') {
+    const { format } = await loadRuff();
+    try {
+      return format(code, 'main.py', { indent_width: settings.indentWidth, line_width: LINE_WIDTH });
+    } catch (err) {
+      // Ruff refuses code it cannot parse and says where.
+      throw new FormatError(`Cannot format: ${String(err.message || err)}`);
+    }
+  }
+  if (!CLANG_FILES[language]) throw new FormatError(`No formatter for ${language}.`);
+  const { format } = await loadClang();
+  return format(code, CLANG_FILES[language], clangStyle(settings));
+};
+
+/**
+ * The edits that turn `before` into `after`, one per run of changed lines, so
+ * the cursor and unchanged lines stay put when the result is applied.
+ */
+export const documentChanges = (before, after) => {
+  const starts = [0];
+  for (let i = before.indexOf('\n'); i !== -1; i = before.indexOf('\n', i + 1)) starts.push(i + 1);
+  const lineCount = starts.length;
+
+  // Runs of changed lines: before's lines [first, end) become `lines`.
+  const runs = [];
+  let line = 0;
+  let run = null;
+  diffLines(before, after).forEach(({ type, text }) => {
+    if (type === 'same') {
+      if (run) runs.push(run);
+      run = null;
+      line++;
+      return;
+    }
+    run ??= { first: line, end: line, lines: [] };
+    if (type === 'removed') run.end = ++line;
+    else run.lines.push(text);
+  });
+  if (run) runs.push(run);
+
+  return runs.map(({ first, end, lines }) => {
+    if (end < lineCount) return { from: starts[first], to: starts[end], insert: lines.map(l => `${l}\n`).join('') };
+    // The run reaches the last line, which has no newline after it.
+    if (first === lineCount) return { from: before.length, to: before.length, insert: `\n${lines.join('\n')}` };
+    if (!lines.length && first > 0) return { from: starts[first] - 1, to: before.length, insert: '' };
+    return { from: starts[first], to: before.length, insert: lines.join('\n') };
+  });
+};
+
+/**
+ * --- FORMAT SETTINGS ---
+ * Kept in localStorage like the execution backend choice.
+ */
+const SETTINGS_KEY = 'kode-it:format';
+
+export const DEFAULT_FORMAT_SETTINGS = { indentWidth: 4, braceStyle: 'attach', formatOnSave: false };
+
+export const loadFormatSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (saved) return { ...DEFAULT_FORMAT_SETTINGS, ...saved };
+  } catch { /* unreadable settings fall back to the defaults */ }
+  return DEFAULT_FORMAT_SETTINGS;
+};
+
+export const saveFormatSettings = (settings) => {
+  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); }
+  catch { /* storage disabled: the choice lasts for this session only */ }
+};
@@ -0,0 +1,31 @@
+import { EditorState } from '@codemirror/state';
+import { ensureSyntaxTree } from '@codemirror/language';
+import { javascript } from '@codemirror/lang-javascript';
+import { cpp } from '@codemirror/lang-cpp';
+import { java } from '@codemirror/lang-java';
+import { python } from '@codemirror/lang-python';
+
+/**
+ * --- EDITOR LANGUAGES ---
+ * The CodeMirror language support (parser, highlighting, folding, indentation)
+ * for each editor language id.
+ */
+const SUPPORT = {
+  javascript: () => javascript(),
+  cpp: () => cpp(),
+  java: () => java(),
+  python: () => python(),
+};
+
+export const languageSupport = (language) => (SUPPORT[language] || SUPPORT.javascript)();
+
+/**
+ * A full syntax tree for `code` outside any editor, for the analyses that
+ * read the program (diagnostics, complexity). Returns `{ state, tree }`, or
+ * null when the parse does not finish within `timeoutMs`.
+ */
+export const parseProgram = (code, language, timeoutMs = 200) => {
+  const state = EditorState.create({ doc: code, extensions: [languageSupport(language)] });
+  const tree = ensureSyntaxTree(state, state.doc.length, timeoutMs);
+  return tree ? { state, tree } : null;
+};
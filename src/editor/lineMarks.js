@@ -0,0 +1,76 @@
+import { StateEffect, StateField, RangeSet } from '@codemirror/state';
+import { EditorView, Decoration, GutterMarker, gutter } from '@codemirror/view';
+
+/**
+ * --- LINE MARKS ---
+ * Whole-line highlights driven from outside the editor (the visualizer's current
+ * step, lines with errors) and the breakpoint gutter. Both are replaced
+ * wholesale by effects; in between they follow edits like any other range.
+ */
+export const setLineMarks = StateEffect.define();
+export const setBreakpoints = StateEffect.define();
+
+const LINE_CLASSES = { step: 'cm-step-line', error: 'cm-error-line' };
+
+// `marks` is a Map of 1-based line number -> 'step' | 'error'.
+const buildLineDecorations = (doc, marks) => RangeSet.of(
+  [...marks]
+    .filter(([line]) => line >= 1 && line <= doc.lines)
+    .sort(([a], [b]) => a - b)
+    .map(([line, kind]) => Decoration.line({ class: LINE_CLASSES[kind] }).range(doc.line(line).from)),
+);
+
+const lineMarksField = StateField.define({
+  create: () => Decoration.none,
+  update: (decorations, tr) => {
+    const effect = tr.effects.findLast(e => e.is(setLineMarks));
+    if (effect) return buildLineDecorations(tr.state.doc, effect.value);
+    return decorations.map(tr.changes);
+  },
+  provide: field => EditorView.decorations.from(field),
+});
+
+class BreakpointMarker extends GutterMarker {
+  toDOM() {
+    const dot = document.createElement('span');
+    dot.textContent = '●';
+    return dot;
+  }
+}
+const breakpointMarker = new BreakpointMarker();
+
+const breakpointField = StateField.define({
+  create: () => RangeSet.empty,
+  update: (markers, tr) => {
+    const effect = tr.effects.findLast(e => e.is(setBreakpoints));
+    if (!effect) return markers.map(tr.changes);
+    const { doc } = tr.state;
+    return RangeSet.of([...effect.value]
+      .filter(line => line >= 1 && line <= doc.lines)
+      .sort((a, b) => a - b)
+      .map(line => breakpointMarker.range(doc.line(line).from)));
+  },
+});
+
+/**
+ * Gutter handlers that toggle a breakpoint on the clicked line. `onToggle(line)`
+ * is read through a getter so the latest React callback is used without
+ * reconfiguring the editor.
+ */
+export const breakpointToggleHandlers = (getOnToggle) => ({
+  mousedown: (view, block) => {
+    getOnToggle()?.(view.state.doc.lineAt(block.from).number);
+    return true;
+  },
+});
+
+export const lineMarks = (getOnToggle) => [
+  lineMarksField,
+  breakpointField,
+  gutter({
+    class: 'cm-breakpoint-gutter',
+    markers: view => view.state.field(breakpointField),
+    initialSpacer: () => breakpointMarker,
+    domEventHandlers: breakpointToggleHandlers(getOnToggle),
+  }),
+];
@@ -0,0 +1,141 @@
+/**
+ * --- PROJECTS ---
+ * What the editor holds: `{ files: [{ name, content }], entry }`. Names are
+ * paths from the project root ('lib/util.h'), and `entry` names the file a
+ * run starts from. A project has one language; a single-file snippet is a
+ * project of one file. Every helper returns a new project.
+ */
+export const ENTRY_NAMES = { javascript: 'main.js', cpp: 'main.cpp', java: 'Main.java', python: 'main.py' };
+
+// Extensions a project's files may have, the first being the one new files get.
+export const FILE_EXTENSIONS = {
+  javascript: ['js', 'json'],
+  cpp: ['cpp', 'h', 'hpp', 'cc', 'cxx', 'hh'],
+  java: ['java'],
+  python: ['py'],
+};
+
+export const singleFile = (language, content) => ({ files: [{ name: ENTRY_NAMES[language], content }], entry: ENTRY_NAMES[language] });
+
+// Snippets saved before projects existed carry only `code`.
+export const projectOf = ({ files, entry, language, code }) => (files?.length
+  ? { files, entry: files.some(f => f.name === entry) ? entry : files[0].name }
+  : singleFile(language, code ?? ''));
+
+export const fileContent = (project, name) => project.files.find(f => f.name === name)?.content ?? '';
+
+// What a library snippet stores for a project; `code` is the entry file, for search and older clients.
+export const projectFields = (project) => ({ code: fileContent(project, project.entry), files: project.files, entry: project.entry });
+
+// Same entry and the same files with the same contents, in any order.
+export const sameFiles = (a, b) => a.entry === b.entry && a.files.length === b.files.length
+  && a.files.every(f => b.files.some(g => g.name === f.name && g.content === f.content));
+
+export const isMultiFile = (project) => project.files.length > 1;
+
+// The entry file first: Piston and the local runner start from `files[0]`.
+export const programFiles = ({ files, entry }) => [...files.filter(f => f.name === entry), ...files.filter(f => f.name !== entry)];
+
+/** Why `name` cannot be used for a file (being renamed from `current`), or null. */
+export const checkFileName = (name, project, language, current = null) => {
+  const parts = name.split('/');
+  if (!name.trim()) return 'Enter a file name.';
+  if (parts.some(p => !p || p === '.' || p === '..')) return `Use a plain path such as lib/util.${FILE_EXTENSIONS[language][0]}.`;
+  if (!/^[\w./-]+$/.test(name)) return 'Use letters, digits, dots, dashes and underscores only.';
+  const extension = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1) : '';
+  if (!FILE_EXTENSIONS[language].includes(extension)) return `Files here end in ${FILE_EXTENSIONS[language].map(e => `.${e}`).join(', ')}.`;
+  const others = project.files.filter(f => f.name !== current).map(f => f.name.toLowerCase());
+  const lower = name.toLowerCase();
+  if (others.includes(lower)) return `There is already a file named ${name}.`;
+  if (others.some(o => o.startsWith(`${lower}/`) || lower.startsWith(`${o}/`))) return `${name} clashes with a folder of the same name.`;
+  return null;
+};
+
+// `untitled.cpp`, `untitled2.cpp`, ... in `folder`.
+export const newFileName = (project, language, folder = '') => {
+  const taken = new Set(project.files.map(f => f.name.toLowerCase()));
+  const extension = FILE_EXTENSIONS[language][0];
+  for (let n = 1; ; n++) {
+    const name = `${folder ? `${folder}/` : ''}untitled${n === 1 ? '' : n}.${extension}`;
+    if (!taken.has(name.toLowerCase())) return name;
+  }
+};
+
+export const addFile = (project, name, content = '') => ({ ...project, files: [...project.files, { name, content }] });
+
+export const updateFile = (project, name, content) => ({
+  ...project,
+  files: project.files.map(f => (f.name === name ? { ...f, content } : f)),
+});
+
+export const renameFile = (project, from, to) => ({
+  files: project.files.map(f => (f.name === from ? { ...f, name: to } : f)),
+  entry: project.entry === from ? to : project.entry,
+});
+
+// The entry file cannot be removed; make another file the entry first.
+export const removeFile = (project, name) => ({ ...project, files: project.files.filter(f => f.name !== name) });
+
+// Headers and data files are not programs.
+export const canBeEntry = (name, language) => ({
+  javascript: /\.js$/, cpp: /\.(cpp|cc|cxx)$/, java: /\.java$/, python: /\.py$/,
+}[language].test(name));
+
+export const setEntry = (project, name) => ({ ...project, entry: name });
+
+/**
+ * The files as a tree for the sidebar: `[{ name, path, children }]` for
+ * folders and `[{ name, path }]` for files, folders first, both by name.
+ */
+export const fileTree = (files) => {
+  const root = { children: new Map() };
+  files.forEach(({ name }) => {
+    let node = root;
+    name.split('/').forEach((part, i, parts) => {
+      const path = parts.slice(0, i + 1).join('/');
+      if (i === parts.length - 1) node.children.set(part, { name: part, path });
+      else {
+        if (!node.children.has(part)) node.children.set(part, { name: part, path, children: new Map() });
+        node = node.children.get(part);
+      }
+    });
+  });
+  const list = (node) => [...node.children.values()]
+    .map(child => (child.children ? { ...child, children: list(child) } : child))
+    .sort((a, b) => Boolean(b.children) - Boolean(a.children) || a.name.localeCompare(b.name));
+  return list(root);
+};
+
+/**
+ * Resolves `spec` as written in `from` (`./util`, `../lib/util.h`) against the
+ * project's file names, trying each of `suffixes` in turn. Null when no
+ * project file matches, e.g. for library headers and built-in modules.
+ */
+export const resolveFile = (names, from, spec, suffixes = ['']) => {
+  const base = from.includes('/') ? from.slice(0, from.lastIndexOf('/')).split('/') : [];
+  const parts = spec.startsWith('/') ? [] : [...base];
+  for (const part of spec.split('/')) {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  }
+  const path = parts.join('/');
+  return suffixes.map(s => `${path}${s}`).find(candidate => names.includes(candidate)) ?? null;
+};
+
+/**
+ * The project file a compiler or traceback means by `path`: backends print
+ * it relative ('lib/util.h') or under their own work directory
+ * ('/piston/jobs/.../lib/util.h'). Null for paths outside the project.
+ */
+export const projectFileAt = (project, path) => {
+  const normalized = (path || '').replace(/\\/g, '/').replace(/^\.\//, '');
+  return project.files
+    .map(f => f.name)
+    .filter(name => normalized === name || normalized.endsWith(`/${name}`))
+    .sort((a, b) => b.length - a.length)[0] ?? null;
+};
+
+// Every file as one text, for diffs and search; a single file is just its content.
+export const projectText = (project) => (isMultiFile(project)
+  ? programFiles(project).map(f => `=== ${f.name} ===\n${f.content}`).join('\n')
+  : project.files[0].content);
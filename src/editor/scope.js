@@ -0,0 +1,284 @@
+import { syntaxTree } from '@codemirror/language';
+
+/**
+ * --- SCOPE ANALYSIS ---
+ * Reads declarations out of the editor's syntax tree:
+ *   { name, kind, from, scope: { from, to }, type, signature, line }
+ * kind is 'variable' | 'parameter' | 'function' | 'class' | 'field' | 'module'.
+ * `type` is the written type (C++/Java) or one inferred from the initializer
+ * (JavaScript/Python), normalized for looking up library members; it is null
+ * when unknown. Each language maps its grammar's name nodes to declarations.
+ */
+const TYPE_NODES = new Set([
+  'PrimitiveType', 'TypeIdentifier', 'TemplateType', 'ScopedTypeIdentifier', 'SizedTypeSpecifier', 'auto',
+  'TypeName', 'GenericType', 'ArrayType', 'var', 'void', 'CatchType',
+]);
+
+const textOf = (state, node) => (node ? state.doc.sliceString(node.from, node.to) : '');
+
+const enclosing = (node, names) => {
+  for (let n = node; n; n = n.parent) if (names.has(n.name)) return n;
+  return null;
+};
+
+const firstChildOf = (node, names) => {
+  for (let c = node?.firstChild; c; c = c.nextSibling) if (names.has(c.name)) return c;
+  return null;
+};
+
+// Syntax nodes are fresh objects on every access, so compare positions rather than identity.
+const sameNode = (a, b) => Boolean(a && b) && a.from === b.from && a.to === b.to && a.name === b.name;
+
+const hasPrevSibling = (node, name) => {
+  for (let s = node.prevSibling; s; s = s.prevSibling) if (s.name === name) return true;
+  return false;
+};
+
+const nearestPrevSibling = (node, names) => {
+  for (let s = node.prevSibling; s; s = s.prevSibling) if (names.includes(s.name)) return s;
+  return null;
+};
+
+// `std::vector<int>&` -> 'vector', `List<Integer>` -> 'List', `int[]` -> 'array'.
+const normalizeType = (written) => {
+  const type = written.replace(/\b(const|static|final|unsigned|signed)\b/g, '').replace(/\s+/g, '');
+  if (!type) return null;
+  if (/\[\]$/.test(type)) return 'array';
+  return type.replace(/^std::/, '').replace(/<.*$/, '').replace(/[&*]+$/, '') || null;
+};
+
+const decl = (state, name, kind, scope, extra = {}) => ({
+  name: textOf(state, name),
+  kind,
+  from: name.from,
+  scope: { from: scope?.from ?? 0, to: scope?.to ?? state.doc.length },
+  type: null,
+  signature: null,
+  line: state.doc.lineAt(name.from).number,
+  ...extra,
+});
+
+/** JavaScript: `VariableDefinition` nodes. */
+const JS_SCOPES = new Set(['Block', 'ForStatement', 'CatchClause', 'FunctionDeclaration', 'FunctionExpression', 'ArrowFunction', 'MethodDeclaration', 'ClassBody', 'Script']);
+const JS_FUNCTIONS = new Set(['ArrowFunction', 'FunctionExpression']);
+
+const inferJs = (state, value) => {
+  if (!value) return null;
+  if (value.name === 'ArrayExpression') return 'Array';
+  if (value.name === 'String' || value.name === 'TemplateString') return 'String';
+  if (value.name === 'Number') return 'Number';
+  if (value.name === 'NewExpression') return textOf(state, value.getChild('VariableName')) || null;
+  return null;
+};
+
+const javascript = (state, node) => {
+  if (node.name !== 'VariableDefinition') return null;
+  let parent = node.parent;
+  while (parent && ['ObjectPattern', 'ArrayPattern', 'PatternProperty', 'ImportGroup'].includes(parent.name)) parent = parent.parent;
+  if (!parent) return null;
+
+  if (parent.name === 'FunctionDeclaration' || parent.name === 'ClassDeclaration') {
+    const isClass = parent.name === 'ClassDeclaration';
+    return decl(state, node, isClass ? 'class' : 'function', enclosing(parent.parent, JS_SCOPES), {
+      signature: isClass ? null : `${textOf(state, node)}${textOf(state, parent.getChild('ParamList'))}`,
+    });
+  }
+  if (parent.name === 'ParamList') return decl(state, node, 'parameter', parent.parent);
+  if (parent.name === 'CatchClause') return decl(state, node, 'variable', parent);
+
+  const value = node.nextSibling?.name === 'Equals' ? node.nextSibling.nextSibling : null;
+  if (value && JS_FUNCTIONS.has(value.name)) {
+    return decl(state, node, 'function', enclosing(parent, JS_SCOPES), {
+      signature: `${textOf(state, node)}${textOf(state, value.getChild('ParamList')) || '()'}`,
+    });
+  }
+  return decl(state, node, 'variable', enclosing(parent, JS_SCOPES), { type: inferJs(state, value) });
+};
+
+/** Python: `VariableName` nodes in binding positions. */
+const PY_SCOPES = new Set(['FunctionDefinition', 'LambdaExpression', 'ClassDefinition', 'Script']);
+const PY_COMPREHENSIONS = new Set([
+  'ArrayComprehensionExpression', 'DictionaryComprehensionExpression', 'SetComprehensionExpression', 'ComprehensionExpression',
+  // `sum(x for x in xs)`: a lone generator argument has no node of its own.
+  'ArgList',
+]);
+// `for i, (x, y) in ...`, `a, [b, c] = ...`: names nested in tuple and list targets.
+const PY_PATTERNS = new Set(['TupleExpression', 'ArrayExpression', 'ParenthesizedExpression']);
+const PY_MATCH_CASE = new Set(['MatchClause']);
+const PY_CALL_TYPES = new Set(['list', 'dict', 'set', 'str', 'deque', 'defaultdict', 'Counter', 'tuple']);
+
+const inferPython = (state, value) => {
+  if (!value) return null;
+  if (value.name === 'ArrayExpression' || value.name === 'ArrayComprehensionExpression') return 'list';
+  if (value.name === 'DictionaryExpression' || value.name === 'DictionaryComprehensionExpression') return 'dict';
+  if (value.name === 'SetExpression' || value.name === 'SetComprehensionExpression') return 'set';
+  if (value.name === 'String' || value.name === 'FormatString') return 'str';
+  if (value.name === 'CallExpression') {
+    const callee = textOf(state, value.firstChild).replace(/^collections\./, '');
+    return PY_CALL_TYPES.has(callee) ? callee : null;
+  }
+  return null;
+};
+
+const python = (state, node) => {
+  if (node.name !== 'VariableName') return null;
+  const parent = node.parent;
+  if (!parent) return null;
+  const scope = enclosing(parent.parent, PY_SCOPES);
+
+  if ((parent.name === 'FunctionDefinition' || parent.name === 'ClassDefinition') && sameNode(node, parent.getChild('VariableName'))) {
+    const isClass = parent.name === 'ClassDefinition';
+    return decl(state, node, isClass ? 'class' : 'function', scope, {
+      signature: isClass ? null : `${textOf(state, node)}${textOf(state, parent.getChild('ParamList'))}`,
+    });
+  }
+  // `def f(x=y)`: `y` is a default value, not a parameter.
+  if (parent.name === 'ParamList') return node.prevSibling?.name === 'AssignOp' ? null : decl(state, node, 'parameter', parent.parent);
+  // `case [first, *rest]:`, `case Point(x=px) as p:` bind names for that case.
+  if (parent.name === 'CapturePattern' || (parent.name === 'AsPattern' && node.prevSibling?.name === 'as')) {
+    return decl(state, node, 'variable', enclosing(parent, PY_MATCH_CASE));
+  }
+  // A nested name binds wherever the outermost tuple or list around it would.
+  let target = node;
+  while (PY_PATTERNS.has(target.parent?.name)) target = target.parent;
+  const owner = target.parent;
+  if (owner.name === 'AssignStatement' && !hasPrevSibling(target, 'AssignOp')) {
+    // Unpacking says nothing about each name's type.
+    const ops = owner.getChildren('AssignOp');
+    const value = target === node && ops.length ? ops[ops.length - 1].nextSibling : null;
+    return decl(state, node, 'variable', enclosing(owner, PY_SCOPES), { type: inferPython(state, value) });
+  }
+  if (owner.name === 'ForStatement' && !hasPrevSibling(target, 'in')) return decl(state, node, 'variable', enclosing(owner, PY_SCOPES));
+  // `[y for y in ys]`: each `for` binds the names up to its `in`, visible in the whole comprehension.
+  if (PY_COMPREHENSIONS.has(owner.name) && nearestPrevSibling(target, ['for', 'in'])?.name === 'for') return decl(state, node, 'variable', owner);
+  if ((parent.name === 'WithStatement' || parent.name === 'TryStatement') && node.prevSibling?.name === 'as') {
+    return decl(state, node, 'variable', enclosing(parent, PY_SCOPES));
+  }
+  if (parent.name === 'NamedExpression' && sameNode(node, parent.firstChild)) return decl(state, node, 'variable', enclosing(parent, PY_SCOPES));
+  // `global x` / `nonlocal x` refer to a name bound elsewhere; treat it as known throughout the file.
+  if (parent.name === 'ScopeStatement') return decl(state, node, 'variable', null);
+  if (parent.name === 'ImportStatement' && hasPrevSibling(node, 'import')) {
+    // `import numpy as np` binds only the alias.
+    if (node.nextSibling?.name === 'as') return null;
+    const original = node.prevSibling?.name === 'as' ? node.prevSibling.prevSibling : node;
+    return decl(state, node, 'module', enclosing(parent, PY_SCOPES), { type: textOf(state, original) });
+  }
+  return null;
+};
+
+/** C++: `Identifier` / `FieldIdentifier` / `TypeIdentifier` nodes that name something. */
+const CPP_SCOPES = new Set(['CompoundStatement', 'ForStatement', 'ForRangeLoop', 'FunctionDefinition', 'LambdaExpression', 'FieldDeclarationList', 'Program']);
+const CPP_DECLARATORS = new Set(['InitDeclarator', 'ReferenceDeclarator', 'PointerDeclarator', 'ArrayDeclarator']);
+const CPP_DECLARATIONS = new Set(['Declaration', 'ParameterDeclaration', 'FieldDeclaration', 'ForRangeLoop']);
+
+const cpp = (state, node) => {
+  const parent = node.parent;
+  if (!parent) return null;
+
+  if (node.name === 'TypeIdentifier') {
+    if (parent.name !== 'StructSpecifier' && parent.name !== 'ClassSpecifier') return null;
+    return decl(state, node, 'class', enclosing(parent.parent, CPP_SCOPES));
+  }
+  if (node.name !== 'Identifier' && node.name !== 'FieldIdentifier') return null;
+
+  if (parent.name === 'FunctionDeclarator' && sameNode(parent.firstChild, node)) {
+    const owner = parent.parent;
+    const returnType = textOf(state, firstChildOf(owner, TYPE_NODES));
+    return decl(state, node, 'function', enclosing(owner.parent, CPP_SCOPES), {
+      signature: `${returnType ? `${returnType} ` : ''}${textOf(state, parent)}`,
+      type: normalizeType(returnType),
+    });
+  }
+
+  // Walk out through `&x`, `*x`, `x[5]`, `x = ...` to the declaration itself.
+  let declaration = parent;
+  if (CPP_DECLARATORS.has(parent.name)) {
+    if (!sameNode(parent.firstChild, node)) return null;
+    while (declaration && CPP_DECLARATORS.has(declaration.name)) declaration = declaration.parent;
+  }
+  if (!declaration || !CPP_DECLARATIONS.has(declaration.name)) return null;
+  // In `for (auto& x : v)` only the declarator names something; `v` is the range.
+  if (declaration.name === 'ForRangeLoop' && sameNode(declaration, parent)) return null;
+
+  const type = normalizeType(textOf(state, firstChildOf(declaration, TYPE_NODES)));
+  if (declaration.name === 'ParameterDeclaration') {
+    return decl(state, node, 'parameter', enclosing(declaration, new Set(['FunctionDefinition', 'LambdaExpression'])), { type });
+  }
+  if (declaration.name === 'FieldDeclaration') return decl(state, node, 'field', declaration.parent, { type });
+  if (declaration.name === 'ForRangeLoop') return decl(state, node, 'variable', declaration, { type });
+  return decl(state, node, 'variable', enclosing(declaration.parent, CPP_SCOPES), { type });
+};
+
+/** Java: `Definition` nodes. */
+const JAVA_SCOPES = new Set([
+  'Block', 'ForStatement', 'EnhancedForStatement', 'CatchClause', 'SwitchBlock', 'MethodDeclaration',
+  'ConstructorDeclaration', 'LambdaExpression', 'ClassBody', 'InterfaceBody', 'EnumBody', 'Program',
+]);
+const JAVA_CLASSES = new Set(['ClassDeclaration', 'InterfaceDeclaration', 'EnumDeclaration', 'RecordDeclaration']);
+const JAVA_PARAMETERS = new Set(['FormalParameter', 'CatchFormalParameter', 'SpreadParameter']);
+
+const java = (state, node) => {
+  if (node.name !== 'Definition') return null;
+  const parent = node.parent;
+  if (!parent) return null;
+
+  if (JAVA_CLASSES.has(parent.name)) return decl(state, node, 'class', enclosing(parent.parent, JAVA_SCOPES));
+  if (parent.name === 'MethodDeclaration') {
+    const returnType = textOf(state, firstChildOf(parent, TYPE_NODES));
+    return decl(state, node, 'function', enclosing(parent.parent, JAVA_SCOPES), {
+      signature: `${returnType} ${textOf(state, node)}${textOf(state, parent.getChild('FormalParameters'))}`,
+      type: normalizeType(returnType),
+    });
+  }
+  if (parent.name === 'VariableDeclarator') {
+    const declaration = parent.parent;
+    const type = normalizeType(textOf(state, firstChildOf(declaration, TYPE_NODES)));
+    const kind = declaration.name === 'FieldDeclaration' || declaration.name === 'ConstantDeclaration' ? 'field' : 'variable';
+    return decl(state, node, kind, enclosing(declaration.parent, JAVA_SCOPES), { type });
+  }
+  if (JAVA_PARAMETERS.has(parent.name)) {
+    const type = normalizeType(textOf(state, firstChildOf(parent, TYPE_NODES)));
+    return decl(state, node, 'parameter', enclosing(parent, new Set(['MethodDeclaration', 'ConstructorDeclaration', 'LambdaExpression', 'CatchClause'])), { type });
+  }
+  // `try (Scanner sc = new Scanner(System.in)) { ... }`: resources belong to the whole statement.
+  if (parent.name === 'Resource') {
+    const type = normalizeType(textOf(state, firstChildOf(parent, TYPE_NODES)));
+    return decl(state, node, 'variable', enclosing(parent, new Set(['TryWithResourcesStatement'])), { type });
+  }
+  if (parent.name === 'InferredParameters') return decl(state, node, 'parameter', parent.parent);
+  // `x -> x + 1`
+  if (parent.name === 'LambdaExpression') return decl(state, node, 'parameter', parent);
+  if (parent.name === 'ForSpec') {
+    return decl(state, node, 'variable', parent.parent, { type: normalizeType(textOf(state, node.prevSibling)) });
+  }
+  return null;
+};
+
+const READERS = { javascript, python, cpp, java };
+
+export const collectDeclarations = (state, language) => {
+  const read = READERS[language];
+  if (!read) return [];
+  const found = [];
+  syntaxTree(state).iterate({
+    enter: (ref) => {
+      const result = read(state, ref.node);
+      if (result?.name) found.push(result);
+    },
+  });
+  return found;
+};
+
+// Functions and classes are usable anywhere in their scope; everything else only after it is declared.
+export const isVisible = (declaration, pos) => declaration.scope.from <= pos && pos <= declaration.scope.to
+  && (declaration.kind === 'function' || declaration.kind === 'class' || declaration.from < pos);
+
+export const visibleDeclarations = (state, language, pos) => {
+  const seen = new Map();
+  collectDeclarations(state, language)
+    .filter(d => isVisible(d, pos))
+    // Innermost wins when a name is shadowed.
+    .sort((a, b) => (b.scope.from - a.scope.from) || (a.scope.to - b.scope.to))
+    .forEach(d => { if (!seen.has(d.name)) seen.set(d.name, d); });
+  return [...seen.values()];
+};
@@ -0,0 +1,52 @@
+import { snippetCompletion } from '@codemirror/autocomplete';
+
+/**
+ * --- TEMPLATES ---
+ * Expandable snippets per language. `${name}` fields are visited with Tab;
+ * `${}` marks where the cursor ends up.
+ */
+const template = (label, detail, body) => snippetCompletion(body, { label, detail, type: 'text', info: 'Template', boost: -1 });
+
+const TEMPLATES = {
+  javascript: [
+    template('for', 'counting loop', 'for (let ${i} = 0; ${i} < ${n}; ${i}++) {\n\t${}\n}'),
+    template('forof', 'for...of loop', 'for (const ${item} of ${items}) {\n\t${}\n}'),
+    template('while', 'while loop', 'while (${condition}) {\n\t${}\n}'),
+    template('if', 'if statement', 'if (${condition}) {\n\t${}\n}'),
+    template('function', 'function declaration', 'function ${name}(${params}) {\n\t${}\n}'),
+    template('arrow', 'arrow function', 'const ${name} = (${params}) => {\n\t${}\n};'),
+    template('class', 'class declaration', 'class ${Name} {\n\tconstructor(${params}) {\n\t\t${}\n\t}\n}'),
+    template('log', 'console.log', 'console.log(${});'),
+  ],
+  cpp: [
+    template('main', 'program skeleton', '#include <bits/stdc++.h>\nusing namespace std;\n\nint main() {\n\t${}\n\treturn 0;\n}'),
+    template('for', 'counting loop', 'for (int ${i} = 0; ${i} < ${n}; ${i}++) {\n\t${}\n}'),
+    template('forr', 'range-based for loop', 'for (auto& ${item} : ${items}) {\n\t${}\n}'),
+    template('while', 'while loop', 'while (${condition}) {\n\t${}\n}'),
+    template('if', 'if statement', 'if (${condition}) {\n\t${}\n}'),
+    template('class', 'class declaration', 'class ${Name} {\npublic:\n\t${Name}() {\n\t\t${}\n\t}\n};'),
+    template('struct', 'struct declaration', 'struct ${Name} {\n\t${}\n};'),
+    template('cout', 'print a line', 'cout << ${} << endl;'),
+  ],
+  java: [
+    template('main', 'Main class skeleton', 'public class Main {\n\tpublic static void main(String[] args) {\n\t\t${}\n\t}\n}'),
+    template('psvm', 'main method', 'public static void main(String[] args) {\n\t${}\n}'),
+    template('for', 'counting loop', 'for (int ${i} = 0; ${i} < ${n}; ${i}++) {\n\t${}\n}'),
+    template('foreach', 'enhanced for loop', 'for (${Type} ${item} : ${items}) {\n\t${}\n}'),
+    template('while', 'while loop', 'while (${condition}) {\n\t${}\n}'),
+    template('if', 'if statement', 'if (${condition}) {\n\t${}\n}'),
+    template('class', 'class declaration', 'class ${Name} {\n\t${Name}() {\n\t\t${}\n\t}\n}'),
+    template('sout', 'System.out.println', 'System.out.println(${});'),
+  ],
+  python: [
+    template('main', 'entry point guard', 'def main():\n\t${}\n\n\nif __name__ == "__main__":\n\tmain()'),
+    template('for', 'range loop', 'for ${i} in range(${n}):\n\t${}'),
+    template('forin', 'for...in loop', 'for ${item} in ${items}:\n\t${}'),
+    template('while', 'while loop', 'while ${condition}:\n\t${}'),
+    template('if', 'if statement', 'if ${condition}:\n\t${}'),
+    template('def', 'function definition', 'def ${name}(${params}):\n\t${}'),
+    template('class', 'class definition', 'class ${Name}:\n\tdef __init__(self${params}):\n\t\t${}'),
+  ],
+};
+
+export const templatesFor = (language) => TEMPLATES[language] || [];
@@ -0,0 +1,547 @@
+/**
+ * --- STANDARD LIBRARY MEMBERS ---
+ * What autocomplete offers after `receiver.` (or `std::`). Entries are written
+ * as `signature — doc`; the label is the name before `(` or `:`.
+ * `STATICS` is keyed by the receiver as written (`Math`, `System.out`, `std`),
+ * `TYPES` by the normalized type of a declared variable (see scope.js).
+ */
+const JS_ARRAY = [
+  'length: number — Number of elements',
+  'push(...items): number — Append items; returns the new length',
+  'pop(): T — Remove and return the last element',
+  'shift(): T — Remove and return the first element',
+  'unshift(...items): number — Prepend items; returns the new length',
+  'slice(start?, end?): T[] — Copy of a section of the array',
+  'splice(start, deleteCount?, ...items): T[] — Remove and/or insert elements in place',
+  'concat(...arrays): T[] — New array with the arrays appended',
+  'indexOf(value, from?): number — First index of value, or -1',
+  'includes(value): boolean — Whether the array contains value',
+  'find(fn): T | undefined — First element fn accepts',
+  'findIndex(fn): number — Index of the first element fn accepts, or -1',
+  'filter(fn): T[] — Elements fn accepts',
+  'map(fn): U[] — Results of calling fn on every element',
+  'reduce(fn, initial?): U — Fold the array from the left',
+  'forEach(fn): void — Call fn for every element',
+  'some(fn): boolean — Whether fn accepts any element',
+  'every(fn): boolean — Whether fn accepts every element',
+  'sort(compare?): T[] — Sort in place (strings by default; pass (a, b) => a - b for numbers)',
+  'reverse(): T[] — Reverse in place',
+  'join(separator?): string — Elements joined into a string',
+  'fill(value, start?, end?): T[] — Fill a range with value',
+  'flat(depth?): T[] — Flatten nested arrays',
+  'at(index): T — Element at index; negative counts from the end',
+];
+
+const JS_STRING = [
+  'length: number — Number of UTF-16 code units',
+  'charAt(index): string — Character at index',
+  'charCodeAt(index): number — UTF-16 code unit at index',
+  'indexOf(search, from?): number — First index of search, or -1',
+  'includes(search): boolean — Whether the string contains search',
+  'startsWith(search): boolean — Whether the string starts with search',
+  'endsWith(search): boolean — Whether the string ends with search',
+  'slice(start, end?): string — Section of the string',
+  'substring(start, end?): string — Section of the string (no negative indexes)',
+  'split(separator, limit?): string[] — Split into substrings',
+  'trim(): string — Without leading and trailing whitespace',
+  'toUpperCase(): string — Upper-cased copy',
+  'toLowerCase(): string — Lower-cased copy',
+  'replace(pattern, replacement): string — Replace the first match',
+  'replaceAll(pattern, replacement): string — Replace every match',
+  'repeat(count): string — The string repeated count times',
+  'padStart(length, fill?): string — Pad at the start to length',
+  'padEnd(length, fill?): string — Pad at the end to length',
+];
+
+const JS_MAP = [
+  'size: number — Number of entries',
+  'get(key): V | undefined — Value stored for key',
+  'set(key, value): Map — Store value for key',
+  'has(key): boolean — Whether key is present',
+  'delete(key): boolean — Remove key',
+  'clear(): void — Remove every entry',
+  'keys(): Iterator<K> — Keys in insertion order',
+  'values(): Iterator<V> — Values in insertion order',
+  'entries(): Iterator<[K, V]> — [key, value] pairs in insertion order',
+  'forEach(fn): void — Call fn(value, key) for every entry',
+];
+
+const JS_SET = [
+  'size: number — Number of elements',
+  'add(value): Set — Insert value',
+  'has(value): boolean — Whether value is present',
+  'delete(value): boolean — Remove value',
+  'clear(): void — Remove every element',
+  'values(): Iterator<T> — Elements in insertion order',
+  'forEach(fn): void — Call fn for every element',
+];
+
+const CPP_SEQUENCE = [
+  'size(): size_t — Number of elements',
+  'empty(): bool — Whether there are no elements',
+  'clear(): void — Remove every element',
+  'begin(): iterator — Iterator to the first element',
+  'end(): iterator — Iterator past the last element',
+  'front(): T& — First element',
+  'back(): T& — Last element',
+];
+
+const CPP_VECTOR = [
+  ...CPP_SEQUENCE,
+  'push_back(value): void — Append value',
+  'emplace_back(args...): T& — Construct an element at the end',
+  'pop_back(): void — Remove the last element',
+  'insert(pos, value): iterator — Insert before pos',
+  'erase(pos): iterator — Remove the element at pos',
+  'resize(n, value?): void — Grow or shrink to n elements',
+  'reserve(n): void — Reserve capacity for n elements',
+  'assign(n, value): void — Replace contents with n copies of value',
+  'at(i): T& — Bounds-checked element access',
+  'rbegin(): reverse_iterator — Reverse iterator to the last element',
+  'rend(): reverse_iterator — Reverse iterator before the first element',
+];
+
+const CPP_STRING = [
+  ...CPP_SEQUENCE,
+  'length(): size_t — Number of characters',
+  'push_back(c): void — Append a character',
+  'pop_back(): void — Remove the last character',
+  'substr(pos, len?): string — Substring starting at pos',
+  'find(str, pos?): size_t — First position of str, or string::npos',
+  'rfind(str, pos?): size_t — Last position of str, or string::npos',
+  'append(str): string& — Append str',
+  'insert(pos, str): string& — Insert str at pos',
+  'erase(pos, len?): string& — Remove characters',
+  'replace(pos, len, str): string& — Replace a range with str',
+  'compare(str): int — Three-way comparison',
+  'c_str(): const char* — Null-terminated character array',
+  'at(i): char& — Bounds-checked character access',
+];
+
+const CPP_MAP = [
+  'size(): size_t — Number of entries',
+  'empty(): bool — Whether there are no entries',
+  'clear(): void — Remove every entry',
+  'insert({key, value}): pair<iterator, bool> — Insert if key is absent',
+  'emplace(key, value): pair<iterator, bool> — Construct an entry if key is absent',
+  'erase(key): size_t — Remove key',
+  'find(key): iterator — Entry for key, or end()',
+  'count(key): size_t — 1 if key is present, else 0',
+  'contains(key): bool — Whether key is present (C++20)',
+  'at(key): V& — Bounds-checked value access',
+  'begin(): iterator — Iterator to the first entry',
+  'end(): iterator — Iterator past the last entry',
+  'lower_bound(key): iterator — First entry not less than key (ordered map)',
+  'upper_bound(key): iterator — First entry greater than key (ordered map)',
+];
+
+const CPP_SET = [
+  'size(): size_t — Number of elements',
+  'empty(): bool — Whether there are no elements',
+  'clear(): void — Remove every element',
+  'insert(value): pair<iterator, bool> — Insert if absent',
+  'erase(value): size_t — Remove value',
+  'find(value): iterator — Element, or end()',
+  'count(value): size_t — 1 if present, else 0',
+  'contains(value): bool — Whether value is present (C++20)',
+  'begin(): iterator — Iterator to the first element',
+  'end(): iterator — Iterator past the last element',
+  'lower_bound(value): iterator — First element not less than value (ordered set)',
+  'upper_bound(value): iterator — First element greater than value (ordered set)',
+];
+
+const CPP_ADAPTER = [
+  'size(): size_t — Number of elements',
+  'empty(): bool — Whether there are no elements',
+  'push(value): void — Insert value',
+  'emplace(args...): void — Construct an element in place',
+  'pop(): void — Remove the next element (does not return it)',
+];
+
+const JAVA_COLLECTION = [
+  'size(): int — Number of elements',
+  'isEmpty(): boolean — Whether there are no elements',
+  'clear(): void — Remove every element',
+  'contains(o): boolean — Whether o is present',
+  'stream(): Stream<E> — Sequential stream over the elements',
+  'forEach(action): void — Run action for every element',
+];
+
+const JAVA_LIST = [
+  ...JAVA_COLLECTION,
+  'add(e): boolean — Append e',
+  'add(index, e): void — Insert e at index',
+  'get(index): E — Element at index',
+  'set(index, e): E — Replace the element at index',
+  'remove(index): E — Remove the element at index',
+  'indexOf(o): int — First index of o, or -1',
+  'addAll(c): boolean — Append every element of c',
+  'sort(comparator): void — Sort in place',
+  'subList(from, to): List<E> — View of a range',
+];
+
+const JAVA_MAP = [
+  'size(): int — Number of entries',
+  'isEmpty(): boolean — Whether there are no entries',
+  'clear(): void — Remove every entry',
+  'get(key): V — Value for key, or null',
+  'getOrDefault(key, fallback): V — Value for key, or fallback',
+  'put(key, value): V — Store value for key',
+  'putIfAbsent(key, value): V — Store value if key is absent',
+  'merge(key, value, fn): V — Combine value into the entry for key',
+  'containsKey(key): boolean — Whether key is present',
+  'containsValue(value): boolean — Whether some key maps to value',
+  'remove(key): V — Remove key',
+  'keySet(): Set<K> — The keys',
+  'values(): Collection<V> — The values',
+  'entrySet(): Set<Map.Entry<K, V>> — The entries',
+  'computeIfAbsent(key, fn): V — Value for key, computing it if absent',
+];
+
+const JAVA_SET = [
+  ...JAVA_COLLECTION,
+  'add(e): boolean — Insert e; false if already present',
+  'remove(o): boolean — Remove o',
+  'addAll(c): boolean — Insert every element of c',
+];
+
+const JAVA_DEQUE = [
+  ...JAVA_COLLECTION,
+  'offer(e): boolean — Add e at the tail',
+  'poll(): E — Remove and return the head, or null',
+  'peek(): E — The head, or null',
+  'push(e): void — Add e at the head',
+  'pop(): E — Remove and return the head',
+  'addFirst(e): void — Add e at the head',
+  'addLast(e): void — Add e at the tail',
+  'pollFirst(): E — Remove and return the head, or null',
+  'pollLast(): E — Remove and return the tail, or null',
+  'peekFirst(): E — The head, or null',
+  'peekLast(): E — The tail, or null',
+];
+
+const JAVA_STRING = [
+  'length(): int — Number of characters',
+  'charAt(index): char — Character at index',
+  'substring(begin, end?): String — Section of the string',
+  'indexOf(str): int — First index of str, or -1',
+  'contains(s): boolean — Whether the string contains s',
+  'equals(o): boolean — Value equality (use instead of ==)',
+  'compareTo(s): int — Lexicographic comparison',
+  'isEmpty(): boolean — Whether the length is 0',
+  'split(regex): String[] — Split around regex matches',
+  'trim(): String — Without leading and trailing whitespace',
+  'toCharArray(): char[] — The characters as an array',
+  'toUpperCase(): String — Upper-cased copy',
+  'toLowerCase(): String — Lower-cased copy',
+  'startsWith(prefix): boolean — Whether the string starts with prefix',
+  'endsWith(suffix): boolean — Whether the string ends with suffix',
+  'replace(target, replacement): String — Replace every occurrence',
+];
+
+const PY_LIST = [
+  'append(x) — Add x at the end',
+  'extend(iterable) — Append every item of iterable',
+  'insert(i, x) — Insert x before index i',
+  'pop(i=-1) — Remove and return the item at i',
+  'remove(x) — Remove the first item equal to x',
+  'index(x) — Index of the first item equal to x',
+  'count(x) — Number of items equal to x',
+  'sort(key=None, reverse=False) — Sort in place',
+  'reverse() — Reverse in place',
+  'copy() — Shallow copy',
+  'clear() — Remove every item',
+];
+
+const PY_DICT = [
+  'get(key, default=None) — Value for key, or default',
+  'keys() — View of the keys',
+  'values() — View of the values',
+  'items() — View of (key, value) pairs',
+  'pop(key, default) — Remove key and return its value',
+  'setdefault(key, default=None) — Value for key, inserting default if absent',
+  'update(other) — Add every pair from other',
+  'copy() — Shallow copy',
+  'clear() — Remove every item',
+];
+
+const PY_SET = [
+  'add(x) — Insert x',
+  'remove(x) — Remove x; KeyError if absent',
+  'discard(x) — Remove x if present',
+  'pop() — Remove and return an arbitrary element',
+  'union(*others) — Elements in any of the sets',
+  'intersection(*others) — Elements in every set',
+  'difference(*others) — Elements not in the others',
+  'issubset(other) — Whether every element is in other',
+  'copy() — Shallow copy',
+  'clear() — Remove every element',
+];
+
+const PY_STR = [
+  'split(sep=None) — Split into a list of words',
+  'strip(chars=None) — Without leading and trailing whitespace',
+  'join(iterable) — The strings of iterable joined with this one',
+  'replace(old, new) — Copy with every old replaced by new',
+  'find(sub) — Lowest index of sub, or -1',
+  'startswith(prefix) — Whether the string starts with prefix',
+  'endswith(suffix) — Whether the string ends with suffix',
+  'upper() — Upper-cased copy',
+  'lower() — Lower-cased copy',
+  'isdigit() — Whether every character is a digit',
+  'isalpha() — Whether every character is a letter',
+  'count(sub) — Number of non-overlapping occurrences of sub',
+  'format(*args, **kwargs) — Substitute values into {} fields',
+];
+
+const PY_DEQUE = [
+  'append(x) — Add x on the right',
+  'appendleft(x) — Add x on the left',
+  'pop() — Remove and return the rightmost item',
+  'popleft() — Remove and return the leftmost item',
+  'extend(iterable) — Append items on the right',
+  'rotate(n=1) — Rotate n steps to the right',
+  'clear() — Remove every item',
+];
+
+export const STATICS = {
+  javascript: {
+    Math: [
+      'PI: number — Ratio of a circle\'s circumference to its diameter',
+      'abs(x): number — Absolute value',
+      'floor(x): number — Largest integer ≤ x',
+      'ceil(x): number — Smallest integer ≥ x',
+      'round(x): number — Nearest integer',
+      'trunc(x): number — Integer part of x',
+      'max(...values): number — Largest argument',
+      'min(...values): number — Smallest argument',
+      'pow(x, y): number — x to the power y',
+      'sqrt(x): number — Square root',
+      'log(x): number — Natural logarithm',
+      'log2(x): number — Base-2 logarithm',
+      'random(): number — Pseudo-random number in [0, 1)',
+      'sign(x): number — -1, 0 or 1',
+    ],
+    console: [
+      'log(...values): void — Print to standard output',
+      'error(...values): void — Print to standard error',
+      'warn(...values): void — Print a warning to standard error',
+      'info(...values): void — Print to standard output',
+      'table(data): void — Print data as a table',
+    ],
+    JSON: [
+      'stringify(value, replacer?, space?): string — Serialize value as JSON',
+      'parse(text): any — Parse JSON text',
+    ],
+    Object: [
+      'keys(obj): string[] — Own enumerable property names',
+      'values(obj): any[] — Own enumerable property values',
+      'entries(obj): [string, any][] — Own enumerable [key, value] pairs',
+      'assign(target, ...sources): object — Copy properties into target',
+      'fromEntries(entries): object — Object from [key, value] pairs',
+      'freeze(obj): object — Make obj immutable',
+    ],
+    Array: [
+      'from(iterable, mapFn?): T[] — Array from an iterable or array-like',
+      'isArray(value): boolean — Whether value is an array',
+      'of(...items): T[] — Array of the arguments',
+    ],
+    Number: [
+      'MAX_SAFE_INTEGER: number — 2^53 - 1',
+      'MIN_SAFE_INTEGER: number — -(2^53 - 1)',
+      'parseInt(text, radix?): number — Parse an integer',
+      'parseFloat(text): number — Parse a floating-point number',
+      'isInteger(value): boolean — Whether value is an integer',
+      'isNaN(value): boolean — Whether value is NaN',
+    ],
+    String: [
+      'fromCharCode(...codes): string — String from UTF-16 code units',
+    ],
+  },
+  python: {
+    math: [
+      'pi — The constant π',
+      'inf — Positive infinity',
+      'sqrt(x) — Square root',
+      'floor(x) — Largest integer ≤ x',
+      'ceil(x) — Smallest integer ≥ x',
+      'gcd(*integers) — Greatest common divisor',
+      'lcm(*integers) — Least common multiple',
+      'log(x, base=e) — Logarithm',
+      'log2(x) — Base-2 logarithm',
+      'factorial(n) — n!',
+      'comb(n, k) — Ways to choose k items from n',
+      'isqrt(n) — Integer square root',
+    ],
+    heapq: [
+      'heappush(heap, item) — Push item, keeping the heap invariant',
+      'heappop(heap) — Pop the smallest item',
+      'heapify(x) — Turn list x into a heap in place',
+      'nlargest(n, iterable) — The n largest items',
+      'nsmallest(n, iterable) — The n smallest items',
+    ],
+    random: [
+      'random() — Float in [0, 1)',
+      'randint(a, b) — Integer in [a, b]',
+      'choice(seq) — Random element of seq',
+      'shuffle(x) — Shuffle list x in place',
+    ],
+    sys: [
+      'stdin — Standard input stream',
+      'setrecursionlimit(limit) — Set the maximum recursion depth',
+      'maxsize — Largest list index',
+    ],
+    collections: [
+      'deque(iterable=()) — Double-ended queue',
+      'defaultdict(default_factory) — dict that creates missing values',
+      'Counter(iterable) — dict that counts hashable items',
+      'OrderedDict() — dict that remembers insertion order',
+    ],
+    itertools: [
+      'permutations(iterable, r=None) — Successive r-length permutations',
+      'combinations(iterable, r) — r-length subsequences',
+      'product(*iterables, repeat=1) — Cartesian product',
+      'accumulate(iterable) — Running totals',
+    ],
+  },
+  cpp: {
+    std: [
+      'cout — Standard output stream',
+      'cin — Standard input stream',
+      'endl — Newline and flush',
+      'sort(first, last, comp?) — Sort a range',
+      'reverse(first, last) — Reverse a range',
+      'max(a, b) — Larger of a and b',
+      'min(a, b) — Smaller of a and b',
+      'swap(a, b) — Exchange a and b',
+      'find(first, last, value) — First iterator equal to value',
+      'lower_bound(first, last, value) — First element not less than value',
+      'upper_bound(first, last, value) — First element greater than value',
+      'accumulate(first, last, init) — Sum of a range (<numeric>)',
+      'max_element(first, last) — Iterator to the largest element',
+      'min_element(first, last) — Iterator to the smallest element',
+      'fill(first, last, value) — Assign value to a range',
+      'to_string(value) — Decimal string of a number',
+      'stoi(str) — Parse an int',
+      'getline(stream, str) — Read a line',
+      'make_pair(a, b) — pair<A, B>{a, b}',
+      'vector<T> — Dynamic array',
+      'string — Character string',
+      'map<K, V> — Ordered map',
+      'unordered_map<K, V> — Hash map',
+      'set<T> — Ordered set',
+      'queue<T> — FIFO queue',
+      'stack<T> — LIFO stack',
+      'priority_queue<T> — Max-heap by default',
+    ],
+  },
+  java: {
+    Math: [
+      'abs(a) — Absolute value',
+      'max(a, b) — Larger of a and b',
+      'min(a, b) — Smaller of a and b',
+      'pow(a, b): double — a to the power b',
+      'sqrt(a): double — Square root',
+      'floor(a): double — Largest integer ≤ a',
+      'ceil(a): double — Smallest integer ≥ a',
+      'random(): double — Pseudo-random number in [0, 1)',
+      'floorMod(x, y) — Modulo with the sign of y',
+    ],
+    'System.out': [
+      'println(x): void — Print x and a newline',
+      'print(x): void — Print x',
+      'printf(format, args...): PrintStream — Formatted print',
+    ],
+    System: [
+      'out: PrintStream — Standard output',
+      'err: PrintStream — Standard error',
+      'in: InputStream — Standard input',
+      'currentTimeMillis(): long — Current time in milliseconds',
+      'nanoTime(): long — High-resolution timer in nanoseconds',
+      'arraycopy(src, srcPos, dest, destPos, length): void — Copy array elements',
+    ],
+    Arrays: [
+      'sort(a): void — Sort an array in place',
+      'fill(a, value): void — Assign value to every element',
+      'toString(a): String — "[1, 2, 3]"-style string',
+      'asList(a...): List<T> — Fixed-size list view',
+      'copyOf(a, length): T[] — Truncated or padded copy',
+      'binarySearch(a, key): int — Index of key in a sorted array',
+    ],
+    Collections: [
+      'sort(list): void — Sort a list in place',
+      'reverse(list): void — Reverse a list in place',
+      'max(coll): T — Largest element',
+      'min(coll): T — Smallest element',
+      'swap(list, i, j): void — Swap two elements',
+      'reverseOrder(): Comparator<T> — Comparator for descending order',
+    ],
+    Integer: [
+      'MAX_VALUE: int — 2^31 - 1',
+      'MIN_VALUE: int — -2^31',
+      'parseInt(s): int — Parse an int',
+      'valueOf(i): Integer — Boxed value',
+      'toString(i): String — Decimal string',
+      'toBinaryString(i): String — Binary string',
+    ],
+    String: [
+      'valueOf(x): String — String form of x',
+      'join(delimiter, elements): String — Elements joined with delimiter',
+      'format(format, args...): String — Formatted string',
+    ],
+    Character: [
+      'isDigit(c): boolean — Whether c is a digit',
+      'isLetter(c): boolean — Whether c is a letter',
+      'isUpperCase(c): boolean — Whether c is upper case',
+      'toUpperCase(c): char — Upper-case c',
+      'toLowerCase(c): char — Lower-case c',
+    ],
+  },
+};
+
+export const TYPES = {
+  javascript: { Array: JS_ARRAY, String: JS_STRING, Map: JS_MAP, Set: JS_SET },
+  python: {
+    list: PY_LIST, dict: PY_DICT, set: PY_SET, str: PY_STR, deque: PY_DEQUE,
+    defaultdict: PY_DICT, Counter: [...PY_DICT, 'most_common(n=None) — The n most common (item, count) pairs'],
+  },
+  cpp: {
+    vector: CPP_VECTOR, array: CPP_VECTOR, deque: [...CPP_VECTOR, 'push_front(value): void — Prepend value', 'pop_front(): void — Remove the first element'],
+    string: CPP_STRING,
+    map: CPP_MAP, unordered_map: CPP_MAP,
+    set: CPP_SET, unordered_set: CPP_SET,
+    queue: [...CPP_ADAPTER, 'front(): T& — Next element out', 'back(): T& — Last element in'],
+    stack: [...CPP_ADAPTER, 'top(): T& — Next element out'],
+    priority_queue: [...CPP_ADAPTER, 'top(): const T& — Largest element (by the comparator)'],
+    pair: ['first — First member', 'second — Second member'],
+  },
+  java: {
+    String: JAVA_STRING,
+    List: JAVA_LIST, ArrayList: JAVA_LIST, LinkedList: [...JAVA_LIST, ...JAVA_DEQUE],
+    Map: JAVA_MAP, HashMap: JAVA_MAP, TreeMap: JAVA_MAP, LinkedHashMap: JAVA_MAP,
+    Set: JAVA_SET, HashSet: JAVA_SET, TreeSet: JAVA_SET, LinkedHashSet: JAVA_SET,
+    Deque: JAVA_DEQUE, ArrayDeque: JAVA_DEQUE, Queue: JAVA_DEQUE,
+    Stack: [...JAVA_COLLECTION, 'push(e): E — Push e', 'pop(): E — Remove and return the top', 'peek(): E — The top'],
+    PriorityQueue: [...JAVA_COLLECTION, 'offer(e): boolean — Insert e', 'add(e): boolean — Insert e', 'poll(): E — Remove and return the head', 'peek(): E — The head'],
+    StringBuilder: [
+      'append(x): StringBuilder — Append x',
+      'insert(offset, x): StringBuilder — Insert x at offset',
+      'reverse(): StringBuilder — Reverse in place',
+      'toString(): String — The built string',
+      'length(): int — Number of characters',
+      'charAt(index): char — Character at index',
+      'setCharAt(index, c): void — Replace the character at index',
+      'deleteCharAt(index): StringBuilder — Remove the character at index',
+    ],
+    array: ['length — Number of elements'],
+  },
+};
+
+// `'push(...items): number — Append items'` -> a CodeMirror completion.
+export const toCompletion = (entry) => {
+  const [signature, doc = ''] = entry.split(' — ');
+  const label = signature.match(/^[\w$]+/)[0];
+  const next = signature[label.length];
+  const type = next === '(' ? 'method' : next === '<' ? 'class' : 'property';
+  return { label, type, detail: signature.slice(label.length), info: doc };
+};
@@ -0,0 +1,42 @@
+import { EditorView } from '@codemirror/view';
+import { syntaxHighlighting } from '@codemirror/language';
+import { oneDarkHighlightStyle } from '@codemirror/theme-one-dark';
+
+/**
+ * --- EDITOR THEME ---
+ * One Dark token colours on the app's own surface colours.
+ */
+const surface = EditorView.theme({
+  '&': { height: '100%', backgroundColor: '#0d1117', color: '#cbd5e1', fontSize: '14px' },
+  '.cm-scroller': { fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace', lineHeight: '1.5rem' },
+  '.cm-content': { caretColor: '#34d399', padding: '16px 0' },
+  '&.cm-focused': { outline: 'none' },
+  '&.cm-focused .cm-cursor': { borderLeftColor: '#34d399' },
+  '&.cm-focused > .cm-scroller > .cm-selectionLayer .cm-selectionBackground, .cm-selectionBackground, ::selection': { backgroundColor: '#264f78' },
+  '.cm-gutters': { backgroundColor: '#0d1117', color: '#475569', border: 'none' },
+  '.cm-lineNumbers .cm-gutterElement': { cursor: 'pointer', paddingLeft: '4px' },
+  '.cm-lineNumbers .cm-gutterElement:hover': { color: '#94a3b8' },
+  '.cm-activeLine': { backgroundColor: 'rgba(255, 255, 255, 0.03)' },
+  '.cm-activeLineGutter': { backgroundColor: 'transparent', color: '#94a3b8' },
+  '.cm-breakpoint-gutter .cm-gutterElement': { color: '#f87171', cursor: 'pointer', padding: '0 2px 0 6px', fontSize: '11px' },
+  '.cm-step-line': { backgroundColor: 'rgba(16, 185, 129, 0.1)', boxShadow: 'inset 2px 0 #10b981' },
+  '.cm-error-line': { backgroundColor: 'rgba(239, 68, 68, 0.1)', boxShadow: 'inset 2px 0 #ef4444' },
+  '.cm-matchingBracket': { backgroundColor: 'rgba(52, 211, 153, 0.2)', outline: '1px solid rgba(52, 211, 153, 0.5)' },
+  '.cm-nonmatchingBracket': { backgroundColor: 'rgba(239, 68, 68, 0.3)' },
+  '.cm-searchMatch': { backgroundColor: 'rgba(250, 204, 21, 0.2)', outline: '1px solid rgba(250, 204, 21, 0.4)' },
+  '.cm-searchMatch.cm-searchMatch-selected': { backgroundColor: 'rgba(250, 204, 21, 0.4)' },
+  '.cm-selectionMatch': { backgroundColor: 'rgba(148, 163, 184, 0.15)' },
+  '.cm-foldPlaceholder': { backgroundColor: '#1e293b', border: '1px solid #334155', color: '#94a3b8' },
+  '.cm-panels': { backgroundColor: '#161b22', color: '#cbd5e1' },
+  '.cm-panels.cm-panels-top': { borderBottom: '1px solid #1e293b' },
+  '.cm-panels.cm-panels-bottom': { borderTop: '1px solid #1e293b' },
+  '.cm-textfield': { backgroundColor: '#0d1117', border: '1px solid #334155', borderRadius: '4px', color: '#e2e8f0' },
+  '.cm-button': { backgroundImage: 'none', backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '4px', color: '#e2e8f0' },
+  '.cm-tooltip': { backgroundColor: '#1e232b', border: '1px solid #334155', borderRadius: '4px', color: '#cbd5e1' },
+  '.cm-tooltip .cm-diagnostic': { fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace', fontSize: '12px' },
+  '.cm-diagnostic-error': { borderLeftColor: '#ef4444' },
+  '.cm-diagnostic-warning': { borderLeftColor: '#facc15' },
+  '.cm-tooltip-autocomplete > ul > li[aria-selected]': { backgroundColor: 'rgba(16, 185, 129, 0.2)', color: '#34d399' },
+}, { dark: true });
+
+export const editorTheme = [surface, syntaxHighlighting(oneDarkHighlightStyle)];
@@ -0,0 +1,154 @@
+/**
+ * --- EXECUTION BACKENDS ---
+ * "Run Code" goes through one of these. Every backend exposes the same shape:
+ *   runtimes()  -> [{ language, version, aliases }]
+ *   execute({ language, version, files, stdin, args }) -> { language, version, compile, run }
+ * where `compile` is null or `{ stdout, stderr, output, code, signal, time }` and
+ * `run` has the same fields (null if compilation failed), mirroring Piston's v2
+ * API. `time` is the stage's wall time in ms when the backend reports it.
+ * `files[0]` is the entry point. File names may be paths into folders
+ * ('lib/util.h'), as in a multi-file project (editor/project.js).
+ */
+export const DEFAULT_RUN_TIMEOUT_MS = 5000;
+
+export class BackendError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackendError';
+  }
+}
+
+// Names each editor language may appear under in a runtime list, most specific first.
+const RUNTIME_NAMES = {
+  javascript: ['javascript', 'js', 'node-javascript', 'node-js'],
+  cpp: ['c++', 'cpp', 'g++'],
+  java: ['java'],
+  python: ['python', 'python3', 'py'],
+};
+
+const compareVersions = (a, b) => {
+  const pa = String(a).split(/[.-]/).map(Number);
+  const pb = String(b).split(/[.-]/).map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff) return diff;
+  }
+  return 0;
+};
+
+// The newest runtime that can run `language`, or null if the backend has none.
+export const findRuntime = (runtimes, language) => {
+  const names = RUNTIME_NAMES[language] || [language];
+  const matches = (runtimes || []).filter(r => names.includes(r.language) || r.aliases?.some(a => names.includes(a)));
+  return matches.sort((a, b) => compareVersions(b.version, a.version))[0] || null;
+};
+
+const stage = (raw) => (raw ? {
+  stdout: raw.stdout || '',
+  stderr: raw.stderr || '',
+  output: raw.output ?? `${raw.stdout || ''}${raw.stderr || ''}`,
+  code: raw.code ?? null,
+  signal: raw.signal ?? null,
+  time: raw.wall_time ?? null,
+} : null);
+
+const requestJson = async (url, init) => {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (e) {
+    throw new BackendError(`Could not reach ${url}: ${e.message}`);
+  }
+  const data = await response.json().catch(() => null);
+  if (!response.ok || data?.message) {
+    throw new BackendError(data?.message || `${url} answered ${response.status} ${response.statusText}`.trim());
+  }
+  return data;
+};
+
+/**
+ * A Piston v2 server: the public instance, a self-hosted one, or anything that
+ * speaks the same protocol (see scripts/local-runner.js). `url` is the API root
+ * that `/runtimes` and `/execute` hang off; run timeouts are capped at
+ * `maxTimeoutMs`, the most the server accepts.
+ */
+export const createPistonBackend = ({ url, maxTimeoutMs = Infinity }) => {
+  const base = url.replace(/\/+$/, '');
+  return {
+    runtimes: async () => {
+      const list = await requestJson(`${base}/runtimes`);
+      return list.map(({ language, version, aliases = [] }) => ({ language, version, aliases }));
+    },
+    execute: async ({ language, version, files, stdin = '', args = [], timeoutMs }) => {
+      const data = await requestJson(`${base}/execute`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        // Without a timeout the server applies its own limit; the public instance rejects anything above it.
+        body: JSON.stringify({ language, version, files, stdin, args, ...(timeoutMs ? { run_timeout: Math.min(timeoutMs, maxTimeoutMs) } : {}) }),
+      });
+      return { language: data.language, version: data.version, compile: stage(data.compile), run: stage(data.run) };
+    },
+  };
+};
+
+/**
+ * JavaScript only, run in a throwaway worker with the visualizer's sandboxing.
+ * Needs no server at all, which makes it the fallback when none is reachable.
+ */
+export const createBrowserBackend = () => ({
+  runtimes: async () => [{ language: 'javascript', version: 'browser', aliases: ['js'] }],
+  execute: ({ language, files, stdin = '', args = [], timeoutMs = DEFAULT_RUN_TIMEOUT_MS }) => {
+    if (!RUNTIME_NAMES.javascript.includes(language)) {
+      return Promise.reject(new BackendError(`The in-browser runner only runs JavaScript, not ${language}.`));
+    }
+    const worker = new Worker(new URL('./browser.worker.js', import.meta.url), { type: 'module' });
+    return new Promise(resolve => {
+      const finish = (run) => {
+        clearTimeout(timer);
+        worker.terminate();
+        resolve({ language: 'javascript', version: 'browser', compile: null, run: stage(run) });
+      };
+      const timer = setTimeout(() => finish({
+        stderr: `Time limit of ${timeoutMs / 1000}s exceeded.\n`, code: null, signal: 'SIGKILL',
+      }), timeoutMs);
+      worker.onmessage = ({ data }) => finish(data);
+      worker.onerror = (e) => finish({ stderr: `${e.message || 'Runner worker crashed.'}\n`, code: 1 });
+      worker.postMessage({ files, stdin, args });
+    });
+  },
+});
+
+export const BACKENDS = {
+  // The public Piston instance refuses run timeouts over 3s; the local runner caps them at 30s itself.
+  piston: { name: 'Piston', needsUrl: true, defaultUrl: import.meta.env.VITE_PISTON_URL || 'https://emkc.org/api/v2/piston', maxTimeoutMs: 3000 },
+  local: { name: 'Local runner', needsUrl: true, defaultUrl: import.meta.env.VITE_LOCAL_RUNNER_URL || 'http://localhost:2000/api/v2', maxTimeoutMs: 30000 },
+  browser: { name: 'In-browser (JavaScript only)', needsUrl: false },
+};
+
+export const createBackend = ({ kind, url }) => {
+  if (kind === 'browser') return createBrowserBackend();
+  return createPistonBackend({ url: url || BACKENDS[kind]?.defaultUrl || BACKENDS.piston.defaultUrl, maxTimeoutMs: BACKENDS[kind]?.maxTimeoutMs });
+};
+
+/**
+ * --- BACKEND SETTINGS ---
+ * The build picks the default (`VITE_EXECUTION_BACKEND`, plus the URL variables
+ * above); a choice made in the settings panel is kept in localStorage and wins.
+ */
+const SETTINGS_KEY = 'kode-it:execution-backend';
+
+const envKind = import.meta.env.VITE_EXECUTION_BACKEND;
+export const DEFAULT_BACKEND_SETTINGS = { kind: envKind in BACKENDS ? envKind : 'piston', url: '' };
+
+export const loadBackendSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (saved && saved.kind in BACKENDS) return { ...DEFAULT_BACKEND_SETTINGS, ...saved };
+  } catch { /* unreadable settings fall back to the defaults */ }
+  return DEFAULT_BACKEND_SETTINGS;
+};
+
+export const saveBackendSettings = (settings) => {
+  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); }
+  catch { /* storage disabled: the choice lasts for this session only */ }
+};
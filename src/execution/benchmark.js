@@ -0,0 +1,157 @@
+import { BackendError } from './backends.js';
+
+/**
+ * --- BENCHMARK MODE ---
+ * Measures how a program's cost grows: a generator (a JavaScript function of
+ * n returning the program's stdin) produces inputs at increasing n, the
+ * program runs on each through the execution backend, and every size yields
+ * a point `{ n, time, steps }`. `time` is the backend's wall time in ms (the
+ * fastest of `repeats` runs); `steps` counts the visualizer's trace points
+ * (JavaScript, C++ and Java) and is null for Python.
+ * The run stops at the first size that fails or exceeds the time limit.
+ */
+export const DEFAULT_GENERATOR = `// Returns the program's standard input for size n.
+(n) => {
+  const values = Array.from({ length: n }, () => Math.floor(Math.random() * 1e6));
+  return \`\${n}\\n\${values.join(' ')}\\n\`;
+}`;
+
+export const DEFAULT_BENCHMARK = { generator: DEFAULT_GENERATOR, from: 100, to: 10000, points: 8, repeats: 1, timeLimitMs: 3000 };
+
+export const STEP_COUNTED_LANGUAGES = new Set(['javascript', 'cpp', 'java']);
+
+// Geometric spacing, so every doubling of n gets about the same number of points.
+export const benchmarkSizes = ({ from, to, points }) => {
+  const low = Math.max(1, Math.round(Math.min(from, to)));
+  const high = Math.max(low, Math.round(Math.max(from, to)));
+  const count = Math.max(2, Math.round(points));
+  const ratio = (high / low) ** (1 / (count - 1));
+  return [...new Set(Array.from({ length: count }, (_, i) => Math.round(low * ratio ** i)))];
+};
+
+/** One long-lived helper worker; a request that overruns its time limit takes the worker down with it. */
+const createHelper = () => {
+  let worker = null;
+  let nextId = 0;
+  const pending = new Map();
+
+  const failAll = (error) => {
+    pending.forEach(settle => settle({ error }));
+    pending.clear();
+  };
+  const stop = () => {
+    worker?.terminate();
+    worker = null;
+  };
+
+  const request = (message, timeoutMs, timeoutMessage) => new Promise(resolve => {
+    if (!worker) {
+      worker = new Worker(new URL('./benchmark.worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = ({ data }) => {
+        pending.get(data.id)?.(data);
+        pending.delete(data.id);
+      };
+      worker.onerror = (e) => {
+        stop();
+        failAll(e.message || 'Benchmark worker crashed.');
+      };
+    }
+    const id = nextId++;
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      stop();
+      resolve({ error: timeoutMessage, timedOut: true });
+    }, timeoutMs);
+    pending.set(id, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+    worker.postMessage({ ...message, id });
+  });
+
+  return { request, close: () => { stop(); failAll('Benchmark cancelled.'); } };
+};
+
+const firstLine = (text) => text.trim().split('\n')[0];
+
+// Ends the run at the current size; the message says why.
+class BenchmarkStop extends Error {}
+
+const timeRun = async (backend, { runtime, files, args }, stdin, timeLimitMs) => {
+  const started = performance.now();
+  const { compile, run } = await backend.execute({
+    language: runtime.language, version: runtime.version, files, args, stdin, timeoutMs: timeLimitMs,
+  });
+  if (compile && compile.code !== 0) throw new BenchmarkStop(`Compilation failed: ${firstLine(compile.output || compile.stderr)}`);
+  if (!run) throw new BenchmarkStop('The backend returned no run result.');
+  const time = run.time ?? Math.round(performance.now() - started);
+  if (run.signal === 'SIGKILL' || time > timeLimitMs) throw new BenchmarkStop(`Time limit of ${timeLimitMs / 1000}s exceeded.`);
+  if (run.signal || run.code !== 0) throw new BenchmarkStop(`Runtime error: ${firstLine(run.stderr) || (run.signal ? `killed by ${run.signal}` : `exit code ${run.code}`)}`);
+  return time;
+};
+
+/**
+ * `program` is `{ runtime, files, args, project, language }`. `onPoint(point)` fires
+ * after each size; the promise resolves with `{ points, stopped, stepsNote }`
+ * where `stopped` is null or `{ n, message }` for the size that ended the run
+ * early and `stepsNote` says why steps are missing, if they are.
+ */
+export const runBenchmark = (backend, program, settings, onPoint) => {
+  const helper = createHelper();
+  let cancelled = false;
+  const countSteps = STEP_COUNTED_LANGUAGES.has(program.language);
+
+  const promise = (async () => {
+    const points = [];
+    let counting = countSteps;
+    let stepsNote = countSteps ? null : 'Steps are not counted for this language.';
+    // A cancelled run ends quietly, whatever the interrupted request reported.
+    const finish = (stopped = null) => ({ points, stopped: cancelled ? null : stopped, stepsNote });
+    try {
+      for (const n of benchmarkSizes(settings)) {
+        if (cancelled) return finish();
+        const generated = await helper.request({ type: 'generate', source: settings.generator, n }, settings.timeLimitMs,
+          `The generator took longer than ${settings.timeLimitMs / 1000}s.`);
+        if (generated.error) return finish({ n, message: `Generator: ${generated.error}` });
+
+        let time = Infinity;
+        for (let r = 0; r < Math.max(1, settings.repeats); r++) {
+          if (cancelled) return finish();
+          time = Math.min(time, await timeRun(backend, program, generated.input, settings.timeLimitMs));
+        }
+
+        let steps = null;
+        if (counting && !cancelled) {
+          const counted = await helper.request({ type: 'count', project: program.project, language: program.language, stdin: generated.input },
+            settings.timeLimitMs, `Counting steps took longer than ${settings.timeLimitMs / 1000}s.`);
+          if (cancelled) return finish();
+          if (counted.error) {
+            // Timing still works; only the step curve ends here.
+            counting = false;
+            stepsNote = `Steps stopped at n = ${n}: ${counted.error}`;
+          } else steps = counted.steps;
+        }
+
+        const point = { n, time, steps };
+        points.push(point);
+        onPoint?.(point);
+      }
+      return finish();
+    } catch (e) {
+      if (e instanceof BenchmarkStop || e instanceof BackendError) {
+        return finish({ n: benchmarkSizes(settings)[points.length], message: e.message });
+      }
+      throw e;
+    } finally {
+      helper.close();
+    }
+  })();
+
+  return {
+    promise,
+    cancel: () => {
+      cancelled = true;
+      helper.close();
+    },
+  };
+};
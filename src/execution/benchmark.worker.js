@@ -0,0 +1,67 @@
+import { BLOCKED_GLOBALS } from '../visualizer/sandbox.js';
+import { compileProgram } from '../visualizer/linker.js';
+import { createRuntime, ExitSignal as RuntimeExit } from '../visualizer/transpiler/index.js';
+import { createNodeShim, ExitSignal } from './nodeShim.js';
+
+/**
+ * --- BENCHMARK WORKER ---
+ * Helpers for benchmark mode that must not run on the page:
+ *   { id, type: 'generate', source, n }             -> { id, input } | { id, error }
+ *   { id, type: 'count', project, language, stdin } -> { id, steps } | { id, error }
+ * Counting reuses the visualizer's instrumentation with a tracer that only
+ * counts, so "steps" means the same thing as a step in the visualizer.
+ * The caller enforces time limits by terminating the worker.
+ */
+const TRANSPILED = new Set(['cpp', 'java']);
+const QUIET = { log() {}, info() {}, debug() {}, warn() {}, error() {} };
+
+const generate = (source, n) => {
+  const make = new Function(...BLOCKED_GLOBALS, `return (${source.trim().replace(/;$/, '')});`)();
+  if (typeof make !== 'function') throw new Error('The generator must be a function of n.');
+  const input = make(n);
+  if (typeof input !== 'string') throw new Error(`The generator must return the program's input as a string, not ${typeof input}.`);
+  return input;
+};
+
+class CompileFailure extends Error {}
+
+// The same program is counted once per size; instrument it only once.
+let compiled = null;
+
+const compile = (project, language) => {
+  const key = JSON.stringify([project, language]);
+  if (compiled?.key === key) return compiled.run;
+  const { run, error } = compileProgram(project, language);
+  if (error) throw new CompileFailure(`${error.file ? `${error.file}:` : ''}${error.line ? `${error.line}: ` : ''}${error.message}`);
+  compiled = { key, run };
+  return run;
+};
+
+const count = async (project, language, stdin) => {
+  let steps = 0;
+  const tick = () => { steps++; };
+  const counter = { step: tick, enter: tick, exit() {}, ret: (line, value) => { tick(); return value; } };
+
+  const run = compile(project, language);
+  const runtime = TRANSPILED.has(language) ? createRuntime({ lang: language, console: QUIET, stdin }) : null;
+  const shim = createNodeShim({ stdin, write: () => {} });
+  try {
+    await run({ traceAt: () => counter, runtime, console: runtime ? QUIET : shim.console, builtin: shim.require, process: shim.process });
+    shim.drainInput();
+  } catch (e) {
+    const thrown = runtime ? runtime.error(e) : e;
+    if (!(thrown instanceof ExitSignal || thrown instanceof RuntimeExit)) throw thrown;
+  }
+  return steps;
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type } = data;
+  try {
+    if (type === 'generate') postMessage({ id, input: generate(data.source, data.n) });
+    else if (type === 'count') postMessage({ id, steps: await count(data.project, data.language, data.stdin) });
+  } catch (e) {
+    const message = e instanceof CompileFailure ? e.message : `${e?.name || 'Error'}: ${e?.message ?? e}`;
+    postMessage({ id, error: message });
+  }
+};
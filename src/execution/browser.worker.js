@@ -0,0 +1,51 @@
+import { BLOCKED_GLOBALS } from '../visualizer/sandbox.js';
+import { createModules } from './modules.js';
+import { createNodeShim, ExitSignal } from './nodeShim.js';
+
+/**
+ * --- BROWSER RUNNER WORKER ---
+ * Runs one JavaScript program for the in-browser backend and replies once with
+ * `{ stdout, stderr, output, code, wall_time }`, shaped like a Piston run stage.
+ * The Node shim (nodeShim.js) lets typical console programs run unchanged.
+ * `files[0]` is the entry; it can `require` the other files as CommonJS modules.
+ * The caller enforces the time limit by terminating the worker.
+ */
+const PARAMS = ['console', 'require', 'module', 'exports', 'process', ...BLOCKED_GLOBALS];
+
+self.onmessage = async ({ data: { files, stdin = '', args = [] } }) => {
+  let stdout = '';
+  let stderr = '';
+  let output = '';
+  const shim = createNodeShim({
+    stdin,
+    args,
+    write: (stream, text) => {
+      if (stream === 'stdout') stdout += text;
+      else stderr += text;
+      output += text;
+    },
+  });
+
+  let exitCode = 0;
+  const started = performance.now();
+  try {
+    const [entry] = files;
+    const { requireFrom } = createModules({ files }, {
+      load: (file) => (require, module, exports) => {
+        new Function(...PARAMS, file.content)(shim.console, require, module, exports, shim.process);
+      },
+      builtin: shim.require,
+    });
+    const run = new Function(...PARAMS, `return (async () => {\n${entry.content}\n})();`);
+    const module = { exports: {} };
+    await run(shim.console, requireFrom(entry.name ?? ''), module, module.exports, shim.process);
+    shim.drainInput();
+  } catch (e) {
+    if (e instanceof ExitSignal) exitCode = e.code;
+    else {
+      shim.console.error(`${e?.name || 'Error'}: ${e?.message ?? e}`);
+      exitCode = 1;
+    }
+  }
+  postMessage({ stdout, stderr, output, code: exitCode, wall_time: Math.round(performance.now() - started) });
+};
@@ -0,0 +1,62 @@
+/**
+ * --- CONSOLE HELPERS ---
+ * Turning the input pane's argument string into argv, and compiler / runtime
+ * output into clickable locations in the user's code.
+ */
+
+// Shell-like splitting: whitespace separates, quotes group, backslash escapes.
+export const splitArgs = (text) => {
+  const args = [];
+  let current = null;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === '\\' && quote === '"' && i + 1 < text.length) current += text[++i];
+      else current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current = current ?? '';
+    } else if (/\s/.test(ch)) {
+      if (current !== null) args.push(current);
+      current = null;
+    } else if (ch === '\\' && i + 1 < text.length) {
+      current = (current ?? '') + text[++i];
+    } else {
+      current = (current ?? '') + ch;
+    }
+  }
+  if (current !== null) args.push(current);
+  return args;
+};
+
+// gcc / clang: `main.cpp:4:12: error: ...`; javac: `Main.java:4: error: ...`.
+const COMPILER_LINE = /^(.+?):(\d+):(?:(\d+):)?\s*(fatal error|error|warning|note):\s*(.*)$/;
+// Python tracebacks and syntax errors: `  File "main.py", line 4, in <module>`.
+const PYTHON_FRAME = /^\s*File "(.+?)", line (\d+)/;
+// Frames inside the interpreter or its standard library are not the user's lines.
+const LIBRARY_FILE = /^<|[\\/]lib[\\/]python/;
+
+/**
+ * Finds the source locations mentioned in compile output or stderr. Returns one
+ * entry per output line: `null`, or `{ file, line, column, severity, message }`,
+ * `file` being the path as printed (see `projectFileAt` in editor/project.js).
+ */
+export const locateProblems = (text) => {
+  const lines = text.split('\n');
+  // A Python traceback's message is its last line.
+  const pythonMessage = lines.filter(l => l.trim()).pop()?.trim() ?? '';
+  return lines.map(l => {
+    const compiler = l.match(COMPILER_LINE);
+    if (compiler) {
+      const [, file, line, column, severity, message] = compiler;
+      return { file, line: Number(line), column: column ? Number(column) : null, severity: severity === 'fatal error' ? 'error' : severity, message };
+    }
+    const frame = l.match(PYTHON_FRAME);
+    if (frame && !LIBRARY_FILE.test(frame[1])) {
+      return { file: frame[1], line: Number(frame[2]), column: null, severity: 'error', message: pythonMessage };
+    }
+    return null;
+  });
+};
@@ -0,0 +1,52 @@
+/**
+ * --- LINE DIFF ---
+ * Longest-common-subsequence diff of two texts, line by line. Returns
+ * `[{ type: 'same' | 'removed' | 'added', text }]`, where 'removed' lines are
+ * only in `before` and 'added' lines only in `after`.
+ */
+// Beyond this many cells the LCS table costs more than it is worth; lines are paired up instead.
+const MAX_CELLS = 4_000_000;
+
+const pairwise = (a, b) => {
+  const result = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (i < a.length && i < b.length && a[i] === b[i]) result.push({ type: 'same', text: a[i] });
+    else {
+      if (i < a.length) result.push({ type: 'removed', text: a[i] });
+      if (i < b.length) result.push({ type: 'added', text: b[i] });
+    }
+  }
+  return result;
+};
+
+export const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  if (a.length * b.length > MAX_CELLS) return pairwise(a, b);
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: 'removed', text: a[i++] });
+    } else {
+      result.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) result.push({ type: 'added', text: b[j++] });
+  return result;
+};
@@ -0,0 +1,36 @@
+import { resolveFile } from '../editor/project.js';
+
+/**
+ * --- MODULES ---
+ * CommonJS for a JavaScript project, shared by the in-browser runner and the
+ * visualizer: a project file runs on its first `require` and is cached from
+ * then on. `load(file)` compiles one file into a `(require, module, exports)
+ * => void` body; `builtin(name)` answers requires of anything that is not a
+ * project file, or throws. `requireFrom(name)` is the `require` for code in
+ * file `name`.
+ */
+const JS_SUFFIXES = ['', '.js', '.json', '/index.js'];
+
+export const createModules = ({ files }, { load, builtin }) => {
+  const names = files.map(f => f.name);
+  const cache = new Map();
+
+  const requireFrom = (from) => (spec) => {
+    const local = /^\.{0,2}\//.test(spec);
+    const name = local ? resolveFile(names, from, spec, JS_SUFFIXES) : null;
+    if (!name) {
+      if (local) throw new Error(`Cannot find module '${spec}' from '${from}'`);
+      return builtin(spec);
+    }
+    // Cached before running, so a require cycle sees the partly built exports as in Node.
+    if (cache.has(name)) return cache.get(name).exports;
+    const module = { exports: {} };
+    cache.set(name, module);
+    const file = files.find(f => f.name === name);
+    if (name.endsWith('.json')) module.exports = JSON.parse(file.content);
+    else load(file)(requireFrom(name), module, module.exports);
+    return module.exports;
+  };
+
+  return { requireFrom };
+};
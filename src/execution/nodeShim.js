@@ -0,0 +1,69 @@
+import { formatArg } from '../visualizer/tracer.js';
+
+/**
+ * --- NODE SHIM ---
+ * A small Node-flavoured environment for JavaScript run in a worker:
+ * `console`, `process` and `require('fs')` / `require('readline')` reading
+ * from the given stdin, so typical console programs run unchanged. `write`
+ * receives everything printed as `(stream, text)`. Call `drainInput()` after
+ * the program body has run to feed readline's `line` / `close` handlers.
+ */
+export class ExitSignal {
+  constructor(code) { this.code = code; }
+}
+
+export const createNodeShim = ({ stdin = '', args = [], write }) => {
+  const toStdout = (text) => { write('stdout', text); return true; };
+  const toStderr = (text) => { write('stderr', text); return true; };
+  const print = (emit) => (...values) => emit(`${values.map(v => formatArg(v)).join(' ')}\n`);
+
+  const lineHandlers = [];
+  const closeHandlers = [];
+  const modules = {
+    fs: {
+      readFileSync: (file) => {
+        if (file === 0 || file === '/dev/stdin') return stdin;
+        throw new Error(`ENOENT: no such file or directory, open '${file}'`);
+      },
+    },
+    readline: {
+      createInterface: () => {
+        const rl = {
+          on: (event, handler) => {
+            if (event === 'line') lineHandlers.push(handler);
+            if (event === 'close') closeHandlers.push(handler);
+            return rl;
+          },
+          close: () => {},
+        };
+        return rl;
+      },
+    },
+  };
+
+  return {
+    console: {
+      log: print(toStdout), info: print(toStdout), debug: print(toStdout),
+      warn: print(toStderr), error: print(toStderr),
+    },
+    require: (name) => {
+      const mod = modules[name.replace(/^node:/, '')];
+      if (!mod) throw new Error(`Cannot find module '${name}' (not available in the browser runner)`);
+      return mod;
+    },
+    process: {
+      argv: ['node', 'main.js', ...args],
+      env: {},
+      stdout: { write: toStdout },
+      stderr: { write: toStderr },
+      exit: (exitCode = 0) => { throw new ExitSignal(exitCode); },
+    },
+    drainInput: () => {
+      if (!lineHandlers.length && !closeHandlers.length) return;
+      const lines = stdin.split('\n');
+      if (lines[lines.length - 1] === '') lines.pop();
+      lines.forEach(line => lineHandlers.forEach(handler => handler(line)));
+      closeHandlers.forEach(handler => handler());
+    },
+  };
+};
@@ -0,0 +1,67 @@
+import { BackendError } from './backends.js';
+
+/**
+ * --- TEST RUNNER ---
+ * Runs a program against its test cases (`{ id, stdin, expected, timeLimitMs? }`)
+ * through an execution backend, one case at a time, and judges each run:
+ *   'pass' | 'wrong-answer' | 'runtime-error' | 'time-limit' | 'compile-error' | 'error'
+ * where 'error' means the backend itself failed. Results are
+ * `{ verdict, stdout, stderr, compileOutput, time, message }`.
+ */
+export const VERDICTS = {
+  pass: { label: 'Pass', short: 'OK' },
+  'wrong-answer': { label: 'Wrong answer', short: 'WA' },
+  'runtime-error': { label: 'Runtime error', short: 'RE' },
+  'time-limit': { label: 'Time limit exceeded', short: 'TLE' },
+  'compile-error': { label: 'Compilation error', short: 'CE' },
+  error: { label: 'Backend error', short: 'ERR' },
+};
+
+export const newTestCase = () => ({ id: crypto.randomUUID(), stdin: '', expected: '', timeLimitMs: null });
+
+// Judges ignore trailing spaces on each line and trailing blank lines, like most online judges.
+export const normalizeOutput = (text) => text.replace(/\r\n?/g, '\n').split('\n').map(l => l.trimEnd()).join('\n').replace(/\n+$/, '');
+
+const judge = (test, { compile, run }) => {
+  const base = { stdout: run?.stdout ?? '', stderr: run?.stderr ?? '', compileOutput: compile?.output ?? '', time: run?.time ?? null, message: null };
+  if (compile && compile.code !== 0) return { ...base, verdict: 'compile-error' };
+  if (!run) return { ...base, verdict: 'error', message: 'The backend returned no run result.' };
+  const overTime = test.timeLimitMs && run.time !== null && run.time > test.timeLimitMs;
+  if (run.signal === 'SIGKILL' || overTime) return { ...base, verdict: 'time-limit' };
+  if (run.signal || run.code !== 0) {
+    return { ...base, verdict: 'runtime-error', message: run.signal ? `Killed by ${run.signal}` : `Exit code ${run.code}` };
+  }
+  return { ...base, verdict: normalizeOutput(run.stdout) === normalizeOutput(test.expected) ? 'pass' : 'wrong-answer' };
+};
+
+/**
+ * `program` is `{ runtime, files, args }` as for a normal run. `onResult(id, result)`
+ * fires as each case finishes; a compilation error is reported for every
+ * remaining case without sending them.
+ */
+export const runTestCases = async (backend, { runtime, files, args = [] }, tests, onResult) => {
+  let compileFailure = null;
+  for (const test of tests) {
+    if (compileFailure) {
+      onResult(test.id, compileFailure);
+      continue;
+    }
+    let result;
+    try {
+      const outcome = await backend.execute({
+        language: runtime.language,
+        version: runtime.version,
+        files,
+        args,
+        stdin: test.stdin,
+        ...(test.timeLimitMs ? { timeoutMs: test.timeLimitMs } : {}),
+      });
+      result = judge(test, outcome);
+    } catch (e) {
+      if (!(e instanceof BackendError)) throw e;
+      result = { verdict: 'error', stdout: '', stderr: '', compileOutput: '', time: null, message: e.message };
+    }
+    if (result.verdict === 'compile-error') compileFailure = result;
+    onResult(test.id, result);
+  }
+};
@@ -0,0 +1,55 @@
+import {
+  GoogleAuthProvider, linkWithPopup, signInWithPopup, signInWithCredential
+} from 'firebase/auth';
+
+/**
+ * --- GUEST UPGRADE ---
+ * Google sign-in from an anonymous session. The anonymous account is linked
+ * to the Google credential, which keeps its uid and so every snippet saved as
+ * a guest. If that Google account already exists it cannot be linked: the
+ * guest library is exported first, then the session switches to the Google
+ * account and the caller moves the export in (see `moveGuestSnippets`).
+ */
+
+/**
+ * Resolves to `{ user, guestSnippets }`; `guestSnippets` is the exported guest
+ * library when the uid changed and it has anything in it, null otherwise.
+ */
+export const signInWithGoogle = async (auth, provider, exportLibrary) => {
+  const current = auth.currentUser;
+  if (!current?.isAnonymous) return { user: (await signInWithPopup(auth, provider)).user, guestSnippets: null };
+  try {
+    const { user } = await linkWithPopup(current, provider);
+    return { user, guestSnippets: null };
+  } catch (e) {
+    const credential = e.code === 'auth/credential-already-in-use' && GoogleAuthProvider.credentialFromError(e);
+    if (!credential) throw e;
+    // Rules only let a user read their own snippets, so this has to happen before switching.
+    const exported = await exportLibrary(current.uid);
+    const { user } = await signInWithCredential(auth, credential);
+    return { user, guestSnippets: exported.length ? exported : null };
+  }
+};
+
+export const IMPORT_STRATEGIES = {
+  'keep-both': 'Keep both, guest copies renamed',
+  replace: 'Replace with the guest versions (kept in history)',
+  skip: 'Keep the account\'s versions',
+};
+
+/**
+ * Moves guest snippets into `library` after comparing it with `compareLibraries`:
+ * the fresh ones always, the conflicting ones as `strategy` says.
+ */
+export const moveGuestSnippets = async (library, { fresh, conflicts }, strategy) => {
+  const renamed = strategy === 'keep-both' ? conflicts.map(c => ({ ...c.guest, title: `${c.guest.title.trim()} (guest)` })) : [];
+  await library.importAll([...fresh, ...renamed]);
+  if (strategy === 'replace') {
+    for (const { guest, existing } of conflicts) {
+      await library.save(existing, {
+        code: guest.code, files: guest.files ?? null, entry: guest.entry ?? null, language: guest.language, tests: guest.tests || [],
+      });
+    }
+  }
+  return fresh.length + (strategy === 'skip' ? 0 : conflicts.length);
+};
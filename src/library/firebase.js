@@ -0,0 +1,46 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+
+/**
+ * --- FIREBASE ---
+ * Firebase is optional. A project configured through the `VITE_*` variables
+ * is used as is; `VITE_FIRESTORE_EMULATOR` / `VITE_AUTH_EMULATOR`
+ * (`host:port`) point it at the local emulators instead, and need no real
+ * project. With neither, `firebase` is null and the library stays on this
+ * device (see library/snippets.js).
+ */
+const env = import.meta.env;
+const emulators = { firestore: env.VITE_FIRESTORE_EMULATOR, auth: env.VITE_AUTH_EMULATOR };
+const usesEmulators = Boolean(emulators.firestore || emulators.auth);
+
+// The emulators accept any key; a `demo-` project id keeps them from reaching for real services.
+const firebaseConfig = {
+  apiKey: env.VITE_API_KEY || (usesEmulators ? 'demo-key' : undefined),
+  authDomain: env.VITE_AUTH_DOMAIN,
+  projectId: env.VITE_PROJECT_ID || (usesEmulators ? 'demo-kode-it' : undefined),
+  storageBucket: env.VITE_STORAGE_BUCKET,
+  messagingSenderId: env.VITE_MESSAGING_SENDER_ID,
+  appId: env.VITE_APP_ID
+};
+
+const hostAndPort = (address) => {
+  const [host, port] = address.split(':');
+  return [host, Number(port)];
+};
+
+const connect = () => {
+  if (!firebaseConfig.apiKey || !firebaseConfig.projectId) return null;
+  const app = initializeApp(firebaseConfig);
+  const auth = getAuth(app);
+  const db = getFirestore(app);
+  if (emulators.firestore) connectFirestoreEmulator(db, ...hostAndPort(emulators.firestore));
+  if (emulators.auth) connectAuthEmulator(auth, `http://${emulators.auth}`, { disableWarnings: true });
+  return { app, auth, db };
+};
+
+/** `{ app, auth, db }`, or null when no Firebase project is configured. */
+export const firebase = connect();
+
+// Namespaces every Firestore path (`artifacts/{appId}/...`); a hosting page may inject its own.
+export const appId = typeof __app_id !== 'undefined' ? __app_id : 'kode-it';
@@ -0,0 +1,87 @@
+/**
+ * --- LOCAL STORE ---
+ * The library's copy on this device, in the IndexedDB database
+ * `kode-it-library`: `snippets` keyed by [owner, id] and `revisions` keyed by
+ * [owner, snippetId, id], where `owner` is the uid the data belongs to.
+ * Where IndexedDB is unavailable (some private windows, Node) the same
+ * tables live in memory for the session.
+ */
+const DATABASE = 'kode-it-library';
+const VERSION = 1;
+
+const TABLES = {
+  snippets: { keyPath: ['owner', 'id'], indexes: { owner: 'owner' } },
+  revisions: { keyPath: ['owner', 'snippetId', 'id'], indexes: { owner: 'owner', snippet: ['owner', 'snippetId'] } },
+};
+
+const settle = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DATABASE, VERSION);
+  request.onupgradeneeded = () => {
+    Object.entries(TABLES).forEach(([name, { keyPath, indexes }]) => {
+      const table = request.result.createObjectStore(name, { keyPath });
+      Object.entries(indexes).forEach(([index, path]) => table.createIndex(index, path));
+    });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('The local library is open in an older version of the app; close its other tabs.'));
+});
+
+const indexedTable = (database, name) => {
+  const run = async (mode, action) => {
+    const transaction = (await database).transaction(name, mode);
+    const committed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const [result] = await Promise.all([settle(action(transaction.objectStore(name))), committed]);
+    return result;
+  };
+  return {
+    get: (key) => run('readonly', t => t.get(key)),
+    where: (index, value) => run('readonly', t => t.index(index).getAll(value)),
+    put: (value) => run('readwrite', t => t.put(value)),
+    remove: (key) => run('readwrite', t => t.delete(key)),
+  };
+};
+
+const memoryTable = (name) => {
+  const rows = new Map();
+  const path = (value, keyPath) => (Array.isArray(keyPath) ? keyPath.map(k => value[k]) : value[keyPath]);
+  const id = (key) => JSON.stringify(key);
+  const copy = (value) => (value === undefined ? undefined : structuredClone(value));
+  return {
+    get: async (key) => copy(rows.get(id(key))),
+    where: async (index, value) => [...rows.values()]
+      .filter(row => id(path(row, TABLES[name].indexes[index])) === id(value)).map(copy),
+    put: async (value) => { rows.set(id(path(value, TABLES[name].keyPath)), copy(value)); },
+    remove: async (key) => { rows.delete(id(key)); },
+  };
+};
+
+let opened = null;
+
+/** `{ snippets, revisions }`, each with `get(key)`, `where(index, value)`, `put(row)` and `remove(key)`. */
+export const localStore = () => {
+  if (opened) return opened;
+  const database = typeof indexedDB === 'undefined' ? null : openDatabase();
+  // A database that fails to open (storage disabled) falls back to memory as well.
+  const table = (name) => {
+    if (!database) return memoryTable(name);
+    const fallback = memoryTable(name);
+    const indexed = indexedTable(database, name);
+    const guarded = {};
+    Object.keys(indexed).forEach((method) => {
+      guarded[method] = (...args) => database.then(() => indexed[method](...args), () => fallback[method](...args));
+    });
+    return guarded;
+  };
+  opened = { snippets: table('snippets'), revisions: table('revisions') };
+  return opened;
+};
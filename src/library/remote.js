@@ -0,0 +1,118 @@
+import {
+  collection, doc, getDocs, setDoc, onSnapshot, runTransaction, writeBatch, Timestamp
+} from 'firebase/firestore';
+
+/**
+ * --- REMOTE LIBRARY ---
+ * The Firestore side of a user's library: `artifacts/{appId}/users/{uid}/snippets`,
+ * each snippet with a `revisions` subcollection. Snippets carry a `version`
+ * that every write increments. Writes are transactions that only go through
+ * while the stored version is the one the writer started from, so an edit
+ * made meanwhile on another device comes back as a conflict instead of
+ * being overwritten. Times are ms here and Timestamps in Firestore.
+ */
+const millis = (time) => (typeof time?.toMillis === 'function' ? time.toMillis() : time ?? 0);
+
+// Older documents predate folders, tags, projects, `updatedAt` and `version`.
+const fromSnippetDoc = (d) => {
+  const data = d.data();
+  return {
+    id: d.id,
+    title: data.title ?? 'Untitled',
+    code: data.code ?? '',
+    files: data.files ?? null,
+    entry: data.entry ?? null,
+    language: data.language ?? 'javascript',
+    tests: data.tests || [],
+    folder: data.folder || '',
+    tags: data.tags || [],
+    createdAt: millis(data.createdAt),
+    updatedAt: millis(data.updatedAt ?? data.createdAt),
+    version: data.version ?? 0,
+  };
+};
+
+const toSnippetDoc = (s, version) => ({
+  title: s.title,
+  code: s.code,
+  files: s.files ?? null,
+  entry: s.entry ?? null,
+  language: s.language,
+  tests: s.tests,
+  folder: s.folder,
+  tags: s.tags,
+  createdAt: Timestamp.fromMillis(s.createdAt),
+  updatedAt: Timestamp.fromMillis(s.updatedAt),
+  version,
+});
+
+const fromRevisionDoc = (snippetId, d) => {
+  const data = d.data();
+  return {
+    snippetId,
+    id: d.id,
+    title: data.title ?? '',
+    code: data.code ?? '',
+    files: data.files ?? null,
+    entry: data.entry ?? null,
+    language: data.language ?? 'javascript',
+    tests: data.tests || [],
+    savedAt: millis(data.savedAt),
+    note: data.note || '',
+  };
+};
+
+export const createRemote = (db, appId, uid) => {
+  const snippets = collection(db, 'artifacts', appId, 'users', uid, 'snippets');
+  const revisions = (id) => collection(doc(snippets, id), 'revisions');
+
+  return {
+    /**
+     * `onChange(snippets, complete)` on every change; `complete` is false for
+     * snapshots served from cache, which may be missing documents.
+     */
+    subscribe: (onChange, onError) => onSnapshot(snippets,
+      snap => onChange(snap.docs.map(fromSnippetDoc), !snap.metadata.fromCache), onError),
+
+    list: async () => (await getDocs(snippets)).docs.map(fromSnippetDoc),
+
+    /**
+     * Stores `snippet` if its stored version is still `base`. Resolves to
+     * `{ version }` or `{ conflict }` with the stored snippet. A snippet deleted
+     * elsewhere is written again: the edit outlives the delete.
+     */
+    write: (snippet, base) => runTransaction(db, async (tx) => {
+      const ref = doc(snippets, snippet.id);
+      const current = await tx.get(ref);
+      if (current.exists() && (current.data().version ?? 0) !== base) return { conflict: fromSnippetDoc(current) };
+      tx.set(ref, toSnippetDoc(snippet, base + 1));
+      return { version: base + 1 };
+    }),
+
+    // Deletes the snippet and its history unless it changed since `base`: `{}` or `{ conflict }`.
+    remove: async (id, base) => {
+      const ref = doc(snippets, id);
+      const outcome = await runTransaction(db, async (tx) => {
+        const current = await tx.get(ref);
+        if (!current.exists()) return {};
+        if ((current.data().version ?? 0) !== base) return { conflict: fromSnippetDoc(current) };
+        tx.delete(ref);
+        return {};
+      });
+      if (!outcome.conflict) {
+        const batch = writeBatch(db);
+        (await getDocs(revisions(id))).forEach(r => batch.delete(r.ref));
+        await batch.commit();
+      }
+      return outcome;
+    },
+
+    revisions: async (id) => (await getDocs(revisions(id))).docs.map(d => fromRevisionDoc(id, d)),
+
+    // Revisions never change, so writing one twice is harmless.
+    addRevision: (r) => setDoc(doc(revisions(r.snippetId), r.id), {
+      title: r.title, code: r.code, files: r.files ?? null, entry: r.entry ?? null, language: r.language, tests: r.tests,
+      savedAt: Timestamp.fromMillis(r.savedAt), note: r.note,
+    }),
+  };
+};
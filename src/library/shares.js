@@ -0,0 +1,137 @@
+import {
+  collection, doc, getDoc, getDocs, setDoc, deleteDoc, query, where, Bytes, Timestamp
+} from 'firebase/firestore';
+import { projectOf, projectFields } from '../editor/project.js';
+
+/**
+ * --- SHARED LINKS ---
+ * Published copies of a snippet under `artifacts/{appId}/public/data/shares`:
+ * its files (editor/project.js), language, test cases and optionally a recorded visualization, readable
+ * by anyone with the id and deletable only by the uid that published it.
+ * A share is a snapshot; editing the snippet afterwards does not change it.
+ * Traces are gzipped JSON so that a few thousand steps fit in one document.
+ */
+export class ShareError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareError';
+  }
+}
+
+// Firestore documents hold at most 1 MiB; the rest is left for the code and tests.
+const MAX_TRACE_BYTES = 900 * 1024;
+
+const shareCollection = (db, appId) => collection(db, 'artifacts', appId, 'public', 'data', 'shares');
+
+// Values a trace can hold that JSON cannot: undefined, NaN, ±Infinity, -0 and bigints.
+const encodeValue = (key, value) => {
+  if (value === undefined) return { $special: 'undefined' };
+  if (typeof value === 'bigint') return { $special: 'bigint', value: String(value) };
+  if (Object.is(value, -0)) return { $special: 'number', value: '-0' };
+  if (typeof value === 'number' && !Number.isFinite(value)) return { $special: 'number', value: String(value) };
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (typeof value !== 'object' || value === null) return value;
+  if ('$special' in value) {
+    if (value.$special === 'bigint') return BigInt(value.value);
+    if (value.$special === 'number') return Number(value.value);
+    return undefined;
+  }
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decodeValue(v)]));
+};
+
+const pipe = async (bytes, transform) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+
+/** `{ steps, output, error }` from runTrace, as gzipped bytes. */
+const packTrace = async (trace) => {
+  const json = JSON.stringify({ steps: trace.steps, output: trace.output, error: trace.error ?? null }, encodeValue);
+  const packed = await pipe(new TextEncoder().encode(json), new CompressionStream('gzip'));
+  if (packed.length > MAX_TRACE_BYTES) {
+    throw new ShareError(`The recorded visualization is too large to share (${(packed.length / 1024 / 1024).toFixed(1)} MB compressed). Share without it, or record fewer steps.`);
+  }
+  return Bytes.fromUint8Array(packed);
+};
+
+const unpackTrace = async (bytes) => decodeValue(JSON.parse(new TextDecoder().decode(await pipe(bytes.toUint8Array(), new DecompressionStream('gzip')))));
+
+// Shares from before projects hold one file, and their trace steps name none.
+const withFiles = (trace, entry) => (trace ? { ...trace, steps: trace.steps.map(s => (s.file ? s : { ...s, file: entry })) } : null);
+
+const fromShareDoc = async (d, withTrace) => {
+  const data = d.data();
+  const project = projectOf({ ...data, language: data.language ?? 'javascript' });
+  return {
+    id: d.id,
+    owner: data.owner,
+    title: data.title ?? 'Untitled',
+    code: data.code ?? '',
+    ...project,
+    language: data.language ?? 'javascript',
+    tests: data.tests || [],
+    snippetId: data.snippetId ?? null,
+    createdAt: data.createdAt?.toMillis() ?? 0,
+    traceSteps: data.traceSteps ?? 0,
+    ...(withTrace ? { trace: data.trace ? withFiles(await unpackTrace(data.trace), project.entry) : null } : {}),
+  };
+};
+
+/** Reads `?share=<id>` (and `&embed`) from a location. */
+export const sharedLink = (location) => {
+  const params = new URLSearchParams(location.search);
+  return { id: params.get('share'), embed: params.has('embed') };
+};
+
+export const shareUrl = (id, { embed = false } = {}) => {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set('share', id);
+  if (embed) url.searchParams.set('embed', '1');
+  return url.toString();
+};
+
+// What to paste into a slide deck or course page.
+export const embedCode = (id) => `<iframe src="${shareUrl(id, { embed: true })}" width="100%" height="480" style="border:0" loading="lazy"></iframe>`;
+
+/**
+ * Share operations for `uid`, or null without Firestore. `publish` resolves
+ * to the new share's id; `load` to the share with its `trace` (or null),
+ * and throws ShareError when the link was revoked or never existed.
+ */
+export const createShares = (db, appId, uid) => {
+  if (!db) return null;
+  const shares = shareCollection(db, appId);
+  return {
+    publish: async ({ title, project, language, tests, snippetId = null, trace = null }) => {
+      const ref = doc(shares);
+      await setDoc(ref, {
+        owner: uid,
+        title,
+        ...projectFields(project),
+        language,
+        tests,
+        snippetId,
+        trace: trace ? await packTrace(trace) : null,
+        traceSteps: trace?.steps.length ?? 0,
+        createdAt: Timestamp.now(),
+      });
+      return ref.id;
+    },
+
+    load: async (id) => {
+      const d = await getDoc(doc(shares, id));
+      if (!d.exists()) throw new ShareError('This shared link was revoked or never existed.');
+      return fromShareDoc(d, true);
+    },
+
+    // The owner's shares without their traces, newest first.
+    mine: async () => {
+      const found = await getDocs(query(shares, where('owner', '==', uid)));
+      const list = await Promise.all(found.docs.map(d => fromShareDoc(d, false)));
+      return list.sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    revoke: (id) => deleteDoc(doc(shares, id)),
+  };
+};
@@ -0,0 +1,380 @@
+import { localStore } from './localStore.js';
+import { createRemote } from './remote.js';
+import { projectOf, sameFiles } from '../editor/project.js';
+
+/**
+ * --- SNIPPET LIBRARY ---
+ * A user's saved snippets, local first: every change lands in the local store
+ * (library/localStore.js) at once, and when there is a Firestore database
+ * (library/remote.js) it is pushed in the background while other devices'
+ * changes are pulled in. The library works the same offline, against the
+ * emulators and with no backend at all.
+ *   { id, title, code, files, entry, language, tests, folder, tags, createdAt, updatedAt, pending }
+ * Times are ms; `pending` marks changes that have not reached Firestore yet.
+ * `files` and `entry` are the snippet's project (editor/project.js) and
+ * `code` its entry file; snippets saved before projects have only `code`.
+ * Every save of the code also records a revision `{ id, title, code, files,
+ * entry, language, tests, savedAt, note }`, so earlier versions can be
+ * diffed and restored.
+ * When two devices change the same snippet, the later edit wins and the
+ * other is kept as a revision with a note saying so; an edit also wins over
+ * a delete.
+ */
+export const LOCAL_OWNER = 'local';
+
+const RETRY_MS = 30_000;
+const CONTENT = ['title', 'code', 'files', 'entry', 'language', 'tests', 'folder', 'tags'];
+
+const newId = () => crypto.randomUUID();
+const sameContent = (a, b) => CONTENT.every(k => JSON.stringify(a[k] ?? null) === JSON.stringify(b[k] ?? null));
+const isOffline = (e) => e?.code === 'unavailable' || (typeof navigator !== 'undefined' && navigator.onLine === false);
+
+const toSnippet = (r) => ({
+  id: r.id,
+  title: r.title,
+  code: r.code,
+  files: r.files ?? null,
+  entry: r.entry ?? null,
+  language: r.language,
+  tests: r.tests,
+  folder: r.folder,
+  tags: r.tags,
+  createdAt: r.createdAt,
+  updatedAt: r.updatedAt,
+  pending: r.dirty,
+});
+
+const toRevision = ({ id, title, code, files = null, entry = null, language, tests, savedAt, note }) => ({
+  id, title, code, files, entry, language, tests, savedAt, note,
+});
+
+/**
+ * Stored records are snippets plus `{ owner, version, dirty, deleted }`:
+ * `owner` is `{appId}/{uid}`, `version` the Firestore version the content is
+ * based on, `dirty` marks a change still to push and `deleted` a delete
+ * still to push.
+ */
+const openLibrary = (remote, owner) => {
+  const tables = localStore();
+  const listeners = new Set();
+  let records = null;
+  let status = { state: remote ? 'syncing' : 'local', pending: 0, error: null };
+  let syncing = null;
+  let again = false;
+  let retry = null;
+  let stopWatching = null;
+
+  const loaded = () => (records ??= tables.snippets.where('owner', owner).then(rows => new Map(rows.map(r => [r.id, r]))));
+
+  const emit = async () => {
+    const map = await loaded();
+    const all = [...map.values()];
+    status = { ...status, pending: all.filter(r => r.dirty).length };
+    const snippets = sortSnippets(all.filter(r => !r.deleted).map(toSnippet));
+    listeners.forEach(listener => listener({ snippets, status }));
+  };
+  const setStatus = (patch) => {
+    status = { ...status, ...patch };
+    emit();
+  };
+
+  const put = async (record) => {
+    (await loaded()).set(record.id, record);
+    await tables.snippets.put(record);
+    return record;
+  };
+  const purge = async (id) => {
+    (await loaded()).delete(id);
+    await tables.snippets.remove([owner, id]);
+    for (const r of await tables.revisions.where('snippet', [owner, id])) await tables.revisions.remove([owner, id, r.id]);
+  };
+  const record = (snippetId, { title, code, files = null, entry = null, language, tests }, note = '') => tables.revisions.put({
+    owner, snippetId, id: newId(), title, code, files, entry, language, tests, savedAt: Date.now(), note, synced: !remote,
+  });
+  const fromRemote = (theirs) => ({ ...theirs, owner, dirty: false, deleted: false });
+
+  // Two devices changed the snippet: the later edit wins, the other becomes a revision.
+  const resolve = async (mine, theirs) => {
+    if (sameContent(mine, theirs)) return put({ ...mine, version: theirs.version, dirty: false });
+    if (mine.updatedAt >= theirs.updatedAt) {
+      await record(mine.id, theirs, 'Conflicting edit, replaced by a newer one');
+      again = true;
+      return put({ ...mine, version: theirs.version });
+    }
+    await record(mine.id, mine, 'Conflicting edit, replaced by a newer one');
+    return put(fromRemote(theirs));
+  };
+
+  const pushChanges = async () => {
+    const map = await loaded();
+    for (const mine of [...map.values()].filter(r => r.dirty)) {
+      if (mine.deleted) {
+        const { conflict } = await remote.remove(mine.id, mine.version);
+        if (conflict) await put(fromRemote(conflict));
+        else await purge(mine.id);
+        continue;
+      }
+      const { conflict, version } = await remote.write(mine, mine.version);
+      if (conflict) await resolve(mine, conflict);
+      else {
+        // An edit made while this one was on its way stays pending, now based on the new version.
+        const latest = map.get(mine.id);
+        await put(latest === mine ? { ...mine, version, dirty: false } : { ...latest, version });
+        if (latest !== mine) again = true;
+      }
+    }
+  };
+
+  const pushRevisions = async () => {
+    for (const r of await tables.revisions.where('owner', owner)) {
+      if (r.synced) continue;
+      await remote.addRevision(r);
+      await tables.revisions.put({ ...r, synced: true });
+    }
+  };
+
+  const scheduleRetry = () => {
+    clearTimeout(retry);
+    retry = setTimeout(() => sync(), RETRY_MS);
+  };
+
+  const sync = () => {
+    if (!remote) return Promise.resolve();
+    if (syncing) {
+      again = true;
+      return syncing;
+    }
+    syncing = (async () => {
+      setStatus({ state: 'syncing', error: null });
+      try {
+        do {
+          again = false;
+          await pushChanges();
+          await pushRevisions();
+        } while (again);
+        setStatus({ state: 'synced' });
+      } catch (e) {
+        setStatus(isOffline(e) ? { state: 'offline' } : { state: 'error', error: e.message });
+        scheduleRetry();
+      } finally {
+        syncing = null;
+      }
+    })();
+    return syncing;
+  };
+
+  // Firestore's view of the library. Pending local changes are left to `sync`;
+  // a complete view also shows what other devices deleted.
+  const applyRemote = async (list, complete) => {
+    const map = await loaded();
+    let diverged = false;
+    for (const theirs of list) {
+      const mine = map.get(theirs.id);
+      if (mine?.dirty) diverged ||= theirs.version !== mine.version;
+      else if (!mine || theirs.version !== mine.version || !sameContent(mine, theirs)) await put(fromRemote(theirs));
+    }
+    if (complete) {
+      const ids = new Set(list.map(t => t.id));
+      for (const mine of [...map.values()]) if (!mine.dirty && !ids.has(mine.id)) await purge(mine.id);
+    }
+    emit();
+    if (diverged) sync();
+  };
+
+  const refresh = async () => {
+    if (!remote) return;
+    try { await applyRemote(await remote.list(), true); }
+    catch (e) { if (!isOffline(e)) throw e; }
+  };
+
+  const change = async (next) => {
+    await put({ ...next, dirty: true });
+    emit();
+    sync();
+  };
+  const existing = async (id) => {
+    const mine = (await loaded()).get(id);
+    if (!mine || mine.deleted) throw new Error('This snippet no longer exists.');
+    return mine;
+  };
+  const now = Date.now;
+
+  const library = {
+    /** `listener({ snippets, status })` now and on every change; returns the unsubscribe function. */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      emit();
+      if (remote && !stopWatching) {
+        stopWatching = remote.subscribe(
+          (list, complete) => applyRemote(list, complete),
+          e => setStatus(isOffline(e) ? { state: 'offline' } : { state: 'error', error: e.message }),
+        );
+        window.addEventListener('online', sync);
+        sync();
+      }
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size || !stopWatching) return;
+        stopWatching();
+        stopWatching = null;
+        window.removeEventListener('online', sync);
+        clearTimeout(retry);
+      };
+    },
+
+    sync,
+
+    create: async ({ title, code, files = null, entry = null, language, tests = [], folder = '', tags = [] }) => {
+      const id = newId();
+      await record(id, { title, code, files, entry, language, tests });
+      await change({ owner, id, title, code, files, entry, language, tests, folder, tags, createdAt: now(), updatedAt: now(), version: 0, deleted: false });
+      return id;
+    },
+
+    // Saves new content over the snippet and keeps the result as a revision.
+    save: async (current, { code, files = null, entry = null, language, tests }) => {
+      const mine = await existing(current.id);
+      await record(mine.id, { title: mine.title, code, files, entry, language, tests });
+      await change({ ...mine, code, files, entry, language, tests, updatedAt: now() });
+    },
+
+    // Title, folder, tags or tests: changes that are not a new version of the code.
+    update: async (id, fields) => change({ ...(await existing(id)), ...fields, updatedAt: now() }),
+
+    duplicate: (source) => library.create({
+      title: `${source.title} (copy)`,
+      code: source.code,
+      files: source.files ?? null,
+      entry: source.entry ?? null,
+      language: source.language,
+      tests: source.tests || [],
+      folder: source.folder || '',
+      tags: source.tags || [],
+    }),
+
+    // Snippets Firestore has seen leave a tombstone until the delete is pushed.
+    remove: async (id) => {
+      const mine = await existing(id);
+      if (remote && (mine.version > 0 || !mine.dirty)) await change({ ...mine, deleted: true });
+      else {
+        await purge(id);
+        emit();
+      }
+    },
+
+    // Newest first, including revisions only Firestore has so far.
+    revisions: async (id) => {
+      if (remote) {
+        try {
+          const known = new Set((await tables.revisions.where('snippet', [owner, id])).map(r => r.id));
+          for (const r of await remote.revisions(id)) if (!known.has(r.id)) await tables.revisions.put({ ...r, owner, synced: true });
+        } catch (e) {
+          if (!isOffline(e)) throw e;
+        }
+      }
+      return (await tables.revisions.where('snippet', [owner, id])).map(toRevision).sort((a, b) => b.savedAt - a.savedAt);
+    },
+
+    // The current snippets, brought up to date with Firestore first when it can be reached.
+    list: async () => {
+      await refresh();
+      return sortSnippets([...(await loaded()).values()].filter(r => !r.deleted).map(toSnippet));
+    },
+
+    // Every snippet with its revisions, for moving a library to another account.
+    exportAll: async () => Promise.all((await library.list()).map(async s => ({ ...s, revisions: await library.revisions(s.id) }))),
+
+    // Copies exported snippets in under new ids, history included.
+    importAll: async (exported) => {
+      for (const { revisions = [], ...s } of exported) {
+        const id = newId();
+        for (const r of revisions) await tables.revisions.put({ ...toRevision(r), id: newId(), owner, snippetId: id, synced: !remote });
+        await put({
+          owner, id, title: s.title, code: s.code, files: s.files ?? null, entry: s.entry ?? null, language: s.language,
+          tests: s.tests || [], folder: s.folder || '', tags: s.tags || [],
+          createdAt: s.createdAt || now(), updatedAt: s.updatedAt || now(), version: 0, dirty: true, deleted: false,
+        });
+      }
+      emit();
+      sync();
+    },
+
+    // Drops everything stored for this owner on this device.
+    clear: async () => {
+      for (const id of [...(await loaded()).keys()]) await purge(id);
+      emit();
+    },
+  };
+  return library;
+};
+
+const libraries = new Map();
+
+/**
+ * The library of `uid`, shared by every caller. `db` is the Firestore
+ * database to sync with, or null to stay on this device; the
+ * `LOCAL_OWNER` library never syncs.
+ */
+export const createLibrary = (db, appId, uid) => {
+  const key = `${appId}/${uid}`;
+  if (!libraries.has(key)) libraries.set(key, openLibrary(db && uid !== LOCAL_OWNER ? createRemote(db, appId, uid) : null, key));
+  return libraries.get(key);
+};
+
+/** Moves snippets saved on this device before signing in into `library`. */
+export const adoptDeviceSnippets = async (library, appId) => {
+  const device = createLibrary(null, appId, LOCAL_OWNER);
+  if (device === library) return 0;
+  const exported = await device.exportAll();
+  if (!exported.length) return 0;
+  await library.importAll(exported);
+  await device.clear();
+  return exported.length;
+};
+
+const sameTitle = (a, b) => a.title.trim().toLowerCase() === b.title.trim().toLowerCase();
+const sameProject = (a, b) => a.language === b.language && sameFiles(projectOf(a), projectOf(b));
+
+/**
+ * Sorts a guest's snippets against the library they move into: `fresh` ones
+ * have no namesake there, `conflicts` share a title with `{ guest, existing }`
+ * different code, and copies identical in code are left out.
+ */
+export const compareLibraries = (guest, existing) => {
+  const fresh = [];
+  const conflicts = [];
+  guest.forEach((s) => {
+    const namesake = existing.find(e => sameTitle(e, s));
+    if (!namesake) fresh.push(s);
+    else if (!sameProject(namesake, s)) conflicts.push({ guest: s, existing: namesake });
+  });
+  return { fresh, conflicts };
+};
+
+export const sortSnippets = (list) => [...list].sort((a, b) => b.updatedAt - a.updatedAt);
+
+// Tags are typed as one comma-separated field.
+export const parseTags = (text) => [...new Set(text.split(',').map(t => t.trim()).filter(Boolean))];
+
+/** `filter` is `{ search, language, tag }`; the search matches titles, code (in every file), folders and tags. */
+export const filterSnippets = (list, { search = '', language = '', tag = '' }) => {
+  const needle = search.trim().toLowerCase();
+  return list.filter((s) => {
+    if (language && s.language !== language) return false;
+    if (tag && !(s.tags || []).includes(tag)) return false;
+    if (!needle) return true;
+    const files = (s.files || []).flatMap(f => [f.name, f.content]);
+    return [s.title, s.code, ...files, s.folder, ...(s.tags || [])].some(text => text?.toLowerCase().includes(needle));
+  });
+};
+
+// `[{ folder, snippets }]` with folders in name order and unfiled snippets ('') first.
+export const groupByFolder = (list) => {
+  const groups = new Map();
+  list.forEach((s) => {
+    const folder = s.folder || '';
+    if (!groups.has(folder)) groups.set(folder, []);
+    groups.get(folder).push(s);
+  });
+  return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([folder, snippets]) => ({ folder, snippets }));
+};
@@ -2,9 +2,13 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import EmbedView from './components/EmbedView.jsx'
+import { sharedLink } from './library/shares.js'
+
+const link = sharedLink(window.location)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {link.id && link.embed ? <EmbedView shareId={link.id} /> : <App />}
   </StrictMode>,
 )
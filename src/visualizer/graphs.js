@@ -0,0 +1,288 @@
+import { forceSimulation, forceLink, forceManyBody, forceCenter, forceCollide } from 'd3-force';
+import { isRef } from './heap.js';
+
+/**
+ * --- GRAPH & TREE DETECTION ---
+ * Finds adjacency lists, adjacency matrices, edge lists and left/right/children
+ * node structures among a step's variables, and lays them out for drawing.
+ * Every structure is `{ key, name, kind: 'graph'|'tree', directed, nodes, edges }`,
+ * keyed by the heap id of its root object so it can be matched across steps.
+ */
+const GRAPH_NAME = /graph|adj/i;
+const EDGE_LIST_NAME = /edge/i;
+const VISITED_NAME = /visit|seen|used|color/i;
+const CURSOR_NAME = /^(u|v|w|node|cur|curr|current|nxt|next|nei|neighbor|src|start|at)$/i;
+const LABEL_FIELDS = ['val', 'value', 'key', 'data', 'name', 'id'];
+
+const isIndex = (v, n) => Number.isInteger(v) && v >= 0 && v < n;
+const isFlag = (v) => typeof v === 'boolean' || v === 0 || v === 1;
+
+const arrayItems = (heap, val) => (isRef(val) && heap[val.ref]?.kind === 'array' ? heap[val.ref].items : null);
+
+// Variables visible at this step, innermost frame first; aliases are kept once.
+const namedValues = (step) => {
+  const seenNames = new Set();
+  const out = [];
+  [...step.frames].reverse().forEach((frame, depth) => {
+    Object.entries({ ...frame.args, ...frame.locals }).forEach(([name, value]) => {
+      if (seenNames.has(name)) return;
+      seenNames.add(name);
+      out.push({ name, value, inTopFrame: depth === 0 });
+    });
+  });
+  return out;
+};
+
+const edgeKey = (e) => `${e.from}->${e.to}`;
+
+// Collapses u->v / v->u pairs into one undirected edge when every edge has its mirror.
+const finishGraph = (name, nodeIds, edges) => {
+  const keys = new Set(edges.map(edgeKey));
+  const undirected = edges.length > 0 && edges.every(e => keys.has(`${e.to}->${e.from}`));
+  const kept = undirected ? edges.filter(e => String(e.from) <= String(e.to)) : edges;
+  return {
+    name,
+    kind: 'graph',
+    directed: !undirected,
+    nodes: nodeIds.map(id => ({ id, label: String(id) })),
+    edges: kept,
+  };
+};
+
+const fromMatrix = (name, rows) => {
+  const edges = [];
+  rows.forEach((row, i) => row.forEach((w, j) => {
+    if (w && w !== Infinity && w !== -1) edges.push({ from: i, to: j, label: w === 1 || w === true ? null : String(w) });
+  }));
+  return finishGraph(name, rows.map((_, i) => i), edges);
+};
+
+const fromIndexList = (name, heap, rows) => {
+  const n = rows.length;
+  const edges = [];
+  rows.forEach((row, u) => row.forEach(item => {
+    const pair = arrayItems(heap, item);
+    if (pair) edges.push({ from: u, to: pair[0], label: pair.length > 1 ? String(pair[1]) : null });
+    else edges.push({ from: u, to: item, label: null });
+  }));
+  if (!edges.every(e => isIndex(e.to, n))) return null;
+  return finishGraph(name, rows.map((_, i) => i), edges);
+};
+
+const fromEdgeList = (name, rows) => {
+  const ids = [...new Set(rows.flatMap(r => [r[0], r[1]]))];
+  const edges = rows.flatMap(r => [
+    { from: r[0], to: r[1], label: r.length > 2 ? String(r[2]) : null },
+    { from: r[1], to: r[0], label: r.length > 2 ? String(r[2]) : null },
+  ]);
+  return finishGraph(name, ids, edges);
+};
+
+// Map / plain object of `node -> [neighbours]`.
+const fromKeyedList = (name, heap, entry) => {
+  const pairs = entry.kind === 'map' ? entry.entries : Object.entries(entry.fields);
+  if (pairs.length === 0) return null;
+  const lists = pairs.map(([k, v]) => {
+    const target = isRef(v) ? heap[v.ref] : null;
+    if (!target || !['array', 'set'].includes(target.kind) || target.items.some(isRef) || isRef(k)) return null;
+    return [k, target.items];
+  });
+  if (lists.some(l => !l)) return null;
+  const keys = new Set(lists.map(([k]) => String(k)));
+  const targets = lists.flatMap(([, items]) => items);
+  const known = targets.filter(t => keys.has(String(t))).length;
+  if (targets.length === 0 || known * 2 < targets.length) return null;
+  // Object keys are always strings while neighbours may be numbers, so ids are strings throughout.
+  const ids = [...new Set([...keys, ...targets.map(String)])];
+  return finishGraph(name, ids, lists.flatMap(([k, items]) => items.map(to => ({ from: String(k), to: String(to), label: null }))));
+};
+
+const detectGraph = (name, heap, value) => {
+  if (!isRef(value) || !heap[value.ref]) return null;
+  const entry = heap[value.ref];
+  if (entry.kind === 'map' || (entry.kind === 'object' && !entry.className)) {
+    return GRAPH_NAME.test(name) || entry.kind === 'map' ? fromKeyedList(name, heap, entry) : null;
+  }
+  if (entry.kind !== 'array' || entry.items.length < 2) return null;
+  const rows = entry.items.map(v => arrayItems(heap, v));
+  if (rows.some(r => !r)) return null;
+  const n = rows.length;
+
+  const square = rows.every(r => r.length === n);
+  // A square table of flags or numbers is just as often a DP table or a visited grid, so the name decides.
+  if (square && GRAPH_NAME.test(name) && rows.every(r => r.every(v => isFlag(v) || typeof v === 'number'))) return fromMatrix(name, rows);
+  if (EDGE_LIST_NAME.test(name) && rows.every(r => (r.length === 2 || r.length === 3) && !r.some(isRef))) {
+    return fromEdgeList(name, rows);
+  }
+  // Equal-length integer rows look more like a DP table than a graph unless the name says otherwise.
+  if (!GRAPH_NAME.test(name) && rows.every(r => r.length === rows[0].length)) return null;
+  return fromIndexList(name, heap, rows);
+};
+
+// Child ids of a tree node, `null` for empty binary slots; `null` overall if it is no tree node.
+const childRefs = (heap, entry) => {
+  if (entry?.kind !== 'object') return null;
+  const { fields } = entry;
+  if ('left' in fields || 'right' in fields) return [fields.left, fields.right].map(v => (isRef(v) ? v.ref : null));
+  const list = 'children' in fields ? arrayItems(heap, fields.children) : null;
+  return list ? list.filter(isRef).map(v => v.ref) : null;
+};
+
+const nodeLabel = (entry) => {
+  const field = LABEL_FIELDS.find(f => f in entry.fields && !isRef(entry.fields[f]));
+  return field ? String(entry.fields[field]) : `#${entry.id}`;
+};
+
+const buildTree = (name, heap, rootId) => {
+  const nodes = [];
+  const edges = [];
+  const seen = new Set();
+  const visit = (id, depth) => {
+    if (seen.has(id)) return;
+    seen.add(id);
+    nodes.push({ id, label: nodeLabel(heap[id]), depth });
+    const binary = 'left' in heap[id].fields || 'right' in heap[id].fields;
+    (childRefs(heap, heap[id]) || []).forEach((child, slot) => {
+      if (child === null || !heap[child] || seen.has(child)) return;
+      edges.push({ from: id, to: child, label: null, slot: binary ? slot : null });
+      visit(child, depth + 1);
+    });
+  };
+  visit(rootId, 0);
+  return { name, kind: 'tree', directed: true, nodes, edges };
+};
+
+const detectTrees = (step, roots) => {
+  const { heap } = step;
+  const trees = roots
+    .filter(({ value }) => childRefs(heap, heap[value.ref]) !== null)
+    .map(({ name, value }) => ({ ...buildTree(name, heap, value.ref), key: `tree:${value.ref}` }));
+  // A variable pointing into another tree (e.g. `node` during a traversal) is a cursor, not a tree.
+  return trees.filter(tree => !trees.some(other => other !== tree
+    && other.nodes.length > tree.nodes.length && other.nodes.some(n => n.id === tree.nodes[0].id)));
+};
+
+// Visited flags and cursor variables, so traversals show progress on the structure.
+const markProgress = (structure, step, vars) => {
+  const { heap } = step;
+  const ids = new Set(structure.nodes.map(n => String(n.id)));
+  const visited = new Set();
+  const active = new Set();
+
+  vars.forEach(({ name, value, inTopFrame }) => {
+    if (structure.kind === 'graph') {
+      const items = arrayItems(heap, value);
+      if (items && items.length === structure.nodes.length && items.every(isFlag) && (VISITED_NAME.test(name) || items.some(v => typeof v === 'boolean'))) {
+        items.forEach((v, i) => { if (v) visited.add(String(i)); });
+      }
+      const set = isRef(value) && heap[value.ref]?.kind === 'set' ? heap[value.ref] : null;
+      if (set && VISITED_NAME.test(name)) set.items.forEach(v => visited.add(String(v)));
+      if (inTopFrame && CURSOR_NAME.test(name) && !isRef(value) && ids.has(String(value))) active.add(String(value));
+    } else if (inTopFrame && isRef(value) && ids.has(String(value.ref))
+      && (CURSOR_NAME.test(name) || value.ref !== structure.nodes[0].id)) {
+      active.add(String(value.ref));
+    }
+  });
+
+  structure.nodes.forEach(node => {
+    node.visited = visited.has(String(node.id));
+    node.active = active.has(String(node.id));
+  });
+  return structure;
+};
+
+export const detectStructures = (step) => {
+  if (!step) return [];
+  const vars = namedValues(step);
+  // Outermost name wins when several variables alias one object (e.g. `graph` passed into `dfs(g)`).
+  const roots = [...vars].reverse().filter(({ value }) => isRef(value))
+    .filter(({ value }, i, all) => all.findIndex(v => v.value.ref === value.ref) === i);
+  const graphs = roots.map(({ name, value }) => {
+    const graph = detectGraph(name, step.heap, value);
+    return graph && { ...graph, key: `graph:${value.ref}` };
+  }).filter(Boolean);
+  const trees = detectTrees(step, roots);
+  return [...graphs, ...trees].map(s => markProgress(s, step, vars));
+};
+
+/**
+ * Flags what changed between two detections of the same structure: new edges,
+ * and nodes whose label, visited state, cursor or neighbours differ.
+ */
+export const diffStructure = (current, previous) => {
+  const prevEdges = new Set((previous?.edges || []).map(edgeKey));
+  const prevNodes = new Map((previous?.nodes || []).map(n => [String(n.id), n]));
+  const signature = (s, id) => s.edges.filter(e => String(e.from) === id).map(edgeKey).sort().join();
+
+  return {
+    ...current,
+    edges: current.edges.map(e => ({ ...e, changed: !!previous && !prevEdges.has(edgeKey(e)) })),
+    nodes: current.nodes.map(n => {
+      const before = prevNodes.get(String(n.id));
+      const changed = !!previous && (!before || before.label !== n.label || before.visited !== n.visited
+        || before.active !== n.active || signature(previous, String(n.id)) !== signature(current, String(n.id)));
+      return { ...n, changed };
+    }),
+  };
+};
+
+const positionCache = new Map();
+
+/**
+ * Returns `{ [nodeId]: { x, y } }` in a `width` x `height` box. Graphs use a
+ * d3 force layout seeded with the positions of earlier steps so nodes stay put;
+ * trees use a simple layered layout.
+ */
+export const layoutStructure = (structure, width, height) => {
+  if (structure.kind === 'tree') {
+    const positions = {};
+    const byId = new Map(structure.nodes.map(n => [n.id, n]));
+    const kids = new Map();
+    structure.edges.forEach(e => { (kids.get(e.from) || kids.set(e.from, []).get(e.from)).push(e); });
+    const maxDepth = Math.max(...structure.nodes.map(n => n.depth));
+    let column = 0;
+    // Binary trees are placed in-order; n-ary trees centre parents over their children.
+    const place = (id) => {
+      const out = kids.get(id) || [];
+      const y = byId.get(id).depth;
+      if (out.some(e => e.slot !== null)) {
+        const left = out.find(e => e.slot === 0);
+        const right = out.find(e => e.slot === 1);
+        if (left) place(left.to);
+        positions[id] = { x: column++, y };
+        if (right) place(right.to);
+      } else if (out.length === 0) {
+        positions[id] = { x: column++, y };
+      } else {
+        out.forEach(e => place(e.to));
+        positions[id] = { x: out.reduce((sum, e) => sum + positions[e.to].x, 0) / out.length, y };
+      }
+    };
+    place(structure.nodes[0].id);
+    const span = Math.max(column - 1, 1);
+    Object.values(positions).forEach(p => {
+      p.x = 20 + (p.x / span) * (width - 40);
+      p.y = 20 + (maxDepth ? p.y / maxDepth : 0) * (height - 40);
+    });
+    return positions;
+  }
+
+  const nodes = structure.nodes.map(n => ({ id: n.id, ...positionCache.get(`${structure.key}:${n.id}`) }));
+  const links = structure.edges.filter(e => e.from !== e.to).map(e => ({ source: e.from, target: e.to }));
+  const simulation = forceSimulation(nodes)
+    .force('link', forceLink(links).id(d => d.id).distance(50))
+    .force('charge', forceManyBody().strength(-120))
+    .force('center', forceCenter(width / 2, height / 2))
+    .force('collide', forceCollide(16))
+    .stop();
+  simulation.tick(nodes.every(n => n.x !== undefined) ? 20 : 200);
+
+  const positions = {};
+  nodes.forEach(n => {
+    const x = Math.min(width - 16, Math.max(16, n.x));
+    const y = Math.min(height - 16, Math.max(16, n.y));
+    positionCache.set(`${structure.key}:${n.id}`, { x, y });
+    positions[n.id] = { x, y };
+  });
+  return positions;
+};
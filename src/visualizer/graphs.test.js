@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectStructures } from './graphs.js';
+
+const stepWith = (locals, heap) => ({ frames: [{ name: '(global)', args: {}, locals }], heap });
+
+test('an adjacency list keyed by numbers has one node per vertex', () => {
+  const heap = {
+    1: { id: 1, kind: 'object', fields: { 0: { ref: 2 }, 1: { ref: 3 }, 2: { ref: 4 } } },
+    2: { id: 2, kind: 'array', items: [1, 2] },
+    3: { id: 3, kind: 'array', items: [0] },
+    4: { id: 4, kind: 'array', items: [0] },
+  };
+  const [graph] = detectStructures(stepWith({ graph: { ref: 1 } }, heap));
+  assert.deepEqual(graph.nodes.map(n => n.id), ['0', '1', '2']);
+  assert.equal(graph.directed, false);
+  assert.deepEqual(graph.edges.map(e => [e.from, e.to]), [['0', '1'], ['0', '2']]);
+});
+
+const matrix = (rows) => {
+  const heap = { 1: { id: 1, kind: 'array', items: rows.map((_, i) => ({ ref: i + 2 })) } };
+  rows.forEach((items, i) => { heap[i + 2] = { id: i + 2, kind: 'array', items }; });
+  return heap;
+};
+
+test('a square table of flags named like a DP table stays a table', () => {
+  const zeros = matrix([[0, 0, 0], [0, 0, 0], [0, 0, 0]]);
+  assert.deepEqual(detectStructures(stepWith({ dp: { ref: 1 } }, zeros)), []);
+  const palindromes = matrix([[true, false], [false, true]]);
+  assert.deepEqual(detectStructures(stepWith({ dp: { ref: 1 } }, palindromes)), []);
+});
+
+test('a square table of flags named like a graph is an adjacency matrix', () => {
+  const [graph] = detectStructures(stepWith({ adj: { ref: 1 } }, matrix([[0, 1, 0], [1, 0, 1], [0, 1, 0]])));
+  assert.equal(graph.nodes.length, 3);
+  assert.equal(graph.edges.length, 2);
+});
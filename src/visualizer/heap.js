@@ -0,0 +1,130 @@
+/**
+ * --- HEAP HELPERS ---
+ * Pure helpers over a recorded step (`{ frames, heap }`, see tracer.js).
+ */
+export const isRef = (val) => typeof val === 'object' && val !== null && 'ref' in val;
+
+const childValues = (entry) => {
+  switch (entry.kind) {
+    case 'array':
+    case 'set': return entry.items;
+    case 'map': return entry.entries.flat();
+    case 'object': return Object.values(entry.fields);
+    default: return [];
+  }
+};
+
+// An array whose items are all arrays of primitives is drawn as one grid.
+export const isMatrix = (entry, heap) => entry.kind === 'array' && entry.items.length > 0
+  && entry.items.every(v => isRef(v) && heap[v.ref]?.kind === 'array' && !heap[v.ref].items.some(isRef));
+
+export const frameValues = (frame) => [
+  ...Object.values(frame.args),
+  ...Object.values(frame.locals),
+  ...('returnValue' in frame ? [frame.returnValue] : []),
+];
+
+/**
+ * Groups heap ids into columns by distance from the stack, so linked lists
+ * read left-to-right and trees read level by level. Matrix rows are folded
+ * into their matrix and listed in `rowsOf`.
+ */
+export const layoutHeap = (step) => {
+  const { heap, frames } = step;
+  const depth = new Map();
+  const rowsOf = new Map();
+  let queue = frames.flatMap(frameValues).filter(isRef).map(v => v.ref);
+  let level = 0;
+
+  while (queue.length) {
+    const next = [];
+    queue.forEach(id => {
+      if (depth.has(id) || !heap[id]) return;
+      depth.set(id, level);
+      const entry = heap[id];
+      if (isMatrix(entry, heap)) {
+        rowsOf.set(id, entry.items.map(v => v.ref));
+        return;
+      }
+      childValues(entry).filter(isRef).forEach(v => next.push(v.ref));
+    });
+    queue = next;
+    level++;
+  }
+
+  const folded = new Set([...rowsOf.values()].flat());
+  const columns = [];
+  depth.forEach((d, id) => {
+    if (folded.has(id) && !rowsOf.has(id)) return;
+    (columns[d] ||= []).push(id);
+  });
+  return { columns: columns.filter(Boolean), rowsOf };
+};
+
+const sameValue = (a, b) => (isRef(a) || isRef(b) ? isRef(a) && isRef(b) && a.ref === b.ref : Object.is(a, b));
+
+// Slot-by-slot view of a heap entry: array/set index, map position or field name.
+const slotsOf = (entry) => {
+  switch (entry.kind) {
+    case 'array':
+    case 'set': return entry.items.map((v, i) => [i, v]);
+    case 'map': return entry.entries.map(([k, v], i) => [i, v, k]);
+    case 'object': return Object.entries(entry.fields);
+    default: return [];
+  }
+};
+
+/**
+ * What differs from the previous step: `vars` holds `frameId:name` keys of
+ * changed variables, `slots` maps heap ids to the changed slot keys, and
+ * `fresh` lists heap objects that did not exist before.
+ */
+export const diffSteps = (step, prevStep) => {
+  const vars = new Set();
+  const slots = new Map();
+  const fresh = new Set();
+  if (!prevStep) return { vars, slots, fresh };
+
+  const prevFrames = new Map(prevStep.frames.map(f => [f.id, f]));
+  step.frames.forEach(frame => {
+    const before = prevFrames.get(frame.id);
+    const prevVars = before ? { ...before.args, ...before.locals } : {};
+    Object.entries({ ...frame.args, ...frame.locals }).forEach(([name, val]) => {
+      if (!(name in prevVars) || !sameValue(val, prevVars[name])) vars.add(`${frame.id}:${name}`);
+    });
+  });
+
+  Object.values(step.heap).forEach(entry => {
+    const before = prevStep.heap[entry.id];
+    if (!before) {
+      fresh.add(entry.id);
+      return;
+    }
+    const prevSlots = new Map(slotsOf(before).map(([k, v, mapKey]) => [k, [v, mapKey]]));
+    const changed = slotsOf(entry)
+      .filter(([k, v, mapKey]) => !prevSlots.has(k) || !sameValue(v, prevSlots.get(k)[0]) || !sameValue(mapKey, prevSlots.get(k)[1]))
+      .map(([k]) => k);
+    if (changed.length) slots.set(entry.id, new Set(changed));
+  });
+  return { vars, slots, fresh };
+};
+
+const ROW_POINTERS = /^(i|r|row|x)$/;
+const COL_POINTERS = /^(j|c|col|y)$/;
+const INDEX_POINTERS = /^(i|j|k|l|r|p|q|lo|hi|low|high|mid|left|right|start|end|begin|slow|fast|idx|index|ptr|pos|cur|curr|head|tail|front|back|top)$/i;
+
+/**
+ * Integer locals of the innermost frame that look like indices, as
+ * `{ cells, rows, cols }` lists of `{ name, index }` for arrays and matrices.
+ */
+export const indexPointers = (step) => {
+  const top = step.frames[step.frames.length - 1];
+  const ints = Object.entries({ ...top.args, ...top.locals })
+    .filter(([, v]) => Number.isInteger(v) && v >= 0)
+    .map(([name, index]) => ({ name, index }));
+  return {
+    cells: ints.filter(p => INDEX_POINTERS.test(p.name)),
+    rows: ints.filter(p => ROW_POINTERS.test(p.name)),
+    cols: ints.filter(p => COL_POINTERS.test(p.name)),
+  };
+};
@@ -0,0 +1,175 @@
+import * as Babel from '@babel/standalone';
+
+/**
+ * --- AST INSTRUMENTATION ---
+ * Parses the (transpiled) JavaScript with Babel and injects calls into the
+ * tracer (`__trace`) at statement boundaries, loop iterations, function
+ * entry/exit and returns. Every trace point carries the original source line.
+ */
+export const TRACE_ID = '__trace';
+
+// Parameters are reported separately, as the frame's arguments.
+const LOCAL_KINDS = new Set(['var', 'let', 'const']);
+
+// Statements that never "execute" on their own line.
+const SKIPPED_STATEMENTS = new Set([
+  'FunctionDeclaration', 'ClassDeclaration', 'EmptyStatement',
+  'ImportDeclaration', 'ExportNamedDeclaration', 'ExportDefaultDeclaration', 'ExportAllDeclaration',
+]);
+
+// Code the C++/Java front end emits for its own plumbing (entry call, `a[i]++` callbacks) is marked `/* @untraced */`.
+const isUntraced = (node) => Boolean(node?.leadingComments?.some(c => c.value.trim() === '@untraced'));
+
+const tracePlugin = ({ types: t }, { hidden = null } = {}) => {
+  const seen = new WeakSet();
+  const stepped = new WeakSet();
+  const functionBlocks = new WeakMap();
+
+  const traceCall = (method, args) =>
+    t.callExpression(t.memberExpression(t.identifier(TRACE_ID), t.identifier(method)), args);
+
+  // { a: () => a, b: () => b } — getters let the tracer skip bindings still in TDZ.
+  // Only the enclosing function's own bindings are listed; outer ones belong to other frames.
+  const scopeGetters = (scope) => {
+    const names = new Set();
+    for (let s = scope; s; s = s.parent) {
+      Object.entries(s.bindings).forEach(([name, binding]) => {
+        if (LOCAL_KINDS.has(binding.kind) && name !== TRACE_ID && !hidden?.test(name) && !names.has(name)) names.add(name);
+      });
+      if (s.path.isFunction()) break;
+    }
+    return t.objectExpression([...names].map(name =>
+      t.objectProperty(t.identifier(name), t.arrowFunctionExpression([], t.identifier(name)))
+    ));
+  };
+
+  const stepStatement = (line, scope) =>
+    t.expressionStatement(traceCall('step', [t.numericLiteral(line), scopeGetters(scope)]));
+
+  const insideUntraced = (path) => {
+    const fn = path.getFunctionParent();
+    return Boolean(fn) && (isUntraced(fn.node) || insideUntraced(fn.parentPath));
+  };
+
+  // Overloads come out of the front end as `name$0`, `name$1`...
+  const functionName = (path) => {
+    const { node, parent } = path;
+    if (node.id) return node.id.name;
+    if (node.key && t.isIdentifier(node.key)) return node.key.name.replace(/\$\d+$/, '');
+    if (t.isVariableDeclarator(parent) && t.isIdentifier(parent.id)) return parent.id.name;
+    if (t.isObjectProperty(parent) && t.isIdentifier(parent.key)) return parent.key.name;
+    if (t.isAssignmentExpression(parent) && t.isMemberExpression(parent.left) && t.isIdentifier(parent.left.property)) {
+      return parent.left.property.name;
+    }
+    return '(anonymous)';
+  };
+
+  const wrapInBlock = (path, key) => {
+    const child = path.get(key);
+    if (child.node && !t.isBlockStatement(child.node)) {
+      child.replaceWith(t.blockStatement([child.node]));
+    }
+  };
+
+  // `if (x) return y;` / `x => x * 2` — the owner's own trace point already covers this line.
+  const sharesOwnerLine = (path) => {
+    const block = path.parentPath;
+    if (!block.isBlockStatement() || block.node.body.find(s => s.loc) !== path.node) return false;
+    const owner = block.parentPath;
+    const ownerLine = functionBlocks.get(block.node)
+      ?? ((owner.isIfStatement() || owner.isLoop()) ? owner.node.loc?.start.line : null);
+    return ownerLine === path.node.loc.start.line;
+  };
+
+  return {
+    visitor: {
+      Function(path) {
+        const { node } = path;
+        if (seen.has(node) || !node.loc || isUntraced(node)) return;
+        seen.add(node);
+        if (t.isArrowFunctionExpression(node) && !t.isBlockStatement(node.body)) {
+          const exprLoc = node.body.loc;
+          path.ensureBlock();
+          node.body.body[0].loc = exprLoc;
+        }
+
+        const body = path.get('body');
+        const line = node.loc.start.line;
+        const args = t.objectExpression(Object.keys(path.scope.bindings)
+          .filter(name => path.scope.bindings[name].kind === 'param')
+          .map(name => t.objectProperty(t.identifier(name), t.arrowFunctionExpression([], t.identifier(name)))));
+
+        const inner = t.blockStatement(body.node.body);
+        functionBlocks.set(inner, line);
+        body.node.body = [
+          t.expressionStatement(traceCall('enter', [t.stringLiteral(functionName(path)), t.numericLiteral(line), args])),
+          t.tryStatement(
+            inner,
+            null,
+            t.blockStatement([t.expressionStatement(traceCall('exit', [t.numericLiteral(node.loc.end.line)]))])
+          ),
+        ];
+      },
+
+      ReturnStatement(path) {
+        const { node } = path;
+        if (seen.has(node) || !node.loc || !path.getFunctionParent() || insideUntraced(path)) return;
+        seen.add(node);
+        const value = node.argument || t.identifier('undefined');
+        node.argument = traceCall('ret', [t.numericLiteral(node.loc.start.line), value]);
+      },
+
+      IfStatement(path) {
+        wrapInBlock(path, 'consequent');
+        wrapInBlock(path, 'alternate');
+      },
+
+      Loop(path) {
+        const { node } = path;
+        if (seen.has(node) || !node.loc || insideUntraced(path)) return;
+        seen.add(node);
+        wrapInBlock(path, 'body');
+        const line = node.loc.start.line;
+
+        if (path.isForXStatement()) {
+          // The loop variable is only bound inside the body, so trace from there.
+          path.get('body').unshiftContainer('body', stepStatement(line, path.get('body').scope));
+          return;
+        }
+        if (path.isDoWhileStatement() && path.inList) {
+          path.insertBefore(stepStatement(line, path.scope));
+        }
+        // One step every time the condition is evaluated, i.e. once per iteration.
+        const check = traceCall('step', [t.numericLiteral(line), scopeGetters(path.scope)]);
+        node.test = t.sequenceExpression([check, node.test || t.booleanLiteral(true)]);
+      },
+
+      Statement(path) {
+        const { node } = path;
+        if (stepped.has(node) || !node.loc || !path.inList || isUntraced(node) || insideUntraced(path)) return;
+        // Loops are traced through their condition (see Loop above).
+        if (SKIPPED_STATEMENTS.has(node.type) || t.isBlockStatement(node) || path.isLoop()) return;
+        stepped.add(node);
+        if (sharesOwnerLine(path)) return;
+        path.insertBefore(stepStatement(node.loc.start.line, path.scope));
+      },
+    },
+  };
+};
+
+/**
+ * Returns instrumented source ready to be wrapped in `new Function(TRACE_ID, ...)`.
+ * Throws Babel's SyntaxError (with `loc`) when the code does not parse.
+ * `hidden` matches local names to leave out of the variables panel.
+ */
+export const instrumentCode = (code, { hidden = null } = {}) => {
+  const result = Babel.transform(code, {
+    ast: false,
+    babelrc: false,
+    configFile: false,
+    sourceType: 'script',
+    parserOpts: { allowReturnOutsideFunction: true, allowAwaitOutsideFunction: true },
+    plugins: [[tracePlugin, { hidden }]],
+  });
+  return result.code;
+};
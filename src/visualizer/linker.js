@@ -0,0 +1,112 @@
+import { resolveFile } from '../editor/project.js';
+import { createModules } from '../execution/modules.js';
+import { instrumentCode, TRACE_ID } from './instrument.js';
+import { BLOCKED_GLOBALS } from './sandbox.js';
+import { transpile, CompileError, RUNTIME_ID } from './transpiler/index.js';
+
+/**
+ * --- LINKER ---
+ * Prepares a project (editor/project.js) for the instrumented runners, the
+ * trace and benchmark workers.
+ * C++ and Java become one source for the front end: a `#include "..."` of a
+ * project file is followed by that file's lines the first time it is
+ * included, other .cpp files follow the entry, and so do all other .java
+ * files. `locate(line)` maps a line of the result back to `{ file, line }`.
+ * JavaScript files stay separate CommonJS modules (execution/modules.js).
+ * `compileProgram` puts it together: one instrumented, runnable program.
+ */
+const INCLUDE = /^\s*#\s*include\s*"([^"]+)"/;
+const HEADER = /\.(h|hpp|hh)$/;
+
+export const linkSources = ({ files, entry }, language) => {
+  const names = files.map(f => f.name);
+  const contentOf = (name) => files.find(f => f.name === name).content;
+  const lines = [];
+  const origins = [];
+  const added = new Set();
+
+  const add = (name) => {
+    added.add(name);
+    contentOf(name).split('\n').forEach((text, i) => {
+      lines.push(text);
+      origins.push({ file: name, line: i + 1 });
+      const include = language === 'cpp' && INCLUDE.exec(text);
+      // Relative to the including file first, then to the project root, as `-I.` would.
+      const target = include && (resolveFile(names, name, include[1]) ?? resolveFile(names, '', include[1]));
+      if (target && !added.has(target)) add(target);
+    });
+  };
+
+  add(entry);
+  names.filter(n => !added.has(n) && (language === 'java' || !HEADER.test(n))).forEach(add);
+  return {
+    source: lines.join('\n'),
+    locate: (line) => origins[line - 1] ?? { file: entry, line },
+  };
+};
+
+const TRANSPILED = new Set(['cpp', 'java']);
+
+// Temporaries the C++/Java front end introduces all contain a `$`.
+const GENERATED_NAME = /\$/;
+
+const PARAMS = [TRACE_ID, RUNTIME_ID, 'console', 'require', 'module', 'exports', 'process', ...BLOCKED_GLOBALS];
+
+const firstLine = (message) => message.split('\n')[0];
+
+const inFile = (file) => (line) => ({ file, line });
+
+const compileError = (e, locate) => (e instanceof CompileError
+  ? { kind: e.kind, message: e.message, ...locate(e.line), problems: e.problems.map(p => ({ message: p.message, ...locate(p.line) })) }
+  : { kind: 'syntax', message: firstLine(e.message).replace(/^unknown( file)?: /, ''), ...locate(e.loc?.line ?? null) });
+
+const asyncBody = (body) => new Function(...PARAMS, `return (async () => {\n${body}\n})();`);
+
+/**
+ * Instruments every file of a project. Returns `{ run }` or `{ error }`,
+ * an error shaped like the trace worker's (`{ kind, message, file, line,
+ * problems? }`). `run({ traceAt, runtime, console, builtin, process })`
+ * returns the program's promise; `traceAt(locate)` gives what instrumented
+ * code calls (tracer.js `at`), `runtime` is the C++/Java runtime and
+ * `builtin(name)` answers JavaScript requires that are not project files.
+ */
+export const compileProgram = (project, language) => {
+  if (TRANSPILED.has(language)) {
+    const { source, locate } = linkSources(project, language);
+    try {
+      const main = asyncBody(instrumentCode(transpile(source, language), { hidden: GENERATED_NAME }));
+      return { run: ({ traceAt, runtime, console }) => main(traceAt(locate), runtime, console) };
+    } catch (e) {
+      return { error: compileError(e, locate) };
+    }
+  }
+
+  const bodies = new Map();
+  for (const file of project.files.filter(f => f.name.endsWith('.js'))) {
+    try {
+      const body = instrumentCode(file.content);
+      bodies.set(file.name, file.name === project.entry ? asyncBody(body) : new Function(...PARAMS, body));
+    } catch (e) {
+      return { error: compileError(e, inFile(file.name)) };
+    }
+  }
+  return {
+    run: ({ traceAt, runtime = null, console, builtin, process }) => {
+      const { requireFrom } = createModules(project, {
+        // A module's top level runs as a frame of its own, named after the file.
+        load: (file) => (require, module, exports) => {
+          const trace = traceAt(inFile(file.name));
+          trace.enter(`(${file.name})`, 1, {});
+          try {
+            bodies.get(file.name)(trace, runtime, console, require, module, exports, process);
+          } finally {
+            trace.exit(file.content.split('\n').length);
+          }
+        },
+        builtin,
+      });
+      const module = { exports: {} };
+      return bodies.get(project.entry)(traceAt(inFile(project.entry)), runtime, console, requireFrom(project.entry), module, module.exports, process);
+    },
+  };
+};
@@ -0,0 +1,291 @@
+"""Step tracer for the visualizer's Python mode (runs inside Pyodide, in the trace worker).
+
+Records the same step format as src/visualizer/tracer.js:
+{ file, line, heap, frames: [{ id, name, file, line, callFile, callLine, args, locals, returnValue? }] },
+where objects are encoded as { ref: id } into the step's heap. The project's files
+are written to PROJECT_DIR, so the entry can import the others as modules; only
+code from there is traced, and files are named relative to it.
+"""
+import importlib
+import inspect
+import os
+import shutil
+import sys
+
+from pyodide.ffi import jsnull, to_js
+import js
+
+PROJECT_DIR = '/home/pyodide/project'
+BLOCKED_MODULES = ('js', 'pyodide', 'pyodide_js', '_pyodide')
+
+
+class StepLimitError(BaseException):
+    """Ends a run at its step limit; not an Exception, so `except Exception:` lets it through.
+
+    Raising it from the trace function switches tracing off. If user code catches it
+    anyway (a bare `except:`), dropping the error turns tracing back on, and the
+    tracer raises it again at the next line.
+    """
+
+    def __init__(self, tracer):
+        super().__init__(tracer.stopped)
+        self.tracer = tracer
+
+    def __del__(self):
+        self.tracer.resume()
+
+
+def _in_project(filename):
+    return filename.startswith(PROJECT_DIR + '/')
+
+
+def _project_name(filename):
+    return os.path.relpath(filename, PROJECT_DIR)
+
+
+def _write_project(files, entry):
+    """Replaces the project directory with `files` ({ name: content }) and forgets modules a previous run imported from it."""
+    shutil.rmtree(PROJECT_DIR, ignore_errors=True)
+    for name, content in files.items():
+        path = os.path.join(PROJECT_DIR, name)
+        os.makedirs(os.path.dirname(path), exist_ok=True)
+        with open(path, 'w', encoding='utf-8') as f:
+            f.write(content)
+    for name, module in list(sys.modules.items()):
+        origins = [getattr(module, '__file__', None) or '', *(getattr(module, '__path__', None) or [])]
+        if any(_in_project(str(o)) for o in origins):
+            del sys.modules[name]
+    importlib.invalidate_caches()
+    # As for `python main.py`: the entry's directory is where imports start.
+    sys.path[:] = [os.path.dirname(os.path.join(PROJECT_DIR, entry))] + [p for p in sys.path if not p.startswith(PROJECT_DIR)]
+
+
+class _BlockJsImports:
+    """Keeps user code from importing the JS bridge (and through it, the worker's globals)."""
+
+    def find_spec(self, name, path=None, target=None):
+        if name.split('.')[0] in BLOCKED_MODULES:
+            raise ImportError(f"module '{name}' is not available in the visualizer")
+        return None
+
+
+def _is_hidden(value):
+    return inspect.ismodule(value) or inspect.isclass(value) or inspect.isroutine(value)
+
+
+class _Output:
+    """sys.stdout / sys.stderr replacement that reports whole lines with the current step."""
+
+    def __init__(self, tracer, level):
+        self.tracer = tracer
+        self.level = level
+        self.buffer = ''
+
+    def write(self, text):
+        self.buffer += text
+        while '\n' in self.buffer:
+            line, self.buffer = self.buffer.split('\n', 1)
+            self.tracer.print(self.level, line)
+        return len(text)
+
+    def flush(self):
+        if self.buffer:
+            self.tracer.print(self.level, self.buffer)
+            self.buffer = ''
+
+
+class Tracer:
+    def __init__(self, bridge, max_steps, main_file):
+        self.bridge = bridge
+        self.max_steps = max_steps
+        self.main_file = main_file
+        self.count = 0
+        self.active = True
+        self.stopped = None  # the step-limit message, once reached
+        self.last_file = None
+        self.last_line = None
+        self.frames = {}  # id(frame) -> (frame id, call file, call line)
+        self.next_frame_id = 1
+        self.heap_ids = {}  # id(obj) -> (heap id, obj); holding obj keeps id() unique for the run
+
+    def heap_id(self, obj):
+        key = id(obj)
+        if key not in self.heap_ids:
+            self.heap_ids[key] = (len(self.heap_ids) + 1, obj)
+        return self.heap_ids[key][0]
+
+    def encode(self, value, heap):
+        if value is None:
+            return jsnull
+        if isinstance(value, (bool, int, float, str)):
+            return value
+        hid = self.heap_id(value)
+        if hid in heap:
+            return {'ref': hid}
+        entry = {'id': hid}
+        heap[hid] = entry  # registered before recursing so cycles terminate
+        if isinstance(value, (list, tuple)):
+            entry.update(kind='array', items=[self.encode(v, heap) for v in value])
+        elif isinstance(value, dict):
+            entry.update(kind='map', entries=[[self.encode(k, heap), self.encode(v, heap)] for k, v in value.items()])
+        elif isinstance(value, (set, frozenset)):
+            entry.update(kind='set', items=[self.encode(v, heap) for v in value])
+        elif callable(value):
+            entry.update(kind='function', name=getattr(value, '__name__', '(anonymous)'))
+        else:
+            fields = vars(value) if hasattr(value, '__dict__') else {'value': repr(value)}
+            entry.update(kind='object', className=type(value).__name__,
+                         fields={str(k): self.encode(v, heap) for k, v in fields.items()})
+        return {'ref': hid}
+
+    def stack(self, frame):
+        frames = []
+        while frame is not None:
+            if _in_project(frame.f_code.co_filename):
+                frames.append(frame)
+            frame = frame.f_back
+        return frames[::-1]
+
+    def variables(self, frame, heap):
+        code = frame.f_code
+        if code.co_name == '<module>':
+            names = {k: v for k, v in frame.f_globals.items() if not k.startswith('__') and not _is_hidden(v)}
+            return {}, {k: self.encode(v, heap) for k, v in names.items()}
+        arg_count = code.co_argcount + code.co_kwonlyargcount
+        arg_names = code.co_varnames[:arg_count]
+        variables = {k: v for k, v in frame.f_locals.items() if not _is_hidden(v)}
+        args = {k: self.encode(variables[k], heap) for k in arg_names if k in variables}
+        local_vars = {k: self.encode(v, heap) for k, v in variables.items() if k not in arg_names}
+        return args, local_vars
+
+    def record(self, frame, returning=False, return_value=None):
+        if self.count >= self.max_steps:
+            self.stopped = f'Step limit of {self.max_steps} reached (infinite loop?)'
+            # A caught StepLimitError that is kept alive never resumes tracing; any call does.
+            sys.setprofile(lambda *_: self.resume())
+            raise StepLimitError(self)
+        self.count += 1
+        self.last_file = _project_name(frame.f_code.co_filename)
+        self.last_line = frame.f_lineno
+        heap = {}
+        frames = []
+        for f in self.stack(frame):
+            frame_id, call_file, call_line = self.frames.get(id(f), (0, None, None))
+            args, local_vars = self.variables(f, heap)
+            frames.append({
+                'id': frame_id,
+                'name': self.frame_name(f),
+                'file': _project_name(f.f_code.co_filename),
+                'line': f.f_lineno,
+                'callFile': jsnull if call_file is None else call_file,
+                'callLine': jsnull if call_line is None else call_line,
+                'args': args,
+                'locals': local_vars,
+            })
+        if returning:
+            frames[-1]['returnValue'] = self.encode(return_value, heap)
+        step = {'file': self.last_file, 'line': frame.f_lineno, 'heap': heap, 'frames': frames}
+        self.bridge.step(to_js(step, dict_converter=js.Object.fromEntries))
+
+    def frame_name(self, frame):
+        code = frame.f_code
+        if code.co_name != '<module>':
+            return code.co_name
+        # An imported module's top level is a frame of its own, named after its file.
+        return '(global)' if code.co_filename == self.main_file else f'({_project_name(code.co_filename)})'
+
+    def print(self, level, text):
+        self.bridge.print(level, text, max(0, self.count - 1))
+
+    def resume(self):
+        """Turns tracing back on after the trace function raised, while the run lasts."""
+        if not self.active or sys.gettrace() is not None:
+            return
+        sys.settrace(self.trace)
+        frame = sys._getframe(1)
+        while frame is not None:
+            if _in_project(frame.f_code.co_filename):
+                frame.f_trace = self.trace
+            frame = frame.f_back
+
+    def trace(self, frame, event, arg):
+        code = frame.f_code
+        if not _in_project(code.co_filename):
+            return None
+        if self.stopped:
+            raise StepLimitError(self)
+        is_main = code.co_name == '<module>' and code.co_filename == self.main_file
+        if event == 'call':
+            if not is_main:
+                # Imports reach a module through importlib, so look past frames from outside the project.
+                caller = frame.f_back
+                while caller is not None and not _in_project(caller.f_code.co_filename):
+                    caller = caller.f_back
+                self.frames[id(frame)] = (
+                    self.next_frame_id,
+                    None if caller is None else _project_name(caller.f_code.co_filename),
+                    None if caller is None else caller.f_lineno,
+                )
+                self.next_frame_id += 1
+                # A module has no line yet; its first 'line' event follows.
+                if code.co_name != '<module>':
+                    self.record(frame)
+        elif event == 'line':
+            self.record(frame)
+        elif event == 'return' and not is_main:
+            self.record(frame, returning=code.co_name != '<module>', return_value=arg)
+            self.frames.pop(id(frame), None)
+        return self.trace
+
+
+def _error_location(error):
+    """The innermost project line in the traceback, as (file, line), or (None, None)."""
+    if isinstance(error, SyntaxError) and error.filename and _in_project(error.filename):
+        return _project_name(error.filename), error.lineno
+    location = (None, None)
+    tb = error.__traceback__
+    while tb is not None:
+        if _in_project(tb.tb_frame.f_code.co_filename):
+            location = (_project_name(tb.tb_frame.f_code.co_filename), tb.tb_lineno)
+        tb = tb.tb_next
+    return location
+
+
+def run(files, entry, bridge, max_steps):
+    """Traces the project `files` ({ name: content }) from `entry`; returns None on success or an error dict like the JS worker's."""
+    _write_project(files, entry)
+    main_file = os.path.join(PROJECT_DIR, entry)
+    tracer = Tracer(bridge, max_steps, main_file)
+    try:
+        code = compile(files[entry], main_file, 'exec')
+    except SyntaxError as e:
+        return {'kind': 'syntax', 'message': f'SyntaxError: {e.msg}', 'file': entry, 'line': e.lineno}
+
+    for name in list(sys.modules):
+        if name.split('.')[0] in BLOCKED_MODULES:
+            del sys.modules[name]
+    sys.meta_path.insert(0, _BlockJsImports())
+
+    stdout, stderr = _Output(tracer, 'log'), _Output(tracer, 'error')
+    sys.stdout, sys.stderr = stdout, stderr
+    error = None
+    sys.dont_write_bytecode = True
+    sys.settrace(tracer.trace)
+    try:
+        exec(code, {'__name__': '__main__', '__file__': main_file, '__builtins__': __builtins__})
+    except StepLimitError:
+        pass
+    except BaseException as e:  # noqa: BLE001 - user code may raise anything, including SystemExit
+        file, line = _error_location(e)
+        error = {'kind': 'runtime', 'message': f'{type(e).__name__}: {e}', 'file': file or tracer.last_file, 'line': line or tracer.last_line}
+    finally:
+        tracer.active = False
+        sys.settrace(None)
+        sys.setprofile(None)
+        stdout.flush()
+        stderr.flush()
+        sys.stdout, sys.stderr = sys.__stdout__, sys.__stderr__
+    # However user code handled the error on its way out, the limit ended the run.
+    if tracer.stopped:
+        error = {'kind': 'step-limit', 'message': tracer.stopped, 'file': tracer.last_file, 'line': tracer.last_line}
+    return error
@@ -0,0 +1,39 @@
+import PY_TRACER from './pyTracer.py?raw';
+
+/**
+ * --- PYTHON RUNNER ---
+ * Loads Pyodide (CPython compiled to WebAssembly, served with the app's own
+ * assets) and traces a program with `pyTracer.py` into the same step format
+ * as the JavaScript tracer.
+ */
+let pyodideReady = null;
+
+const loadPython = () => {
+  pyodideReady ||= import('pyodide').then(({ loadPyodide }) => loadPyodide({ stdin: () => null }));
+  return pyodideReady;
+};
+
+/**
+ * Traces a project (editor/project.js) from its entry; the other files can be
+ * imported as modules. `onStep(step)` and `onPrint({ step, level, text })`
+ * receive results as they are recorded; `onStart()` fires once the interpreter
+ * is loaded. Resolves with `null` or an error `{ kind, message, file, line }`.
+ */
+export const tracePython = async ({ files, entry }, { maxSteps, onStep, onPrint, onStart }) => {
+  const pyodide = await loadPython();
+  const namespace = pyodide.globals.get('dict')();
+  const sources = pyodide.toPy(Object.fromEntries(files.map(f => [f.name, f.content])));
+  try {
+    pyodide.runPython(PY_TRACER, { globals: namespace });
+    const bridge = {
+      step: onStep,
+      print: (level, text, step) => onPrint({ step, level, text }),
+    };
+    onStart?.();
+    const error = namespace.get('run')(sources, entry, bridge, maxSteps);
+    return error ? error.toJs({ dict_converter: Object.fromEntries }) : null;
+  } finally {
+    sources.destroy();
+    namespace.destroy();
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * --- TRACE RUNNER ---
+ * Runs one visualization of a project (editor/project.js) in a fresh, dedicated
+ * worker and resolves with `{ steps, output, error }`. `error` is `null` or
+ * `{ kind, message, file, line }` where kind is 'syntax' | 'unsupported' |
+ * 'runtime' | 'step-limit' | 'timeout' | 'cancelled'; compile errors also carry
+ * `problems: [{ message, file, line }]`.
+ * `language` is 'javascript', 'cpp', 'java' or 'python'. The time limit
+ * starts once the worker is ready, so loading Python does not count against it.
+ */
+export const DEFAULT_TIMEOUT_MS = 5000;
+
+export const runTrace = (project, { language = 'javascript', maxSteps, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  const worker = new Worker(new URL('./trace.worker.js', import.meta.url), { type: 'module' });
+  const steps = [];
+  const output = [];
+  const lastLocation = () => (steps.length ? { file: steps[steps.length - 1].file, line: steps[steps.length - 1].line } : { file: null, line: null });
+  let timer;
+  let settle;
+
+  const promise = new Promise(resolve => {
+    settle = (error) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve({ steps, output, error });
+    };
+  });
+
+  const startTimer = () => {
+    timer = setTimeout(() => settle({
+      kind: 'timeout', message: `Time limit of ${timeoutMs / 1000}s exceeded.`, ...lastLocation(),
+    }), timeoutMs);
+  };
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'started') startTimer();
+    else if (data.type === 'steps') {
+      steps.push(...data.steps);
+      output.push(...data.output);
+    }
+    else if (data.type === 'done') settle(data.error);
+  };
+  worker.onerror = (e) => settle({ kind: 'runtime', message: e.message || 'Visualizer worker crashed.', ...lastLocation() });
+  worker.postMessage({ project, language, maxSteps });
+
+  return {
+    promise,
+    cancel: () => settle({ kind: 'cancelled', message: 'Visualization cancelled.', ...lastLocation() }),
+  };
+};
@@ -0,0 +1,10 @@
+/**
+ * --- WORKER SANDBOX ---
+ * Globals that user code run inside a worker must not reach. They are passed as
+ * same-named parameters (all undefined) to the `new Function` wrapper, which
+ * shadows the worker's messaging and network APIs.
+ */
+export const BLOCKED_GLOBALS = [
+  'self', 'globalThis', 'postMessage', 'onmessage', 'close', 'importScripts',
+  'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'indexedDB', 'caches', 'Worker',
+];
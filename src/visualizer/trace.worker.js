@@ -0,0 +1,87 @@
+import { createTracer, StepLimitError } from './tracer.js';
+import { tracePython } from './pythonRunner.js';
+import { compileProgram } from './linker.js';
+import { createRuntime, ExitSignal } from './transpiler/index.js';
+
+/**
+ * --- TRACE WORKER ---
+ * Instruments and runs a project (editor/project.js) off the main thread.
+ * Steps are streamed back in batches so a run that is cut short (timeout,
+ * cancel) still shows what it recorded. Messages: `{ type: 'started' }` once
+ * setup (e.g. loading Python) is done, `{ type: 'steps', steps, output }` and
+ * `{ type: 'done', error }`. linker.js turns the files into one program; C++
+ * and Java run against their own runtime.
+ */
+const BATCH_SIZE = 200;
+
+const TRANSPILED = new Set(['cpp', 'java']);
+
+const runPython = async (project, maxSteps) => {
+  const steps = [];
+  const output = [];
+  let sent = 0;
+  let sentOutput = 0;
+  const flush = () => {
+    if (steps.length === sent && output.length === sentOutput) return;
+    postMessage({ type: 'steps', steps: steps.slice(sent), output: output.slice(sentOutput) });
+    sent = steps.length;
+    sentOutput = output.length;
+  };
+
+  let error;
+  try {
+    error = await tracePython(project, {
+      maxSteps,
+      onStart: () => postMessage({ type: 'started' }),
+      onStep: (step) => {
+        steps.push(step);
+        if (steps.length - sent >= BATCH_SIZE) flush();
+      },
+      onPrint: (entry) => output.push(entry),
+    });
+  } catch (e) {
+    error = { kind: 'runtime', message: `Could not load Python: ${e?.message ?? e}`, file: null, line: null };
+  }
+  flush();
+  postMessage({ type: 'done', error });
+};
+
+self.onmessage = async ({ data: { project, language, maxSteps } }) => {
+  if (language === 'python') return runPython(project, maxSteps);
+
+  let sent = 0;
+  let sentOutput = 0;
+  const tracer = createTracer({
+    maxSteps,
+    onStep: () => { if (tracer.steps.length - sent >= BATCH_SIZE) flush(); },
+  });
+  const flush = () => {
+    if (tracer.steps.length === sent && tracer.output.length === sentOutput) return;
+    postMessage({ type: 'steps', steps: tracer.steps.slice(sent), output: tracer.output.slice(sentOutput) });
+    sent = tracer.steps.length;
+    sentOutput = tracer.output.length;
+  };
+
+  const runtime = TRANSPILED.has(language) ? createRuntime({ lang: language, console: tracer.console }) : null;
+  const program = compileProgram(project, language);
+  let error = program.error ?? null;
+  postMessage({ type: 'started' });
+  try {
+    await program.run?.({
+      traceAt: tracer.at,
+      runtime,
+      console: tracer.console,
+      builtin: (name) => { throw new Error(`Cannot find module '${name}' (the visualizer only has the project's own files)`); },
+    });
+  } catch (e) {
+    const thrown = runtime ? runtime.error(e) : e;
+    if (thrown instanceof StepLimitError) error = { kind: 'step-limit', message: thrown.message, ...tracer.location };
+    else if (!(thrown instanceof ExitSignal)) {
+      error = { kind: 'runtime', message: `${thrown?.name || 'Error'}: ${thrown?.message ?? thrown}`, ...tracer.location };
+    }
+  } finally {
+    runtime?.flush();
+  }
+  flush();
+  postMessage({ type: 'done', error });
+};
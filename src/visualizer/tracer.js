@@ -0,0 +1,170 @@
+/**
+ * --- TRACER RUNTIME ---
+ * Receives the calls injected by `instrumentCode` and records one history
+ * entry per executed trace point: `{ file, line, frames, heap }`, where `frames`
+ * is the full call stack (outermost first). Every frame carries its own `args`
+ * and `locals`, its `file` and `line`, the `callFile` / `callLine` it was
+ * called from and, on returns, its `returnValue`.
+ * Objects live in the step's `heap` (keyed by an id that is stable across the
+ * whole run), so aliasing, cycles, Map/Set and class instances survive.
+ * Function entry and fall-through exit are recorded as steps too.
+ * Console output is collected in `output` as `{ step, level, text }`, where
+ * `step` is the index of the step that was executing when it was printed.
+ * Instrumented code calls the object `at(locate)` returns, where `locate(line)`
+ * maps its lines to `{ file, line }` in the project (see linker.js).
+ */
+export const DEFAULT_MAX_STEPS = 5000;
+
+export class StepLimitError extends Error {
+  constructor(limit) {
+    super(`Step limit of ${limit} reached (infinite loop?)`);
+    this.name = 'StepLimitError';
+  }
+}
+
+// Primitives are stored as-is; objects become `{ ref: id }` pointing into the step's heap.
+const createHeapEncoder = () => {
+  const ids = new WeakMap();
+  let nextId = 1;
+  const idOf = (obj) => {
+    if (!ids.has(obj)) ids.set(obj, nextId++);
+    return ids.get(obj);
+  };
+
+  return (heap) => {
+    const encode = (val) => {
+      if (typeof val === 'symbol') return String(val);
+      if ((typeof val !== 'object' && typeof val !== 'function') || val === null) return val;
+      const id = idOf(val);
+      if (heap[id]) return { ref: id };
+
+      const entry = { id };
+      heap[id] = entry; // registered before recursing so cycles terminate
+      if (typeof val === 'function') {
+        Object.assign(entry, { kind: 'function', name: val.name || '(anonymous)' });
+      } else if (Array.isArray(val) || ArrayBuffer.isView(val)) {
+        Object.assign(entry, { kind: 'array', items: Array.from(val, encode) });
+      } else if (val instanceof Map) {
+        Object.assign(entry, { kind: 'map', entries: [...val].map(([k, v]) => [encode(k), encode(v)]) });
+      } else if (val instanceof Set) {
+        Object.assign(entry, { kind: 'set', items: [...val].map(encode) });
+      } else {
+        const className = Object.getPrototypeOf(val)?.constructor?.name;
+        entry.kind = 'object';
+        entry.className = className && className !== 'Object' ? className : null;
+        entry.fields = {};
+        Object.keys(val).forEach(k => { entry.fields[k] = encode(val[k]); });
+      }
+      return { ref: id };
+    };
+    return encode;
+  };
+};
+
+const readScope = (getters, encode) => {
+  const scope = {};
+  Object.entries(getters).forEach(([name, get]) => {
+    try {
+      const val = get();
+      if (typeof val !== 'function') scope[name] = encode(val);
+    } catch { /* still in TDZ */ }
+  });
+  return scope;
+};
+
+const braces = (open, parts, close) => (parts.length ? `${open} ${parts.join(', ')} ${close}` : `${open}${close}`);
+
+// console.log-style rendering of one argument; strings are printed raw.
+export const formatArg = (val, seen = new Set()) => {
+  if (typeof val === 'string') return val;
+  if (typeof val === 'function') return `[Function: ${val.name || 'anonymous'}]`;
+  if (typeof val !== 'object' || val === null) return String(val);
+  if (seen.has(val)) return '[Circular]';
+  seen.add(val);
+  const inner = (v) => (typeof v === 'string' ? JSON.stringify(v) : formatArg(v, seen));
+  let text;
+  if (Array.isArray(val)) text = braces('[', val.map(inner), ']');
+  else if (val instanceof Map) text = `Map(${val.size}) ${braces('{', [...val].map(([k, v]) => `${inner(k)} => ${inner(v)}`), '}')}`;
+  else if (val instanceof Set) text = `Set(${val.size}) ${braces('{', [...val].map(inner), '}')}`;
+  else if (val instanceof Error) text = `${val.name}: ${val.message}`;
+  else {
+    const className = Object.getPrototypeOf(val)?.constructor?.name;
+    const body = braces('{', Object.keys(val).map(k => `${k}: ${inner(val[k])}`), '}');
+    text = className && className !== 'Object' ? `${className} ${body}` : body;
+  }
+  seen.delete(val);
+  return text;
+};
+
+export const createTracer = ({ maxSteps = DEFAULT_MAX_STEPS, onStep } = {}) => {
+  const steps = [];
+  const output = [];
+  const heapEncoder = createHeapEncoder();
+  let nextFrameId = 0;
+  const newFrame = (name, caller, args) => ({
+    id: nextFrameId++, name, callFile: caller?.file ?? null, callLine: caller?.line ?? null,
+    file: caller?.file ?? null, line: caller?.line ?? null, args, getters: {}, returned: false,
+  });
+
+  const frames = [newFrame('(global)', null, {})];
+  const top = () => frames[frames.length - 1];
+
+  const record = ({ file, line }, returnValue) => {
+    if (steps.length >= maxSteps) throw new StepLimitError(maxSteps);
+    Object.assign(top(), { file, line });
+    const heap = {};
+    const encode = heapEncoder(heap);
+    steps.push({
+      file,
+      line,
+      heap,
+      frames: frames.map((f, i) => ({
+        id: f.id,
+        name: f.name,
+        file: f.file,
+        line: f.line,
+        callFile: f.callFile,
+        callLine: f.callLine,
+        args: readScope(f.args, encode),
+        locals: readScope(f.getters, encode),
+        ...(i === frames.length - 1 && returnValue ? { returnValue: encode(returnValue.value) } : {}),
+      })),
+    });
+    onStep?.(steps[steps.length - 1]);
+  };
+
+  const print = (level) => (...args) => {
+    output.push({ step: Math.max(0, steps.length - 1), level, text: args.map(a => formatArg(a)).join(' ') });
+  };
+
+  return {
+    steps,
+    output,
+    console: { log: print('log'), info: print('log'), debug: print('log'), warn: print('warn'), error: print('error') },
+    // Where the last step was, for errors: `{ file, line }`.
+    get location() {
+      const last = steps[steps.length - 1];
+      return { file: last?.file ?? null, line: last?.line ?? null };
+    },
+    at: (locate) => ({
+      step(line, getters) {
+        top().getters = getters;
+        record(locate(line));
+      },
+      enter(name, line, args) {
+        frames.push(newFrame(name, top(), args));
+        record(locate(line));
+      },
+      exit(endLine) {
+        if (frames.length === 1) return;
+        if (!top().returned) record(locate(endLine));
+        frames.pop();
+      },
+      ret(line, value) {
+        top().returned = true;
+        record(locate(line), { value });
+        return value;
+      },
+    }),
+  };
+};
@@ -0,0 +1,1766 @@
+import { CompileError } from './lexer.js';
+import { RUNTIME_ID } from './runtime.js';
+import {
+  t, INT, LONG, DOUBLE, CHAR, BOOL, STRING, VOID, UNKNOWN, OBJECT,
+  resolveType, isIntegral, isNumeric, isBig, isDynamic, isPrimitive, isSequence, isMapKind, isSetKind,
+  isValueObject, valueDepth, promote, elementOf, describeType, describeTypeWithArticle,
+} from './types.js';
+import { createLibrary, functionParams, OPERATOR_NAMES } from './library.js';
+
+/**
+ * --- C++/JAVA CODE GENERATION ---
+ * Lowers the parser's AST to JavaScript that runs against `__rt` (runtime.js).
+ * Every expression is typed while it is emitted (`{ code, type }`), which is
+ * what lets `a / b` become integer division, `long` arithmetic use BigInt and
+ * C++ objects be copied where the language copies them. Each statement is put
+ * back on its source line so the tracer's steps point at the user's code.
+ * Anything outside the simulated subset is collected and thrown together as
+ * one CompileError('unsupported') listing every line.
+ */
+const RT = RUNTIME_ID;
+const MARK = '\u0000';
+
+// Placeholder that `placeLines` turns into newlines.
+const at = (line) => (line ? `${MARK}${line}${MARK}` : '');
+
+const placeLines = (code) => {
+  let current = 1;
+  return code.replace(new RegExp(`${MARK}(\\d+)${MARK}`, 'g'), (_, n) => {
+    const line = Number(n);
+    if (line <= current) return ' ';
+    const breaks = '\n'.repeat(line - current);
+    current = line;
+    return breaks;
+  });
+};
+
+// Names that cannot be JS bindings, or would shadow what generated code relies on.
+const RESERVED = new Set([
+  'arguments', 'await', 'case', 'catch', 'class', 'const', 'debugger', 'default', 'delete', 'enum', 'eval', 'export',
+  'extends', 'finally', 'function', 'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'package', 'private',
+  'protected', 'public', 'static', 'typeof', 'var', 'void', 'with', 'yield', 'undefined', 'NaN', 'Infinity',
+  'console', 'Math', 'Number', 'String', 'BigInt', 'Object', 'Array', 'Boolean', 'Symbol', 'JSON', 'Map', 'Set',
+  'Error', 'Date', 'RegExp', 'Promise', 'Reflect', 'Proxy', 'globalThis', 'self', '__trace', RT,
+]);
+
+const jsName = (name) => (RESERVED.has(name) ? `${name}_` : name);
+const quote = (value) => JSON.stringify(value);
+
+// Source expressions that can be evaluated twice without changing behaviour.
+const isPure = (node) => {
+  switch (node?.type) {
+    case 'Identifier': case 'Literal': case 'This': return true;
+    case 'Paren': return isPure(node.expression);
+    case 'Member': return isPure(node.object);
+    case 'Index': return isPure(node.object) && isPure(node.index);
+    case 'Unary': return node.operator !== '&' && isPure(node.argument);
+    case 'Binary': return isPure(node.left) && isPure(node.right);
+    case 'Cast': return isPure(node.argument);
+    default: return false;
+  }
+};
+
+const isIntLiteral = (code) => /^-?\d+$/.test(code);
+
+export const generate = (program) => {
+  const { lang } = program;
+  const cpp = lang === 'cpp';
+  const problems = [];
+  const aliases = new Map();
+  const classes = new Map();
+  const functions = new Map();
+  const templateNames = new Set();
+  const scopes = [new Map()];
+  const fnStack = [];
+
+  const report = (what, line) => {
+    if (!problems.some(p => p.what === what && p.line === line)) problems.push({ what, line });
+    return { code: 'undefined', type: UNKNOWN };
+  };
+
+  const lookupTypeName = (name) => {
+    if (aliases.has(name)) return aliases.get(name);
+    const short = name.split(/::|\./).pop();
+    if (classes.has(short)) return t('class', [], { cls: short });
+    if (templateNames.has(name)) return OBJECT;
+    if (name === 'iterator' || name.endsWith('::iterator') || name.endsWith('::const_iterator')) return t('iter');
+    if (name === 'decltype') return t('function');
+    return null;
+  };
+  const resolve = (written) => resolveType(written, lang, lookupTypeName, report);
+
+  /* ---------- SCOPES ---------- */
+
+  const pushScope = () => scopes.push(new Map());
+  const popScope = () => scopes.pop();
+  const declare = (name, symbol) => {
+    scopes[scopes.length - 1].set(name, symbol);
+    return symbol;
+  };
+  const findSymbol = (name) => {
+    for (let i = scopes.length - 1; i >= 0; i--) if (scopes[i].has(name)) return scopes[i].get(name);
+    return null;
+  };
+  const currentFn = () => fnStack[fnStack.length - 1] || null;
+  const currentClass = () => {
+    for (let i = fnStack.length - 1; i >= 0; i--) if (fnStack[i].cls) return fnStack[i].cls;
+    return null;
+  };
+
+  /* ---------- CLASSES ---------- */
+
+  const classChain = (info) => {
+    const chain = [];
+    for (let c = info; c; c = c.superName ? classes.get(c.superName) : null) chain.push(c);
+    return chain;
+  };
+  const findField = (info, name) => {
+    for (const c of classChain(info)) if (c.fields.has(name)) return { ...c.fields.get(name), owner: c };
+    return null;
+  };
+  const findMethods = (info, name) => {
+    for (const c of classChain(info)) if (c.methods.has(name)) return c.methods.get(name);
+    return null;
+  };
+
+  const signature = (node, cls) => {
+    const params = node.params.map(p => ({ name: p.name, type: resolve(p.paramType), defaultValue: p.defaultValue, line: p.line }));
+    return {
+      name: node.name,
+      params,
+      minArgs: params.filter(p => !p.defaultValue).length,
+      returnType: node.returnType ? resolve(node.returnType) : VOID,
+      isStatic: Boolean(node.isStatic) || !cls,
+      cls,
+      node,
+    };
+  };
+
+  // Overloads get `$n` suffixes (the tracer strips them from frame names).
+  const addOverload = (table, key, sig) => {
+    if (!table.has(key)) table.set(key, []);
+    table.get(key).push(sig);
+  };
+  const mangle = (table) => table.forEach((sigs) => {
+    sigs.forEach((sig, i) => { sig.js ||= sigs.length > 1 ? `${sig.baseJs}$${i}` : sig.baseJs; });
+  });
+
+  const registerClasses = (nodes, outer) => nodes.forEach(node => {
+    if (node.type === 'Group') return registerClasses(node.body, outer);
+    if (node.type !== 'Class') return;
+    node.templateParams.forEach(n => templateNames.add(n));
+    const info = {
+      name: node.name,
+      js: outer ? `${outer.js}.${jsName(node.name)}` : jsName(node.name),
+      node,
+      outer,
+      superName: null,
+      superException: null,
+      fields: new Map(),
+      methods: new Map(),
+      ctors: [],
+    };
+    classes.set(node.name, info);
+    registerClasses(node.members, info);
+  });
+
+  const collectMembers = (info) => {
+    const { node } = info;
+    if (node.superClass) {
+      const base = node.superClass.name.split(/::|\./).pop();
+      if (classes.has(base)) info.superName = base;
+      else if (resolve(node.superClass).kind === 'exception') info.superException = base;
+    }
+    node.members.forEach(member => {
+      member.templateParams?.forEach(n => templateNames.add(n));
+      if (member.type === 'Field') {
+        member.declarators.forEach(d => info.fields.set(d.name, { type: resolve(d.varType), isStatic: member.isStatic, declarator: d }));
+      } else if (member.type === 'Function' && member.isConstructor) {
+        info.ctors.push({ ...signature(member, info), isStatic: false, baseJs: jsName(info.name) });
+      } else if (member.type === 'Function') {
+        const name = member.operator ? OPERATOR_NAMES.methodName(member.operator, member.params.length) : member.name;
+        addOverload(info.methods, name, { ...signature(member, info), baseJs: jsName(name) });
+      } else if (member.type === 'Class') {
+        collectMembers(classes.get(member.name));
+      }
+    });
+  };
+
+  const collectSignatures = (nodes) => nodes.forEach(node => {
+    if (node.type === 'Group') return collectSignatures(node.body);
+    if (node.type === 'TypeAlias') aliases.set(node.name, resolve(node.aliased));
+    if (node.type === 'Class') collectMembers(classes.get(node.name));
+    if (node.type === 'Function' && node.owner) {
+      // `Foo::bar` defined outside its class: the in-class declaration already registered it.
+      const info = classes.get(node.owner);
+      if (!info) report(`'${node.owner}::${node.name}' (no such class)`, node.line);
+      else if (node.isConstructor && !info.ctors.some(c => c.params.length === node.params.length)) {
+        info.ctors.push({ ...signature(node, info), isStatic: false, baseJs: jsName(info.name) });
+      }
+    } else if (node.type === 'Function') {
+      node.templateParams.forEach(n => templateNames.add(n));
+      const name = node.operator ? OPERATOR_NAMES.freeName(node.operator) : node.name;
+      const existing = functions.get(name)?.find(s => s.params.length === node.params.length && !s.node.body);
+      // A prototype and its definition are one function.
+      if (existing && node.body) existing.node = node;
+      else if (!existing) addOverload(functions, name, { ...signature(node, null), baseJs: jsName(name) });
+    }
+  });
+
+  /* ---------- TYPES OF VALUES ---------- */
+
+  const classType = (info, ptr = 0) => t('class', [], { cls: info.name, ptr });
+
+  const defaultValue = (type, { javaField = false } = {}) => {
+    if (type.ptr) return 'null';
+    switch (type.kind) {
+      case 'int': case 'uint': case 'double': return type.boxed ? 'null' : '0';
+      case 'long': case 'ulong': return type.boxed ? 'null' : '0n';
+      case 'char': return type.boxed ? 'null' : quote('\0');
+      case 'bool': return type.boxed ? 'null' : 'false';
+      case 'string': return cpp ? "''" : 'null';
+      case 'iter': return '0';
+      case 'ptr': case 'function': case 'object': return 'null';
+      case 'unknown': case 'auto': return 'undefined';
+      default:
+        if (!cpp || javaField) return 'null';
+        if (type.kind === 'array') return '[]';
+        return construct(type, [], false, null).code;
+    }
+  };
+
+  // C++ copies value objects unless the value is already a temporary.
+  const copied = (r) => (isValueObject(r.type, lang) && !r.fresh ? `${RT}.clone(${r.code}, ${valueDepth(r.type, lang)})` : r.code);
+
+  const convert = (r, to) => {
+    const from = r.type;
+    const { code } = r;
+    if (!to || isDynamic(to) || to.kind === 'void' || from.kind === 'null') return code;
+    if (to.ptr || to.kind === 'ptr') return code;
+    if (isDynamic(from) || from.ptr) return code;
+    const literal = isIntLiteral(code) && ['int', 'uint', 'long', 'ulong'].includes(from.kind);
+    switch (to.kind) {
+      case 'int':
+        if (from.kind === 'int') return code;
+        if (from.kind === 'uint') return `(${code} | 0)`;
+        if (isBig(from)) return literal ? String(BigInt.asIntN(32, BigInt(code))) : `Number(BigInt.asIntN(32, ${code}))`;
+        if (from.kind === 'double') return `${RT}.toInt(${code})`;
+        if (from.kind === 'char') return `${RT}.ord(${code})`;
+        if (from.kind === 'bool') return `(${code} ? 1 : 0)`;
+        if (from.kind === 'iter') return code;
+        return code;
+      case 'uint':
+        if (from.kind === 'uint') return code;
+        if (literal) return String(BigInt.asUintN(32, BigInt(code)));
+        if (from.kind === 'int' || from.kind === 'iter') return `(${code} >>> 0)`;
+        if (isBig(from)) return `Number(BigInt.asUintN(32, ${code}))`;
+        if (from.kind === 'char') return `${RT}.ord(${code})`;
+        if (from.kind === 'bool') return `(${code} ? 1 : 0)`;
+        return `${RT}.toUint(${code})`;
+      case 'long':
+        if (from.kind === 'long') return code;
+        if (literal) return `${BigInt.asIntN(64, BigInt(code))}n`;
+        if (from.kind === 'int' || from.kind === 'uint' || from.kind === 'iter') return `BigInt(${code})`;
+        if (from.kind === 'ulong') return `BigInt.asIntN(64, ${code})`;
+        if (from.kind === 'bool') return `(${code} ? 1n : 0n)`;
+        return `${RT}.toLong(${code})`;
+      case 'ulong':
+        if (from.kind === 'ulong') return code;
+        if (literal) return `${BigInt.asUintN(64, BigInt(code))}n`;
+        if (from.kind === 'int' || from.kind === 'iter') return `BigInt.asUintN(64, BigInt(${code}))`;
+        if (from.kind === 'uint') return `BigInt(${code})`;
+        if (from.kind === 'long') return `BigInt.asUintN(64, ${code})`;
+        return `${RT}.toUlong(${code})`;
+      case 'double':
+        if (['double', 'int', 'uint', 'iter'].includes(from.kind)) return code;
+        if (isBig(from)) return literal ? code : `Number(${code})`;
+        if (from.kind === 'char') return `${RT}.ord(${code})`;
+        if (from.kind === 'bool') return `(${code} ? 1 : 0)`;
+        return code;
+      case 'char':
+        if (from.kind === 'char' || from.kind === 'string') return code;
+        if (literal) return quote(String.fromCharCode(Number(BigInt.asUintN(16, BigInt(code)))));
+        return `${RT}.chr(${code})`;
+      case 'bool':
+        if (from.kind === 'bool') return code;
+        if (from.kind === 'char') return `(${code} !== '\\0')`;
+        if (isBig(from)) return `(${code} !== 0n)`;
+        if (isNumeric(from)) return `(${code} !== 0)`;
+        if (from.ptr || ['class', 'ptr', 'object', 'function'].includes(from.kind)) return `(${code} != null)`;
+        return code;
+      case 'string':
+        return code;
+      default:
+        return code;
+    }
+  };
+
+  const bool = (r) => convert(r, BOOL);
+
+  // `expr` converted (and, in C++, copied) for storing into a slot of `type`.
+  const valueFor = (node, type) => {
+    const r = expr(node, type);
+    if (type && isValueObject(type, lang)) return copied(r);
+    return convert(r, type);
+  };
+
+  // Java's string conversion for `+`, print and append.
+  const stringOf = (r) => {
+    const { kind } = r.type;
+    if (kind === 'string' || kind === 'char') return lang === 'java' && kind === 'string' && r.type.nullable ? `${RT}.str(${r.code})` : r.code;
+    if (kind === 'double') return `${RT}.formatDouble(${r.code})`;
+    if (['int', 'uint', 'long', 'ulong', 'bool'].includes(kind) && !r.type.boxed) return `String(${r.code})`;
+    return `${RT}.str(${r.code})`;
+  };
+
+  // Kind tags for `__rt.cin.read` and `__rt.cout.put`.
+  const streamKind = (type) => {
+    if (type.ptr || type.kind === 'ptr') return 'pointer';
+    if (isBig(type)) return 'long';
+    if (['int', 'uint', 'iter'].includes(type.kind)) return 'int';
+    if (['double', 'char', 'bool', 'string'].includes(type.kind)) return type.kind;
+    return null;
+  };
+
+  /* ---------- LVALUES ---------- */
+
+  /**
+   * `{ type, read, write(code), pure, target?, ref() }`: `read` is the current value,
+   * `write` stores into it, `target` is a plain JS assignment target when one
+   * exists (used by swap) and `ref()` makes a Ref for C++ reference parameters.
+   */
+  const variableLvalue = (symbol) => {
+    if (symbol.alias) return symbol.alias;
+    if (symbol.cell) {
+      return {
+        type: symbol.type, read: `${symbol.js}.value`, pure: true, target: `${symbol.js}.value`,
+        write: (v) => `(${symbol.js}.value = ${v})`, ref: () => symbol.js,
+      };
+    }
+    return {
+      type: symbol.type, read: symbol.js, pure: true, target: symbol.js,
+      write: (v) => `(${symbol.js} = ${v})`,
+      ref: () => `${RT}.ref(/* @untraced */ () => ${symbol.js}, /* @untraced */ ($v) => (${symbol.js} = $v))`,
+    };
+  };
+
+  const memberLvalue = (objectCode, property, type, pure) => ({
+    type, read: `${objectCode}.${property}`, pure, target: `${objectCode}.${property}`,
+    write: (v) => `(${objectCode}.${property} = ${v})`,
+    ref: () => `${RT}.slot(${objectCode}, ${quote(property)})`,
+  });
+
+  const lvalue = (node) => {
+    switch (node.type) {
+      case 'Paren':
+        return lvalue(node.expression);
+      case 'Identifier': {
+        const symbol = findSymbol(node.name);
+        if (symbol) return variableLvalue(symbol);
+        const field = resolveField(node.name, node.line);
+        if (field) return memberLvalue(field.object, field.property, field.type, true);
+        report(`assigning to '${node.name}'`, node.line);
+        return null;
+      }
+      case 'Member': {
+        // `Main.count = ...`
+        if (node.object.type === 'Identifier' && !findSymbol(node.object.name) && classes.has(node.object.name)) {
+          const field = findField(classes.get(node.object.name), node.property);
+          if (field?.isStatic) return memberLvalue(field.owner.js, jsName(node.property), field.type, true);
+        }
+        const object = expr(node.object);
+        if (object.type.kind === 'iter') {
+          const element = deref(object, node.line);
+          return memberLvalue(element.code, node.property, memberType(element.type, node.property, node.line), isPure(node.object));
+        }
+        const member = readMember(object, node);
+        if (!member.field) {
+          report('assigning to this member', node.line);
+          return null;
+        }
+        return memberLvalue(object.code, member.field, member.type, isPure(node.object));
+      }
+      case 'Index':
+        return indexLvalue(node);
+      case 'Unary':
+        if (node.operator === '*') {
+          const pointer = expr(node.argument);
+          const pure = isPure(node.argument);
+          if (pointer.type.kind === 'ptr') {
+            return {
+              type: pointer.type.args[0], read: `${pointer.code}.value`, pure, target: `${pointer.code}.value`,
+              write: (v) => `(${pointer.code}.value = ${v})`, ref: () => pointer.code,
+            };
+          }
+          if (pointer.type.kind === 'iter') {
+            const { container } = pointer.type;
+            if (isSequence(container.type)) return indexLvalue({ ...node, object: container.node, index: { type: 'Raw', r: pointer } });
+          }
+          const type = { ...pointer.type, ptr: 0 };
+          return {
+            type, read: pointer.code, pure,
+            write: (v) => `${RT}.assignInto(${pointer.code}, ${v})`, ref: () => pointer.code,
+          };
+        }
+        break;
+      case 'Call':
+        // `v.back() = x`, `st.top()++`, `v.at(i) += 2`
+        if (node.callee.type === 'Member' && ['back', 'front', 'top', 'at'].includes(node.callee.property)) {
+          const object = expr(node.callee.object);
+          const { property } = node.callee;
+          if (isSequence(object.type) || object.type.kind === 'stack' || object.type.kind === 'queue') {
+            if (!isPure(node.callee.object)) break;
+            let index;
+            if (property === 'at') index = node.args[0];
+            else if (property === 'front') index = { type: 'Literal', kind: 'int', value: 0n, line: node.line };
+            else index = { type: 'Raw', r: { code: `${object.code}.length - 1`, type: INT } };
+            return indexLvalue({ type: 'Index', object: node.callee.object, index, line: node.line });
+          }
+        }
+        break;
+      case 'Raw':
+        return node.lv;
+      default:
+    }
+    report('assigning to this kind of expression', node.line);
+    return null;
+  };
+
+  const indexLvalue = (node) => {
+    const object = expr(node.object);
+    const pure = isPure(node.object) && (node.index.type === 'Raw' || isPure(node.index));
+    const { type } = object;
+    if (cpp && isMapKind(type)) {
+      const key = valueFor(node.index, type.args[0]);
+      return {
+        type: type.args[1] || UNKNOWN, read: `${object.code}.access(${key})`, pure,
+        write: (v) => `${object.code}.assign(${key}, ${v})`,
+        modify: (fn, post) => `${RT}.modify(${object.code}, ${key}, ${fn}, ${post})`,
+        ref: () => `${RT}.mapSlot(${object.code}, ${key})`,
+      };
+    }
+    const index = convert(expr(node.index), INT);
+    if (type.kind === 'string') {
+      const owner = lvalue(node.object);
+      return {
+        type: CHAR, read: `${RT}.charAt(${object.code}, ${index})`, pure,
+        write: (v) => owner.write(`${RT}.setChar(${owner.read}, ${index}, ${v})`),
+        ref: () => report('references to characters of a string', node.line).code,
+      };
+    }
+    if (type.kind === 'class') {
+      const methods = findMethods(classes.get(type.cls), OPERATOR_NAMES.methodName('[]', 1));
+      if (methods) {
+        return {
+          type: methods[0].returnType, read: `${object.code}.${methods[0].js}(${index})`, pure: false,
+          write: () => report("assigning through a user-defined operator[]", node.line).code,
+          ref: () => report("references through a user-defined operator[]", node.line).code,
+        };
+      }
+    }
+    if (!isSequence(type) && type.kind !== 'ptr' && !isDynamic(type)) {
+      report(`indexing ${describeTypeWithArticle(type)}`, node.line);
+    }
+    const element = type.kind === 'ptr' || isSequence(type) ? elementOf(type) : UNKNOWN;
+    const checked = `${object.code}[${RT}.idx(${object.code}, ${index})]`;
+    return {
+      type: element, read: `${RT}.at(${object.code}, ${index})`, pure, target: pure ? checked : null,
+      write: (v) => `${RT}.put(${object.code}, ${index}, ${v})`,
+      modify: (fn, post) => `${RT}.modify(${object.code}, ${index}, ${fn}, ${post})`,
+      ref: () => `${RT}.slot(${object.code}, ${RT}.idx(${object.code}, ${index}))`,
+    };
+  };
+
+  // A C++ `T&` argument: the Ref a callee writes through.
+  const referenceTo = (node) => {
+    const lv = lvalue(node);
+    if (!lv) return 'undefined';
+    return lv.ref();
+  };
+
+  /* ---------- NAMES ---------- */
+
+  // A bare name inside a method: a field of this class (or its bases), or a static of an enclosing class.
+  const resolveField = (name) => {
+    for (let info = currentClass(); info; info = info.outer) {
+      const field = findField(info, name);
+      if (field) {
+        const fn = currentFn();
+        const object = field.isStatic ? field.owner.js : 'this';
+        if (!field.isStatic && (info !== currentClass() || fn?.isStatic)) return null;
+        return { object, property: jsName(name), type: field.type };
+      }
+    }
+    return null;
+  };
+
+  const identifier = (node) => {
+    const { name } = node;
+    const symbol = findSymbol(name);
+    if (symbol) {
+      const lv = variableLvalue(symbol);
+      return { code: lv.read, type: symbol.type };
+    }
+    const field = resolveField(name);
+    if (field) return { code: `${field.object}.${field.property}`, type: field.type };
+    const constant = library.constant(name, node);
+    if (constant) return constant;
+    if (functions.has(name)) {
+      const sigs = functions.get(name);
+      return { code: sigs[0].js, type: t('function', [sigs[0].returnType], { sigs }) };
+    }
+    if (cpp && name.includes('::')) {
+      const [owner, member] = name.split('::');
+      const info = classes.get(owner);
+      if (info && info.fields.has(member)) return { code: `${info.js}.${jsName(member)}`, type: info.fields.get(member).type };
+    }
+    const info = currentClass();
+    if (info && findMethods(info, name)) {
+      const sig = findMethods(info, name)[0];
+      return { code: sig.isStatic ? `${sig.cls.js}.${sig.js}` : `this.${sig.js}.bind(this)`, type: t('function', [sig.returnType]) };
+    }
+    return report(`the name '${name}'`, node.line);
+  };
+
+  /* ---------- MEMBERS ---------- */
+
+  const memberType = (type, property, line) => {
+    if (type.kind === 'pair') {
+      if (property === 'first') return type.args[0] || UNKNOWN;
+      if (property === 'second') return type.args[1] || UNKNOWN;
+    }
+    if (type.kind === 'class') {
+      const field = findField(classes.get(type.cls), property);
+      if (field) return field.type;
+    }
+    if (isDynamic(type)) return UNKNOWN;
+    report(`the member '${property}' of ${describeType(type)}`, line);
+    return UNKNOWN;
+  };
+
+  const readMember = (object, node) => {
+    const { type } = object;
+    const { property } = node;
+    if (type.kind === 'pair' && (property === 'first' || property === 'second')) {
+      return { code: `${object.code}.${property}`, type: memberType(type, property), field: property };
+    }
+    if (type.kind === 'class') {
+      const info = classes.get(type.cls);
+      const field = findField(info, property);
+      if (field) {
+        const owner = field.isStatic ? field.owner.js : object.code;
+        return { code: `${owner}.${jsName(property)}`, type: field.type, field: field.isStatic ? null : jsName(property) };
+      }
+    }
+    if (type.kind === 'array' && property === 'length') return { code: `${object.code}.length`, type: INT };
+    if (type.kind === 'insertResult' && property === 'second') return { code: object.code, type: BOOL };
+    if (type.kind === 'exception' || (isDynamic(type) && property)) {
+      return { code: `${object.code}.${jsName(property)}`, type: UNKNOWN, field: jsName(property) };
+    }
+    return { ...report(`the member '${property}' of ${describeType(type)}`, node.line), field: null };
+  };
+
+  const member = (node) => {
+    // `Integer.MAX_VALUE`, `Main.count`, `Outer.Inner`
+    if (node.object.type === 'Identifier' && !findSymbol(node.object.name) && !resolveField(node.object.name)) {
+      const info = classes.get(node.object.name);
+      if (info) {
+        const field = findField(info, node.property);
+        if (field?.isStatic) return { code: `${field.owner.js}.${jsName(node.property)}`, type: field.type };
+        if (classes.has(node.property)) return { code: classes.get(node.property).js, type: t('classRef', [], { cls: node.property }) };
+      }
+      const constant = library.constant(`${node.object.name}.${node.property}`, node);
+      if (constant) return constant;
+    }
+    const object = expr(node.object);
+    if (object.type.kind === 'iter') {
+      // `it->first`
+      const element = deref(object, node.line);
+      return readMember(element, node);
+    }
+    return readMember(object, node);
+  };
+
+  /* ---------- ITERATORS ---------- */
+
+  const lengthOf = (container) => (isMapKind(container.type) || isSetKind(container.type) ? `${container.code}.size()` : `${container.code}.length`);
+
+  const iterType = (container, node, reverse = false) => t('iter', [elementOf(container.type)], { container: { ...container, node }, reverse });
+
+  // `*it`
+  const deref = (it, line) => {
+    const { container, reverse } = it.type;
+    if (!container) return report('iterators not tied to a container', line);
+    const index = reverse ? `(${lengthOf(container)} - 1 - ${it.code})` : it.code;
+    if (container.type.kind === 'string') return { code: `${RT}.charAt(${container.code}, ${index})`, type: CHAR };
+    if (isMapKind(container.type)) return { code: `${RT}.nthPair(${container.code}, ${index})`, type: elementOf(container.type) };
+    if (isSetKind(container.type)) return { code: `${RT}.nth(${container.code}, ${index})`, type: elementOf(container.type) };
+    return { code: `${RT}.at(${container.code}, ${index})`, type: elementOf(container.type) };
+  };
+
+  // Iterator arguments of algorithms and range constructors: `{ container, from, to, reverse }`.
+  // `sort(a, a + n)`: a plain array decays to an iterator at its start.
+  const asIterator = (node) => {
+    const plain = node.type === 'Binary' && node.operator === '+' ? node.left : node;
+    const value = expr(plain);
+    if (value.type.kind !== 'array') return expr(node);
+    const offset = plain === node ? '0' : convert(expr(node.right), INT);
+    return { code: offset, type: iterType(value, plain) };
+  };
+
+  const range = (first, last, line) => {
+    const a = asIterator(first);
+    const b = asIterator(last);
+    if (a.type.kind !== 'iter' || b.type.kind !== 'iter' || !a.type.container || !b.type.container) {
+      report('iterator arguments other than begin()/end() ranges', line);
+      return null;
+    }
+    if (a.type.container.code !== b.type.container.code) {
+      report('iterator ranges spanning two different containers', line);
+      return null;
+    }
+    const { container } = a.type;
+    if (a.type.reverse !== b.type.reverse) {
+      report('mixing reverse and forward iterators', line);
+      return null;
+    }
+    if (a.type.reverse) {
+      const n = lengthOf(container);
+      return { container, from: `(${n} - ${b.code})`, to: `(${n} - ${a.code})`, reverse: true };
+    }
+    return { container, from: a.code, to: b.code, reverse: false };
+  };
+
+  /* ---------- EXPRESSIONS ---------- */
+
+  const arithmetic = (op, a, b, type) => {
+    const k = type.kind;
+    if (k === 'double' || isDynamic(type)) return `(${a} ${op} ${b})`;
+    if (k === 'int') {
+      if (op === '+' || op === '-') return `((${a} ${op} ${b}) | 0)`;
+      if (op === '*') return `Math.imul(${a}, ${b})`;
+      return `${RT}.int.${op === '/' ? 'div' : 'mod'}(${a}, ${b})`;
+    }
+    if (k === 'uint') {
+      if (op === '+' || op === '-') return `((${a} ${op} ${b}) >>> 0)`;
+      if (op === '*') return `(Math.imul(${a}, ${b}) >>> 0)`;
+      return `${RT}.uint.${op === '/' ? 'div' : 'mod'}(${a}, ${b})`;
+    }
+    const wrap = k === 'ulong' ? 'asUintN' : 'asIntN';
+    if (op === '/' || op === '%') return `${RT}.${k}.${op === '/' ? 'div' : 'mod'}(${a}, ${b})`;
+    return `BigInt.${wrap}(64, ${a} ${op} ${b})`;
+  };
+
+  const bitwise = (op, a, b, type) => {
+    const k = type.kind;
+    if (k === 'int') {
+      if (op === '>>>') return `((${a} >>> ${b}) | 0)`;
+      return `(${a} ${op} ${b})`;
+    }
+    if (k === 'uint') return op === '>>' || op === '>>>' ? `(${a} >>> ${b})` : `((${a} ${op} ${b}) >>> 0)`;
+    if (isBig(type)) {
+      const helpers = { '<<': 'shl', '>>': 'shr', '>>>': 'ushr' };
+      if (helpers[op]) return `${RT}.${k}.${helpers[op]}(${a}, ${b})`;
+      return `(${a} ${op} ${b})`;
+    }
+    return `(${a} ${op} ${b})`;
+  };
+
+  const operatorCall = (op, left, right, node) => {
+    // Class operands with a user-defined operator (member or free function).
+    const method = OPERATOR_NAMES.methodName(op, right ? 1 : 0);
+    if (left.type.kind === 'class') {
+      const methods = findMethods(classes.get(left.type.cls), method);
+      if (methods) {
+        const sig = pickOverload(methods, right ? [right] : [], node.line);
+        return { code: `${left.code}.${sig.js}(${right ? passValue(right, sig.params[0]) : ''})`, type: sig.returnType, fresh: true };
+      }
+    }
+    const free = functions.get(OPERATOR_NAMES.freeName(op));
+    if (free) {
+      const operands = right ? [left, right] : [left];
+      const sig = pickOverload(free, operands, node.line);
+      if (sig) return { code: `${sig.js}(${operands.map((o, i) => passValue(o, sig.params[i])).join(', ')})`, type: sig.returnType, fresh: true };
+    }
+    return null;
+  };
+
+  const isStream = (type, direction) => type.kind === 'stream' && (!direction || type.variant === direction);
+
+  // `cout << a << b << endl`
+  const outputChain = (node) => {
+    const items = [];
+    let root = node;
+    while (root.type === 'Binary' && root.operator === '<<') {
+      items.unshift(root.right);
+      root = root.left;
+    }
+    const stream = expr(root);
+    let code = stream.code;
+    items.forEach(item => {
+      const manipulator = library.manipulator(item);
+      if (manipulator) { code += manipulator; return; }
+      const value = expr(item);
+      const custom = value.type.kind === 'class' && functions.has(OPERATOR_NAMES.freeName('<<'))
+        ? pickOverload(functions.get(OPERATOR_NAMES.freeName('<<')), [{ code, type: t('stream', [], { variant: 'out' }) }, value], item.line)
+        : null;
+      if (custom) {
+        code = `${custom.js}(${code}, ${passValue(value, custom.params[1])})`;
+        return;
+      }
+      const kind = streamKind(value.type);
+      if (!kind) {
+        report(`printing ${describeTypeWithArticle(value.type)} with <<`, item.line);
+        return;
+      }
+      code += `.put(${quote(kind)}, ${value.code})`;
+    });
+    return { code, type: stream.type };
+  };
+
+  // `cin >> a >> b` reads into each target; the value is whether every read succeeded.
+  const inputChain = (node) => {
+    const targets = [];
+    let root = node;
+    while (root.type === 'Binary' && root.operator === '>>') {
+      targets.unshift(root.right);
+      root = root.left;
+    }
+    const stream = expr(root);
+    const reads = targets.map(target => {
+      const lv = lvalue(target);
+      if (!lv) return 'undefined';
+      const kind = streamKind(lv.type);
+      if (!kind || kind === 'pointer') return report(`reading ${describeTypeWithArticle(lv.type)} with >>`, target.line).code;
+      return lv.write(`${stream.code}.read(${quote(kind)}, ${lv.read})`);
+    });
+    return { code: `(${[...reads, `${stream.code}.ok()`].join(', ')})`, type: BOOL };
+  };
+
+  const binary = (node) => {
+    const { operator: op } = node;
+    if (op === '<<' || op === '>>') {
+      let root = node;
+      while (root.type === 'Binary' && root.operator === op) root = root.left;
+      if (cpp && (root.type === 'Identifier' || root.type === 'Member' || root.type === 'Call')) {
+        const rootType = expr(root).type;
+        if (isStream(rootType, 'out') && op === '<<') return outputChain(node);
+        if (isStream(rootType, 'in') && op === '>>') return inputChain(node);
+      }
+    }
+    const left = expr(node.left);
+    const right = expr(node.right);
+    const lt = left.type;
+    const rtype = right.type;
+
+    const custom = (lt.kind === 'class' && !lt.ptr) || (rtype.kind === 'class' && !rtype.ptr && op !== '==' && op !== '!=')
+      ? operatorCall(op, left, right, node) : null;
+    if (custom) return custom;
+
+    switch (op) {
+      case '&&':
+      case '||':
+        return { code: `(${bool(left)} ${op} ${bool(right)})`, type: BOOL };
+      case '+': case '-': case '*': case '/': case '%': {
+        if (op === '+' && (lt.kind === 'string' || rtype.kind === 'string')) {
+          if (lang === 'java') return { code: `(${stringOf(left)} + ${stringOf(right)})`, type: STRING };
+          return { code: `(${left.code} + ${right.code})`, type: STRING };
+        }
+        if (lt.kind === 'iter' && rtype.kind === 'iter' && op === '-') return { code: `(${left.code} - ${right.code})`, type: INT };
+        if (lt.kind === 'iter' && (op === '+' || op === '-')) return { code: `(${left.code} ${op} ${convert(right, INT)})`, type: lt };
+        if ((lt.kind === 'array' || lt.kind === 'ptr') && cpp && (op === '+' || op === '-')) {
+          if (lt.kind === 'array') return { code: convert(right, INT), type: iterType(left, node.left) };
+          return report('pointer arithmetic', node.line);
+        }
+        if (isDynamic(lt) || isDynamic(rtype)) {
+          if (op === '+' && lang === 'java' && (lt.kind === 'string' || rtype.kind === 'string')) return { code: `(${stringOf(left)} + ${stringOf(right)})`, type: STRING };
+          return { code: `(${left.code} ${op} ${right.code})`, type: isDynamic(lt) ? rtype : lt };
+        }
+        if (!isNumeric(lt) || !isNumeric(rtype)) return report(`the operator '${op}' on ${describeType(lt)} and ${describeType(rtype)}`, node.line);
+        const type = promote(lt, rtype);
+        return { code: arithmetic(op, convert(left, type), convert(right, type), type), type };
+      }
+      case '<': case '>': case '<=': case '>=': {
+        if (lt.kind === 'iter' || rtype.kind === 'iter') return { code: `(${left.code} ${op} ${right.code})`, type: BOOL };
+        if (lt.kind === 'string' && rtype.kind === 'string') return { code: `(${left.code} ${op} ${right.code})`, type: BOOL };
+        if (lt.kind === 'char' && rtype.kind === 'char') return { code: `(${left.code} ${op} ${right.code})`, type: BOOL };
+        if (isNumeric(lt) && isNumeric(rtype)) {
+          const type = promote(lt, rtype);
+          return { code: `(${convert(left, type)} ${op} ${convert(right, type)})`, type: BOOL };
+        }
+        if (isDynamic(lt) || isDynamic(rtype)) return { code: `(${left.code} ${op} ${right.code})`, type: BOOL };
+        return { code: `(${RT}.compare(${left.code}, ${right.code}) ${op} 0)`, type: BOOL };
+      }
+      case '==': case '!=': {
+        const strict = op === '==' ? '===' : '!==';
+        if (lt.kind === 'null' || rtype.kind === 'null') return { code: `(${left.code} ${op} ${right.code})`, type: BOOL };
+        if (isNumeric(lt) && isNumeric(rtype) && !(lt.boxed && rtype.boxed)) {
+          if (lt.kind === rtype.kind) return { code: `(${left.code} ${strict} ${right.code})`, type: BOOL };
+          const type = promote(lt, rtype);
+          return { code: `(${convert(left, type)} ${strict} ${convert(right, type)})`, type: BOOL };
+        }
+        if (cpp && isValueObject(lt, lang)) {
+          const user = operatorCall(op, left, right, node);
+          if (user) return user;
+          return { code: `(${op === '!=' ? '!' : ''}${RT}.equals(${left.code}, ${right.code}))`, type: BOOL };
+        }
+        return { code: `(${left.code} ${strict} ${right.code})`, type: BOOL };
+      }
+      case '&': case '|': case '^': {
+        if (lt.kind === 'bool' && rtype.kind === 'bool') {
+          return { code: op === '^' ? `(${left.code} !== ${right.code})` : `Boolean(${left.code} ${op} ${right.code})`, type: BOOL };
+        }
+        if (isDynamic(lt) || isDynamic(rtype)) return { code: `(${left.code} ${op} ${right.code})`, type: isDynamic(lt) ? rtype : lt };
+        const type = promote(lt, rtype);
+        return { code: bitwise(op, convert(left, type), convert(right, type), type), type };
+      }
+      case '<<': case '>>': case '>>>': {
+        if (isDynamic(lt)) return { code: `(${left.code} ${op} ${right.code})`, type: lt };
+        const type = isBig(lt) || lt.kind === 'uint' ? lt : INT;
+        const count = isBig(lt) ? right.code : convert(right, INT);
+        return { code: bitwise(op, convert(left, type), count, type), type };
+      }
+      default:
+        return report(`the operator '${op}'`, node.line);
+    }
+  };
+
+  const assign = (node) => {
+    const { operator: op } = node;
+    const lv = lvalue(node.target);
+    if (!lv) return { code: 'undefined', type: UNKNOWN };
+    const { type } = lv;
+    if (op === '=') {
+      if (cpp && isValueObject(type, lang) && node.target.type !== 'Index') {
+        const value = expr(node.value, type);
+        return { code: `${RT}.assignInto(${lv.read}, ${value.code})`, type };
+      }
+      return { code: lv.write(valueFor(node.value, type)), type };
+    }
+    if (!lv.pure && !lv.modify) return report('compound assignment to an expression with side effects', node.line);
+    const binop = op.slice(0, -1);
+    const value = expr(node.value);
+    const combine = (read) => {
+      if (type.kind === 'string' && binop === '+') {
+        // C++ `s += 65` appends a character; Java `s += 65` appends "65".
+        if (cpp) return `${read} + ${isNumeric(value.type) && value.type.kind !== 'char' ? convert(value, CHAR) : value.code}`;
+        return `${read} + ${stringOf(value)}`;
+      }
+      const current = { code: read, type };
+      return convert(binary({ type: 'Binary', operator: binop, left: { type: 'Raw', r: current }, right: { type: 'Raw', r: value }, line: node.line }), type);
+    };
+    // `cnt[s[i] - 'a'] += 2`: the slot is found once, then updated through a callback.
+    if (!lv.pure) return { code: lv.modify(`/* @untraced */ ($v) => ${combine('$v')}`, false), type };
+    return { code: lv.write(combine(lv.read)), type };
+  };
+
+  // `++`/`--`; in statement position the postfix form needs no "old value".
+  const update = (node, discard) => {
+    const lv = lvalue(node.argument);
+    if (!lv) return { code: 'undefined', type: UNKNOWN };
+    if (!lv.pure && !lv.modify) return report('++/-- on an expression with side effects', node.line);
+    const { type } = lv;
+    const step = node.operator === '++' ? '+' : '-';
+    const back = step === '+' ? '-' : '+';
+    const read = lv.pure ? lv.read : '$v';
+    let next;
+    let undo;
+    switch (type.kind) {
+      case 'int': case 'iter':
+        next = `(${read} ${step} 1) | 0`;
+        undo = (v) => `((${v} ${back} 1) | 0)`;
+        break;
+      case 'uint':
+        next = `(${read} ${step} 1) >>> 0`;
+        undo = (v) => `((${v} ${back} 1) >>> 0)`;
+        break;
+      case 'long': case 'ulong': {
+        const wrap = type.kind === 'long' ? 'asIntN' : 'asUintN';
+        next = `BigInt.${wrap}(64, ${read} ${step} 1n)`;
+        undo = (v) => `BigInt.${wrap}(64, ${v} ${back} 1n)`;
+        break;
+      }
+      case 'char':
+        next = `${RT}.chr(${RT}.ord(${read}) ${step} 1)`;
+        undo = (v) => `${RT}.chr(${RT}.ord(${v}) ${back} 1)`;
+        break;
+      case 'double': case 'unknown': case 'object': case 'auto':
+        next = `${read} ${step} 1`;
+        undo = (v) => `(${v} ${back} 1)`;
+        break;
+      default:
+        return report(`++/-- on ${describeType(type)}`, node.line);
+    }
+    const post = !(node.prefix || discard);
+    if (!lv.pure) return { code: lv.modify(`/* @untraced */ ($v) => ${next}`, post), type };
+    const code = lv.write(next);
+    if (!post) return { code, type };
+    return { code: undo(code), type };
+  };
+
+  const unary = (node) => {
+    const { operator: op } = node;
+    if (op === '&') {
+      const target = node.argument;
+      const value = expr(target);
+      // Objects are already references; `&x` on a primitive makes a Ref that `*p` reads and writes.
+      if (value.type.kind === 'class' || isValueObject(value.type, lang) || value.type.ptr) return { code: value.code, type: { ...value.type, ptr: (value.type.ptr || 0) + 1 } };
+      return { code: referenceTo(target), type: t('ptr', [value.type]) };
+    }
+    if (op === '*') {
+      const pointer = expr(node.argument);
+      if (pointer.type.kind === 'iter') return deref(pointer, node.line);
+      if (pointer.type.kind === 'ptr') return { code: `${pointer.code}.value`, type: pointer.type.args[0] };
+      if (pointer.type.kind === 'array') return { code: `${RT}.at(${pointer.code}, 0)`, type: elementOf(pointer.type) };
+      if (pointer.type.ptr) return { code: pointer.code, type: { ...pointer.type, ptr: pointer.type.ptr - 1 } };
+      if (pointer.type.kind === 'class' && node.argument.type === 'This') return { code: 'this', type: { ...pointer.type, ptr: 0 } };
+      return report(`dereferencing ${describeTypeWithArticle(pointer.type)}`, node.line);
+    }
+    const value = expr(node.argument);
+    const { type } = value;
+    if (op === '!') return { code: `!${bool(value)}`, type: BOOL };
+    if (type.kind === 'class') {
+      const custom = operatorCall(op, value, null, node);
+      if (custom) return custom;
+    }
+    if (isDynamic(type)) return { code: `(${op}${value.code})`, type };
+    if (!isNumeric(type)) return report(`the operator '${op}' on ${describeType(type)}`, node.line);
+    const promoted = isBig(type) || type.kind === 'double' || type.kind === 'uint' ? type : INT;
+    const operand = convert(value, promoted);
+    if (op === '+') return { code: operand, type: promoted };
+    if (op === '-') {
+      if (isIntLiteral(operand)) return { code: `-${operand}`, type: promoted };
+      if (/^\d+n$/.test(operand)) return { code: `-${operand}`, type: promoted };
+      if (promoted.kind === 'int') return { code: `(-${operand} | 0)`, type: promoted };
+      if (promoted.kind === 'uint') return { code: `(-${operand} >>> 0)`, type: promoted };
+      if (promoted.kind === 'long') return { code: `BigInt.asIntN(64, -${operand})`, type: promoted };
+      if (promoted.kind === 'ulong') return { code: `BigInt.asUintN(64, -${operand})`, type: promoted };
+      return { code: `(-${operand})`, type: promoted };
+    }
+    if (op === '~') {
+      if (promoted.kind === 'uint') return { code: `(~${operand} >>> 0)`, type: promoted };
+      if (promoted.kind === 'ulong') return { code: `BigInt.asUintN(64, ~${operand})`, type: promoted };
+      return { code: `(~${operand})`, type: promoted };
+    }
+    return report(`the operator '${op}'`, node.line);
+  };
+
+  const cast = (node) => {
+    const target = resolve(node.target);
+    const value = expr(node.argument);
+    if (target.kind === 'class' || target.ptr || isDynamic(target)) return { code: value.code, type: target };
+    if (isPrimitive(target)) {
+      if (target.kind === 'string') return { code: value.code, type: target };
+      return { code: convert(value, target), type: { ...target, isConst: false } };
+    }
+    return { code: value.code, type: target };
+  };
+
+  const conditional = (node, expected) => {
+    const test = bool(expr(node.test));
+    const a = expr(node.consequent, expected);
+    const b = expr(node.alternate, expected);
+    let type = a.type.kind === 'null' ? b.type : a.type;
+    if (isNumeric(a.type) && isNumeric(b.type) && a.type.kind !== b.type.kind) {
+      type = a.type.kind === 'char' && b.type.kind === 'char' ? CHAR : promote(a.type, b.type);
+    }
+    return { code: `(${test} ? ${convert(a, type)} : ${convert(b, type)})`, type, fresh: a.fresh && b.fresh };
+  };
+
+  const sizeOf = (node) => {
+    const bytes = (type) => {
+      if (type.ptr || type.kind === 'ptr') return 8;
+      return { int: 4, uint: 4, long: 8, ulong: 8, double: 8, char: 1, bool: 1 }[type.kind] ?? null;
+    };
+    if (node.target) {
+      const type = resolve(node.target);
+      const size = bytes(type);
+      if (size === null) return report(`sizeof(${describeType(type)})`, node.line);
+      return { code: String(size), type: INT };
+    }
+    const value = expr(node.argument);
+    if (value.type.kind === 'array') {
+      // sizeof(a) / sizeof(a[0]) is the idiom; a flat byte count keeps it working.
+      let element = value.type;
+      let count = value.code;
+      const lengths = [];
+      while (element.kind === 'array') {
+        lengths.push(`${count}.length`);
+        count = `${count}[0]`;
+        element = element.args[0];
+      }
+      const size = bytes(element);
+      if (size === null) return report(`sizeof on arrays of ${describeType(element)}`, node.line);
+      return { code: `(${[...lengths, size].join(' * ')})`, type: INT };
+    }
+    const size = bytes(value.type);
+    if (size === null) return report(`sizeof(${describeType(value.type)})`, node.line);
+    return { code: String(size), type: INT };
+  };
+
+  const literal = (node, expected) => {
+    switch (node.kind) {
+      case 'int':
+        if (expected && isBig(expected)) return { code: `${node.value}n`, type: expected };
+        return { code: String(node.value), type: INT };
+      case 'long': return { code: `${node.value}n`, type: LONG };
+      case 'double': return { code: Number.isInteger(node.value) ? `${node.value}.0`.replace(/e\+?(\d+)\.0$/, 'e$1') : String(node.value), type: DOUBLE };
+      case 'char': return { code: quote(node.value), type: CHAR };
+      case 'string': return { code: quote(node.value), type: STRING, fresh: true };
+      case 'bool': return { code: String(node.value), type: BOOL };
+      default: return { code: 'null', type: t('null') };
+    }
+  };
+
+  // Initialiser lists take their meaning from the type they initialise.
+  const initList = (node, type, sizes = null) => {
+    if (!type || isDynamic(type)) return report('initializer lists whose type cannot be inferred', node.line);
+    if (type.kind === 'array') {
+      const element = type.args[0];
+      const items = node.elements.map(e => (e.type === 'InitList' ? initList(e, element, sizes?.slice(1)).code : valueFor(e, element)));
+      if (sizes && sizes[0]) {
+        const dims = sizes.map(s => (s ? convert(expr(s), INT) : 'null'));
+        let inner = element;
+        while (inner.kind === 'array') inner = inner.args[0];
+        return { code: `${RT}.padded([${items.join(', ')}], [${dims.join(', ')}], ${defaultValue(inner)})`, type, fresh: true };
+      }
+      return { code: `[${items.join(', ')}]`, type, fresh: true };
+    }
+    return construct(type, node.elements, true, node.line);
+  };
+
+  const lambda = (node, expected) => {
+    const hints = expected?.params || functionParams(expected);
+    const returnType = node.returnType ? resolve(node.returnType) : null;
+    pushScope();
+    const fn = { returnType: returnType || t('auto'), inferred: null, cls: currentClass(), isStatic: currentFn()?.isStatic, isLambda: true };
+    fnStack.push(fn);
+    const params = node.params.map((p, i) => {
+      let type = resolve(p.paramType);
+      if (isDynamic(type) && hints[i]) type = hints[i];
+      return declareParam({ ...p }, type);
+    });
+    let body;
+    if (node.body.type === 'Block') body = block(node.body);
+    else {
+      const value = expr(node.body);
+      fn.inferred = value.type;
+      body = value.code.startsWith('{') ? `(${value.code})` : value.code;
+    }
+    fnStack.pop();
+    popScope();
+    return { code: `(${params.join(', ')}) => ${body}`, type: t('function', [returnType || fn.inferred || UNKNOWN]), fresh: true };
+  };
+
+  /* ---------- CALLS ---------- */
+
+  const score = (sig, args) => {
+    if (args.length < sig.minArgs || args.length > sig.params.length) return -1;
+    return args.reduce((total, arg, i) => {
+      const want = sig.params[i].type;
+      const have = arg.type;
+      if (have.kind === want.kind && have.cls === want.cls) return total + 3;
+      if (isNumeric(have) && isNumeric(want)) return total + (isIntegral(have) === isIntegral(want) ? 2 : 1);
+      if (isDynamic(have) || isDynamic(want) || have.kind === 'null') return total + 1;
+      return total;
+    }, 0);
+  };
+
+  const pickOverload = (sigs, args, line) => {
+    const ranked = sigs.map(sig => ({ sig, s: score(sig, args) })).filter(x => x.s >= 0).sort((a, b) => b.s - a.s);
+    if (!ranked.length) {
+      if (line) report(`a call to '${sigs[0].name}' with ${args.length} argument(s) (no matching overload)`, line);
+      return null;
+    }
+    return ranked[0].sig;
+  };
+
+  // An already-emitted argument passed to a parameter.
+  const passValue = (r, param) => {
+    if (!param) return r.code;
+    if (isValueObject(param.type, lang)) return copied(r);
+    return convert(r, param.type);
+  };
+
+  // C++ non-const `T&` of a primitive: the callee writes through a Ref.
+  const byReference = (param) => cpp && param.type.ref && !param.type.isConst && (isPrimitive(param.type) || param.type.kind === 'iter');
+
+  const callArguments = (sig, argNodes) => argNodes.map((node, i) => {
+    const param = sig.params[i];
+    if (param && byReference(param)) return referenceTo(node);
+    return passValue(expr(node, param?.type), param);
+  });
+
+  const typedArgs = (argNodes, sigs) => argNodes.map((a, i) => {
+    // Literal lists and lambdas need the parameter type to be typed at all.
+    if (a.type === 'InitList' || a.type === 'Lambda') return { code: '', type: sigs[0]?.params[i]?.type || UNKNOWN };
+    return { ...expr(a), node: a };
+  });
+
+  const userCall = (sigs, receiver, argNodes, line) => {
+    const sig = pickOverload(sigs, typedArgs(argNodes, sigs), line);
+    if (!sig) return { code: 'undefined', type: UNKNOWN };
+    const args = callArguments(sig, argNodes);
+    const returnsCopy = !sig.returnType.ref;
+    const callee = receiver ? `${receiver}.${sig.js}` : sig.js;
+    return { code: `${callee}(${args.join(', ')})`, type: { ...sig.returnType, ref: false }, fresh: returnsCopy };
+  };
+
+  const constructorCall = (info, argNodes, line) => {
+    const sig = pickOverload(info.ctors, typedArgs(argNodes, info.ctors), line);
+    if (!sig) return { code: `new ${info.js}()`, type: classType(info) };
+    const args = callArguments(sig, argNodes);
+    return { code: `${RT}.init(new ${info.js}(), ${quote(sig.js)}${args.map(a => `, ${a}`).join('')})`, type: classType(info), fresh: true };
+  };
+
+  const superCall = (node) => {
+    const info = currentClass();
+    const base = info && info.superName ? classes.get(info.superName) : null;
+    if (info?.superException) {
+      const args = node.args.map(a => expr(a).code);
+      return { code: `(this.message = String(${args[0] ?? "''"}))`, type: VOID };
+    }
+    if (!base) return report('super() without a base class', node.line);
+    if (!base.ctors.length) return { code: 'undefined', type: VOID };
+    const sig = pickOverload(base.ctors, typedArgs(node.args, base.ctors), node.line);
+    if (!sig) return { code: 'undefined', type: VOID };
+    return { code: `super.${sig.js}(${callArguments(sig, node.args).join(', ')})`, type: VOID };
+  };
+
+  const call = (node, discard) => {
+    const { callee } = node;
+    if (callee.type === 'Super') return superCall(node);
+    if (callee.type === 'This') {
+      const info = currentClass();
+      const sig = pickOverload(info.ctors, typedArgs(node.args, info.ctors), node.line);
+      return sig ? { code: `this.${sig.js}(${callArguments(sig, node.args).join(', ')})`, type: VOID } : { code: 'undefined', type: VOID };
+    }
+    if (callee.type === 'Member') return methodCall(node, discard);
+    if (callee.type === 'Identifier') {
+      const { name } = callee;
+      const symbol = findSymbol(name);
+      if (symbol) {
+        const fnValue = variableLvalue(symbol).read;
+        if (symbol.type.kind === 'class') {
+          const methods = findMethods(classes.get(symbol.type.cls), OPERATOR_NAMES.methodName('()', node.args.length));
+          if (methods) return userCall(methods, fnValue, node.args, node.line);
+        }
+        return { code: `${fnValue}(${node.args.map(a => expr(a).code).join(', ')})`, type: symbol.type.args?.[0] || UNKNOWN };
+      }
+      // Methods of this class (or, in Java, of an enclosing one).
+      for (let info = currentClass(); info; info = info.outer) {
+        const methods = findMethods(info, name);
+        if (methods) {
+          const sig = pickOverload(methods, typedArgs(node.args, methods), node.line);
+          if (!sig) return { code: 'undefined', type: UNKNOWN };
+          const receiver = sig.isStatic ? sig.cls.js : 'this';
+          return userCall([sig], receiver, node.args, node.line);
+        }
+      }
+      if (functions.has(name)) return userCall(functions.get(name), null, node.args, node.line);
+      if (classes.has(name)) return construct(classType(classes.get(name)), node.args, false, node.line);
+      const builtin = library.call(name, node, discard);
+      if (builtin) return builtin;
+      return report(`the function '${name}'`, node.line);
+    }
+    const fn = expr(callee);
+    return { code: `(${fn.code})(${node.args.map(a => expr(a).code).join(', ')})`, type: fn.type.args?.[0] || UNKNOWN };
+  };
+
+  const methodCall = (node, discard) => {
+    const { callee } = node;
+    const { property } = callee;
+    // Static calls: `Main.helper()`, `Math.max()`, `System.out.println()`, `Collections.sort()`.
+    if (callee.object.type === 'Identifier' && !findSymbol(callee.object.name) && !resolveField(callee.object.name)) {
+      const info = classes.get(callee.object.name);
+      if (info) {
+        const methods = findMethods(info, property);
+        if (methods) return userCall(methods, info.js, node.args, node.line);
+        return report(`the method '${callee.object.name}.${property}'`, node.line);
+      }
+      const builtin = library.staticCall(callee.object.name, property, node);
+      if (builtin) return builtin;
+    }
+    if (callee.object.type === 'Member' && callee.object.object.type === 'Identifier' && callee.object.object.name === 'System') {
+      const builtin = library.staticCall(`System.${callee.object.property}`, property, node);
+      if (builtin) return builtin;
+    }
+    if (callee.object.type === 'Super') {
+      const info = currentClass();
+      const base = info?.superName ? classes.get(info.superName) : null;
+      const methods = base && findMethods(base, property);
+      if (!methods) return report(`super.${property}()`, node.line);
+      return userCall(methods, 'super', node.args, node.line);
+    }
+    const receiver = expr(callee.object);
+    const { type } = receiver;
+    if (type.kind === 'class') {
+      const methods = findMethods(classes.get(type.cls), property);
+      if (methods) return userCall(methods, receiver.code, node.args, node.line);
+      if (type.ptr === 0 || type.ptr === undefined) {
+        const builtin = library.objectMethod(receiver, property, node);
+        if (builtin) return builtin;
+      }
+      return report(`the method '${property}' of ${type.cls}`, node.line);
+    }
+    return library.method(receiver, property, node, discard);
+  };
+
+  /* ---------- CONSTRUCTION ---------- */
+
+  function construct(type, argNodes, brace, line) {
+    if (type.kind === 'class' && !type.ptr) {
+      const info = classes.get(type.cls);
+      if (info.ctors.length && !(brace && !argNodes.length)) return constructorCall(info, argNodes, line);
+      if (brace && argNodes.length) {
+        // Aggregate initialisation fills the fields in declaration order.
+        const fields = [...info.fields.entries()].filter(([, f]) => !f.isStatic);
+        const parts = argNodes.map((a, i) => (fields[i] ? `${jsName(fields[i][0])}: ${valueFor(a, fields[i][1].type)}` : report('too many initializers', line).code));
+        return { code: `Object.assign(new ${info.js}(), { ${parts.join(', ')} })`, type, fresh: true };
+      }
+      if (argNodes.length) return report(`constructing ${type.cls} with arguments (it has no constructor)`, line);
+      return { code: `new ${info.js}()`, type, fresh: true };
+    }
+    return library.construct(type, argNodes, brace, line);
+  }
+
+  const newExpression = (node) => {
+    const type = resolve(node.type === 'NewArray' ? node.elementType : node.target);
+    if (node.type === 'NewArray') {
+      if (node.init) return initList(node.init, wrapArray(type, node.dims.length + node.extraDims));
+      const dims = node.dims.map(d => convert(expr(d), INT));
+      const element = node.extraDims ? 'null' : defaultValue(type, { javaField: true });
+      return { code: `${RT}.newArray([${dims.join(', ')}], ${element})`, type: wrapArray(type, node.dims.length + node.extraDims), fresh: true };
+    }
+    const built = construct(type, node.args, node.brace, node.line);
+    if (cpp) return { ...built, type: { ...built.type, ptr: (built.type.ptr || 0) + 1 } };
+    return built;
+  };
+
+  const wrapArray = (type, dims) => {
+    let result = type;
+    for (let i = 0; i < dims; i++) result = t('array', [result]);
+    return result;
+  };
+
+  /* ---------- EXPRESSION DISPATCH ---------- */
+
+  function expr(node, expected = null) {
+    switch (node.type) {
+      case 'Raw': return node.r;
+      case 'Literal': return literal(node, expected);
+      case 'Identifier': return identifier(node);
+      case 'Paren': {
+        const inner = expr(node.expression, expected);
+        return { ...inner, code: `(${inner.code})` };
+      }
+      case 'Binary': return binary(node);
+      case 'Assign': return assign(node);
+      case 'Conditional': return conditional(node, expected);
+      case 'Sequence': return { code: `(${node.expressions.map(e => expr(e).code).join(', ')})`, type: expr(node.expressions[node.expressions.length - 1]).type };
+      case 'Unary': return unary(node);
+      case 'Update': return update(node, false);
+      case 'Call': return call(node, false);
+      case 'Index': {
+        const lv = indexLvalue(node);
+        return { code: lv.read, type: lv.type };
+      }
+      case 'Member': return member(node);
+      case 'Cast': return cast(node);
+      case 'New': case 'NewArray': return newExpression(node);
+      case 'Construct': return construct(resolve(node.target), node.args, node.brace, node.line);
+      case 'InitList': return initList(node, expected);
+      case 'Lambda': return lambda(node, expected);
+      case 'InstanceOf': return library.instanceOf(expr(node.expression), resolve(node.target));
+      case 'Sizeof': return sizeOf(node);
+      case 'Delete': expr(node.argument); return { code: 'undefined', type: VOID };
+      case 'This': {
+        const info = currentClass();
+        return { code: 'this', type: info ? classType(info, cpp ? 1 : 0) : UNKNOWN };
+      }
+      case 'Unsupported': return (node.name && library.constant(node.name, node)) || report(node.what, node.line);
+      default: return report(`this expression (${node.type})`, node.line);
+    }
+  }
+
+  // Expression statements and `for` updates: values are discarded, so postfix ++ needs no copy.
+  const discarded = (node) => {
+    if (node.type === 'Update') return update(node, true).code;
+    if (node.type === 'Call') return call(node, true).code;
+    if (node.type === 'Sequence') return node.expressions.map(discarded).join(', ');
+    return expr(node).code;
+  };
+
+  /* ---------- DECLARATIONS ---------- */
+
+  function declareParam(param, type) {
+    const name = jsName(param.name);
+    if (cpp && type.ref && !type.isConst && (isPrimitive(type) || type.kind === 'iter')) {
+      declare(param.name, { type: { ...type, ref: false }, js: name, cell: true });
+    } else {
+      declare(param.name, { type: { ...type, ref: false, refObject: type.ref }, js: name });
+    }
+    return param.defaultValue ? `${name} = ${valueFor(param.defaultValue, type)}` : name;
+  }
+
+  // Type of `auto x = init`, keeping iterator provenance.
+  const inferred = (r) => ({ ...r.type, isConst: false, ref: false });
+
+  const initialValue = (declarator, type, isGlobal) => {
+    const { init } = declarator;
+    if (!init) {
+      if (type.kind === 'array' && declarator.varType.sizes) {
+        const dims = declarator.varType.sizes.map(s => (s ? convert(expr(s), INT) : null));
+        if (dims.includes(null)) return report('arrays without a size', declarator.line);
+        let inner = type;
+        while (inner.kind === 'array') inner = inner.args[0];
+        return { code: `${RT}.newArray([${dims.join(', ')}], ${defaultValue(inner)})`, type };
+      }
+      if (!cpp && !isGlobal) return null;
+      return { code: defaultValue(type, { javaField: !cpp }), type };
+    }
+    if (init.kind === 'construct') {
+      if (isPrimitive(type) || type.ptr || type.kind === 'ptr') {
+        if (!init.args.length) return { code: defaultValue(type), type };
+        if (type.kind === 'string') return construct(type, init.args, init.brace, declarator.line);
+        return { code: valueFor(init.args[0], type), type };
+      }
+      if (type.kind === 'auto') return report('auto variables without an = initializer', declarator.line);
+      return construct(type, init.args, init.brace, declarator.line);
+    }
+    if (init.value.type === 'InitList') {
+      if (isPrimitive(type)) return { code: init.value.elements.length ? valueFor(init.value.elements[0], type) : defaultValue(type), type };
+      return initList(init.value, type, declarator.varType.sizes);
+    }
+    if (type.kind === 'auto') {
+      const value = expr(init.value);
+      const actual = inferred(value);
+      if (declarator.varType.ref || type.ref) return { code: value.code, type: actual };
+      return { code: isValueObject(actual, lang) ? copied(value) : value.code, type: actual };
+    }
+    return { code: valueFor(init.value, type), type };
+  };
+
+  const variableDeclaration = (node, isGlobal = false) => {
+    const parts = node.declarators.map(declarator => {
+      let type = resolve(declarator.varType);
+      const name = jsName(declarator.name);
+      if (cpp && type.ref && isPrimitive(type) && !type.isConst && declarator.init?.kind === 'assign') {
+        // `int& r = x;` holds a Ref to x.
+        const code = referenceTo(declarator.init.value);
+        declare(declarator.name, { type: { ...type, ref: false }, js: name, cell: true });
+        return `${name} = ${code}`;
+      }
+      if (type.kind === 'iter' || type.kind === 'auto') {
+        // An iterator's type remembers its container, so it comes from the initializer.
+        const value = type.kind === 'iter' && declarator.init?.kind === 'assign'
+          ? expr(declarator.init.value)
+          : initialValue(declarator, type, isGlobal);
+        type = value ? value.type : type;
+        declare(declarator.name, { type: { ...type, ref: false }, js: name });
+        return value ? `${name} = ${value.code}` : name;
+      }
+      if (cpp && type.ref && !isPrimitive(type) && declarator.init?.kind === 'assign') {
+        const value = expr(declarator.init.value, type);
+        declare(declarator.name, { type: { ...type, ref: false, refObject: true }, js: name });
+        return `${name} = ${value.code}`;
+      }
+      const value = initialValue(declarator, type, isGlobal);
+      declare(declarator.name, { type: { ...type, ref: false }, js: name });
+      return value ? `${name} = ${value.code}` : name;
+    });
+    return `let ${parts.join(', ')};`;
+  };
+
+  // `auto [a, b] = p;`
+  const bindingDeclaration = (node) => {
+    const value = expr(node.value);
+    const { type } = value;
+    if (type.kind === 'pair' && node.names.length === 2) {
+      node.names.forEach((n, i) => declare(n, { type: type.args[i] || UNKNOWN, js: jsName(n) }));
+      return `let { first: ${jsName(node.names[0])}, second: ${jsName(node.names[1])} } = ${value.code};`;
+    }
+    if (type.kind === 'array' || isSequence(type)) {
+      node.names.forEach(n => declare(n, { type: elementOf(type), js: jsName(n) }));
+      return `let [${node.names.map(jsName).join(', ')}] = ${value.code};`;
+    }
+    return report(`structured bindings of ${describeType(type)}`, node.line).code;
+  };
+
+  /* ---------- STATEMENTS ---------- */
+
+  function block(node, prologue = '') {
+    pushScope();
+    const body = node.body.map(statement).join(' ');
+    popScope();
+    return `${at(node.line)}{ ${prologue}${body} ${at(node.endLine)}}`;
+  }
+
+  // Loop and branch bodies get their own scope even when they are a single statement.
+  const body = (node) => {
+    if (node.type === 'Block') return block(node);
+    pushScope();
+    const code = statement(node);
+    popScope();
+    return `{ ${code} }`;
+  };
+
+  const isWritten = (name, node) => {
+    let found = false;
+    const visit = (n) => {
+      if (found || !n || typeof n !== 'object') return;
+      if (Array.isArray(n)) { n.forEach(visit); return; }
+      const target = n.type === 'Assign' ? n.target : n.type === 'Update' ? n.argument : null;
+      if (target?.type === 'Identifier' && target.name === name) { found = true; return; }
+      Object.values(n).forEach(visit);
+    };
+    visit(node);
+    return found;
+  };
+
+  const forEach = (node) => {
+    const iterable = expr(node.iterable);
+    const { type } = iterable;
+    let element = elementOf(type);
+    if (isMapKind(type) && !cpp) return report('iterating a Map directly (use entrySet(), keySet() or values())', node.line).code;
+    if (!isSequence(type) && !isMapKind(type) && !isSetKind(type) && !['string', 'pq', 'unknown', 'object'].includes(type.kind)) {
+      return report(`range-for over ${describeType(type)}`, node.line).code;
+    }
+    const declared = resolve(node.varType);
+    if (!isDynamic(declared)) element = declared;
+    const source = isMapKind(type) ? `${RT}.iterate(${iterable.code})` : iterable.code;
+    const byRef = cpp && node.varType.ref;
+    pushScope();
+    let head;
+    let prologue = '';
+    if (node.names) {
+      if (element.kind !== 'pair' || node.names.length !== 2) {
+        popScope();
+        return report('structured bindings here', node.line).code;
+      }
+      const [k, v] = node.names;
+      if (byRef && isWritten(v, node.body)) {
+        // Writes to `v` go through the live map entry.
+        const entry = `${jsName(v)}$entry`;
+        head = `const ${entry} of ${source}`;
+        declare(k, { type: element.args[0], js: `${entry}.first` });
+        declare(v, { type: element.args[1], alias: memberLvalue(entry, 'second', element.args[1], true) });
+      } else {
+        head = `let { first: ${jsName(k)}, second: ${jsName(v)} } of ${source}`;
+        declare(k, { type: element.args[0], js: jsName(k) });
+        declare(v, { type: element.args[1], js: jsName(v) });
+      }
+    } else if (byRef && isPrimitive(element) && isWritten(node.name, node.body) && isSequence(type) && isPure(node.iterable)) {
+      // `for (int& x : v) x *= 2;` walks indexes so the writes land in v.
+      const index = `${jsName(node.name)}$i`;
+      head = null;
+      declare(node.name, { type: element, alias: indexLvalue({ type: 'Index', object: node.iterable, index: { type: 'Raw', r: { code: index, type: INT } }, line: node.line }) });
+      const loopBody = body(node.body);
+      popScope();
+      return `${at(node.line)}for (let ${index} = 0; ${index} < ${iterable.code}.length; ${index}++) ${loopBody}`;
+    } else {
+      const name = jsName(node.name);
+      declare(node.name, { type: { ...element, ref: false }, js: name });
+      head = `let ${name} of ${source}`;
+      if (cpp && !byRef && isValueObject(element, lang)) prologue = `${name} = ${RT}.clone(${name}, ${valueDepth(element, lang)}); `;
+    }
+    const loopBody = node.body.type === 'Block' ? block(node.body, prologue) : `{ ${prologue}${body(node.body)} }`;
+    popScope();
+    return `${at(node.line)}for (${head}) ${loopBody}`;
+  };
+
+  const catchClause = (handlers, line) => {
+    const error = '$error';
+    const branches = handlers.map(handler => {
+      pushScope();
+      let test = 'true';
+      if (handler.catchType) {
+        const type = resolve(handler.catchType);
+        if (type.kind === 'class') test = `${error} instanceof ${classes.get(type.cls).js}`;
+        else if (type.kind === 'exception') test = `${RT}.isInstance(${error}, ${quote(type.cls)})`;
+        else if (type.kind === 'string') test = `typeof ${error} === 'string'`;
+        else if (isNumeric(type)) test = `typeof ${error} === ${quote(isBig(type) ? 'bigint' : type.kind === 'char' ? 'string' : 'number')}`;
+        else if (type.kind === 'object') test = `${RT}.isInstance(${error}, null)`;
+        if (handler.name) declare(handler.name, { type, js: jsName(handler.name) });
+      } else {
+        test = `${RT}.isInstance(${error}, null)`;
+      }
+      const binding = handler.name ? `let ${jsName(handler.name)} = ${error}; ` : '';
+      const code = `if (${test}) ${block(handler.body, binding)}`;
+      popScope();
+      return code;
+    });
+    return `${at(line)}catch (${error}) { ${error} = ${RT}.error(${error}); ${branches.join(' else ')} else throw ${error}; }`;
+  };
+
+  const switchStatement = (node) => {
+    const discriminant = expr(node.discriminant);
+    const type = discriminant.type.kind === 'char' || discriminant.type.kind === 'string' ? discriminant.type : { ...discriminant.type };
+    pushScope();
+    const cases = node.cases.map(c => {
+      const labels = c.tests.length ? c.tests.map(test => `case ${convert(expr(test), type)}:`).join(' ') : 'default:';
+      const statements = c.body.map(statement).join(' ');
+      return `${at(c.line)}${labels} ${c.arrow ? `{ ${statements} } break;` : statements}`;
+    });
+    popScope();
+    return `${at(node.line)}switch (${discriminant.code}) { ${cases.join(' ')} ${at(node.endLine)}}`;
+  };
+
+  const returnStatement = (node) => {
+    const fn = currentFn();
+    if (!node.argument) return `${at(node.line)}return;`;
+    if (!fn || fn.returnType.kind === 'auto') {
+      const value = expr(node.argument);
+      if (fn && !fn.inferred) fn.inferred = value.type;
+      return `${at(node.line)}return ${value.code};`;
+    }
+    const type = fn.returnType;
+    const value = expr(node.argument, type);
+    let code;
+    if (isValueObject(type, lang)) {
+      // Returning a local by value moves it; anything else is copied.
+      const isLocal = node.argument.type === 'Identifier' && findSymbol(node.argument.name) && !findSymbol(node.argument.name).refObject && !findSymbol(node.argument.name).cell;
+      code = isLocal ? value.code : copied(value);
+    } else {
+      code = convert(value, type);
+    }
+    return `${at(node.line)}return ${code};`;
+  };
+
+  const throwStatement = (node) => {
+    if (!node.argument) return `${at(node.line)}throw $error;`;
+    const value = expr(node.argument);
+    return `${at(node.line)}throw ${value.code};`;
+  };
+
+  function statement(node) {
+    switch (node.type) {
+      case 'Block': return block(node);
+      case 'Empty': return '';
+      case 'VarDecl': return `${at(node.line)}${variableDeclaration(node)}`;
+      case 'BindingDecl': return `${at(node.line)}${bindingDeclaration(node)}`;
+      case 'ExpressionStatement': return `${at(node.line)}${discarded(node.expression)};`;
+      case 'If': {
+        const test = bool(expr(node.test));
+        const consequent = body(node.consequent);
+        const alternate = node.alternate ? ` else ${body(node.alternate)}` : '';
+        return `${at(node.line)}if (${test}) ${consequent}${alternate}`;
+      }
+      case 'While':
+        return `${at(node.line)}while (${bool(expr(node.test))}) ${body(node.body)}`;
+      case 'DoWhile': {
+        const loopBody = body(node.body);
+        return `${at(node.line)}do ${loopBody} ${at(node.testLine)}while (${bool(expr(node.test))});`;
+      }
+      case 'For': {
+        pushScope();
+        let init = '';
+        if (node.init?.type === 'VarDecl') init = variableDeclaration(node.init).slice(0, -1);
+        else if (node.init) init = discarded(node.init.expression);
+        const test = node.test ? bool(expr(node.test)) : '';
+        const step = node.update ? discarded(node.update) : '';
+        const loopBody = body(node.body);
+        popScope();
+        return `${at(node.line)}for (${init}; ${test}; ${step}) ${loopBody}`;
+      }
+      case 'ForEach': return forEach(node);
+      case 'Switch': return switchStatement(node);
+      case 'Break': return `${at(node.line)}break${node.label ? ` ${node.label}` : ''};`;
+      case 'Continue': return `${at(node.line)}continue${node.label ? ` ${node.label}` : ''};`;
+      case 'Return': return returnStatement(node);
+      case 'Throw': return throwStatement(node);
+      case 'Try': {
+        const tryBlock = block(node.body);
+        const handlers = node.handlers.length ? ` ${catchClause(node.handlers, node.handlers[0].line)}` : '';
+        const finalizer = node.finalizer ? ` finally ${block(node.finalizer)}` : '';
+        return `${at(node.line)}try ${tryBlock}${handlers}${finalizer}`;
+      }
+      case 'Labeled': return `${at(node.line)}${node.label}: ${statement(node.body)}`;
+      case 'TypeAlias': aliases.set(node.name, resolve(node.aliased)); return '';
+      case 'Class': case 'Group': return report('classes declared inside functions', node.line).code && '';
+      case 'Unsupported': report(node.what, node.line); return '';
+      default: report(`this statement (${node.type})`, node.line); return '';
+    }
+  }
+
+  /* ---------- FUNCTIONS AND CLASSES ---------- */
+
+  const functionBody = (sig, node, prologue = '') => {
+    pushScope();
+    fnStack.push({ returnType: sig.returnType, cls: sig.cls, isStatic: sig.isStatic, isCtor: Boolean(node.isConstructor) });
+    const params = sig.params.map(p => declareParam(p, p.type));
+    const code = block(node.body, typeof prologue === 'function' ? prologue() : prologue);
+    fnStack.pop();
+    popScope();
+    return { params: params.join(', '), code };
+  };
+
+  // Member initialisers (`: x(1), Base(2)`) and the implicit base constructor call.
+  const constructorPrologue = (info, node) => () => {
+    const parts = [];
+    const base = info.superName ? classes.get(info.superName) : null;
+    const baseInit = node.initializers.find(i => i.name === info.superName || i.name === info.superException);
+    const explicitSuper = lang === 'java' && node.body.body[0]?.type === 'ExpressionStatement'
+      && node.body.body[0].expression.type === 'Call' && ['Super', 'This'].includes(node.body.body[0].expression.callee.type);
+    if (baseInit) parts.push(`${superCall({ args: baseInit.args, line: baseInit.line }).code};`);
+    else if (base && !explicitSuper && base.ctors.some(c => c.minArgs === 0)) parts.push(`super.${base.ctors.find(c => c.minArgs === 0).js}();`);
+    node.initializers.filter(i => i !== baseInit).forEach(init => {
+      const field = findField(info, init.name);
+      if (!field) { report(`initializing '${init.name}' (not a field)`, init.line); return; }
+      let value;
+      if (isPrimitive(field.type) || field.type.ptr || field.type.kind === 'ptr') {
+        value = init.args.length ? valueFor(init.args[0], field.type) : defaultValue(field.type);
+      } else if (init.args.length === 1 && !isValueObject(field.type, lang)) {
+        value = expr(init.args[0]).code;
+      } else if (init.args.length === 1 && init.args[0].type !== 'InitList' && expr(init.args[0]).type.kind === field.type.kind) {
+        value = valueFor(init.args[0], field.type);
+      } else {
+        value = construct(field.type, init.args, false, init.line).code;
+      }
+      parts.push(`this.${jsName(init.name)} = ${value};`);
+    });
+    return parts.length ? `${parts.join(' ')} ` : '';
+  };
+
+  const methodKey = (sig) => sig.js;
+
+  const emitMethod = (info, sig) => {
+    const { node } = sig;
+    if (!node.body) return '';
+    const prologue = node.isConstructor ? constructorPrologue(info, node) : '';
+    const { params, code } = functionBody(sig, node, prologue);
+    return `${at(node.line)}${sig.isStatic ? 'static ' : ''}${methodKey(sig)}(${params}) ${code}`;
+  };
+
+  // Field initialisers are JS class fields, so they run before any constructor body, as in C++ and Java.
+  const emitField = (info, member) => member.declarators.map(declarator => {
+    const field = info.fields.get(declarator.name);
+    fnStack.push({ returnType: VOID, cls: info, isStatic: member.isStatic });
+    pushScope();
+    let value = initialValue(declarator, field.type, true);
+    if (!cpp && !declarator.init) value = { code: defaultValue(field.type, { javaField: true }) };
+    popScope();
+    fnStack.pop();
+    return `${at(declarator.line)}${member.isStatic ? 'static ' : ''}${jsName(declarator.name)} = ${value ? value.code : 'undefined'};`;
+  }).join(' ');
+
+  const sigFor = (info, member) => {
+    if (member.isConstructor) return info.ctors.find(c => c.node === member);
+    const name = member.operator ? OPERATOR_NAMES.methodName(member.operator, member.params.length) : member.name;
+    return info.methods.get(name).find(s => s.node === member);
+  };
+
+  const emitClass = (info, nested = false) => {
+    const { node } = info;
+    let heritage = '';
+    if (info.superName) heritage = ` extends ${classes.get(info.superName).js}`;
+    else if (info.superException) heritage = ` extends ${RT}.ThrownError`;
+    const parts = [];
+    if (info.superException) parts.push(`name = ${quote(info.name)};`, `static __base = ${quote(info.superException)};`);
+    // `__values` tells __rt.clone which fields hold C++ value objects (and how deep).
+    const valueFields = [...info.fields.entries()].filter(([, f]) => !f.isStatic && isValueObject(f.type, lang));
+    if (valueFields.length) parts.push(`static __values = { ${valueFields.map(([n, f]) => `${jsName(n)}: ${valueDepth(f.type, lang)}`).join(', ')} };`);
+    node.members.forEach(m => {
+      if (m.type === 'Field') parts.push(emitField(info, m));
+      else if (m.type === 'Function') {
+        const sig = sigFor(info, m);
+        if (sig) parts.push(emitMethod(info, sig));
+      } else if (m.type === 'Class') {
+        const inner = classes.get(m.name);
+        parts.push(`${at(m.line)}static ${jsName(m.name)} = ${emitClass(inner, true)};`);
+      } else if (m.type === 'Unsupported') report(m.what, m.line);
+    });
+    const name = jsName(info.name);
+    const code = `${at(node.line)}class ${name}${heritage} { ${parts.join(' ')} ${at(node.endLine)}}`;
+    return nested ? code : code;
+  };
+
+  // `int Foo::bar() { ... }` outside the class body.
+  const emitOutOfClass = (node) => {
+    const info = classes.get(node.owner);
+    if (!info) return '';
+    const sig = node.isConstructor
+      ? info.ctors.find(c => c.params.length === node.params.length && (c.node === node || !c.node.body))
+      : findMethods(info, node.operator ? OPERATOR_NAMES.methodName(node.operator, node.params.length) : node.name)
+        ?.find(s => s.params.length === node.params.length && (s.node === node || !s.node.body));
+    if (!sig) return report(`'${node.owner}::${node.name}' (not declared in the class)`, node.line).code && '';
+    const prologue = node.isConstructor ? constructorPrologue(info, node) : '';
+    const full = { ...sig, node, params: node.params.map(p => ({ name: p.name, type: resolve(p.paramType), defaultValue: p.defaultValue })) };
+    const { params, code } = functionBody(full, node, prologue);
+    const owner = sig.isStatic ? info.js : `${info.js}.prototype`;
+    return `${at(node.line)}${owner}.${sig.js} = function ${sig.js}(${params}) ${code};`;
+  };
+
+  const emitFunction = (node) => {
+    if (!node.body) return '';
+    const name = node.operator ? OPERATOR_NAMES.freeName(node.operator) : node.name;
+    const sig = functions.get(name).find(s => s.node === node);
+    if (!sig) return '';
+    const { params, code } = functionBody(sig, node);
+    let extra = '';
+    // Free comparison operators on a class become methods too, so sorting and ordered containers find them.
+    const operand = sig.params[0]?.type;
+    if (node.operator && ['<', '=='].includes(node.operator) && operand?.kind === 'class' && sig.params.length === 2) {
+      const method = OPERATOR_NAMES.methodName(node.operator, 1);
+      extra = ` ${classes.get(operand.cls).js}.prototype.${method} = /* @untraced */ function (other) { return ${sig.js}(this, other); };`;
+    }
+    return `${at(node.line)}function ${sig.js}(${params}) ${code}${extra}`;
+  };
+
+  const topLevel = (node) => {
+    switch (node.type) {
+      case 'Empty': case 'TypeAlias': return '';
+      case 'Group': return node.body.map(topLevel).join(' ');
+      case 'Class': return emitClass(classes.get(node.name));
+      case 'Function': return node.owner ? emitOutOfClass(node) : emitFunction(node);
+      case 'VarDecl': return `${at(node.line)}${variableDeclaration(node, true)}`;
+      case 'StaticDefinition': {
+        const info = classes.get(node.owner);
+        if (!info) return report(`'${node.owner}' (no such class)`, node.line).code && '';
+        return node.declarators.map(d => {
+          const field = info.fields.get(d.name);
+          const value = initialValue(d, field ? field.type : resolve(d.varType), true);
+          return `${at(node.line)}${info.js}.${jsName(d.name)} = ${value ? value.code : 'undefined'};`;
+        }).join(' ');
+      }
+      case 'Unsupported': report(node.what, node.line); return '';
+      default: report(`this declaration (${node.type})`, node.line); return '';
+    }
+  };
+
+  const entryPoint = () => {
+    if (cpp) {
+      const main = functions.get('main')?.[0];
+      if (!main) return report('programs without a main() function', 1).code && '';
+      return ` /* @untraced */ ${main.js}(${main.params.length ? '0, []' : ''});`;
+    }
+    const owner = [...classes.values()].find(info => info.methods.get('main')?.some(s => s.isStatic));
+    if (!owner) return report('programs without a static main method', 1).code && '';
+    const main = owner.methods.get('main').find(s => s.isStatic);
+    return ` /* @untraced */ ${owner.js}.${main.js}(${main.params.length ? '[]' : ''});`;
+  };
+
+  const library = createLibrary({
+    lang, cpp, expr, convert, bool, valueFor, copied, lvalue, referenceTo, report, resolve, construct,
+    defaultValue, stringOf, range, iterType, deref, lengthOf, classes, classType, quote, findSymbol,
+  });
+
+  registerClasses(program.body, null);
+  collectSignatures(program.body);
+  classes.forEach(info => {
+    info.ctors.forEach((sig, i) => { sig.js = `${sig.baseJs}$${i}`; });
+    mangle(info.methods);
+  });
+  mangle(functions);
+
+  const code = program.body.map(topLevel).join(' ') + entryPoint();
+
+  if (problems.length) {
+    const sorted = [...problems].sort((a, b) => a.line - b.line);
+    const list = sorted.map(p => ({ line: p.line, message: `Not supported by the visualizer: ${p.what}` }));
+    const extra = list.length > 1 ? ` (and ${list.length - 1} more)` : '';
+    throw new CompileError('unsupported', `${list[0].message}${extra}`, list[0].line, list);
+  }
+  return placeLines(code);
+};
+
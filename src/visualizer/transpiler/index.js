@@ -0,0 +1,12 @@
+import { parse } from './parser.js';
+import { generate } from './codegen.js';
+
+export { CompileError } from './lexer.js';
+export { createRuntime, RUNTIME_ID, ExitSignal } from './runtime.js';
+
+/**
+ * --- C++/JAVA FRONT END ---
+ * Parses a C++ or Java program and lowers it to plain JavaScript that the
+ * tracer can instrument. Throws CompileError('syntax' | 'unsupported').
+ */
+export const transpile = (source, language) => generate(parse(source, language));
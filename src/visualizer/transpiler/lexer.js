@@ -0,0 +1,128 @@
+/**
+ * --- C++/JAVA LEXER ---
+ * Splits source into `{ type, value, line }` tokens. Types: 'ident', 'number',
+ * 'char', 'string', 'op', 'directive' (a whole `#...` line) and 'eof'.
+ * Numbers keep their raw text so the parser can tell `1`, `1LL` and `1.0` apart.
+ */
+export class CompileError extends Error {
+  // kind is 'syntax' (the code does not parse) or 'unsupported' (valid code the visualizer cannot simulate).
+  constructor(kind, message, line, problems = [{ message, line }]) {
+    super(message);
+    this.name = 'CompileError';
+    this.kind = kind;
+    this.line = line;
+    this.problems = problems;
+  }
+}
+
+// Longest first, so `>>=` wins over `>>` and `>`.
+const OPERATORS = [
+  '>>>=', '<<=', '>>=', '>>>', '...', '->*', '<=>',
+  '::', '->', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=',
+  '+', '-', '*', '/', '%', '<', '>', '=', '!', '~', '&', '|', '^', '?', ':',
+  ';', ',', '.', '(', ')', '[', ']', '{', '}', '@',
+];
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', 0: '\0', '\\': '\\', "'": "'", '"': '"', a: '\x07', b: '\b', f: '\f', v: '\v' };
+
+const isIdentStart = (c) => /[A-Za-z_$]/.test(c);
+const isIdentPart = (c) => /[A-Za-z0-9_$]/.test(c);
+
+export const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let lineStart = true;
+  const fail = (message) => { throw new CompileError('syntax', message, line); };
+
+  const readEscaped = (quote) => {
+    let text = '';
+    i++;
+    while (source[i] !== quote) {
+      if (i >= source.length || source[i] === '\n') fail(`Unterminated ${quote === '"' ? 'string' : 'character'} literal`);
+      if (source[i] === '\\') {
+        const next = source[i + 1];
+        if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(i + 2, i + 6))) {
+          text += String.fromCharCode(parseInt(source.slice(i + 2, i + 6), 16));
+          i += 6;
+          continue;
+        }
+        if (!(next in ESCAPES)) fail(`Unknown escape sequence \\${next}`);
+        text += ESCAPES[next];
+        i += 2;
+      } else {
+        text += source[i++];
+      }
+    }
+    i++;
+    return text;
+  };
+
+  while (i < source.length) {
+    const c = source[i];
+    if (c === '\n') {
+      line++;
+      i++;
+      lineStart = true;
+      continue;
+    }
+    if (/\s/.test(c)) { i++; continue; }
+    if (source.startsWith('//', i)) {
+      while (i < source.length && source[i] !== '\n') i++;
+      continue;
+    }
+    if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      if (end === -1) fail('Unterminated comment');
+      line += (source.slice(i, end).match(/\n/g) || []).length;
+      i = end + 2;
+      continue;
+    }
+
+    const start = line;
+    if (c === '#' && lineStart) {
+      let end = i;
+      // Backslash-continued directives stay one token.
+      while (end < source.length && (source[end] !== '\n' || source[end - 1] === '\\')) {
+        if (source[end] === '\n') line++;
+        end++;
+      }
+      tokens.push({ type: 'directive', value: source.slice(i, end).replace(/\\\n/g, ' ').trim(), line: start });
+      i = end;
+      continue;
+    }
+    lineStart = false;
+
+    if (isIdentStart(c)) {
+      let end = i + 1;
+      while (end < source.length && isIdentPart(source[end])) end++;
+      tokens.push({ type: 'ident', value: source.slice(i, end), line });
+      i = end;
+      continue;
+    }
+    if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(source[i + 1]))) {
+      const match = /^(0[xX][0-9a-fA-F'_]+|0[bB][01'_]+|(\d[\d'_]*)?\.?\d[\d'_]*([eE][+-]?\d+)?)[uUlLfFdD]*/.exec(source.slice(i))
+        || /^\d+\.[uUlLfFdD]*/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: match[0].replace(/['_]/g, ''), line });
+      i += match[0].length;
+      continue;
+    }
+    if (c === '"') {
+      tokens.push({ type: 'string', value: readEscaped('"'), line });
+      continue;
+    }
+    if (c === "'") {
+      const value = readEscaped("'");
+      if ([...value].length !== 1) fail('Character literals must hold exactly one character');
+      tokens.push({ type: 'char', value, line });
+      continue;
+    }
+    const op = OPERATORS.find(o => source.startsWith(o, i));
+    if (!op) fail(`Unexpected character '${c}'`);
+    tokens.push({ type: 'op', value: op, line });
+    i += op.length;
+  }
+  tokens.push({ type: 'eof', value: '', line });
+  return tokens;
+};
@@ -0,0 +1,1260 @@
+import { RUNTIME_ID } from './runtime.js';
+import {
+  t, INT, LONG, DOUBLE, CHAR, BOOL, STRING, VOID, UNKNOWN, OBJECT,
+  isNumeric, isBig, isDynamic, isSequence, isMapKind, isSetKind, isValueObject, valueDepth, promote, elementOf, describeType, describeTypeWithArticle,
+} from './types.js';
+
+/**
+ * --- C++/JAVA STANDARD LIBRARY ---
+ * How codegen.js lowers library calls: std:: functions and <algorithm>,
+ * Java's static helpers (Math, Integer, Collections, Arrays, System.out...)
+ * and the methods of strings and containers. Each lowering returns a typed
+ * `{ code, type }`; calls outside these tables are reported, not guessed.
+ */
+const RT = RUNTIME_ID;
+
+const OPERATORS = {
+  '<': 'lt', '>': 'gt', '<=': 'le', '>=': 'ge', '==': 'eq', '!=': 'ne', '*': 'mul', '/': 'div', '%': 'mod',
+  '()': 'call', '[]': 'index', '<<': 'shl', '>>': 'shr', '+=': 'iadd', '-=': 'isub', '*=': 'imul', '/=': 'idiv',
+  '!': 'not', '++': 'inc', '--': 'dec', '=': 'assign', '&': 'and', '|': 'or', '^': 'xor', '~': 'invert',
+};
+
+// Method names for `operator<` and friends; free operators are plain functions.
+export const OPERATOR_NAMES = {
+  methodName: (op, arity) => {
+    if (op === '+') return arity ? '__add' : '__pos';
+    if (op === '-') return arity ? '__sub' : '__neg';
+    return `__${OPERATORS[op] || 'op'}`;
+  },
+  freeName: (op) => `operator${OPERATORS[op] || (op === '+' ? 'add' : op === '-' ? 'sub' : 'op')}`,
+};
+
+const MATH_DOUBLE = {
+  sqrt: 'sqrt', cbrt: 'cbrt', floor: 'floor', ceil: 'ceil', trunc: 'trunc', log: 'log', log2: 'log2', log10: 'log10', exp: 'exp',
+  sin: 'sin', cos: 'cos', tan: 'tan', asin: 'asin', acos: 'acos', atan: 'atan', sinh: 'sinh', cosh: 'cosh', tanh: 'tanh', fabs: 'abs',
+};
+
+const CTYPE = {
+  isdigit: '/[0-9]/', isalpha: '/[A-Za-z]/', isalnum: '/[A-Za-z0-9]/', isupper: '/[A-Z]/', islower: '/[a-z]/',
+  isspace: '/\\s/', ispunct: '/[!-/:-@[-`{-~]/', isxdigit: '/[0-9A-Fa-f]/',
+};
+
+const JAVA_CHARACTER = {
+  isDigit: CTYPE.isdigit, isLetter: '/\\p{L}/u', isAlphabetic: '/\\p{L}/u', isLetterOrDigit: '/[\\p{L}\\p{Nd}]/u',
+  isUpperCase: '/\\p{Lu}/u', isLowerCase: '/\\p{Ll}/u', isWhitespace: CTYPE.isspace, isSpaceChar: '/ /',
+};
+
+const MANIPULATORS = new Set(['endl', 'fixed', 'scientific', 'defaultfloat', 'boolalpha', 'noboolalpha', 'left', 'right', 'showpoint', 'flush']);
+const MANIPULATOR_CALLS = new Set(['setprecision', 'setw', 'setfill']);
+
+// Java functional interfaces: parameter types of their lambdas and what calling them returns.
+const FUNCTIONAL = {
+  Comparator: { params: (a) => [a[0], a[0]], returns: () => INT },
+  Function: { params: (a) => [a[0]], returns: (a) => a[1] },
+  BiFunction: { params: (a) => [a[0], a[1]], returns: (a) => a[2] },
+  UnaryOperator: { params: (a) => [a[0]], returns: (a) => a[0] },
+  BinaryOperator: { params: (a) => [a[0], a[0]], returns: (a) => a[0] },
+  Supplier: { params: () => [], returns: (a) => a[0] },
+  Consumer: { params: (a) => [a[0]], returns: () => VOID },
+  BiConsumer: { params: (a) => [a[0], a[1]], returns: () => VOID },
+  Predicate: { params: (a) => [a[0]], returns: () => BOOL },
+  Runnable: { params: () => [], returns: () => VOID },
+  IntBinaryOperator: { params: () => [INT, INT], returns: () => INT },
+  IntUnaryOperator: { params: () => [INT], returns: () => INT },
+  IntPredicate: { params: () => [INT], returns: () => BOOL },
+};
+
+export const functionParams = (type) => {
+  const entry = type && FUNCTIONAL[type.variant];
+  return entry ? entry.params(type.args).map(a => a || UNKNOWN) : [];
+};
+
+const FUNCTIONAL_METHODS = new Set(['apply', 'applyAsInt', 'applyAsLong', 'applyAsDouble', 'test', 'accept', 'get', 'run', 'compare']);
+
+// `Integer::sum` and the other method references that are plain functions.
+const METHOD_REFERENCES = {
+  'Integer::sum': '(a, b) => (a + b) | 0',
+  'Long::sum': '(a, b) => BigInt.asIntN(64, a + b)',
+  'Double::sum': '(a, b) => a + b',
+  'Integer::max': 'Math.max',
+  'Integer::min': 'Math.min',
+  'Math::max': `${RT}.max`,
+  'Math::min': `${RT}.min`,
+  'Integer::compare': `${RT}.compare`,
+  'Long::compare': `${RT}.compare`,
+  'Double::compare': `${RT}.compare`,
+  'String::compareTo': `${RT}.compare`,
+  'Integer::parseInt': `(s) => ${RT}.parseInt(s)`,
+  'String::valueOf': `(x) => ${RT}.str(x)`,
+  'String::length': '(s) => s.length',
+};
+
+export const createLibrary = (ctx) => {
+  const {
+    lang, cpp, expr, convert, bool, valueFor, copied, lvalue, report, resolve, construct, defaultValue, stringOf,
+    range, iterType, lengthOf, classes, quote, findSymbol,
+  } = ctx;
+  const r = (code, type = UNKNOWN, fresh = false) => ({ code, type, fresh });
+  const unsupportedCall = (what, node) => report(`${what}`, node.line);
+
+  /* ---------- SHARED PIECES ---------- */
+
+  const asDouble = (node) => convert(expr(node), DOUBLE);
+  const asInt = (node) => convert(expr(node), INT);
+
+  // Typed max/min/abs/gcd, which keep the operands' type like the C++ templates and Java overloads do.
+  const extreme = (fn, nodes) => {
+    const values = nodes.map(n => expr(n));
+    let type = values[0].type;
+    values.slice(1).forEach(v => {
+      if (isNumeric(type) && isNumeric(v.type) && !(type.kind === 'char' && v.type.kind === 'char')) type = promote(type, v.type);
+    });
+    const args = values.map(v => convert(v, type)).join(', ');
+    if (type.kind === 'int' || type.kind === 'double' || type.kind === 'uint') return r(`Math.${fn}(${args})`, type);
+    return r(`${RT}.${fn}(${args})`, type);
+  };
+
+  const absolute = (node) => {
+    const value = expr(node);
+    const { type } = value;
+    if (type.kind === 'int' || type.kind === 'char') return r(`(Math.abs(${convert(value, INT)}) | 0)`, INT);
+    if (isBig(type)) return r(`BigInt.asIntN(64, ${RT}.abs(${value.code}))`, type);
+    return r(`Math.abs(${value.code})`, isDynamic(type) ? UNKNOWN : DOUBLE);
+  };
+
+  const gcd = (nodes) => {
+    const [a, b] = nodes.map(n => expr(n));
+    const type = promote(a.type, b.type);
+    return r(`${RT}.gcd(${convert(a, type)}, ${convert(b, type)})`, type);
+  };
+
+  const charTest = (pattern, node) => r(`${pattern}.test(${convert(expr(node), CHAR)})`, BOOL);
+
+  // A comparator argument: lambdas, function names, `greater<int>()`, C++ function objects and Java Comparators.
+  const comparator = (node, element) => {
+    if (!node) return null;
+    if (node.type === 'Literal' && node.kind === 'null') return 'null';
+    if (node.type === 'Lambda') return expr(node, t('function', [], { params: [element, element] })).code;
+    if (!cpp && node.type === 'Call' && node.callee.type === 'Member') {
+      const { object, property } = node.callee;
+      if (object.type === 'Identifier' && object.name === 'Comparator' && /^comparing/.test(property)) {
+        const key = expr(node.args[0], t('function', [], { params: [element] })).code;
+        const then = node.args[1] ? `, ${comparator(node.args[1], UNKNOWN)}` : '';
+        return `${RT}.comparing(${key}${then})`;
+      }
+      if (property === 'reversed' && !node.args.length) return `${RT}.reversed(${comparator(object, element)})`;
+      if (/^thenComparing/.test(property)) {
+        const next = node.args[0].type === 'Lambda' && node.args[0].params.length === 1
+          ? expr(node.args[0], t('function', [], { params: [element] })).code
+          : comparator(node.args[0], element);
+        return `${RT}.thenComparing(${comparator(object, element)}, ${next})`;
+      }
+    }
+    const value = expr(node);
+    if (value.type.kind === 'class' || isDynamic(value.type)) return `${RT}.toComparator(${value.code})`;
+    return value.code;
+  };
+
+  // C++ comparators answer "a before b"; Java's return a number. sortRange takes either.
+  const orderFor = (rg, cmp) => {
+    if (!rg.reverse) return cmp || 'null';
+    return cmp ? `(a, b) => (${cmp})(b, a)` : `${RT}.greater`;
+  };
+
+  /**
+   * Runs an <algorithm> call over an iterator range. Strings are immutable in
+   * JS, so ranges over one are edited as a char array and written back.
+   */
+  const onRange = (rg, fn) => {
+    if (rg.container.type.kind !== 'string') return fn(rg.container.code);
+    const target = lvalue(rg.container.node);
+    if (!target) return 'undefined';
+    return `${RT}.withChars(${target.ref()}, /* @untraced */ ($chars) => ${fn('$chars')})`;
+  };
+
+  const rangeIter = (rg, code, node) => {
+    if (rg.reverse) return report('this algorithm on reverse iterators', node.line);
+    return r(code, iterType(rg.container, rg.container.node));
+  };
+
+  // The range `[first, last)` of an algorithm call, or null after reporting.
+  const rangeOf = (node, from = 0) => {
+    if (node.args.length < from + 2) {
+      report(`'${node.callee.name || node.callee.property}' with these arguments`, node.line);
+      return null;
+    }
+    return range(node.args[from], node.args[from + 1], node.line);
+  };
+
+  const algorithm = (name, node) => {
+    const rg = rangeOf(node);
+    if (!rg) return r('undefined');
+    const elem = elementOf(rg.container.type);
+    const { from, to } = rg;
+    switch (name) {
+      case 'sort':
+      case 'stable_sort': {
+        const order = orderFor(rg, comparator(node.args[2], elem));
+        return r(onRange(rg, c => `${RT}.sortRange(${c}, ${from}, ${to}, ${order}, false)`), VOID);
+      }
+      case 'reverse':
+        return r(onRange(rg, c => `${RT}.reverseRange(${c}, ${from}, ${to})`), VOID);
+      case 'max_element':
+      case 'min_element': {
+        const cmp = node.args[2] ? `, ${comparator(node.args[2], elem)}` : '';
+        return rangeIter(rg, `${RT}.extremeIndex(${rg.container.code}, ${from}, ${to}, ${name === 'max_element'}${cmp})`, node);
+      }
+      case 'accumulate': {
+        if (node.args.length < 3) break;
+        const init = expr(node.args[2]);
+        const type = isDynamic(init.type) ? elem : init.type;
+        let op;
+        if (node.args[3]) op = comparator(node.args[3], elem);
+        else {
+          const sum = expr({
+            type: 'Binary', operator: '+', line: node.line,
+            left: { type: 'Raw', r: { code: '$total', type } }, right: { type: 'Raw', r: { code: '$x', type: elem } },
+          });
+          op = `/* @untraced */ ($total, $x) => ${convert(sum, type)}`;
+        }
+        return r(`${RT}.accumulate(${rg.container.code}, ${from}, ${to}, ${copied(init)}, ${op})`, type);
+      }
+      case 'count':
+        return r(`${RT}.count(${onRange(rg, c => c)}, ${from}, ${to}, ${valueFor(node.args[2], elem)})`, INT);
+      case 'count_if': {
+        const pred = expr(node.args[2], t('function', [], { params: [elem] })).code;
+        return r(`${RT}.slice(${rg.container.code}, ${from}, ${to}).filter(${pred}).length`, INT);
+      }
+      case 'find':
+        return rangeIter(rg, `${RT}.find(${rg.container.type.kind === 'string' ? `[...${rg.container.code}]` : rg.container.code}, ${from}, ${to}, ${valueFor(node.args[2], elem)})`, node);
+      case 'fill':
+        return r(onRange(rg, c => `${RT}.fill(${c}, ${from}, ${to}, ${valueFor(node.args[2], elem)})`), VOID);
+      case 'iota':
+        return r(onRange(rg, c => `${RT}.iota(${c}, ${from}, ${to}, ${valueFor(node.args[2], elem)})`), VOID);
+      case 'lower_bound':
+      case 'upper_bound': {
+        const cmp = node.args[3] ? `, ${comparator(node.args[3], elem)}` : '';
+        return rangeIter(rg, `${RT}.bound(${rg.container.code}, ${from}, ${to}, ${valueFor(node.args[2], elem)}, ${name === 'upper_bound'}${cmp})`, node);
+      }
+      case 'binary_search':
+        return r(`${RT}.binarySearch(${rg.container.code}, ${from}, ${to}, ${valueFor(node.args[2], elem)})`, BOOL);
+      case 'next_permutation':
+      case 'prev_permutation':
+        if (rg.reverse) break;
+        return r(onRange(rg, c => `${RT}.${name === 'next_permutation' ? 'nextPermutation' : 'prevPermutation'}(${c}, ${from}, ${to})`), BOOL);
+      case 'unique':
+        return rangeIter(rg, onRange(rg, c => `${RT}.unique(${c}, ${from}, ${to})`), node);
+      case 'remove':
+        return rangeIter(rg, onRange(rg, c => `${RT}.remove(${c}, ${from}, ${to}, ${valueFor(node.args[2], elem)})`), node);
+      default:
+    }
+    return report(`'${name}' with these arguments`, node.line);
+  };
+
+  // `swap(a, b)`: containers and structs swap contents; anything else through a temporary.
+  const swap = (node) => {
+    const [a, b] = node.args.map(lvalue);
+    if (!a || !b) return r('undefined', VOID);
+    if (isValueObject(a.type, lang)) return r(`${RT}.swapContents(${a.read}, ${b.read})`, VOID);
+    if (a.target && b.target) return r(`([${a.target}, ${b.target}] = [${b.read}, ${a.read}])`, VOID);
+    if (!a.pure || !b.pure) return report('swap on expressions with side effects', node.line);
+    return r(`(/* @untraced */ ($swap) => (${a.write(b.read)}, ${b.write('$swap')}))(${a.read})`, VOID);
+  };
+
+  const makePair = (node, typeArgs) => {
+    const values = node.args.map(a => expr(a));
+    const types = typeArgs ? typeArgs.map(resolve) : values.map(v => ({ ...v.type, isConst: false }));
+    const parts = values.map((v, i) => (isValueObject(types[i], lang) ? copied(v) : convert(v, types[i])));
+    return r(`new ${RT}.Pair(${parts.join(', ')})`, t('pair', types), true);
+  };
+
+  const limits = (node) => {
+    const [, member] = node.callee.name.split('::');
+    const type = resolve(node.callee.typeArgs[0]);
+    const table = {
+      int: ['2147483647', '-2147483648'],
+      uint: ['4294967295', '0'],
+      long: ['9223372036854775807n', '-9223372036854775808n'],
+      ulong: ['18446744073709551615n', '0n'],
+      char: [quote('\u007f'), quote('\u0080')],
+      double: ['Number.MAX_VALUE', 'Number.MIN_VALUE'],
+    }[type.kind];
+    if (!table) return report(`numeric_limits<${describeType(type)}>`, node.line);
+    if (member === 'max') return r(table[0], type);
+    if (member === 'min') return r(table[1], type);
+    if (member === 'lowest') return r(type.kind === 'double' ? '-Number.MAX_VALUE' : table[1], type);
+    if (member === 'infinity' && type.kind === 'double') return r('Infinity', DOUBLE);
+    return report(`numeric_limits<...>::${member}`, node.line);
+  };
+
+  /* ---------- C++ FREE FUNCTIONS ---------- */
+
+  const cppCall = (name, node, discard) => {
+    const a = node.args;
+    if (MATH_DOUBLE[name] && a.length === 1) return r(`Math.${MATH_DOUBLE[name]}(${asDouble(a[0])})`, DOUBLE);
+    if (CTYPE[name]) return charTest(CTYPE[name], a[0]);
+    switch (name) {
+      case 'pow': return r(`Math.pow(${asDouble(a[0])}, ${asDouble(a[1])})`, DOUBLE);
+      case 'atan2': case 'hypot': return r(`Math.${name}(${asDouble(a[0])}, ${asDouble(a[1])})`, DOUBLE);
+      case 'fmod': return r(`(${asDouble(a[0])} % ${asDouble(a[1])})`, DOUBLE);
+      case 'round': return r(`${RT}.round(${asDouble(a[0])})`, DOUBLE);
+      case 'llround': case 'lround': return r(`${RT}.toLong(${RT}.round(${asDouble(a[0])}))`, LONG);
+      case 'max': case 'min':
+        if (a.length === 1 && a[0].type === 'InitList') return extreme(name, a[0].elements);
+        if (a.length === 2) return extreme(name, a);
+        break;
+      case 'abs': case 'llabs': case 'labs': return absolute(a[0]);
+      case 'gcd': case '__gcd': return gcd(a);
+      case 'lcm': {
+        const [x, y] = a.map(n => expr(n));
+        const type = promote(x.type, y.type);
+        return r(`${RT}.lcm(${convert(x, type)}, ${convert(y, type)})`, type);
+      }
+      case '__builtin_popcount': case '__builtin_popcountll': case 'popcount':
+        return r(`${RT}.popcount(${expr(a[0]).code})`, INT);
+      case 'toupper': case 'tolower':
+        return r(`${convert(expr(a[0]), CHAR)}.to${name === 'toupper' ? 'Upper' : 'Lower'}Case()`, CHAR);
+      case 'to_string': {
+        const value = expr(a[0]);
+        return r(`${RT}.toString(${value.code}, ${quote(value.type.kind)})`, STRING, true);
+      }
+      case 'stoi': case 'atoi': return r(`${RT}.parseInt(${expr(a[0]).code}${a[2] ? `, ${asInt(a[2])}` : ''})`, INT);
+      case 'stol': case 'stoll': case 'atol': case 'atoll': return r(`${RT}.parseLong(${expr(a[0]).code})`, LONG);
+      case 'stod': case 'stof': case 'atof': return r(`${RT}.parseDouble(${expr(a[0]).code})`, DOUBLE);
+      case 'make_pair': return makePair(node, node.callee.typeArgs);
+      case 'swap': return swap(node);
+      case 'move': return { ...expr(a[0]), fresh: false };
+      case 'getline': {
+        if (a.length !== 2) break;
+        const target = lvalue(a[1]);
+        if (!target) return r('undefined');
+        return r(`(${target.write(`${RT}.cin.line()`)}, ${RT}.cin.ok())`, BOOL);
+      }
+      case 'printf':
+        return r(`${RT}.printf(${a.map(n => expr(n).code).join(', ')})`, INT);
+      case 'scanf':
+        return r(`${RT}.scanf(${a.map(n => expr(n).code).join(', ')})`, INT);
+      case 'puts': return r(`${RT}.puts(${expr(a[0]).code})`, INT);
+      case 'putchar': return r(`${RT}.putchar(${expr(a[0]).code})`, INT);
+      case 'getchar': return r(`${RT}.getchar()`, INT);
+      case 'memset': return r(`${RT}.memset(${expr(a[0]).code}, ${asInt(a[1])})`, VOID);
+      case 'exit': return r(`${RT}.exit(${asInt(a[0])})`, VOID);
+      case 'assert': return r(`${RT}.assert(${bool(expr(a[0]))}, ${quote('condition')})`, VOID);
+      case 'distance': {
+        const [first, last] = a.map(n => expr(n));
+        return r(`(${last.code} - ${first.code})`, INT);
+      }
+      case 'next': case 'prev': {
+        const it = expr(a[0]);
+        const step = a[1] ? asInt(a[1]) : '1';
+        return r(`(${it.code} ${name === 'next' ? '+' : '-'} ${step})`, it.type);
+      }
+      case 'advance': {
+        const it = lvalue(a[0]);
+        if (!it) return r('undefined');
+        return r(it.write(`${it.read} + ${asInt(a[1])}`), VOID);
+      }
+      case 'begin': case 'end': {
+        const container = expr(a[0]);
+        return r(name === 'begin' ? '0' : lengthOf(container), iterType(container, a[0]));
+      }
+      case 'sort': case 'stable_sort': case 'reverse': case 'max_element': case 'min_element': case 'accumulate':
+      case 'count': case 'count_if': case 'find': case 'fill': case 'iota': case 'lower_bound': case 'upper_bound':
+      case 'binary_search': case 'next_permutation': case 'prev_permutation': case 'unique': case 'remove':
+        return algorithm(name, node);
+      case 'ios::sync_with_stdio': case 'ios_base::sync_with_stdio':
+        return r('undefined', VOID);
+      case 'numeric_limits::max': case 'numeric_limits::min': case 'numeric_limits::lowest': case 'numeric_limits::infinity':
+        return limits(node);
+      case 'rand': case 'srand': case 'time':
+        return report(`'${name}' (runs must be repeatable)`, node.line);
+      default:
+        return null;
+    }
+    void discard;
+    return report(`'${name}' with these arguments`, node.line);
+  };
+
+  /* ---------- JAVA STATIC CALLS ---------- */
+
+  const printArg = (node) => {
+    const value = expr(node);
+    if (value.type.kind === 'array' && value.type.args[0]?.kind === 'char') return `${value.code}.join('')`;
+    return stringOf(value);
+  };
+
+  const print = (stream, method, node) => {
+    const a = node.args;
+    switch (method) {
+      case 'println': return r(`${RT}.${stream}.println(${a.length ? printArg(a[0]) : ''})`, VOID);
+      case 'print': return r(`${RT}.${stream}.print(${printArg(a[0])})`, VOID);
+      case 'printf': case 'format': return r(`${RT}.${stream}.printf(${a.map(n => expr(n).code).join(', ')})`, VOID);
+      case 'flush': return r('undefined', VOID);
+      default: return null;
+    }
+  };
+
+  const javaMath = (method, node) => {
+    const a = node.args;
+    if (MATH_DOUBLE[method] && a.length === 1 && method !== 'fabs') return r(`Math.${MATH_DOUBLE[method]}(${asDouble(a[0])})`, DOUBLE);
+    switch (method) {
+      case 'max': case 'min': return extreme(method, a);
+      case 'abs': return absolute(a[0]);
+      case 'pow': case 'atan2': case 'hypot': return r(`Math.${method}(${asDouble(a[0])}, ${asDouble(a[1])})`, DOUBLE);
+      case 'round': {
+        const value = expr(a[0]);
+        return r(`${RT}.round(${convert(value, DOUBLE)})`, LONG);
+      }
+      case 'random': return r('Math.random()', DOUBLE);
+      case 'signum': return r(`Math.sign(${asDouble(a[0])})`, DOUBLE);
+      case 'toRadians': return r(`(${asDouble(a[0])} * Math.PI / 180)`, DOUBLE);
+      case 'toDegrees': return r(`(${asDouble(a[0])} * 180 / Math.PI)`, DOUBLE);
+      case 'floorDiv': case 'floorMod': {
+        const [x, y] = a.map(n => expr(n));
+        const type = promote(x.type, y.type);
+        return r(`${RT}.${method}(${convert(x, type)}, ${convert(y, type)})`, type);
+      }
+      default: return null;
+    }
+  };
+
+  const boxedStatics = (owner, method, node) => {
+    const a = node.args;
+    const kind = { Integer: INT, Long: LONG, Double: DOUBLE, Float: DOUBLE, Short: INT, Byte: INT, Boolean: BOOL }[owner];
+    switch (method) {
+      case 'parseInt': return r(`${RT}.parseInt(${expr(a[0]).code}${a[1] ? `, ${asInt(a[1])}` : ''})`, INT);
+      case 'parseLong': return r(`${RT}.parseLong(${expr(a[0]).code})`, LONG);
+      case 'parseDouble': case 'parseFloat': return r(`${RT}.parseDouble(${expr(a[0]).code})`, DOUBLE);
+      case 'parseBoolean': return r(`(String(${expr(a[0]).code}).toLowerCase() === 'true')`, BOOL);
+      case 'valueOf': {
+        const value = expr(a[0]);
+        if (value.type.kind === 'string') {
+          if (owner === 'Boolean') return r(`(${value.code}.toLowerCase() === 'true')`, BOOL);
+          return r(`${RT}.${kind.kind === 'long' ? 'parseLong' : kind.kind === 'double' ? 'parseDouble' : 'parseInt'}(${value.code})`, { ...kind, boxed: true });
+        }
+        return r(convert(value, kind), { ...kind, boxed: true });
+      }
+      case 'toString':
+        if (a.length === 2) return r(`${convert(expr(a[0]), kind)}.toString(${asInt(a[1])})`, STRING);
+        return r(stringOf({ ...expr(a[0]), type: kind }), STRING);
+      case 'toBinaryString': case 'toHexString': case 'toOctalString': {
+        const radix = { toBinaryString: 2, toHexString: 16, toOctalString: 8 }[method];
+        const value = convert(expr(a[0]), kind);
+        return r(kind.kind === 'long' ? `BigInt.asUintN(64, ${value}).toString(${radix})` : `(${value} >>> 0).toString(${radix})`, STRING);
+      }
+      case 'compare': return r(`${RT}.compare(${convert(expr(a[0]), kind)}, ${convert(expr(a[1]), kind)})`, INT);
+      case 'bitCount': return r(`${RT}.popcount(${convert(expr(a[0]), kind)})`, INT);
+      case 'max': case 'min': return extreme(method, a);
+      case 'sum': {
+        const sum = expr({ type: 'Binary', operator: '+', left: a[0], right: a[1], line: node.line });
+        return r(convert(sum, kind), kind);
+      }
+      case 'signum': return r(`Math.sign(${convert(expr(a[0]), DOUBLE)})`, INT);
+      case 'isNaN': return r(`Number.isNaN(${asDouble(a[0])})`, BOOL);
+      case 'isInfinite': return r(`(Math.abs(${asDouble(a[0])}) === Infinity)`, BOOL);
+      default: return null;
+    }
+  };
+
+  const characterStatics = (method, node) => {
+    const a = node.args;
+    if (JAVA_CHARACTER[method]) return charTest(JAVA_CHARACTER[method], a[0]);
+    switch (method) {
+      case 'toUpperCase': case 'toLowerCase': return r(`${convert(expr(a[0]), CHAR)}.${method}()`, CHAR);
+      case 'getNumericValue': return r(`${RT}.digit(${convert(expr(a[0]), CHAR)})`, INT);
+      case 'valueOf': return r(convert(expr(a[0]), CHAR), { ...CHAR, boxed: true });
+      case 'toString': return r(convert(expr(a[0]), CHAR), STRING);
+      case 'compare': return r(`${RT}.compare(${convert(expr(a[0]), CHAR)}, ${convert(expr(a[1]), CHAR)})`, INT);
+      default: return null;
+    }
+  };
+
+  const stringStatics = (method, node) => {
+    const a = node.args;
+    switch (method) {
+      case 'valueOf': case 'copyValueOf': return r(printArg(a[0]), STRING);
+      case 'join': {
+        const separator = expr(a[0]).code;
+        if (a.length === 2 && !['string', 'char'].includes(expr(a[1]).type.kind)) return r(`[...${expr(a[1]).code}].join(${separator})`, STRING);
+        return r(`[${a.slice(1).map(n => expr(n).code).join(', ')}].join(${separator})`, STRING);
+      }
+      case 'format': return r(`${RT}.format(${a.map(n => expr(n).code).join(', ')})`, STRING);
+      default: return null;
+    }
+  };
+
+  // `List.of(...)`, `Arrays.asList(...)`: a single array argument is spread.
+  const listOf = (nodes, Class = 'ArrayList', order = null) => {
+    const values = nodes.map(n => expr(n));
+    const element = values[0]?.type || UNKNOWN;
+    const items = values.length === 1 && values[0].type.kind === 'array' ? values[0].code : `[${values.map(v => v.code).join(', ')}]`;
+    const itemType = values.length === 1 && values[0].type.kind === 'array' ? elementOf(values[0].type) : { ...element, boxed: isNumeric(element) || undefined };
+    const container = order ? `new ${RT}.${Class}(${quote(order)})` : `new ${RT}.${Class}()`;
+    const kind = Class === 'JavaSet' ? 'jset' : 'jlist';
+    return r(`${RT}.build(${container}, ${items})`, t(kind, [itemType], order ? { variant: order } : {}), true);
+  };
+
+  const collections = (method, node) => {
+    const a = node.args;
+    switch (method) {
+      case 'sort': {
+        const list = expr(a[0]);
+        return r(`${list.code}.sort(${comparator(a[1], elementOf(list.type)) || ''})`, VOID);
+      }
+      case 'reverse': return r(`${expr(a[0]).code}.reverse()`, VOID);
+      case 'max': case 'min': {
+        const items = expr(a[0]);
+        const cmp = a[1] ? `, ${comparator(a[1], elementOf(items.type))}` : '';
+        return r(`${RT}.pick(${items.code}, ${method === 'max'}${cmp})`, elementOf(items.type));
+      }
+      case 'swap': return r(`${RT}.swapAt(${expr(a[0]).code}, ${asInt(a[1])}, ${asInt(a[2])})`, VOID);
+      case 'frequency': return r(`[...${expr(a[0]).code}].filter(/* @untraced */ ($x) => ${RT}.equals($x, ${expr(a[1]).code})).length`, INT);
+      case 'fill': return r(`${expr(a[0]).code}.fill(${expr(a[1]).code})`, VOID);
+      case 'nCopies': {
+        const value = expr(a[1]);
+        return r(`${RT}.build(new ${RT}.ArrayList(), Array(${asInt(a[0])}).fill(${value.code}))`, t('jlist', [value.type]), true);
+      }
+      case 'emptyList': return r(`new ${RT}.ArrayList()`, t('jlist', [UNKNOWN]), true);
+      case 'unmodifiableList': case 'unmodifiableSet': case 'unmodifiableMap': case 'synchronizedList':
+        return expr(a[0]);
+      case 'reverseOrder': return r(`${RT}.reversed(${a[0] ? comparator(a[0], UNKNOWN) : ''})`, t('function', [], { variant: 'Comparator' }));
+      case 'addAll': return r(`${RT}.build(${expr(a[0]).code}, [${a.slice(1).map(n => expr(n).code).join(', ')}])`, VOID);
+      default: return null;
+    }
+  };
+
+  const arrays = (method, node) => {
+    const a = node.args;
+    const array = a[0] ? expr(a[0]) : null;
+    const elem = array ? elementOf(array.type) : UNKNOWN;
+    switch (method) {
+      case 'sort':
+        if (a.length <= 2) return r(`${RT}.sortRange(${array.code}, 0, ${array.code}.length, ${comparator(a[1], elem) || 'null'}, true)`, VOID);
+        return r(`${RT}.sortRange(${array.code}, ${asInt(a[1])}, ${asInt(a[2])}, ${comparator(a[3], elem) || 'null'}, true)`, VOID);
+      case 'fill':
+        if (a.length === 2) return r(`${array.code}.fill(${valueFor(a[1], elem)})`, VOID);
+        return r(`${RT}.fill(${array.code}, ${asInt(a[1])}, ${asInt(a[2])}, ${valueFor(a[3], elem)})`, VOID);
+      case 'toString': return r(`${RT}.arraysToString(${array.code}, ${quote(elem.kind)})`, STRING);
+      case 'deepToString': {
+        let leaf = array.type;
+        while (leaf.kind === 'array') leaf = leaf.args[0];
+        return r(`${RT}.deepToString(${array.code}, ${quote(leaf.kind)})`, STRING);
+      }
+      case 'asList': return listOf(a);
+      case 'copyOf': return r(`${RT}.padded(${array.code}.slice(0, ${asInt(a[1])}), [${asInt(a[1])}], ${defaultValue(elem, { javaField: true })})`, array.type, true);
+      case 'copyOfRange': return r(`${array.code}.slice(${asInt(a[1])}, ${asInt(a[2])})`, array.type, true);
+      case 'equals': return r(`${RT}.equals(${array.code}, ${expr(a[1]).code})`, BOOL);
+      case 'binarySearch': return r(`${RT}.javaBinarySearch(${array.code}, ${valueFor(a[1], elem)})`, INT);
+      default: return null;
+    }
+  };
+
+  const staticCall = (owner, method, node) => {
+    if (lang !== 'java') return null;
+    const a = node.args;
+    switch (owner) {
+      case 'System.out': return print('out', method, node);
+      case 'System.err': return print('err', method, node);
+      case 'System':
+        if (method === 'exit') return r(`${RT}.exit(${asInt(a[0])})`, VOID);
+        if (method === 'currentTimeMillis') return r(`BigInt(${RT}.now())`, LONG);
+        if (method === 'nanoTime') return r(`(BigInt(${RT}.now()) * 1000000n)`, LONG);
+        if (method === 'arraycopy') return r(`${RT}.arraycopy(${a.map(n => expr(n).code).join(', ')})`, VOID);
+        return null;
+      case 'Math': case 'StrictMath': return javaMath(method, node);
+      case 'Integer': case 'Long': case 'Double': case 'Float': case 'Short': case 'Byte': case 'Boolean':
+        return boxedStatics(owner, method, node);
+      case 'Character': return characterStatics(method, node);
+      case 'String': return stringStatics(method, node);
+      case 'Collections': return collections(method, node);
+      case 'Arrays': return arrays(method, node);
+      case 'List': return method === 'of' || method === 'copyOf' ? listOf(a) : null;
+      case 'Set': return method === 'of' ? listOf(a, 'JavaSet', 'java-hash') : null;
+      case 'Map':
+        if (method !== 'of') return null;
+        {
+          const pairs = [];
+          for (let i = 0; i + 1 < a.length; i += 2) pairs.push(`[${expr(a[i]).code}, ${expr(a[i + 1]).code}]`);
+          const k = a[0] ? expr(a[0]).type : UNKNOWN;
+          const v = a[1] ? expr(a[1]).type : UNKNOWN;
+          return r(`${RT}.build(new ${RT}.JavaMap('java-hash'), [${pairs.join(', ')}])`, t('jmap', [k, v], { variant: 'java-hash' }), true);
+        }
+      case 'Objects':
+        if (method === 'equals') return r(`${RT}.equals(${expr(a[0]).code}, ${expr(a[1]).code})`, BOOL);
+        if (method === 'isNull') return r(`(${expr(a[0]).code} == null)`, BOOL);
+        if (method === 'nonNull') return r(`(${expr(a[0]).code} != null)`, BOOL);
+        return null;
+      case 'Comparator':
+        if (method === 'naturalOrder') return r(`${RT}.compare`, t('function', [], { variant: 'Comparator' }));
+        if (method === 'reverseOrder') return r(`${RT}.reversed()`, t('function', [], { variant: 'Comparator' }));
+        if (/^comparing/.test(method)) return r(comparator(node, UNKNOWN), t('function', [], { variant: 'Comparator' }));
+        return null;
+      default: return null;
+    }
+  };
+
+  /* ---------- METHODS ---------- */
+
+  // The receiver as an lvalue, for C++ string mutators (strings are immutable JS values).
+  const mutate = (node, fn) => {
+    const target = lvalue(node.callee.object);
+    if (!target) return r('undefined');
+    if (!target.pure) return report('modifying a string returned by an expression', node.line);
+    return r(target.write(fn(target.read)), VOID);
+  };
+
+  const stringMethod = (s, property, node) => {
+    const a = node.args;
+    const arg = (i) => expr(a[i]);
+    const text = (i) => {
+      const value = arg(i);
+      return value.type.kind === 'int' && !cpp ? `${RT}.chr(${value.code})` : value.code;
+    };
+    const call = (name, type, ...extra) => r(`${RT}.STRING_METHODS.${name}(${[s.code, ...extra].join(', ')})`, type);
+    switch (property) {
+      case 'size': case 'length': return r(`${s.code}.length`, INT);
+      case 'empty': case 'isEmpty': return r(`(${s.code}.length === 0)`, BOOL);
+      case 'c_str': case 'data': case 'intern': case 'toString': case 'strip': case 'trim':
+        return property === 'strip' || property === 'trim' ? r(`${s.code}.trim()`, STRING) : r(s.code, STRING);
+      case 'substr': return r(`${RT}.substr(${s.code}, ${asInt(a[0])}${a[1] ? `, ${asInt(a[1])}` : ''})`, STRING, true);
+      case 'substring': return call('substring', STRING, asInt(a[0]), ...(a[1] ? [asInt(a[1])] : []));
+      case 'charAt': return call('charAt', CHAR, asInt(a[0]));
+      case 'at': return call('at', CHAR, asInt(a[0]));
+      case 'front': return r(`${s.code}[0]`, CHAR);
+      case 'back': return r(`${s.code}[${s.code}.length - 1]`, CHAR);
+      case 'find': case 'indexOf': return r(`${s.code}.indexOf(${text(0)}${a[1] ? `, ${asInt(a[1])}` : ''})`, INT);
+      case 'rfind': case 'lastIndexOf': return call('rfind', INT, text(0), ...(a[1] ? [asInt(a[1])] : []));
+      case 'contains': return r(`${s.code}.includes(${text(0)})`, BOOL);
+      case 'startsWith': case 'starts_with': return r(`${s.code}.startsWith(${text(0)})`, BOOL);
+      case 'endsWith': case 'ends_with': return r(`${s.code}.endsWith(${text(0)})`, BOOL);
+      case 'equals': return r(`(${s.code} === ${arg(0).code})`, BOOL);
+      case 'equalsIgnoreCase': return call('equalsIgnoreCase', BOOL, arg(0).code);
+      case 'compareTo': return call('compareTo', INT, arg(0).code);
+      case 'compare': return call('compare', INT, arg(0).code);
+      case 'toUpperCase': case 'toLowerCase': return r(`${s.code}.${property}()`, STRING);
+      case 'toCharArray': return r(`[...${s.code}]`, t('array', [CHAR]), true);
+      case 'split': return r(`${RT}.STRING_METHODS.split(${s.code}, ${arg(0).code})`, t('array', [STRING]), true);
+      case 'replaceAll': return call('replaceAll', STRING, arg(0).code, arg(1).code);
+      case 'repeat': return r(`${s.code}.repeat(${asInt(a[0])})`, STRING);
+      case 'hashCode': return call('hashCode', INT);
+      case 'matches': return call('matches', BOOL, arg(0).code);
+      case 'isBlank': return call('isBlank', BOOL);
+      case 'concat': return r(`(${s.code} + ${arg(0).code})`, STRING);
+      case 'begin': case 'cbegin': return r('0', iterType(s, node.callee.object));
+      case 'end': case 'cend': return r(`${s.code}.length`, iterType(s, node.callee.object));
+      case 'rbegin': return r('0', iterType(s, node.callee.object, true));
+      case 'rend': return r(`${s.code}.length`, iterType(s, node.callee.object, true));
+      default:
+    }
+    if (!cpp) {
+      if (property === 'replace') return call('replace', STRING, text(0), text(1));
+      return null;
+    }
+    // C++ std::string mutators
+    const M = `${RT}.STRING_MUTATORS`;
+    switch (property) {
+      case 'push_back': return mutate(node, cur => `${cur} + ${convert(arg(0), CHAR)}`);
+      case 'pop_back': return mutate(node, cur => `${M}.pop_back(${cur})`);
+      case 'append':
+        if (a.length === 2) return mutate(node, cur => `${cur} + ${convert(arg(1), CHAR)}.repeat(${asInt(a[0])})`);
+        return mutate(node, cur => `${cur} + ${arg(0).code}`);
+      case 'insert': {
+        const value = arg(1);
+        const inserted = value.type.kind === 'string' || value.type.kind === 'char' ? value.code : convert(value, CHAR);
+        return mutate(node, cur => `${M}.insert(${cur}, ${asInt(a[0])}, ${inserted})`);
+      }
+      case 'erase': {
+        if (!a.length) return mutate(node, () => "''");
+        const first = arg(0);
+        if (first.type.kind === 'iter') {
+          const count = a[1] ? `${expr(a[1]).code} - ${first.code}` : '1';
+          return mutate(node, cur => `${M}.erase(${cur}, ${first.code}, ${count})`);
+        }
+        return mutate(node, cur => `${M}.erase(${cur}, ${first.code}${a[1] ? `, ${asInt(a[1])}` : ''})`);
+      }
+      case 'replace': return mutate(node, cur => `${M}.replace(${cur}, ${asInt(a[0])}, ${asInt(a[1])}, ${arg(2).code})`);
+      case 'clear': return mutate(node, () => "''");
+      case 'resize': return mutate(node, cur => `${M}.resize(${cur}, ${asInt(a[0])}${a[1] ? `, ${convert(arg(1), CHAR)}` : ''})`);
+      case 'assign': return mutate(node, () => arg(0).code);
+      default: return null;
+    }
+  };
+
+  // begin()/end()/rbegin()/rend() of any C++ container.
+  const iterators = (receiver, property, node) => {
+    const object = node.callee.object;
+    switch (property) {
+      case 'begin': case 'cbegin': return r('0', iterType(receiver, object));
+      case 'end': case 'cend': return r(lengthOf(receiver), iterType(receiver, object));
+      case 'rbegin': case 'crbegin': return r('0', iterType(receiver, object, true));
+      case 'rend': case 'crend': return r(lengthOf(receiver), iterType(receiver, object, true));
+      default: return null;
+    }
+  };
+
+  // `emplace_back(args...)` builds the element in place; a single argument of the element type is copied.
+  const element = (elem, nodes, line) => {
+    if (nodes.length === 1 && nodes[0].type !== 'InitList') {
+      const value = expr(nodes[0], elem);
+      const needsConstruct = (elem.kind === 'class' && value.type.cls !== elem.cls) || (elem.kind === 'pair' && value.type.kind !== 'pair');
+      if (!needsConstruct) return isValueObject(elem, lang) ? copied(value) : convert(value, elem);
+    }
+    if (nodes.length === 1 && nodes[0].type === 'InitList') return valueFor(nodes[0], elem);
+    return construct(elem, nodes, false, line).code;
+  };
+
+  const sequenceMethod = (v, property, node) => {
+    const a = node.args;
+    const elem = elementOf(v.type);
+    const c = v.code;
+    switch (property) {
+      case 'push_back': case 'push_front': return r(`${c}.${property}(${valueFor(a[0], elem)})`, VOID);
+      case 'emplace_back': return r(`${c}.push_back(${element(elem, a, node.line)})`, VOID);
+      case 'emplace_front': return r(`${c}.push_front(${element(elem, a, node.line)})`, VOID);
+      case 'pop_back': case 'pop_front': case 'clear': return r(`${c}.${property}()`, VOID);
+      case 'size': return r(`${c}.length`, INT);
+      case 'empty': return r(`(${c}.length === 0)`, BOOL);
+      case 'back': case 'front': return r(`${c}.${property}()`, elem);
+      case 'at': return r(`${c}.at(${asInt(a[0])})`, elem);
+      case 'resize': case 'assign': {
+        if (property === 'assign' && a.length === 2 && expr(a[0]).type.kind === 'iter') {
+          const rg = range(a[0], a[1], node.line);
+          return rg ? r(`${RT}.assignInto(${c}, ${RT}.slice(${rg.container.code}, ${rg.from}, ${rg.to}))`, VOID) : r('undefined');
+        }
+        const template = a[1] ? valueFor(a[1], elem) : defaultValue(elem);
+        return r(`${c}.${property}(${asInt(a[0])}, ${template})`, VOID);
+      }
+      case 'insert': case 'emplace': {
+        if (a.length === 3) {
+          const rg = range(a[1], a[2], node.line);
+          return rg ? r(`${c}.splice(${asInt(a[0])}, 0, ...${RT}.slice(${rg.container.code}, ${rg.from}, ${rg.to}))`, VOID) : r('undefined');
+        }
+        const value = property === 'emplace' ? element(elem, a.slice(1), node.line) : valueFor(a[1], elem);
+        return r(`${c}.insertAt(${asInt(a[0])}, ${value})`, iterType(v, node.callee.object));
+      }
+      case 'erase':
+        return r(`${c}.eraseAt(${asInt(a[0])}${a[1] ? `, ${asInt(a[1])}` : ''})`, iterType(v, node.callee.object));
+      case 'swap': return r(`${RT}.swapContents(${c}, ${expr(a[0]).code})`, VOID);
+      default: return iterators(v, property, node);
+    }
+  };
+
+  const adapterMethod = (q, property, node) => {
+    const a = node.args;
+    const elem = elementOf(q.type);
+    switch (property) {
+      case 'push': return r(`${q.code}.push(${valueFor(a[0], elem)})`, VOID);
+      case 'emplace': return r(`${q.code}.push(${element(elem, a, node.line)})`, VOID);
+      case 'pop': return r(`${q.code}.pop()`, VOID);
+      case 'size': return r(`${q.code}.size()`, INT);
+      case 'empty': return r(`${q.code}.empty()`, BOOL);
+      case 'front': case 'back': return q.type.kind === 'queue' ? r(`${q.code}.${property}()`, elem) : null;
+      case 'top': return q.type.kind !== 'queue' ? r(`${q.code}.top()`, elem) : null;
+      case 'swap': return r(`${RT}.swapContents(${q.code}, ${expr(a[0]).code})`, VOID);
+      default: return null;
+    }
+  };
+
+  const cppKeyedMethod = (m, property, node) => {
+    const a = node.args;
+    const isMap = isMapKind(m.type);
+    const key = m.type.args[0] || UNKNOWN;
+    const value = m.type.args[1] || UNKNOWN;
+    const c = m.code;
+    const iter = (code) => r(code, iterType(m, node.callee.object));
+    switch (property) {
+      case 'size': return r(`${c}.size()`, INT);
+      case 'empty': return r(`${c}.empty()`, BOOL);
+      case 'clear': return r(`${c}.clear()`, VOID);
+      case 'count': return r(`${c}.count(${valueFor(a[0], key)})`, INT);
+      case 'contains': return r(`${c}.has(${valueFor(a[0], key)})`, BOOL);
+      case 'find': return iter(`${RT}.findIndex(${c}, ${valueFor(a[0], key)})`);
+      case 'lower_bound': case 'upper_bound': return iter(`${RT}.boundIndex(${c}, ${valueFor(a[0], key)}, ${property === 'upper_bound'})`);
+      case 'erase': {
+        const target = expr(a[0]);
+        if (target.type.kind === 'iter') {
+          if (a[1]) return report('erasing an iterator range from a map or set', node.line);
+          return r(`${c}.erase(${RT}.nthKey(${c}, ${target.code}))`, INT);
+        }
+        return r(`${c}.erase(${valueFor(a[0], key)})`, INT);
+      }
+      case 'at': return isMap ? r(`${c}.at(${valueFor(a[0], key)})`, value) : null;
+      case 'insert':
+        if (isMap) return r(`${c}.insert(${valueFor(a[0], t('pair', [key, value]))})`, t('insertResult'));
+        return r(`${c}.insert(${valueFor(a[0], key)})`, t('insertResult'));
+      case 'emplace':
+        if (isMap) return r(`${c}.insert(new ${RT}.Pair(${valueFor(a[0], key)}, ${element(value, a.slice(1), node.line)}))`, t('insertResult'));
+        return r(`${c}.insert(${element(key, a, node.line)})`, t('insertResult'));
+      case 'swap': return r(`${RT}.swapContents(${c}, ${expr(a[0]).code})`, VOID);
+      default: return iterators(m, property, node);
+    }
+  };
+
+  /* ---- Java collections ---- */
+
+  const lambdaArg = (node, params) => expr(node, t('function', [], { params })).code;
+
+  const javaListMethod = (list, property, node) => {
+    const a = node.args;
+    const elem = elementOf(list.type);
+    const c = list.code;
+    switch (property) {
+      case 'add':
+        if (a.length === 2) return r(`${c}.add(${asInt(a[0])}, ${valueFor(a[1], elem)})`, VOID);
+        return r(`${c}.add(${valueFor(a[0], elem)})`, BOOL);
+      case 'get': return r(`${c}.get(${asInt(a[0])})`, elem);
+      case 'set': return r(`${c}.set(${asInt(a[0])}, ${valueFor(a[1], elem)})`, elem);
+      case 'remove': {
+        if (!a.length) return r(`${c}.remove()`, elem);
+        const arg = expr(a[0]);
+        // `remove(int)` removes by index; `remove(Integer)` / `remove(Object)` by value.
+        if (['int', 'char'].includes(arg.type.kind) && !arg.type.boxed) return r(`${c}.removeAt(${convert(arg, INT)})`, elem);
+        return r(`${c}.removeValue(${arg.code})`, BOOL);
+      }
+      case 'size': return r(`${c}.size()`, INT);
+      case 'isEmpty': case 'empty': return r(`${c}.isEmpty()`, BOOL);
+      case 'contains': return r(`${c}.contains(${expr(a[0]).code})`, BOOL);
+      case 'indexOf': case 'lastIndexOf': return r(`${c}.${property}(${expr(a[0]).code})`, INT);
+      case 'clear': return r(`${c}.clear()`, VOID);
+      case 'addAll': return r(`${c}.addAll(${expr(a[0]).code})`, BOOL);
+      case 'sort': return r(`${c}.sort(${comparator(a[0], elem) || ''})`, VOID);
+      case 'forEach': return r(`${c}.forEach(${lambdaArg(a[0], [elem])})`, VOID);
+      case 'removeIf': return r(`${c}.removeIf(${lambdaArg(a[0], [elem])})`, BOOL);
+      case 'subList': return r(`${c}.subList(${asInt(a[0])}, ${asInt(a[1])})`, t('jlist', [elem]), true);
+      case 'toString': return r(`${c}.toString()`, STRING);
+      case 'equals': return r(`${RT}.equals(${c}, ${expr(a[0]).code})`, BOOL);
+      case 'hashCode': return r(`${c}.hashCode()`, INT);
+      case 'toArray': return r(`[...${c}]`, t('array', [elem]), true);
+      case 'getFirst': case 'getLast': case 'peek': case 'peekFirst': case 'peekLast': case 'poll': case 'pollFirst': case 'pollLast':
+      case 'element': case 'removeFirst': case 'removeLast': case 'pop':
+        return r(`${c}.${property}()`, elem);
+      case 'addFirst': case 'addLast': case 'push': case 'offer': case 'offerFirst': case 'offerLast':
+        return r(`${c}.${property}(${valueFor(a[0], elem)})`, property.startsWith('offer') ? BOOL : property === 'push' && list.type.kind === 'jstack' ? elem : VOID);
+      case 'search': return list.type.kind === 'jstack' ? r(`${c}.search(${expr(a[0]).code})`, INT) : null;
+      default: return null;
+    }
+  };
+
+  const javaPqMethod = (pq, property, node) => {
+    const a = node.args;
+    const elem = elementOf(pq.type);
+    const c = pq.code;
+    switch (property) {
+      case 'add': case 'offer': return r(`${c}.${property}(${valueFor(a[0], elem)})`, BOOL);
+      case 'poll': case 'peek': case 'element': return r(`${c}.${property === 'element' ? 'peek' : property}()`, elem);
+      case 'remove': return a.length ? r(`${c}.remove(${expr(a[0]).code})`, BOOL) : r(`${c}.remove()`, elem);
+      case 'size': return r(`${c}.size()`, INT);
+      case 'isEmpty': return r(`${c}.isEmpty()`, BOOL);
+      case 'clear': return r(`${c}.clear()`, VOID);
+      case 'contains': return r(`${c}.contains(${expr(a[0]).code})`, BOOL);
+      case 'toString': return r(`${c}.toString()`, STRING);
+      default: return null;
+    }
+  };
+
+  const javaMapMethod = (map, property, node) => {
+    const a = node.args;
+    const key = map.type.args[0] || UNKNOWN;
+    const value = map.type.args[1] || UNKNOWN;
+    const c = map.code;
+    const k = () => valueFor(a[0], key);
+    const entry = t('entry', [key, value]);
+    switch (property) {
+      case 'put': return r(`${c}.put(${k()}, ${valueFor(a[1], value)})`, value);
+      case 'get': return r(`${c}.get(${expr(a[0]).code})`, value);
+      case 'getOrDefault': return r(`${c}.getOrDefault(${expr(a[0]).code}, ${valueFor(a[1], value)})`, value);
+      case 'containsKey': return r(`${c}.containsKey(${expr(a[0]).code})`, BOOL);
+      case 'containsValue': return r(`${c}.containsValue(${expr(a[0]).code})`, BOOL);
+      case 'remove': return r(`${c}.remove(${expr(a[0]).code})`, value);
+      case 'size': return r(`${c}.size()`, INT);
+      case 'isEmpty': return r(`${c}.isEmpty()`, BOOL);
+      case 'clear': return r(`${c}.clear()`, VOID);
+      case 'putIfAbsent': return r(`${c}.putIfAbsent(${k()}, ${valueFor(a[1], value)})`, value);
+      case 'merge': return r(`${c}.merge(${k()}, ${valueFor(a[1], value)}, ${lambdaArg(a[2], [value, value])})`, value);
+      case 'computeIfAbsent': return r(`${c}.computeIfAbsent(${k()}, ${lambdaArg(a[1], [key])})`, value);
+      case 'computeIfPresent': case 'compute': return r(`${c}.${property}(${k()}, ${lambdaArg(a[1], [key, value])})`, value);
+      case 'keySet': return r(`${c}.keySet()`, t('jlist', [key]));
+      case 'values': return r(`${c}.values()`, t('jlist', [value]));
+      case 'entrySet': return r(`${c}.entrySet()`, t('jlist', [entry]));
+      case 'forEach': return r(`${c}.forEach(${lambdaArg(a[0], [key, value])})`, VOID);
+      case 'putAll': return r(`${c}.putAll(${expr(a[0]).code})`, VOID);
+      case 'firstKey': case 'lastKey': return r(`${c}.${property}()`, key);
+      case 'floorKey': case 'ceilingKey': case 'higherKey': case 'lowerKey': return r(`${c}.${property}(${k()})`, key);
+      case 'firstEntry': case 'lastEntry': case 'pollFirstEntry': case 'pollLastEntry': return r(`${c}.${property}()`, entry);
+      case 'toString': return r(`${c}.toString()`, STRING);
+      case 'equals': return r(`${RT}.equals(${c}, ${expr(a[0]).code})`, BOOL);
+      default: return null;
+    }
+  };
+
+  const javaSetMethod = (set, property, node) => {
+    const a = node.args;
+    const elem = elementOf(set.type);
+    const c = set.code;
+    switch (property) {
+      case 'add': return r(`${c}.add(${valueFor(a[0], elem)})`, BOOL);
+      case 'remove': case 'contains': return r(`${c}.${property}(${expr(a[0]).code})`, BOOL);
+      case 'size': return r(`${c}.size()`, INT);
+      case 'isEmpty': return r(`${c}.isEmpty()`, BOOL);
+      case 'clear': return r(`${c}.clear()`, VOID);
+      case 'addAll': case 'removeAll': case 'retainAll': return r(`${c}.${property}(${expr(a[0]).code})`, BOOL);
+      case 'first': case 'last': case 'pollFirst': case 'pollLast': return r(`${c}.${property}()`, elem);
+      case 'floor': case 'ceiling': case 'higher': case 'lower': return r(`${c}.${property}(${valueFor(a[0], elem)})`, elem);
+      case 'forEach': return r(`${c}.forEach(${lambdaArg(a[0], [elem])})`, VOID);
+      case 'toString': return r(`${c}.toString()`, STRING);
+      case 'equals': return r(`${RT}.equals(${c}, ${expr(a[0]).code})`, BOOL);
+      default: return null;
+    }
+  };
+
+  const builderMethod = (sb, property, node) => {
+    const a = node.args;
+    const c = sb.code;
+    switch (property) {
+      case 'append': return r(`${c}.append(${printArg(a[0])})`, sb.type);
+      case 'insert': return r(`${c}.insert(${asInt(a[0])}, ${printArg(a[1])})`, sb.type);
+      case 'reverse': return r(`${c}.reverse()`, sb.type);
+      case 'length': return r(`${c}.length()`, INT);
+      case 'charAt': return r(`${c}.charAt(${asInt(a[0])})`, CHAR);
+      case 'setCharAt': return r(`${c}.setCharAt(${asInt(a[0])}, ${convert(expr(a[1]), CHAR)})`, VOID);
+      case 'deleteCharAt': return r(`${c}.deleteCharAt(${asInt(a[0])})`, sb.type);
+      case 'delete': return r(`${c}.delete(${asInt(a[0])}, ${asInt(a[1])})`, sb.type);
+      case 'replace': return r(`${c}.replace(${asInt(a[0])}, ${asInt(a[1])}, ${expr(a[2]).code})`, sb.type);
+      case 'setLength': return r(`${c}.setLength(${asInt(a[0])})`, VOID);
+      case 'indexOf': return r(`${c}.indexOf(${expr(a[0]).code})`, INT);
+      case 'isEmpty': return r(`${c}.isEmpty()`, BOOL);
+      case 'toString': return r(`${c}.toString()`, STRING);
+      default: return null;
+    }
+  };
+
+  const INPUT_METHODS = {
+    scanner: {
+      nextInt: INT, nextLong: LONG, nextDouble: DOUBLE, nextFloat: DOUBLE, next: STRING, nextLine: STRING, nextBoolean: BOOL,
+      hasNext: BOOL, hasNextInt: BOOL, hasNextLine: BOOL, close: VOID,
+    },
+    reader: { readLine: { ...STRING, nullable: true }, read: INT, ready: BOOL, close: VOID },
+    tokenizer: { nextToken: STRING, hasMoreTokens: BOOL, hasMoreElements: BOOL, countTokens: INT },
+  };
+
+  const streamMethod = (stream, property, node) => {
+    const a = node.args;
+    switch (property) {
+      case 'tie': case 'sync_with_stdio': case 'flush': return r('undefined', VOID);
+      case 'precision': return r(`${stream.code}.setprecision(${asInt(a[0])})`, VOID);
+      case 'ignore': return r(`${RT}.cin.ignore()`, VOID);
+      case 'eof': return r(`${RT}.cin.eof()`, BOOL);
+      case 'good': case 'fail': return r(`${property === 'fail' ? '!' : ''}${RT}.cin.ok()`, BOOL);
+      case 'get': {
+        if (!a.length) return r(`${RT}.getchar()`, INT);
+        const target = lvalue(a[0]);
+        return target ? r(`(${target.write(`${RT}.cin.get(${target.read})`)}, ${RT}.cin.ok())`, BOOL) : r('undefined');
+      }
+      default: return null;
+    }
+  };
+
+  const functionMethod = (fn, property, node) => {
+    const args = node.args.map(n => expr(n).code).join(', ');
+    const entry = FUNCTIONAL[fn.type.variant];
+    if (property === 'reversed') return r(`${RT}.reversed(${fn.code})`, fn.type);
+    if (/^thenComparing/.test(property)) return r(comparator(node, UNKNOWN), fn.type);
+    if (!FUNCTIONAL_METHODS.has(property)) return null;
+    const returns = entry ? entry.returns(fn.type.args) || UNKNOWN : fn.type.args[0] || UNKNOWN;
+    return r(`(${fn.code})(${args})`, returns);
+  };
+
+  // Java methods every value has, for receivers whose class does not define them.
+  const objectMethod = (value, property, node) => {
+    const a = node.args;
+    switch (property) {
+      case 'toString': return r(`${RT}.str(${value.code})`, STRING);
+      case 'equals':
+        if (isNumeric(value.type) || isDynamic(value.type)) return r(`${RT}.equals(${value.code}, ${expr(a[0]).code})`, BOOL);
+        return r(`(${value.code} === ${expr(a[0]).code})`, BOOL);
+      case 'hashCode': return r(`${RT}.hash(${value.code})`, INT);
+      case 'compareTo': return isDynamic(value.type) || isNumeric(value.type) ? r(`${RT}.compare(${value.code}, ${expr(a[0]).code})`, INT) : null;
+      default: return null;
+    }
+  };
+
+  const boxedMethod = (value, property) => {
+    switch (property) {
+      case 'intValue': return r(convert(value, INT), INT);
+      case 'longValue': return r(convert(value, LONG), LONG);
+      case 'doubleValue': case 'floatValue': return r(convert(value, DOUBLE), DOUBLE);
+      case 'charValue': return r(value.code, CHAR);
+      case 'booleanValue': return r(value.code, BOOL);
+      default: return null;
+    }
+  };
+
+  const method = (receiver, property, node) => {
+    const { type } = receiver;
+    let result = null;
+    if (type.kind === 'string') result = stringMethod(receiver, property, node);
+    else if (cpp && (type.kind === 'vector' || type.kind === 'deque')) result = sequenceMethod(receiver, property, node);
+    else if (cpp && ['queue', 'stack', 'pq'].includes(type.kind)) result = adapterMethod(receiver, property, node);
+    else if (cpp && (isMapKind(type) || isSetKind(type))) result = cppKeyedMethod(receiver, property, node);
+    else if (['jlist', 'jdeque', 'jstack'].includes(type.kind)) result = javaListMethod(receiver, property, node);
+    else if (type.kind === 'pq') result = javaPqMethod(receiver, property, node);
+    else if (type.kind === 'jmap') result = javaMapMethod(receiver, property, node);
+    else if (type.kind === 'jset') result = javaSetMethod(receiver, property, node);
+    else if (type.kind === 'entry') {
+      const [key, value] = type.args;
+      if (property === 'getKey') result = r(`${receiver.code}.getKey()`, key || UNKNOWN);
+      else if (property === 'getValue') result = r(`${receiver.code}.getValue()`, value || UNKNOWN);
+      else if (property === 'setValue') result = r(`${receiver.code}.setValue(${valueFor(node.args[0], value || UNKNOWN)})`, value || UNKNOWN);
+    } else if (type.kind === 'sb') result = builderMethod(receiver, property, node);
+    else if (INPUT_METHODS[type.kind]?.[property]) {
+      result = r(`${receiver.code}.${property}(${node.args.map(n => expr(n).code).join(', ')})`, INPUT_METHODS[type.kind][property]);
+    } else if (type.kind === 'stream') result = streamMethod(receiver, property, node);
+    else if (type.kind === 'function' || type.kind === 'comparator') result = functionMethod(receiver, property, node);
+    else if (type.kind === 'exception') {
+      if (property === 'getMessage' || property === 'what') result = r(`${receiver.code}.${property}()`, STRING);
+      else if (property === 'toString') result = r(`${receiver.code}.toString()`, STRING);
+      else if (property === 'printStackTrace') result = r(`${RT}.err.println(${receiver.code}.toString())`, VOID);
+    } else if (type.kind === 'array' && !cpp) {
+      if (property === 'clone') result = r(`${receiver.code}.slice()`, type, true);
+    } else if (!cpp && isNumeric(type)) {
+      result = boxedMethod(receiver, property) || objectMethod(receiver, property, node);
+    } else if (isDynamic(type)) {
+      result = objectMethod(receiver, property, node)
+        || r(`${receiver.code}.${property}(${node.args.map(n => expr(n).code).join(', ')})`, UNKNOWN);
+    }
+    if (!result && !cpp) result = objectMethod(receiver, property, node);
+    return result || report(`the method '${property}' of ${describeType(type)}`, node.line);
+  };
+
+  /* ---------- CONSTRUCTION ---------- */
+
+  const cppOrder = (type, comparatorType) => {
+    if (comparatorType?.kind === 'comparator' && comparatorType.variant === 'greater') return 'sorted-desc';
+    return ['map', 'set'].includes(type.kind) ? 'sorted' : 'insertion';
+  };
+
+  // A user comparator for map/set/priority_queue: a functor class in the type, or a constructor argument.
+  const comparatorFor = (comparatorType, argNode, elem) => {
+    if (argNode) return comparator(argNode, elem);
+    if (comparatorType?.kind === 'class') return `${RT}.toComparator(new ${classes.get(comparatorType.cls).js}())`;
+    return null;
+  };
+
+  // Constructor arguments that are another container (copy) or an iterator range.
+  const sourceItems = (argNodes, line) => {
+    if (argNodes.length === 2) {
+      const first = expr(argNodes[0]);
+      if (first.type.kind === 'iter' || first.type.kind === 'array') {
+        const rg = range(argNodes[0], argNodes[1], line);
+        return rg ? `${RT}.slice(${rg.container.code}, ${rg.from}, ${rg.to})` : '[]';
+      }
+    }
+    if (argNodes.length === 1) {
+      const source = expr(argNodes[0]);
+      if (isSequence(source.type) || isMapKind(source.type) || isSetKind(source.type) || ['queue', 'stack', 'pq'].includes(source.type.kind)) {
+        return isValueObject(source.type, lang) ? `${RT}.clone(${source.code}, ${valueDepth(source.type, lang)})` : source.code;
+      }
+    }
+    return null;
+  };
+
+  const cppConstruct = (type, argNodes, brace, line) => {
+    const elem = elementOf(type);
+    const fresh = (code) => r(code, { ...type, isConst: false, ref: false }, true);
+    switch (type.kind) {
+      case 'string': {
+        if (!argNodes.length) return fresh("''");
+        if (brace) return fresh(`[${argNodes.map(n => convert(expr(n), CHAR)).join(', ')}].join('')`);
+        if (argNodes.length === 2 && !['iter', 'array'].includes(expr(argNodes[0]).type.kind)) {
+          return fresh(`${convert(expr(argNodes[1]), CHAR)}.repeat(${asInt(argNodes[0])})`);
+        }
+        const items = sourceItems(argNodes, line);
+        if (items) return fresh(`${items}.join('')`);
+        return fresh(expr(argNodes[0]).code);
+      }
+      case 'vector': case 'deque': {
+        const Class = type.kind === 'deque' ? 'Deque' : 'Vector';
+        if (type.fixed && !argNodes.length) return fresh(`${RT}.${Class}.filled(${type.fixed}, ${defaultValue(elem)})`);
+        if (brace) {
+          const items = argNodes.map(n => valueFor(n, elem));
+          if (type.fixed) return fresh(`${RT}.build(new ${RT}.${Class}(), ${RT}.padded([${items.join(', ')}], [${type.fixed}], ${defaultValue(elem)}))`);
+          return fresh(`${RT}.build(new ${RT}.${Class}(), [${items.join(', ')}])`);
+        }
+        if (!argNodes.length) return fresh(`new ${RT}.${Class}()`);
+        const items = sourceItems(argNodes, line);
+        if (items) return fresh(`${RT}.build(new ${RT}.${Class}(), ${items})`);
+        const template = argNodes[1] ? valueFor(argNodes[1], elem) : defaultValue(elem);
+        return fresh(`${RT}.${Class}.filled(${asInt(argNodes[0])}, ${template})`);
+      }
+      case 'queue': case 'stack': {
+        const Class = type.kind === 'queue' ? 'Queue' : 'Stack';
+        const items = argNodes.length ? sourceItems(argNodes, line) : null;
+        return fresh(items ? `${RT}.build(new ${RT}.${Class}(), ${items})` : `new ${RT}.${Class}()`);
+      }
+      case 'pq': {
+        const comparatorType = type.args[2];
+        const isRange = argNodes.length >= 2 && expr(argNodes[0]).type.kind === 'iter';
+        const cmp = comparatorFor(comparatorType, isRange ? argNodes[2] : argNodes[0], elem);
+        const variant = comparatorType?.kind === 'comparator' ? comparatorType.variant : null;
+        const queue = `${RT}.PriorityQueue.create('cpp', ${cmp || 'null'}, ${quote(variant)})`;
+        if (isRange) return fresh(`${RT}.build(${queue}, ${sourceItems(argNodes.slice(0, 2), line)})`);
+        return fresh(queue);
+      }
+      case 'map': case 'umap': case 'set': case 'uset': {
+        const isMap = isMapKind(type);
+        const comparatorType = isMap ? type.args[2] : type.args[1];
+        const order = quote(cppOrder(type, comparatorType));
+        const items = !brace && argNodes.length ? sourceItems(argNodes, line) : null;
+        const cmpArg = !brace && !items && argNodes.length ? argNodes[0] : null;
+        const cmp = comparatorFor(comparatorType, cmpArg, type.args[0] || UNKNOWN);
+        const container = isMap
+          ? `new ${RT}.CppMap(${order}, ${defaultValue(type.args[1] || UNKNOWN)}${cmp ? `, ${cmp}` : ''})`
+          : `new ${RT}.CppSet(${order}${cmp ? `, ${cmp}` : ''})`;
+        if (brace && argNodes.length) {
+          const itemType = isMap ? t('pair', [type.args[0] || UNKNOWN, type.args[1] || UNKNOWN]) : elem;
+          return fresh(`${RT}.build(${container}, [${argNodes.map(n => valueFor(n, itemType)).join(', ')}])`);
+        }
+        return fresh(items ? `${RT}.build(${container}, ${items})` : container);
+      }
+      case 'pair': {
+        const [first = UNKNOWN, second = UNKNOWN] = type.args;
+        if (!argNodes.length) return fresh(`new ${RT}.Pair(${defaultValue(first)}, ${defaultValue(second)})`);
+        if (argNodes.length === 1) return fresh(`${RT}.clone(${expr(argNodes[0]).code}, ${valueDepth(type, lang)})`);
+        return fresh(`new ${RT}.Pair(${valueFor(argNodes[0], first)}, ${valueFor(argNodes[1], second)})`);
+      }
+      case 'comparator':
+        return r(`${RT}.${type.variant === 'greater' ? 'greater' : 'less'}`, type);
+      case 'exception':
+        return fresh(`new ${RT}.ThrownError(${quote(type.cls)}, ${argNodes.length ? expr(argNodes[0]).code : "''"})`);
+      case 'function':
+        return argNodes.length ? expr(argNodes[0]) : r('null', type);
+      default:
+        return report(`constructing ${describeTypeWithArticle(type)}`, line);
+    }
+  };
+
+  const javaConstruct = (type, argNodes, line) => {
+    const elem = elementOf(type);
+    const fresh = (code) => r(code, { ...type, isConst: false }, true);
+    const collection = () => (argNodes.length && !isNumeric(expr(argNodes[0]).type) ? expr(argNodes[0]).code : null);
+    switch (type.kind) {
+      case 'string': {
+        if (!argNodes.length) return fresh("''");
+        const source = expr(argNodes[0]);
+        if (source.type.kind === 'array') {
+          if (argNodes.length === 3) return fresh(`${source.code}.slice(${asInt(argNodes[1])}, ${asInt(argNodes[1])} + ${asInt(argNodes[2])}).join('')`);
+          return fresh(`${source.code}.join('')`);
+        }
+        return fresh(stringOf(source));
+      }
+      case 'jlist': case 'jdeque': case 'jstack': {
+        const Class = type.kind === 'jstack' ? 'JavaStack' : type.kind === 'jdeque' ? 'LinkedList' : 'ArrayList';
+        const items = collection();
+        return fresh(items ? `${RT}.build(new ${RT}.${Class}(), ${items})` : `new ${RT}.${Class}()`);
+      }
+      case 'pq': {
+        let cmp = null;
+        let items = null;
+        argNodes.forEach(n => {
+          if (n.type === 'Lambda' || isDynamic(expr(n).type) || expr(n).type.kind === 'function') cmp = comparator(n, elem);
+          else if (!isNumeric(expr(n).type)) items = expr(n).code;
+        });
+        const queue = `${RT}.PriorityQueue.create('java', ${cmp || 'null'})`;
+        return fresh(items ? `${RT}.build(${queue}, ${items})` : queue);
+      }
+      case 'jmap': case 'jset': {
+        const Class = type.kind === 'jmap' ? 'JavaMap' : 'JavaSet';
+        let cmp = null;
+        let items = null;
+        argNodes.forEach(n => {
+          const value = n.type === 'Lambda' ? null : expr(n);
+          if (!value || value.type.kind === 'function' || isDynamic(value.type)) cmp = comparator(n, type.args[0] || UNKNOWN);
+          else if (!isNumeric(value.type)) items = type.kind === 'jmap' ? `[...${value.code}]` : value.code;
+        });
+        const container = `new ${RT}.${Class}(${quote(type.variant)}${cmp ? `, ${cmp}` : ''})`;
+        return fresh(items ? `${RT}.build(${container}, ${items})` : container);
+      }
+      case 'sb':
+        return fresh(`new ${RT}.StringBuilder(${argNodes.length ? printArg(argNodes[0]) : ''})`);
+      case 'scanner': return fresh(`new ${RT}.Scanner()`);
+      case 'reader': return fresh(`new ${RT}.BufferedReader()`);
+      case 'tokenizer': return fresh(`new ${RT}.StringTokenizer(${argNodes.map(n => expr(n).code).join(', ')})`);
+      case 'exception':
+        return fresh(`new ${RT}.ThrownError(${quote(type.cls)}, ${argNodes.length ? expr(argNodes[0]).code : 'null'})`);
+      case 'object': return fresh('({})');
+      case 'int': case 'long': case 'double': case 'char': case 'bool':
+        return r(convert(expr(argNodes[0]), type), type);
+      default:
+        return report(`constructing ${describeTypeWithArticle(type)}`, line);
+    }
+  };
+
+  const libraryConstruct = (type, argNodes, brace, line) => (cpp ? cppConstruct(type, argNodes, brace, line) : javaConstruct(type, argNodes, line));
+
+  /* ---------- NAMES ---------- */
+
+  const CPP_CONSTANTS = {
+    INT_MAX: ['2147483647', INT], INT_MIN: ['-2147483648', INT], INT32_MAX: ['2147483647', INT], INT32_MIN: ['-2147483648', INT],
+    UINT_MAX: ['4294967295', t('uint')], SHRT_MAX: ['32767', INT], SHRT_MIN: ['-32768', INT], CHAR_MAX: ['127', INT],
+    LLONG_MAX: ['9223372036854775807n', LONG], LLONG_MIN: ['-9223372036854775808n', LONG],
+    LONG_MAX: ['9223372036854775807n', LONG], LONG_MIN: ['-9223372036854775808n', LONG],
+    INT64_MAX: ['9223372036854775807n', LONG], INT64_MIN: ['-9223372036854775808n', LONG],
+    ULLONG_MAX: ['18446744073709551615n', t('ulong')], M_PI: ['Math.PI', DOUBLE], M_E: ['Math.E', DOUBLE],
+    INFINITY: ['Infinity', DOUBLE], NAN: ['NaN', DOUBLE], EOF: ['-1', INT], 'string::npos': ['-1', INT], npos: ['-1', INT],
+    cout: [`${RT}.cout`, t('stream', [], { variant: 'out' })], cerr: [`${RT}.cerr`, t('stream', [], { variant: 'out' })],
+    clog: [`${RT}.cerr`, t('stream', [], { variant: 'out' })], cin: [`${RT}.cin`, t('stream', [], { variant: 'in' })],
+  };
+
+  const JAVA_CONSTANTS = {
+    'Integer.MAX_VALUE': ['2147483647', INT], 'Integer.MIN_VALUE': ['-2147483648', INT],
+    'Long.MAX_VALUE': ['9223372036854775807n', LONG], 'Long.MIN_VALUE': ['-9223372036854775808n', LONG],
+    'Short.MAX_VALUE': ['32767', INT], 'Short.MIN_VALUE': ['-32768', INT], 'Byte.MAX_VALUE': ['127', INT], 'Byte.MIN_VALUE': ['-128', INT],
+    'Double.MAX_VALUE': ['Number.MAX_VALUE', DOUBLE], 'Double.MIN_VALUE': ['Number.MIN_VALUE', DOUBLE],
+    'Double.POSITIVE_INFINITY': ['Infinity', DOUBLE], 'Double.NEGATIVE_INFINITY': ['-Infinity', DOUBLE], 'Double.NaN': ['NaN', DOUBLE],
+    'Math.PI': ['Math.PI', DOUBLE], 'Math.E': ['Math.E', DOUBLE], 'System.in': ['null', OBJECT],
+    'Character.MAX_VALUE': [quote('￿'), CHAR], 'Character.MIN_VALUE': [quote('\0'), CHAR],
+  };
+
+  const constant = (name, node) => {
+    const entry = (cpp ? CPP_CONSTANTS : JAVA_CONSTANTS)[name];
+    if (entry) return r(entry[0], entry[1]);
+    if (!cpp && name.includes('::') && METHOD_REFERENCES[name]) return r(METHOD_REFERENCES[name], t('function'));
+    void node;
+    return null;
+  };
+
+  // `<< endl`, `<< setw(4)`: stream manipulators become method calls on the stream.
+  const manipulator = (node) => {
+    if (node.type === 'Identifier' && MANIPULATORS.has(node.name) && !findSymbol(node.name)) return `.${node.name}()`;
+    if (node.type === 'Call' && node.callee.type === 'Identifier' && MANIPULATOR_CALLS.has(node.callee.name) && !findSymbol(node.callee.name)) {
+      const value = node.callee.name === 'setfill' ? convert(expr(node.args[0]), CHAR) : asInt(node.args[0]);
+      return `.${node.callee.name}(${value})`;
+    }
+    return null;
+  };
+
+  const instanceOf = (value, type) => {
+    if (type.kind === 'class') return r(`(${value.code} instanceof ${classes.get(type.cls).js})`, BOOL);
+    if (type.kind === 'string') return r(`(typeof ${value.code} === 'string')`, BOOL);
+    if (type.kind === 'exception') return r(`${RT}.isInstance(${value.code}, ${quote(type.cls)})`, BOOL);
+    if (isNumeric(type)) return r(`(typeof ${value.code} === ${quote(isBig(type) ? 'bigint' : type.kind === 'char' ? 'string' : type.kind === 'bool' ? 'boolean' : 'number')})`, BOOL);
+    return report(`instanceof ${describeType(type)}`, value.line || 0);
+  };
+
+  const call = (name, node, discard) => {
+    if (cpp) return cppCall(name, node, discard);
+    return null;
+  };
+
+  return {
+    call,
+    staticCall,
+    method,
+    objectMethod: (value, property, node) => objectMethod(value, property, node),
+    construct: libraryConstruct,
+    constant,
+    manipulator,
+    instanceOf,
+    unsupportedCall,
+  };
+};
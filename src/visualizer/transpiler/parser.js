@@ -0,0 +1,1065 @@
+import { CompileError, tokenize } from './lexer.js';
+import { isKnownType } from './types.js';
+
+/**
+ * --- C++/JAVA PARSER ---
+ * Recursive-descent parser for the subset of C++ and Java that the visualizer
+ * simulates. Produces a plain-object AST (`{ type, line, ... }`); codegen.js
+ * turns it into JavaScript. Types are `{ name, args, ptr, ref, dims, isConst }`.
+ * Constructs the parser recognises but codegen cannot simulate are kept as
+ * `Unsupported` nodes so every one of them can be reported with its line.
+ */
+const ASSIGN_OPS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '<<=', '>>=', '>>>=', '&=', '|=', '^=']);
+
+// Binary operators by precedence, loosest first.
+const BINARY_LEVELS = [
+  ['||'], ['&&'], ['|'], ['^'], ['&'], ['==', '!='],
+  ['<', '<=', '>', '>=', 'instanceof'], ['<<', '>>', '>>>'], ['+', '-'], ['*', '/', '%'],
+];
+
+const TYPE_QUALIFIERS = new Set([
+  'const', 'constexpr', 'static', 'final', 'volatile', 'mutable', 'inline', 'extern', 'register',
+  'typename', 'struct', 'class', 'public', 'private', 'protected', 'abstract', 'synchronized',
+  'transient', 'native', 'virtual', 'explicit', 'friend', 'default', 'strictfp',
+]);
+
+// Multi-word builtin types, longest first.
+const COMPOUND_TYPES = [
+  'unsigned long long int', 'unsigned long long', 'long long int', 'unsigned long int', 'unsigned short int',
+  'unsigned long', 'unsigned short', 'unsigned char', 'unsigned int', 'signed char', 'signed int',
+  'long long', 'long int', 'long double', 'short int', 'unsigned', 'signed',
+];
+
+const LITERAL_SUFFIX = /[uUlLfFdD]+$/;
+
+export const makeType = (name, extra = {}) => ({ name, args: [], ptr: 0, ref: false, dims: 0, isConst: false, ...extra });
+
+// Object-like `#define NAME value` macros are expanded token by token; their directives are dropped.
+const expandDefines = (tokens) => {
+  const macros = new Map();
+  const expanded = [];
+  tokens.forEach(token => {
+    const define = token.type === 'directive' && /^#\s*define\s+(\w+)\b(?!\()\s*(.*)$/.exec(token.value);
+    if (define) {
+      const body = tokenize(define[2]).slice(0, -1);
+      macros.set(define[1], body.flatMap(t => (t.type === 'ident' && macros.has(t.value) ? macros.get(t.value) : [t])));
+      return;
+    }
+    if (token.type === 'ident' && macros.has(token.value)) {
+      macros.get(token.value).forEach(t => expanded.push({ ...t, line: token.line }));
+      return;
+    }
+    expanded.push(token);
+  });
+  return expanded;
+};
+
+export const parse = (source, lang) => {
+  const tokens = expandDefines(tokenize(source));
+  const userTypes = new Set();
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)];
+  const next = () => tokens[pos++];
+  const is = (value, offset = 0) => {
+    const token = peek(offset);
+    return (token.type === 'op' || token.type === 'ident') && token.value === value;
+  };
+  const isIdent = (offset = 0) => peek(offset).type === 'ident';
+  const fail = (message, token = peek()) => { throw new CompileError('syntax', message, token.line); };
+  const describe = (token) => (token.type === 'eof' ? 'end of input' : `'${token.value}'`);
+  const expect = (value) => {
+    if (!is(value)) fail(`Expected '${value}' but found ${describe(peek())}`);
+    return next();
+  };
+  const accept = (value) => (is(value) ? next() : null);
+  const ident = () => {
+    if (!isIdent()) fail(`Expected a name but found ${describe(peek())}`);
+    return next().value;
+  };
+
+  // Runs `fn` and rewinds if it throws, so ambiguous starts can be tried both ways.
+  const attempt = (fn) => {
+    const saved = pos;
+    try {
+      return fn();
+    } catch (e) {
+      if (!(e instanceof CompileError)) throw e;
+      pos = saved;
+      return null;
+    }
+  };
+
+  const unsupported = (what, line, extra = {}) => ({ type: 'Unsupported', what, line, ...extra });
+
+  // Skips a balanced `(...)`, `{...}` or `<...>` group; used for constructs that are only reported.
+  const skipBalanced = (open, close) => {
+    let depth = 0;
+    do {
+      if (peek().type === 'eof') fail(`Unbalanced '${open}'`);
+      const { value } = next();
+      if (value === open) depth++;
+      else if (value === close) depth--;
+    } while (depth > 0);
+  };
+
+  // Pre-scan so `Node* n`, `(Node) x` and `Point p` are recognised before the classes are parsed.
+  tokens.forEach((token, i) => {
+    const prev = tokens[i - 1];
+    if (token.type !== 'ident' || !prev) return;
+    if (['class', 'struct', 'interface', 'enum', 'typename', 'record'].includes(prev.value)) userTypes.add(token.value);
+    if (prev.value === 'using' && tokens[i + 1]?.value === '=') userTypes.add(token.value);
+    if (tokens[i + 1]?.value === ';') {
+      // `typedef long long ll;`
+      for (let j = i - 1; j >= 0 && tokens[j].value !== ';' && tokens[j].value !== '}'; j--) {
+        if (tokens[j].value === 'typedef') userTypes.add(token.value);
+      }
+    }
+  });
+  const isTypeName = (name) => userTypes.has(name) || isKnownType(name, lang);
+
+  /* ---------- TYPES ---------- */
+
+  const typeArgs = () => {
+    expect('<');
+    const args = [];
+    if (accept('>')) return args; // Java diamond `new ArrayList<>()`
+    do {
+      if (accept('?')) {
+        // Java wildcard `? extends T`
+        if (accept('extends') || accept('super')) args.push(type());
+        else args.push(makeType('Object'));
+      } else if (peek().type === 'number') {
+        args.push(makeType(next().value, { isValue: true })); // std::array<int, 5>
+      } else {
+        const arg = type();
+        // Bounds of Java type parameters (`<T extends Comparable<T>>`) only constrain; the name is what matters.
+        if (lang === 'java' && accept('extends')) do type(); while (accept('&'));
+        // `function<int(int, int)>`
+        if (is('(')) {
+          skipBalanced('(', ')');
+          args.push(makeType('function', { line: arg.line, args: [arg] }));
+        } else {
+          args.push(arg);
+        }
+      }
+    } while (accept(','));
+    // `vector<vector<int>>` lexes its closers as one `>>` / `>>>` token: split off the first `>`.
+    const closer = peek();
+    if (closer.type === 'op' && closer.value.length > 1 && closer.value[0] === '>') {
+      tokens.splice(pos, 1, { ...closer, value: '>' }, { ...closer, value: closer.value.slice(1) });
+    }
+    expect('>');
+    return args;
+  };
+
+  // `allowUnknown` accepts any identifier as a type name (only where nothing else could follow).
+  const baseType = (allowUnknown) => {
+    const line = peek().line;
+    const qualifiers = new Set();
+    while (isIdent() && TYPE_QUALIFIERS.has(peek().value) && !(peek().value === 'default' && lang === 'java' && is(':', 1))) {
+      qualifiers.add(next().value);
+    }
+    const words = [];
+    const compound = COMPOUND_TYPES.find(c => c.split(' ').every((w, i) => is(w, i)));
+    let name;
+    if (compound) {
+      compound.split(' ').forEach(() => next());
+      name = compound;
+    } else {
+      if (!isIdent()) fail(`Expected a type but found ${describe(peek())}`);
+      words.push(next().value);
+      if (words[0] === 'decltype' && is('(')) {
+        // `decltype(cmp)`: only ever the comparator type of a priority_queue/set, which codegen takes from the constructor argument.
+        skipBalanced('(', ')');
+        return makeType('decltype', { line });
+      }
+      // `std::vector`, `Map.Entry`
+      while ((is('::') || (lang === 'java' && is('.') && isIdent(1) && /^[A-Z]/.test(peek(1).value))) && isIdent(1)) {
+        next();
+        words.push(next().value);
+      }
+      name = words.filter(w => w !== 'std').join(lang === 'java' ? '.' : '::');
+      if (!allowUnknown && !isTypeName(name) && !isTypeName(words[words.length - 1])) fail(`Unknown type '${name}'`);
+    }
+    const result = makeType(name, { line, isConst: qualifiers.has('const') || qualifiers.has('constexpr') || qualifiers.has('final'), isStatic: qualifiers.has('static') });
+    if (is('<')) result.args = typeArgs();
+    // `vector<int>::iterator`
+    while (lang === 'cpp' && is('::') && isIdent(1)) { next(); result.name = `${result.name}::${next().value}`; }
+    if (accept('const')) result.isConst = true;
+    return result;
+  };
+
+  const typeSuffix = (result) => {
+    for (;;) {
+      if (lang === 'cpp' && accept('*')) { result.ptr++; accept('const'); }
+      else if (lang === 'cpp' && (is('&') || is('&&'))) { next(); result.ref = true; }
+      else if (lang === 'java' && is('[') && is(']', 1)) { next(); next(); result.dims++; }
+      else if (lang === 'java' && accept('...')) result.dims++;
+      else return result;
+    }
+  };
+
+  const type = (allowUnknown = true) => typeSuffix(baseType(allowUnknown));
+
+  /* ---------- EXPRESSIONS ---------- */
+
+  const numberLiteral = (token) => {
+    const raw = token.value;
+    const suffix = (LITERAL_SUFFIX.exec(raw)?.[0] || '').toLowerCase();
+    const isHex = /^0[xX]/.test(raw);
+    const body = isHex ? raw.replace(/[uUlL]+$/, '') : raw.replace(LITERAL_SUFFIX, '');
+    const isFloat = !isHex && (/[.eE]/.test(body) || suffix.includes('f') || suffix.includes('d'));
+    if (isFloat) return { type: 'Literal', kind: 'double', value: Number(body), line: token.line };
+    const value = /^0[bB]/.test(body) ? BigInt(body) : /^0\d+$/.test(body) ? BigInt(`0o${body.slice(1)}`) : BigInt(body);
+    const isLong = suffix.includes('l') || value > 2147483647n;
+    return { type: 'Literal', kind: isLong ? 'long' : 'int', value, line: token.line };
+  };
+
+  const argumentList = (close = ')') => {
+    const args = [];
+    if (accept(close)) return args;
+    do args.push(assignment()); while (accept(','));
+    expect(close);
+    return args;
+  };
+
+  const initList = () => {
+    const line = expect('{').line;
+    const elements = [];
+    while (!is('}')) {
+      elements.push(is('{') ? initList() : assignment());
+      if (!accept(',')) break;
+    }
+    expect('}');
+    return { type: 'InitList', elements, line };
+  };
+
+  const lambdaBody = () => (is('{') ? block() : assignment());
+
+  const cppLambda = () => {
+    const line = peek().line;
+    skipBalanced('[', ']');
+    let params = [];
+    if (is('(')) params = parameterList();
+    while (accept('mutable') || accept('noexcept') || accept('constexpr'));
+    let returnType = null;
+    if (accept('->')) returnType = type();
+    return { type: 'Lambda', params, returnType, body: block(), line };
+  };
+
+  // `x -> ...`, `(a, b) -> ...`, `(int a, int b) -> ...`
+  const javaLambda = () => {
+    const line = peek().line;
+    let params;
+    if (isIdent()) {
+      params = [{ name: next().value, paramType: makeType('auto') }];
+    } else {
+      expect('(');
+      params = [];
+      while (!is(')')) {
+        const named = isIdent() && (is(',', 1) || is(')', 1));
+        params.push(named ? { name: next().value, paramType: makeType('auto') } : param());
+        if (!accept(',')) break;
+      }
+      expect(')');
+    }
+    expect('->');
+    return { type: 'Lambda', params, returnType: null, body: lambdaBody(), line };
+  };
+
+  const isJavaLambda = () => {
+    if (lang !== 'java') return false;
+    if (isIdent() && is('->', 1)) return true;
+    if (!is('(')) return false;
+    let depth = 0;
+    for (let i = 0; ; i++) {
+      const token = peek(i);
+      if (token.type === 'eof') return false;
+      if (token.value === '(') depth++;
+      else if (token.value === ')' && --depth === 0) return is('->', i + 1);
+    }
+  };
+
+  // `(int) x` / `(Node) obj`: a parenthesised known type followed by something that can start an operand.
+  const tryCast = () => attempt(() => {
+    const line = expect('(').line;
+    const target = type(false);
+    expect(')');
+    const after = peek();
+    const startsOperand = after.type !== 'op' || ['(', '!', '~', '-', '+', '*', '&', '++', '--'].includes(after.value);
+    const isPrimitive = /^(int|long|short|char|byte|float|double|bool|boolean|unsigned|signed)/.test(target.name);
+    // `(a) - b` is a subtraction unless the parenthesised name is a primitive type.
+    if (!startsOperand || (!isPrimitive && after.type === 'op' && after.value !== '(' && after.value !== '!' && after.value !== '~')) fail('not a cast');
+    return { type: 'Cast', target, argument: unary(), line };
+  });
+
+  const newExpression = () => {
+    const line = expect('new').line;
+    const target = baseType(true);
+    if (lang === 'cpp') while (accept('*')) target.ptr++;
+    if (is('[')) {
+      const dims = [];
+      let extraDims = 0;
+      while (accept('[')) {
+        if (accept(']')) extraDims++;
+        else { dims.push(expression()); expect(']'); }
+      }
+      const init = is('{') ? initList() : null;
+      return { type: 'NewArray', elementType: target, dims, extraDims, init, line };
+    }
+    if (is('(')) {
+      next();
+      const args = argumentList();
+      if (lang === 'java' && is('{')) {
+        skipBalanced('{', '}');
+        return unsupported('anonymous classes', line);
+      }
+      return { type: 'New', target, args, line };
+    }
+    if (is('{')) return { type: 'New', target, args: initList().elements, brace: true, line };
+    return { type: 'New', target, args: [], line };
+  };
+
+  const TEMPLATE_CALLEES = new Set(['max', 'min', 'make_pair', 'swap', 'accumulate', 'numeric_limits', 'static_cast', 'dynamic_cast', 'reinterpret_cast', 'const_cast']);
+
+  const primary = () => {
+    const token = peek();
+    const { line } = token;
+
+    if (token.type === 'number') return numberLiteral(next());
+    if (token.type === 'char') return { type: 'Literal', kind: 'char', value: next().value, line };
+    if (token.type === 'string') {
+      let value = next().value;
+      while (peek().type === 'string') value += next().value; // "a" "b" concatenation
+      return { type: 'Literal', kind: 'string', value, line };
+    }
+    if (isJavaLambda()) return javaLambda();
+    if (is('(')) {
+      const cast = tryCast();
+      if (cast) return cast;
+      next();
+      const inner = expression();
+      expect(')');
+      return { type: 'Paren', expression: inner, line };
+    }
+    if (is('{')) return initList();
+    if (lang === 'cpp' && is('[')) return cppLambda();
+    if (token.type !== 'ident') fail(`Unexpected ${describe(token)}`);
+
+    switch (token.value) {
+      case 'true':
+      case 'false':
+        next();
+        return { type: 'Literal', kind: 'bool', value: token.value === 'true', line };
+      case 'nullptr':
+      case 'NULL':
+      case 'null':
+        next();
+        return { type: 'Literal', kind: 'null', value: null, line };
+      case 'this':
+        next();
+        return { type: 'This', line };
+      case 'super':
+        next();
+        return { type: 'Super', line };
+      case 'new':
+        return newExpression();
+      case 'sizeof': {
+        next();
+        if (is('(')) {
+          const asType = attempt(() => { next(); const t = type(false); expect(')'); return t; });
+          if (asType) return { type: 'Sizeof', target: asType, line };
+        }
+        return { type: 'Sizeof', argument: unary(), line };
+      }
+      case 'delete':
+        next();
+        if (accept('[')) expect(']');
+        return { type: 'Delete', argument: unary(), line };
+      default:
+    }
+
+    if (lang === 'cpp' && /^(static|dynamic|reinterpret|const)_cast$/.test(token.value) && is('<', 1)) {
+      next();
+      expect('<');
+      const target = type();
+      expect('>');
+      expect('(');
+      const argument = expression();
+      expect(')');
+      return { type: 'Cast', target, argument, line };
+    }
+
+    // C++ functional casts and temporaries: `int(x)`, `vector<int>(n, 0)`, `Point{1, 2}`, `greater<int>()`.
+    if (lang === 'cpp' && isTypeName(token.value) && !TEMPLATE_CALLEES.has(token.value)) {
+      const construct = attempt(() => {
+        const target = baseType(false);
+        if (is('(')) { next(); return { type: 'Construct', target, args: argumentList(), line }; }
+        if (is('{')) return { type: 'Construct', target, args: initList().elements, brace: true, line };
+        return fail('not a construction');
+      });
+      if (construct) return construct;
+    }
+
+    next();
+    let name = token.value;
+    while (lang === 'cpp' && is('::') && isIdent(1)) {
+      next();
+      name = name === 'std' ? next().value : `${name}::${next().value}`;
+    }
+    if (lang === 'java' && is('::')) {
+      next();
+      return unsupported('method references', line, { name: `${name}::${ident()}` });
+    }
+    // `max<int>(a, b)`
+    if (lang === 'cpp' && is('<') && TEMPLATE_CALLEES.has(name)) {
+      const explicitArgs = attempt(() => { const args = typeArgs(); if (!is('(') && !is('::')) fail('not a template call'); return args; });
+      // `numeric_limits<int>::max`
+      while (explicitArgs && is('::') && isIdent(1)) { next(); name = `${name}::${next().value}`; }
+      if (explicitArgs) return { type: 'Identifier', name, typeArgs: explicitArgs, line };
+    }
+    return { type: 'Identifier', name, line };
+  };
+
+  const postfix = () => {
+    let expr = primary();
+    for (;;) {
+      const { line } = peek();
+      if (accept('(')) expr = { type: 'Call', callee: expr, args: argumentList(), line };
+      else if (accept('[')) { expr = { type: 'Index', object: expr, index: expression(), line }; expect(']'); }
+      else if (is('.') || is('->')) {
+        const arrow = next().value === '->';
+        if (lang === 'java' && is('<')) typeArgs(); // `Collections.<Integer>emptyList()`
+        const property = peek().value === '~' ? (next(), `~${ident()}`) : ident();
+        expr = { type: 'Member', object: expr, property, arrow, line };
+      } else if (is('++') || is('--')) expr = { type: 'Update', operator: next().value, prefix: false, argument: expr, line };
+      else return expr;
+    }
+  };
+
+  const unary = () => {
+    const token = peek();
+    if (token.type === 'op' && ['++', '--'].includes(token.value)) {
+      next();
+      return { type: 'Update', operator: token.value, prefix: true, argument: unary(), line: token.line };
+    }
+    if (token.type === 'op' && ['!', '~', '-', '+', '*', '&'].includes(token.value)) {
+      next();
+      return { type: 'Unary', operator: token.value, argument: unary(), line: token.line };
+    }
+    return postfix();
+  };
+
+  const binary = (level) => {
+    if (level === BINARY_LEVELS.length) return unary();
+    let left = binary(level + 1);
+    while (BINARY_LEVELS[level].some(op => is(op))) {
+      const { value: operator, line } = next();
+      if (operator === 'instanceof') {
+        left = { type: 'InstanceOf', expression: left, target: type(), line };
+        continue;
+      }
+      left = { type: 'Binary', operator, left, right: binary(level + 1), line };
+    }
+    return left;
+  };
+
+  function assignment() {
+    const left = binary(0);
+    if (is('?')) {
+      const { line } = next();
+      const consequent = assignment();
+      expect(':');
+      return { type: 'Conditional', test: left, consequent, alternate: assignment(), line };
+    }
+    if (peek().type === 'op' && ASSIGN_OPS.has(peek().value)) {
+      const { value: operator, line } = next();
+      return { type: 'Assign', operator, target: left, value: assignment(), line };
+    }
+    return left;
+  }
+
+  function expression() {
+    const first = assignment();
+    if (!is(',')) return first;
+    const expressions = [first];
+    while (accept(',')) expressions.push(assignment());
+    return { type: 'Sequence', expressions, line: first.line };
+  }
+
+  /* ---------- DECLARATIONS ---------- */
+
+  // Array dimensions written after the name: `int a[5][5]`, Java's `int a[]`.
+  const declaratorDims = (declType) => {
+    const dims = [];
+    while (accept('[')) {
+      if (accept(']')) { dims.push(null); continue; }
+      dims.push(expression());
+      expect(']');
+    }
+    return dims.length ? { ...declType, dims: declType.dims + dims.length, sizes: dims } : declType;
+  };
+
+  const declarator = (baseDeclType) => {
+    const line = peek().line;
+    const declType = { ...baseDeclType };
+    // `int *p, *q;` — pointer and reference markers bind to each name.
+    if (lang === 'cpp') {
+      while (accept('*')) declType.ptr++;
+      if (accept('&') || accept('&&')) declType.ref = true;
+    }
+    const name = ident();
+    const finalType = declaratorDims(declType);
+    let init = null;
+    if (accept('=')) init = { kind: 'assign', value: is('{') ? initList() : assignment() };
+    else if (lang === 'cpp' && is('(')) { next(); init = { kind: 'construct', args: argumentList() }; }
+    else if (lang === 'cpp' && is('{')) init = { kind: 'construct', args: initList().elements, brace: true };
+    return { name, varType: finalType, init, line };
+  };
+
+  const variableDeclaration = (declType, line) => {
+    const declarators = [];
+    do declarators.push(declarator(declType)); while (accept(','));
+    return { type: 'VarDecl', declarators, line };
+  };
+
+  // `auto [a, b] = p;`
+  const structuredBinding = (declType, line) => {
+    expect('[');
+    const names = [];
+    do names.push(ident()); while (accept(','));
+    expect(']');
+    let value;
+    if (accept('=')) value = assignment();
+    else if (is('{')) value = initList();
+    else { expect('('); value = expression(); expect(')'); }
+    return { type: 'BindingDecl', names, bindingType: declType, value, line };
+  };
+
+  // Looks ahead for `Type name` / `Type* name` / `auto [` without consuming anything.
+  const looksLikeDeclaration = () => attempt(() => {
+    const start = pos;
+    const declType = baseType(true);
+    const known = isTypeName(declType.name) || isTypeName(declType.name.split(/::|\./).pop());
+    typeSuffix(declType);
+    if (lang === 'cpp' && (declType.ptr || declType.ref) && !known) fail('not a declaration');
+    if (lang === 'cpp') while (accept('*') || accept('&'));
+    const ok = (lang === 'cpp' && is('[') && declType.name === 'auto') || (isIdent() && !['instanceof'].includes(peek().value)
+      && (known || declType.args.length || declType.dims || isIdent(1) || ['=', ';', ',', '[', ':', '(', '{'].includes(peek(1).value)));
+    pos = start;
+    if (!ok) fail('not a declaration');
+    return true;
+  }) || false;
+
+  const param = () => {
+    const line = peek().line;
+    const paramType = type();
+    if (lang === 'cpp') while (accept('*')) paramType.ptr++;
+    const name = isIdent() ? ident() : `_arg${line}_${pos}`;
+    const finalType = declaratorDims(paramType);
+    let defaultValue = null;
+    if (accept('=')) defaultValue = assignment();
+    return { name, paramType: finalType, defaultValue, line };
+  };
+
+  function parameterList() {
+    expect('(');
+    const params = [];
+    if (is('void') && is(')', 1)) next();
+    while (!is(')')) {
+      params.push(param());
+      if (!accept(',')) break;
+    }
+    expect(')');
+    return params;
+  }
+
+  // Whatever may follow a parameter list: `const`, `override`, `noexcept`, `throws X, Y`, `= 0`.
+  const functionTrailer = () => {
+    const trailer = { isConst: false, isPure: false, deleted: false };
+    for (;;) {
+      if (accept('const')) trailer.isConst = true;
+      else if (accept('override') || accept('final') || accept('noexcept')) { /* no effect here */ }
+      else if (accept('throws')) { do type(); while (accept(',')); }
+      else if (lang === 'cpp' && is('=') && ['0', 'default', 'delete'].includes(peek(1).value)) {
+        next();
+        const value = next().value;
+        trailer.isPure = value === '0';
+        trailer.deleted = value !== '0';
+      } else return trailer;
+    }
+  };
+
+  const functionRest = (base) => {
+    const params = parameterList();
+    const trailer = functionTrailer();
+    let initializers = [];
+    if (lang === 'cpp' && accept(':')) {
+      do {
+        const line = peek().line;
+        const name = ident();
+        const args = is('{') ? initList().elements : (next(), argumentList());
+        initializers.push({ name, args, line });
+      } while (accept(','));
+    }
+    const body = is('{') ? block() : (accept(';'), null);
+    return { type: 'Function', ...base, params, ...trailer, initializers, body, endLine: body ? body.endLine : base.line };
+  };
+
+  // `T name(` where the parenthesis holds parameters (or nothing), not constructor arguments.
+  const isFunctionAhead = () => {
+    if (!is('(')) return false;
+    if (is(')', 1)) return true;
+    const start = pos;
+    const found = attempt(() => {
+      next();
+      if (is('void') && is(')', 1)) return true;
+      typeSuffix(baseType(false));
+      if (lang === 'cpp') while (accept('*') || accept('&'));
+      if (!isIdent() && !is(',') && !is(')')) fail('not a parameter');
+      return true;
+    });
+    pos = start;
+    return Boolean(found);
+  };
+
+  const templateHeader = () => {
+    if (!accept('template')) return [];
+    expect('<');
+    const names = [];
+    while (!is('>')) {
+      accept('typename') || accept('class') || type();
+      const name = ident();
+      names.push(name);
+      userTypes.add(name);
+      if (accept('=')) type();
+      if (!accept(',')) break;
+    }
+    expect('>');
+    return names;
+  };
+
+  const skipAnnotations = () => {
+    while (lang === 'java' && is('@') && !is('interface', 1)) {
+      next();
+      ident();
+      while (accept('.')) ident();
+      if (is('(')) skipBalanced('(', ')');
+    }
+  };
+
+  const modifiers = () => {
+    const found = new Set();
+    for (;;) {
+      skipAnnotations();
+      if (isIdent() && TYPE_QUALIFIERS.has(peek().value) && !['const', 'constexpr', 'struct', 'class', 'typename'].includes(peek().value)
+        && !(peek().value === 'default' && is(':', 1))) {
+        found.add(next().value);
+      } else return found;
+    }
+  };
+
+  const classBody = (className, kind) => {
+    const members = [];
+    expect('{');
+    let access = kind === 'struct' ? 'public' : 'private';
+    while (!is('}')) {
+      const line = peek().line;
+      if (accept(';')) continue;
+      if (lang === 'cpp' && ['public', 'private', 'protected'].includes(peek().value) && is(':', 1)) {
+        access = next().value;
+        next();
+        continue;
+      }
+      if (lang === 'cpp' && is('friend')) {
+        while (!is(';') && !is('{')) next();
+        if (is('{')) skipBalanced('{', '}');
+        members.push(unsupported('friend declarations', line));
+        continue;
+      }
+      if (lang === 'java' && is('static') && is('{', 1)) {
+        next();
+        skipBalanced('{', '}');
+        members.push(unsupported('static initializer blocks', line));
+        continue;
+      }
+      if (lang === 'java' && is('{')) {
+        skipBalanced('{', '}');
+        members.push(unsupported('instance initializer blocks', line));
+        continue;
+      }
+      const templateParams = templateHeader();
+      const mods = modifiers();
+      if (['class', 'struct', 'interface', 'enum', 'record'].includes(peek().value) && isIdent(1)) {
+        members.push(typeDeclaration(mods));
+        continue;
+      }
+      if (lang === 'java' && is('<')) templateParams.push(...typeArgs().map(t => t.name).map(n => (userTypes.add(n), n)));
+      const isStatic = mods.has('static');
+      // Destructors never run in the simulation; they are parsed and dropped.
+      if (lang === 'cpp' && is('~')) {
+        next();
+        ident();
+        functionRest({ name: `~${className}`, line, isStatic: false });
+        continue;
+      }
+      if (peek().value === className && is('(', 1)) {
+        next();
+        members.push({ ...functionRest({ name: className, line, isStatic: false, templateParams }), isConstructor: true, access });
+        continue;
+      }
+      const memberType = type();
+      if (lang === 'cpp' && is('operator')) {
+        next();
+        let op = next().value;
+        if (op === '(') { expect(')'); op = '()'; }
+        else if (op === '[') { expect(']'); op = '[]'; }
+        members.push({ ...functionRest({ name: `operator${op}`, operator: op, returnType: memberType, line, isStatic, templateParams }), access });
+        continue;
+      }
+      if (isIdent() && is('(', 1)) {
+        const name = next().value;
+        members.push({ ...functionRest({ name, returnType: memberType, line, isStatic, templateParams }), access, isVirtual: mods.has('virtual') || mods.has('abstract') });
+        continue;
+      }
+      const field = variableDeclaration(memberType, line);
+      expect(';');
+      members.push({ ...field, type: 'Field', isStatic: isStatic || memberType.isStatic, access });
+    }
+    const endLine = expect('}').line;
+    return { members, endLine };
+  };
+
+  function typeDeclaration(mods = new Set(), templateParams = []) {
+    const { value: kind, line } = next();
+    const name = ident();
+    userTypes.add(name);
+    if (kind === 'enum' || kind === 'record' || kind === 'interface') {
+      while (!is('{')) next();
+      skipBalanced('{', '}');
+      accept(';');
+      return unsupported(`${kind} declarations`, line, { name });
+    }
+    if (lang === 'java' && is('<')) templateParams.push(...typeArgs().map(t => t.name));
+    templateParams.forEach(n => userTypes.add(n));
+    let superClass = null;
+    const interfaces = [];
+    if (lang === 'cpp' && accept(':')) {
+      do {
+        accept('public') || accept('private') || accept('protected') || accept('virtual');
+        const base = type();
+        superClass ||= base;
+      } while (accept(','));
+    }
+    if (lang === 'java') {
+      if (accept('extends')) superClass = type();
+      if (accept('implements')) do interfaces.push(type()); while (accept(','));
+    }
+    if (accept(';')) return { type: 'Empty', line }; // forward declaration
+    const { members, endLine } = classBody(name, kind);
+    const declaration = {
+      type: 'Class', kind, name, superClass, interfaces, members, templateParams,
+      isStatic: mods.has('static'), isAbstract: mods.has('abstract'), line, endLine,
+    };
+    if (lang === 'cpp') {
+      // `struct P { ... } a, b;`
+      if (!is(';')) {
+        const vars = variableDeclaration(makeType(name), peek().line);
+        expect(';');
+        return { type: 'Group', body: [declaration, vars], line };
+      }
+      expect(';');
+    }
+    return declaration;
+  }
+
+  /* ---------- STATEMENTS ---------- */
+
+  function block() {
+    const line = expect('{').line;
+    const body = [];
+    while (!is('}')) {
+      if (peek().type === 'eof') fail("Missing '}'");
+      body.push(statement());
+    }
+    const endLine = next().line;
+    return { type: 'Block', body, line, endLine };
+  }
+
+  const forStatement = (line) => {
+    expect('(');
+    if (looksLikeDeclaration()) {
+      const forEach = attempt(() => {
+        const declType = type();
+        const target = lang === 'cpp' && is('[')
+          ? (() => { next(); const names = []; do names.push(ident()); while (accept(',')); expect(']'); return { names }; })()
+          : { name: ident() };
+        expect(':');
+        const iterable = expression();
+        expect(')');
+        return { type: 'ForEach', varType: declType, ...target, iterable, line };
+      });
+      if (forEach) return { ...forEach, body: statement() };
+    }
+    let init = null;
+    if (!is(';')) init = looksLikeDeclaration() ? variableDeclaration(type(), peek().line) : { type: 'ExpressionStatement', expression: expression(), line };
+    expect(';');
+    const test = is(';') ? null : expression();
+    expect(';');
+    const update = is(')') ? null : expression();
+    expect(')');
+    return { type: 'For', init, test, update, body: statement(), line };
+  };
+
+  const switchStatement = (line) => {
+    expect('(');
+    const discriminant = expression();
+    expect(')');
+    expect('{');
+    const cases = [];
+    while (!is('}')) {
+      const caseLine = peek().line;
+      const tests = [];
+      if (!accept('default')) {
+        expect('case');
+        do tests.push(assignment()); while (accept(','));
+      }
+      // Java's `case 1 -> ...` never falls through.
+      const arrow = lang === 'java' && !is(':');
+      if (arrow) expect('->');
+      else expect(':');
+      const body = [];
+      if (arrow) body.push(statement());
+      else while (!is('case') && !is('default') && !is('}')) body.push(statement());
+      cases.push({ tests, body, arrow, line: caseLine });
+    }
+    const endLine = next().line;
+    return { type: 'Switch', discriminant, cases, line, endLine };
+  };
+
+  const tryStatement = (line) => {
+    if (lang === 'java' && is('(')) {
+      skipBalanced('(', ')');
+      block();
+      return unsupported('try-with-resources', line);
+    }
+    const body = block();
+    const handlers = [];
+    while (is('catch')) {
+      const handlerLine = next().line;
+      expect('(');
+      let name = null;
+      let catchType = null;
+      if (accept('...')) { /* catch (...) */ }
+      else {
+        catchType = type();
+        while (accept('|')) type();
+        if (lang === 'cpp') while (accept('&') || accept('*'));
+        if (isIdent()) name = ident();
+      }
+      expect(')');
+      handlers.push({ name, catchType, body: block(), line: handlerLine });
+    }
+    const finalizer = accept('finally') ? block() : null;
+    return { type: 'Try', body, handlers, finalizer, line };
+  };
+
+  function statement() {
+    const token = peek();
+    const { line } = token;
+    if (token.type === 'directive') {
+      next();
+      return unsupported('preprocessor directives inside functions', line);
+    }
+    if (is('{')) return block();
+    if (accept(';')) return { type: 'Empty', line };
+
+    if (isIdent() && is(':', 1) && !['default', 'public', 'private', 'protected'].includes(token.value)) {
+      const label = next().value;
+      next();
+      return { type: 'Labeled', label, body: statement(), line };
+    }
+
+    switch (token.value) {
+      case 'if': {
+        next();
+        if (lang === 'cpp') accept('constexpr');
+        expect('(');
+        const test = expression();
+        expect(')');
+        const consequent = statement();
+        const alternate = accept('else') ? statement() : null;
+        return { type: 'If', test, consequent, alternate, line };
+      }
+      case 'for':
+        next();
+        return forStatement(line);
+      case 'while': {
+        next();
+        expect('(');
+        const test = expression();
+        expect(')');
+        return { type: 'While', test, body: statement(), line };
+      }
+      case 'do': {
+        next();
+        const body = statement();
+        const testLine = expect('while').line;
+        expect('(');
+        const test = expression();
+        expect(')');
+        expect(';');
+        return { type: 'DoWhile', body, test, line, testLine };
+      }
+      case 'switch':
+        next();
+        return switchStatement(line);
+      case 'break':
+      case 'continue': {
+        next();
+        const label = isIdent() ? next().value : null;
+        expect(';');
+        return { type: token.value === 'break' ? 'Break' : 'Continue', label, line };
+      }
+      case 'return': {
+        next();
+        const argument = is(';') ? null : expression();
+        expect(';');
+        return { type: 'Return', argument, line };
+      }
+      case 'throw': {
+        next();
+        const argument = is(';') ? null : expression();
+        expect(';');
+        return { type: 'Throw', argument, line };
+      }
+      case 'try':
+        next();
+        return tryStatement(line);
+      case 'goto':
+        while (!accept(';')) next();
+        return unsupported('goto', line);
+      case 'class':
+      case 'struct':
+        if (isIdent(1)) return typeDeclaration();
+        break;
+      case 'using':
+      case 'typedef':
+        return aliasDeclaration();
+      default:
+    }
+
+    if (lang === 'java' && (is('final') || is('@'))) modifiers();
+    if (looksLikeDeclaration()) {
+      const declType = type();
+      if (lang === 'cpp' && declType.name === 'auto' && is('[')) {
+        const binding = structuredBinding(declType, line);
+        expect(';');
+        return binding;
+      }
+      const declaration = variableDeclaration(declType, line);
+      expect(';');
+      return declaration;
+    }
+    const expr = expression();
+    expect(';');
+    return { type: 'ExpressionStatement', expression: expr, line };
+  }
+
+  function aliasDeclaration() {
+    const { value: keyword, line } = next();
+    if (keyword === 'using') {
+      if (accept('namespace')) {
+        ident();
+        while (accept('::')) ident();
+        expect(';');
+        return { type: 'Empty', line };
+      }
+      const name = ident();
+      if (!accept('=')) {
+        // `using std::cout;`
+        while (!accept(';')) next();
+        return { type: 'Empty', line };
+      }
+      const aliased = type();
+      expect(';');
+      userTypes.add(name);
+      return { type: 'TypeAlias', name, aliased, line };
+    }
+    const aliased = type();
+    const name = ident();
+    expect(';');
+    userTypes.add(name);
+    return { type: 'TypeAlias', name, aliased, line };
+  }
+
+  /* ---------- TOP LEVEL ---------- */
+
+  const directive = (token) => {
+    const text = token.value;
+    if (/^#\s*(include|pragma|ifndef|ifdef|endif|undef)\b/.test(text)) return { type: 'Empty', line: token.line };
+    return unsupported(/^#\s*define\b/.test(text) ? 'function-like macros' : `the directive '${text.split(/\s/)[0]}'`, token.line);
+  };
+
+  const topLevel = () => {
+    const token = peek();
+    const { line } = token;
+    if (token.type === 'directive') return directive(next());
+    if (accept(';')) return { type: 'Empty', line };
+    if (lang === 'java' && (is('package') || is('import'))) {
+      while (!accept(';')) next();
+      return { type: 'Empty', line };
+    }
+    if (lang === 'cpp' && (is('using') || is('typedef'))) return aliasDeclaration();
+    if (lang === 'cpp' && is('namespace')) {
+      next();
+      if (isIdent()) ident();
+      skipBalanced('{', '}');
+      return unsupported('namespaces', line);
+    }
+    const templateParams = templateHeader();
+    const mods = modifiers();
+    if (['class', 'struct', 'interface', 'enum', 'record'].includes(peek().value) && isIdent(1)) {
+      return typeDeclaration(mods, templateParams);
+    }
+    if (lang === 'java') fail(`Expected a class declaration but found ${describe(peek())}`);
+
+    const declType = type();
+    // `int Foo::bar(...) {` and `int Foo::count = 0;`
+    if (isIdent() && is('::', 1)) {
+      const owner = next().value;
+      next();
+      let name = ident();
+      if (name === 'operator') name = `operator${next().value}`;
+      if (is('(')) return { ...functionRest({ name, returnType: declType, line, isStatic: mods.has('static'), templateParams }), owner };
+      const field = variableDeclaration(declType, line);
+      field.declarators[0].name = name;
+      expect(';');
+      return { type: 'StaticDefinition', owner, ...field };
+    }
+    if (peek().value === 'operator') {
+      next();
+      const op = next().value;
+      return { ...functionRest({ name: `operator${op}`, operator: op, returnType: declType, line, templateParams }), isFreeOperator: true };
+    }
+    // `Type::Type(...)` out-of-class constructor definitions.
+    if (is('(') && declType.name.includes('::')) {
+      const [owner, name] = declType.name.split('::');
+      return { ...functionRest({ name, line, isStatic: false }), owner, isConstructor: true };
+    }
+    if (isIdent() && is('(', 1)) {
+      const save = pos;
+      const name = next().value;
+      if (isFunctionAhead()) return functionRest({ name, returnType: declType, line, isStatic: mods.has('static'), templateParams });
+      pos = save;
+    }
+    const declaration = variableDeclaration(declType, line);
+    expect(';');
+    return declaration;
+  };
+
+  const body = [];
+  while (peek().type !== 'eof') body.push(topLevel());
+  return { type: 'Program', body, lang, userTypes };
+};
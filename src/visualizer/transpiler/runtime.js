@@ -0,0 +1,1742 @@
+/**
+ * --- C++/JAVA RUNTIME ---
+ * What code produced by codegen.js calls through `__rt`: exact int/long
+ * arithmetic, the standard containers, stream I/O and number formatting.
+ * Containers extend Array/Map/Set so the tracer draws them like native
+ * collections; priority queues stay objects so their heap array is visible.
+ * `int` is a wrapped JS number, `long` a BigInt and `char` a one-character string.
+ */
+export const RUNTIME_ID = '__rt';
+
+/* ---------- ERRORS ---------- */
+
+// Parents of the exception classes the runtime knows, for `catch` matching.
+const EXCEPTION_PARENTS = {
+  Exception: 'Throwable', Error: 'Throwable', RuntimeException: 'Exception', IOException: 'Exception',
+  ArithmeticException: 'RuntimeException', IllegalArgumentException: 'RuntimeException', NumberFormatException: 'IllegalArgumentException',
+  IllegalStateException: 'RuntimeException', IndexOutOfBoundsException: 'RuntimeException',
+  ArrayIndexOutOfBoundsException: 'IndexOutOfBoundsException', StringIndexOutOfBoundsException: 'IndexOutOfBoundsException',
+  NullPointerException: 'RuntimeException', NoSuchElementException: 'RuntimeException', EmptyStackException: 'RuntimeException',
+  ClassCastException: 'RuntimeException', UnsupportedOperationException: 'RuntimeException', InputMismatchException: 'NoSuchElementException',
+  StackOverflowError: 'Error',
+  exception: null, logic_error: 'exception', runtime_error: 'exception', out_of_range: 'logic_error',
+  invalid_argument: 'logic_error', length_error: 'logic_error', overflow_error: 'runtime_error', underflow_error: 'runtime_error',
+};
+
+export const EXCEPTION_TYPES = new Set(Object.keys(EXCEPTION_PARENTS).concat('Throwable'));
+
+export class ThrownError extends Error {
+  constructor(type, message = '') {
+    super(message == null ? '' : String(message));
+    this.name = type;
+  }
+
+  getMessage() { return this.message || null; }
+
+  what() { return this.message; }
+
+  toString() { return this.message ? `${this.name}: ${this.message}` : this.name; }
+}
+
+const fail = (type, message) => { throw new ThrownError(type, message); };
+
+// `exit(n)` / `System.exit(n)`: unwinds the program, which the worker then treats as a normal end.
+export class ExitSignal extends Error {
+  constructor(code) {
+    super(`exit(${code})`);
+    this.name = 'ExitSignal';
+    this.code = code;
+  }
+}
+
+// Errors that belong to the tracer or the runtime, never to the user's `catch`.
+const isControlError = (e) => e instanceof ExitSignal || e?.name === 'StepLimitError';
+
+// JS errors raised by the simulation itself, in the vocabulary of the source language.
+const translateError = (e, lang) => {
+  if (e instanceof ThrownError) return e;
+  if (e instanceof RangeError && /call stack/i.test(e.message)) {
+    return new ThrownError(lang === 'java' ? 'StackOverflowError' : 'StackOverflow', 'Maximum recursion depth exceeded');
+  }
+  if (e instanceof TypeError && /null|undefined/.test(e.message)) {
+    return new ThrownError(lang === 'java' ? 'NullPointerException' : 'SegmentationFault', lang === 'java' ? e.message : `null pointer dereference (${e.message})`);
+  }
+  return e;
+};
+
+const isInstance = (e, type, lang) => {
+  if (isControlError(e)) return false;
+  const error = translateError(e, lang);
+  if (type === null || type === 'Throwable' || (lang === 'cpp' && type === 'exception' && error instanceof ThrownError)) return true;
+  // User exception classes record the library exception they extend as `__base`.
+  const starts = [error.name, error.constructor?.__base];
+  return starts.some(start => {
+    for (let t = start; t; t = EXCEPTION_PARENTS[t]) if (t === type) return true;
+    return false;
+  });
+};
+
+/* ---------- NUMBERS ---------- */
+
+const checkZero = (b, lang) => {
+  if (b === 0 || b === 0n) fail(lang === 'java' ? 'ArithmeticException' : 'FloatingPointException', lang === 'java' ? '/ by zero' : 'integer division by zero');
+};
+
+const toLong = (v) => {
+  if (typeof v === 'bigint') return BigInt.asIntN(64, v);
+  if (typeof v === 'string') return BigInt(v.charCodeAt(0));
+  if (typeof v === 'boolean') return v ? 1n : 0n;
+  if (!Number.isFinite(v)) return v > 0 ? 9223372036854775807n : v < 0 ? -9223372036854775808n : 0n;
+  return BigInt.asIntN(64, BigInt(Math.trunc(v)));
+};
+
+const toInt = (v) => {
+  if (typeof v === 'bigint') return Number(BigInt.asIntN(32, v));
+  if (typeof v === 'string') return v.charCodeAt(0);
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (Number.isNaN(v)) return 0;
+  if (!Number.isFinite(v) || Math.abs(v) >= 2 ** 31) {
+    // Java saturates out-of-range double -> int conversions.
+    if (Math.abs(v) >= 2 ** 31) return v > 0 ? 2147483647 : -2147483648;
+  }
+  return Math.trunc(v) | 0;
+};
+
+const toDouble = (v) => (typeof v === 'bigint' ? Number(v) : typeof v === 'string' ? v.charCodeAt(0) : Number(v));
+
+const ord = (c) => (typeof c === 'string' ? c.charCodeAt(0) : c);
+const chr = (n) => (typeof n === 'string' ? n : String.fromCharCode(Number(BigInt.asUintN(16, BigInt(Math.trunc(toDouble(n)))))));
+
+/* ---------- FORMATTING ---------- */
+
+// C's %g: `precision` significant digits, trailing zeros dropped.
+const formatGeneral = (x, precision = 6) => {
+  if (!Number.isFinite(x)) return Number.isNaN(x) ? (x < 0 ? '-nan' : 'nan') : x < 0 ? '-inf' : 'inf';
+  if (x === 0) return Object.is(x, -0) ? '-0' : '0';
+  const p = precision === 0 ? 1 : precision;
+  const exponent = Number(x.toExponential(p - 1).split('e')[1]);
+  if (exponent < -4 || exponent >= p) {
+    const [mantissa, exp] = x.toExponential(p - 1).split('e');
+    const trimmed = mantissa.includes('.') ? mantissa.replace(/\.?0+$/, '') : mantissa;
+    const sign = exp[0] === '-' ? '-' : '+';
+    return `${trimmed}e${sign}${exp.replace(/^[+-]/, '').padStart(2, '0')}`;
+  }
+  const fixed = x.toFixed(Math.max(0, p - 1 - exponent));
+  return fixed.includes('.') ? fixed.replace(/\.?0+$/, '') : fixed;
+};
+
+// Java's Double.toString.
+const formatJavaDouble = (x) => {
+  if (Number.isNaN(x)) return 'NaN';
+  if (!Number.isFinite(x)) return x > 0 ? 'Infinity' : '-Infinity';
+  if (x === 0) return Object.is(x, -0) ? '-0.0' : '0.0';
+  const abs = Math.abs(x);
+  if (abs >= 1e-3 && abs < 1e7) {
+    const text = String(x);
+    return text.includes('.') ? text : `${text}.0`;
+  }
+  const [mantissa, exp] = x.toExponential().split('e');
+  return `${mantissa.includes('.') ? mantissa : `${mantissa}.0`}E${exp.replace('+', '')}`;
+};
+
+// printf / String.format; `%d` `%i` `%u` `%ld` `%lld` `%f` `%e` `%g` `%s` `%c` `%x` `%o` `%b` `%n` `%%`.
+const formatPrintf = (lang, format, args) => {
+  let next = 0;
+  return String(format).replace(/%([-+ 0#,]*)(\d+|\*)?(?:\.(\d+|\*))?(hh|h|ll|l|L|z|j|t)?([diuoxXfFeEgGaAcspbBn%])/g,
+    (match, flags, widthSpec, precisionSpec, length, conv) => {
+      if (conv === '%') return '%';
+      if (conv === 'n') return '\n';
+      const width = widthSpec === '*' ? Number(args[next++]) : widthSpec ? Number(widthSpec) : 0;
+      const precision = precisionSpec === '*' ? Number(args[next++]) : precisionSpec !== undefined ? Number(precisionSpec) : undefined;
+      const arg = args[next++];
+      let text;
+      switch (conv) {
+        case 'd': case 'i': case 'u': {
+          const n = typeof arg === 'bigint' ? arg : BigInt(Math.trunc(toDouble(arg)));
+          text = flags.includes(',') ? n.toLocaleString('en-US') : String(n);
+          if (flags.includes('+') && n >= 0n) text = `+${text}`;
+          break;
+        }
+        case 'x': case 'X': case 'o': {
+          const bits = length === 'll' || length === 'l' || typeof arg === 'bigint' ? 64 : 32;
+          const n = BigInt.asUintN(bits, typeof arg === 'bigint' ? arg : BigInt(Math.trunc(toDouble(arg))));
+          text = n.toString(conv === 'o' ? 8 : 16);
+          if (conv === 'X') text = text.toUpperCase();
+          break;
+        }
+        case 'f': case 'F':
+          text = toDouble(arg).toFixed(precision ?? 6);
+          if (flags.includes('+') && toDouble(arg) >= 0) text = `+${text}`;
+          break;
+        case 'e': case 'E': {
+          const [m, e] = toDouble(arg).toExponential(precision ?? 6).split('e');
+          text = `${m}e${e[0]}${e.slice(1).padStart(2, '0')}`;
+          if (conv === 'E') text = text.toUpperCase();
+          break;
+        }
+        case 'g': case 'G':
+          text = formatGeneral(toDouble(arg), precision ?? 6);
+          if (conv === 'G') text = text.toUpperCase();
+          break;
+        case 'c':
+          text = typeof arg === 'string' ? arg : chr(arg);
+          break;
+        case 'b': case 'B':
+          text = String(arg !== null && arg !== false && arg !== undefined);
+          break;
+        default:
+          text = lang === 'java' ? javaString(arg) : String(arg);
+          if (precision !== undefined) text = text.slice(0, precision);
+      }
+      if (text.length < width) {
+        if (flags.includes('-')) text = text.padEnd(width);
+        else if (flags.includes('0') && /[diuxXofFeEgG]/.test(conv)) {
+          const sign = /^[+-]/.test(text) ? text[0] : '';
+          text = sign + text.slice(sign.length).padStart(width - sign.length, '0');
+        } else text = text.padStart(width);
+      }
+      return text;
+    });
+};
+
+const hashId = new WeakMap();
+let nextHash = 0x1b6d3586;
+const identityHash = (obj) => {
+  if (!hashId.has(obj)) hashId.set(obj, (nextHash = (nextHash + 0x9e3779b) >>> 0));
+  return hashId.get(obj);
+};
+
+// Java's String.valueOf for a value whose static type is unknown.
+function javaString(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string' || typeof value === 'bigint' || typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : formatJavaDouble(value);
+  if (typeof value.toString === 'function' && Object.prototype.hasOwnProperty.call(Object.getPrototypeOf(value), 'toString')) {
+    return String(value.toString());
+  }
+  if (typeof value.toString === 'function' && value.toString !== Object.prototype.toString && value.constructor !== Array) {
+    return String(value.toString());
+  }
+  if (Array.isArray(value)) return `[${typeof value[0] === 'number' ? 'I' : 'L'}@${identityHash(value).toString(16)}`;
+  return `${value.constructor?.name || 'Object'}@${identityHash(value).toString(16)}`;
+}
+
+/* ---------- ORDERING AND EQUALITY ---------- */
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (typeof a === 'number' || typeof a === 'bigint' || typeof a === 'boolean') {
+    const x = typeof a === 'boolean' ? Number(a) : a;
+    const y = typeof b === 'boolean' ? Number(b) : b;
+    return x < y ? -1 : x > y ? 1 : 0;
+  }
+  if (typeof a === 'string' && typeof b === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  if (a === null || b === null) fail('NullPointerException', 'cannot compare null');
+  if (Array.isArray(a) && Array.isArray(b)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const c = compare(a[i], b[i]);
+      if (c) return c;
+    }
+    return a.length - b.length;
+  }
+  if (a instanceof Pair) return compare(a.first, b.first) || compare(a.second, b.second);
+  if (typeof a.__lt === 'function') return a.__lt(b) ? -1 : b.__lt(a) ? 1 : 0;
+  if (typeof a.compareTo === 'function') return Number(a.compareTo(b));
+  return fail(typeof a.__lt === 'undefined' && typeof a.compareTo === 'undefined' ? 'ClassCastException' : 'Error',
+    `${a.constructor?.name || 'value'} has no natural ordering (define operator< or implement Comparable)`);
+};
+
+const equals = (a, b) => {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return (typeof a === 'number' || typeof a === 'bigint') && (typeof b === 'number' || typeof b === 'bigint') ? a == b : false;
+  }
+  if (typeof a.__eq === 'function') return Boolean(a.__eq(b));
+  if (typeof a.equals === 'function' && !(a instanceof Array) && !(a instanceof Map) && !(a instanceof Set)) return Boolean(a.equals(b));
+  if (Array.isArray(a)) return Array.isArray(b) && a.length === b.length && a.every((v, i) => equals(v, b[i]));
+  if (a instanceof Pair) return b instanceof Pair && equals(a.first, b.first) && equals(a.second, b.second);
+  if (a instanceof Map) return b instanceof Map && a.size() === b.size() && [...a].every(([k, v]) => b.has(k) && equals(v, b.get(k)));
+  if (a instanceof Set) return b instanceof Set && a.size() === b.size() && [...a].every(k => b.has(k));
+  return false;
+};
+
+/**
+ * Canonical key so pairs, vectors and strings with equal contents share one map slot.
+ * C++ compares struct keys by value (`structural`); Java by hashCode(), or identity without one.
+ */
+const keyOf = (value, structural = false) => {
+  if (value === null || typeof value !== 'object') return typeof value === 'bigint' ? `${value}n` : value;
+  if (Array.isArray(value)) return `[${value.map(v => keyOf(v, structural)).join(',')}]`;
+  if (value instanceof Pair) return `(${keyOf(value.first, structural)},${keyOf(value.second, structural)})`;
+  if (structural) return `${value.constructor.name}{${Object.keys(value).map(k => keyOf(value[k], true)).join(',')}}`;
+  if (typeof value.hashCode === 'function') return `#${value.constructor.name}:${value.hashCode()}`;
+  return value;
+};
+
+// Deep copy for C++ value semantics, `depth` levels down (pointers are never followed).
+const clone = (value, depth = 1) => {
+  if (depth <= 0 || value === null || typeof value !== 'object' || value instanceof Ref) return value;
+  if (Array.isArray(value)) {
+    const copy = new value.constructor();
+    value.forEach(v => Array.prototype.push.call(copy, clone(v, depth - 1)));
+    return copy;
+  }
+  if (value instanceof CppMap) {
+    const copy = new CppMap(value.order, value.template, value.before);
+    [...value].forEach(([k, v]) => copy.set(k, clone(v, depth - 1)));
+    return copy;
+  }
+  if (value instanceof CppSet) {
+    const copy = new CppSet(value.order, value.before);
+    [...value].forEach(k => copy.add(k));
+    return copy;
+  }
+  if (value instanceof PriorityQueue) {
+    const copy = new PriorityQueue(value.before, value.lang);
+    value.heap.forEach(v => copy.heap.push(clone(v, depth - 1)));
+    return copy;
+  }
+  if (value instanceof Pair) return new Pair(clone(value.first, depth - 1), clone(value.second, depth - 1));
+  const copy = Object.create(Object.getPrototypeOf(value));
+  const valueFields = value.constructor.__values || {};
+  Object.keys(value).forEach(k => { copy[k] = k in valueFields ? clone(value[k], valueFields[k]) : value[k]; });
+  return copy;
+};
+
+/* ---------- CONTAINERS ---------- */
+
+const checkIndex = (container, i, lang) => {
+  const n = typeof i === 'bigint' ? Number(i) : i;
+  if (!Number.isInteger(n) || n < 0 || n >= container.length) {
+    if (lang === 'java') {
+      const type = typeof container === 'string' ? 'StringIndexOutOfBoundsException' : Array.isArray(container) && container.constructor === Array ? 'ArrayIndexOutOfBoundsException' : 'IndexOutOfBoundsException';
+      fail(type, `Index ${n} out of bounds for length ${container.length}`);
+    }
+    fail('out_of_range', `index ${n} is out of range for size ${container.length}`);
+  }
+  return n;
+};
+
+const requireNonEmpty = (container, what, lang) => {
+  if (container.length === 0) fail(lang === 'java' ? 'NoSuchElementException' : 'out_of_range', `${what} on an empty container`);
+};
+
+class ArrayContainer extends Array {
+  static get [Symbol.species]() { return Array; }
+
+  size() { return this.length; }
+
+  empty() { return this.length === 0; }
+
+  isEmpty() { return this.length === 0; }
+
+  clear() { this.length = 0; }
+
+  contains(x) { return this.some(v => equals(v, x)); }
+
+  toString() { return `[${this.map(javaString).join(', ')}]`; }
+
+  equals(other) { return equals([...this], Array.isArray(other) ? [...other] : other); }
+
+  hashCode() { return this.reduce((h, v) => (Math.imul(h, 31) + (typeof v === 'number' ? v : String(keyOf(v)).length)) | 0, 1); }
+}
+
+// C++ std::vector (also std::array)
+export class Vector extends ArrayContainer {
+  push_back(x) { this.push(x); }
+
+  pop_back() { requireNonEmpty(this, 'pop_back()', 'cpp'); this.pop(); }
+
+  back() { requireNonEmpty(this, 'back()', 'cpp'); return this[this.length - 1]; }
+
+  front() { requireNonEmpty(this, 'front()', 'cpp'); return this[0]; }
+
+  at(i) { return this[checkIndex(this, i, 'cpp')]; }
+
+  // `vector<T> v(n, value)`: every element is its own copy of `template`.
+  static filled(n, template) {
+    const v = new this();
+    v.resize(n, template);
+    return v;
+  }
+
+  resize(n, template) {
+    const size = Number(n);
+    if (size < 0) fail('length_error', 'cannot create a vector with negative size');
+    while (this.length > size) this.pop();
+    while (this.length < size) this.push(clone(template, Infinity));
+  }
+
+  assign(n, template) { this.length = 0; this.resize(n, template); }
+
+  insertAt(i, x) { this.splice(Number(i), 0, x); return Number(i); }
+
+  eraseAt(i, j = Number(i) + 1) { this.splice(Number(i), Number(j) - Number(i)); return Number(i); }
+
+  swap(other) {
+    const mine = [...this];
+    this.splice(0, this.length, ...other);
+    other.splice(0, other.length, ...mine);
+  }
+
+  push_front(x) { this.unshift(x); }
+
+  pop_front() { requireNonEmpty(this, 'pop_front()', 'cpp'); this.shift(); }
+}
+
+// std::deque and std::list share vector's interface plus the front operations above.
+export class Deque extends Vector {}
+
+export class Queue extends ArrayContainer {
+  pop() { requireNonEmpty(this, 'pop()', 'cpp'); this.shift(); }
+
+  front() { requireNonEmpty(this, 'front()', 'cpp'); return this[0]; }
+
+  back() { requireNonEmpty(this, 'back()', 'cpp'); return this[this.length - 1]; }
+}
+
+export class Stack extends ArrayContainer {
+  pop() { requireNonEmpty(this, 'pop()', 'cpp'); super.pop(); }
+
+  top() { requireNonEmpty(this, 'top()', 'cpp'); return this[this.length - 1]; }
+}
+
+// java.util.ArrayList / List
+export class ArrayList extends ArrayContainer {
+  // Subclasses redefine push (Deque pushes at the front), so appends use Array's own.
+  append(x) { Array.prototype.push.call(this, x); }
+
+  add(i, x) {
+    if (arguments.length === 1) { this.append(i); return true; }
+    if (i < 0 || i > this.length) fail('IndexOutOfBoundsException', `Index: ${i}, Size: ${this.length}`);
+    this.splice(i, 0, x);
+    return undefined;
+  }
+
+  get(i) { return this[checkIndex(this, i, 'java')]; }
+
+  set(i, x) {
+    const old = this[checkIndex(this, i, 'java')];
+    this[i] = x;
+    return old;
+  }
+
+  removeAt(i) { return this.splice(checkIndex(this, i, 'java'), 1)[0]; }
+
+  removeValue(x) {
+    const i = this.findIndex(v => equals(v, x));
+    if (i === -1) return false;
+    this.splice(i, 1);
+    return true;
+  }
+
+  remove(x) { return typeof x === 'number' ? this.removeAt(x) : this.removeValue(x); }
+
+  indexOf(x) { return this.findIndex(v => equals(v, x)); }
+
+  lastIndexOf(x) { return this.findLastIndex(v => equals(v, x)); }
+
+  addAll(items) { [...items].forEach(x => this.append(x)); return true; }
+
+  removeIf(test) {
+    const keep = this.filter(v => !test(v));
+    const changed = keep.length !== this.length;
+    this.splice(0, this.length, ...keep);
+    return changed;
+  }
+
+  subList(from, to) { return ArrayList.from(this.slice(from, to)); }
+
+  sort(comparator) {
+    const sorted = [...this].sort(comparator ? (a, b) => Number(comparator(a, b)) : compare);
+    this.splice(0, this.length, ...sorted);
+  }
+
+  getFirst() { requireNonEmpty(this, 'getFirst()', 'java'); return this[0]; }
+
+  getLast() { requireNonEmpty(this, 'getLast()', 'java'); return this[this.length - 1]; }
+}
+
+// java.util.Stack
+export class JavaStack extends ArrayList {
+  push(x) { this.append(x); return x; }
+
+  pop() {
+    if (this.length === 0) fail('EmptyStackException', '');
+    return Array.prototype.pop.call(this);
+  }
+
+  peek() {
+    if (this.length === 0) fail('EmptyStackException', '');
+    return this[this.length - 1];
+  }
+
+  empty() { return this.length === 0; }
+
+  search(x) {
+    const i = this.findLastIndex(v => equals(v, x));
+    return i === -1 ? -1 : this.length - i;
+  }
+}
+
+// java.util.LinkedList / ArrayDeque / Queue / Deque: list methods plus both ends.
+export class LinkedList extends ArrayList {
+  addFirst(x) { this.unshift(x); }
+
+  addLast(x) { this.append(x); }
+
+  offer(x) { this.append(x); return true; }
+
+  offerFirst(x) { this.unshift(x); return true; }
+
+  offerLast(x) { this.append(x); return true; }
+
+  poll() { return this.length ? this.shift() : null; }
+
+  pollFirst() { return this.poll(); }
+
+  pollLast() { return this.length ? Array.prototype.pop.call(this) : null; }
+
+  peek() { return this.length ? this[0] : null; }
+
+  peekFirst() { return this.peek(); }
+
+  peekLast() { return this.length ? this[this.length - 1] : null; }
+
+  element() { return this.getFirst(); }
+
+  removeFirst() { requireNonEmpty(this, 'removeFirst()', 'java'); return this.shift(); }
+
+  removeLast() { requireNonEmpty(this, 'removeLast()', 'java'); return Array.prototype.pop.call(this); }
+
+  // As a stack, a Deque pushes and pops at the front.
+  push(x) { this.unshift(x); }
+
+  pop() { return this.removeFirst(); }
+
+  remove(x) { return arguments.length === 0 ? this.removeFirst() : super.remove(x); }
+
+  descendingIterator() { return [...this].reverse(); }
+}
+
+// Binary heap; `before(a, b)` is true when `a` must come out first.
+export class PriorityQueue {
+  constructor(before, lang) {
+    this.heap = [];
+    Object.defineProperty(this, 'before', { value: before });
+    Object.defineProperty(this, 'lang', { value: lang });
+  }
+
+  static create(lang, comparator, kind) {
+    if (lang === 'java') return new PriorityQueue(comparator ? (a, b) => Number(comparator(a, b)) < 0 : (a, b) => compare(a, b) < 0, lang);
+    if (kind === 'greater') return new PriorityQueue((a, b) => compare(a, b) < 0, lang);
+    if (comparator) return new PriorityQueue((a, b) => Boolean(comparator(b, a)), lang);
+    return new PriorityQueue((a, b) => compare(a, b) > 0, lang);
+  }
+
+  size() { return this.heap.length; }
+
+  empty() { return this.heap.length === 0; }
+
+  isEmpty() { return this.heap.length === 0; }
+
+  clear() { this.heap.length = 0; }
+
+  push(x) {
+    const { heap } = this;
+    heap.push(x);
+    for (let i = heap.length - 1; i > 0;) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(heap[i], heap[parent])) break;
+      [heap[i], heap[parent]] = [heap[parent], heap[i]];
+      i = parent;
+    }
+    return true;
+  }
+
+  take() {
+    const { heap } = this;
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+      heap[0] = last;
+      for (let i = 0; ;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let best = i;
+        if (l < heap.length && this.before(heap[l], heap[best])) best = l;
+        if (r < heap.length && this.before(heap[r], heap[best])) best = r;
+        if (best === i) break;
+        [heap[i], heap[best]] = [heap[best], heap[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+
+  pop() { requireNonEmpty(this.heap, 'pop()', 'cpp'); this.take(); }
+
+  top() { requireNonEmpty(this.heap, 'top()', 'cpp'); return this.heap[0]; }
+
+  add(x) { return this.push(x); }
+
+  offer(x) { return this.push(x); }
+
+  poll() { return this.heap.length ? this.take() : null; }
+
+  peek() { return this.heap.length ? this.heap[0] : null; }
+
+  remove(x) {
+    if (arguments.length === 0) { requireNonEmpty(this.heap, 'remove()', 'java'); return this.take(); }
+    const i = this.heap.findIndex(v => equals(v, x));
+    if (i === -1) return false;
+    const rest = this.heap.filter((_, j) => j !== i);
+    this.heap.length = 0;
+    rest.forEach(v => this.push(v));
+    return true;
+  }
+
+  contains(x) { return this.heap.some(v => equals(v, x)); }
+
+  toString() { return `[${this.heap.map(javaString).join(', ')}]`; }
+
+  [Symbol.iterator]() { return this.heap[Symbol.iterator](); }
+}
+
+export class Pair {
+  constructor(first, second) {
+    this.first = first;
+    this.second = second;
+  }
+
+  __lt(other) { return compare(this, other) < 0; }
+}
+
+/**
+ * Keys are canonicalised (see keyOf) so value-equal pairs/vectors hit the same
+ * slot; the first key object inserted is the one shown. `order` is 'sorted',
+ * 'insertion' or 'java-hash' (java.util.HashMap's bucket order).
+ */
+const keyedCollection = (Base) => class extends Base {
+  #keys = new Map();
+
+  #capacity = 16;
+
+  static get [Symbol.species]() { return Base; }
+
+  canonical(k) {
+    const key = keyOf(k, this.structural);
+    return this.#keys.has(key) ? this.#keys.get(key) : k;
+  }
+
+  remember(k) {
+    const key = keyOf(k, this.structural);
+    if (!this.#keys.has(key)) {
+      this.#keys.set(key, k);
+      while (super.size + 1 > this.#capacity * 0.75) this.#capacity *= 2;
+    }
+    return this.#keys.get(key);
+  }
+
+  forget(k) { this.#keys.delete(keyOf(k, this.structural)); }
+
+  clear() { super.clear(); this.#keys.clear(); }
+
+  has(k) { return super.has(this.canonical(k)); }
+
+  delete(k) {
+    const key = this.canonical(k);
+    this.forget(k);
+    return super.delete(key);
+  }
+
+  ordered(items, keyFor) {
+    if (this.before) return items.sort((a, b) => (this.before(keyFor(a), keyFor(b)) ? -1 : this.before(keyFor(b), keyFor(a)) ? 1 : 0));
+    if (this.order === 'sorted') return items.sort((a, b) => compare(keyFor(a), keyFor(b)));
+    if (this.order === 'sorted-desc') return items.sort((a, b) => compare(keyFor(b), keyFor(a)));
+    if (this.order !== 'java-hash') return items;
+    const bucket = (k) => {
+      const h = javaHash(k);
+      return (h ^ (h >>> 16)) & (this.#capacity - 1);
+    };
+    return items.map((item, i) => [bucket(keyFor(item)), i, item]).sort((a, b) => a[0] - b[0] || a[1] - b[1]).map(x => x[2]);
+  }
+
+  size() { return super.size; }
+
+  empty() { return super.size === 0; }
+
+  isEmpty() { return super.size === 0; }
+
+  count(k) { return this.has(k) ? 1 : 0; }
+
+  contains(k) { return this.has(k); }
+};
+
+// java.lang hashCode for the key types whose HashMap order users can observe.
+function javaHash(k) {
+  if (typeof k === 'number') return Number.isInteger(k) ? k | 0 : 0;
+  if (typeof k === 'bigint') return Number(BigInt.asIntN(32, k ^ (k >> 32n)));
+  if (typeof k === 'boolean') return k ? 1231 : 1237;
+  if (typeof k === 'string') {
+    let h = 0;
+    for (let i = 0; i < k.length; i++) h = (Math.imul(h, 31) + k.charCodeAt(i)) | 0;
+    return h;
+  }
+  if (k && typeof k.hashCode === 'function') return Number(k.hashCode()) | 0;
+  return k ? identityHash(k) : 0;
+}
+
+const KeyedMap = keyedCollection(Map);
+const KeyedSet = keyedCollection(Set);
+
+/**
+ * std::map / unordered_map. `order` is 'sorted', 'sorted-desc' or 'insertion';
+ * `before(a, b)` is a user comparator; `m[k]` inserts a copy of `template`.
+ */
+export class CppMap extends KeyedMap {
+  constructor(order, template, before) {
+    super();
+    this.order = order;
+    Object.defineProperty(this, 'template', { value: template });
+    Object.defineProperty(this, 'before', { value: before });
+    Object.defineProperty(this, 'structural', { value: true });
+  }
+
+  *[Symbol.iterator]() { yield* this.ordered([...super.entries()], e => e[0]); }
+
+  entries() { return this[Symbol.iterator](); }
+
+  keys() { return [...this].map(e => e[0])[Symbol.iterator](); }
+
+  values() { return [...this].map(e => e[1])[Symbol.iterator](); }
+
+  get(k) { return super.get(this.canonical(k)); }
+
+  set(k, v) { return super.set(this.remember(k), v); }
+
+  access(k) {
+    if (!this.has(k)) this.set(k, clone(this.template, Infinity));
+    return this.get(k);
+  }
+
+  // `m[k] = v`
+  assign(k, v) {
+    this.set(k, v);
+    return v;
+  }
+
+  at(k) {
+    if (!this.has(k)) fail('out_of_range', 'map::at: key not found');
+    return this.get(k);
+  }
+
+  insert(pair) {
+    if (this.has(pair.first)) return false;
+    this.set(pair.first, pair.second);
+    return true;
+  }
+
+  erase(k) { return this.delete(k) ? 1 : 0; }
+
+  pairs() { return [...this].map(([k, v]) => new Pair(k, v)); }
+
+  first() { return this.pairs()[0]; }
+
+  last() { return this.pairs().at(-1); }
+}
+
+export class CppSet extends KeyedSet {
+  constructor(order, before) {
+    super();
+    this.order = order;
+    Object.defineProperty(this, 'before', { value: before });
+    Object.defineProperty(this, 'structural', { value: true });
+  }
+
+  *[Symbol.iterator]() { yield* this.ordered([...super.values()], k => k); }
+
+  values() { return this[Symbol.iterator](); }
+
+  keys() { return this[Symbol.iterator](); }
+
+  add(k) { return super.add(this.remember(k)); }
+
+  insert(k) {
+    if (this.has(k)) return false;
+    this.add(k);
+    return true;
+  }
+
+  erase(k) { return this.delete(k) ? 1 : 0; }
+
+  first() { return [...this][0]; }
+
+  last() { return [...this].at(-1); }
+}
+
+export class Entry {
+  constructor(map, key, value) {
+    Object.defineProperty(this, 'map', { value: map });
+    this.key = key;
+    this.value = value;
+  }
+
+  getKey() { return this.key; }
+
+  getValue() { return this.value; }
+
+  setValue(v) {
+    const old = this.value;
+    this.value = v;
+    this.map.set(this.key, v);
+    return old;
+  }
+
+  toString() { return `${javaString(this.key)}=${javaString(this.value)}`; }
+}
+
+// java.util.HashMap / LinkedHashMap / TreeMap
+export class JavaMap extends KeyedMap {
+  constructor(order, comparator) {
+    super();
+    this.order = order;
+    Object.defineProperty(this, 'comparator', { value: comparator });
+  }
+
+  *[Symbol.iterator]() {
+    const items = [...super.entries()];
+    yield* this.comparator ? items.sort((a, b) => Number(this.comparator(a[0], b[0]))) : this.ordered(items, e => e[0]);
+  }
+
+  get(k) { return this.has(k) ? super.get(this.canonical(k)) : null; }
+
+  put(k, v) {
+    const old = this.get(k);
+    super.set(this.remember(k), v);
+    return old;
+  }
+
+  set(k, v) { return super.set(this.remember(k), v); }
+
+  getOrDefault(k, fallback) { return this.has(k) ? this.get(k) : fallback; }
+
+  containsKey(k) { return this.has(k); }
+
+  containsValue(v) { return [...this].some(e => equals(e[1], v)); }
+
+  remove(k) {
+    const old = this.get(k);
+    this.delete(k);
+    return old;
+  }
+
+  putIfAbsent(k, v) {
+    if (this.has(k) && this.get(k) !== null) return this.get(k);
+    this.put(k, v);
+    return null;
+  }
+
+  merge(k, v, fn) {
+    const value = this.has(k) && this.get(k) !== null ? fn(this.get(k), v) : v;
+    if (value === null) this.delete(k);
+    else this.put(k, value);
+    return value;
+  }
+
+  computeIfAbsent(k, fn) {
+    if (!this.has(k) || this.get(k) === null) this.put(k, fn(k));
+    return this.get(k);
+  }
+
+  computeIfPresent(k, fn) {
+    if (!this.has(k)) return null;
+    return this.merge(k, null, (old) => fn(k, old));
+  }
+
+  compute(k, fn) {
+    const value = fn(k, this.get(k));
+    if (value === null) this.delete(k);
+    else this.put(k, value);
+    return value;
+  }
+
+  keySet() { return ArrayList.from([...this].map(e => e[0])); }
+
+  values() { return ArrayList.from([...this].map(e => e[1])); }
+
+  entrySet() { return ArrayList.from([...this].map(([k, v]) => new Entry(this, k, v))); }
+
+  forEach(fn) { [...this].forEach(([k, v]) => fn(k, v)); }
+
+  putAll(other) { [...other].forEach(([k, v]) => this.put(k, v)); }
+
+  entriesSorted() { return this.entrySet(); }
+
+  firstKey() { return this.edge('first'); }
+
+  lastKey() { return this.edge('last'); }
+
+  edge(which) {
+    if (!this.size()) fail('NoSuchElementException', '');
+    const keys = [...this].map(e => e[0]);
+    return which === 'first' ? keys[0] : keys[keys.length - 1];
+  }
+
+  firstEntry() { return this.size() ? this.entrySet()[0] : null; }
+
+  lastEntry() { return this.size() ? this.entrySet().at(-1) : null; }
+
+  pollFirstEntry() {
+    const entry = this.firstEntry();
+    if (entry) this.delete(entry.key);
+    return entry;
+  }
+
+  pollLastEntry() {
+    const entry = this.lastEntry();
+    if (entry) this.delete(entry.key);
+    return entry;
+  }
+
+  floorKey(k) { return navigate([...this].map(e => e[0]), k, (c) => c <= 0, true, this.comparator); }
+
+  lowerKey(k) { return navigate([...this].map(e => e[0]), k, (c) => c < 0, true, this.comparator); }
+
+  ceilingKey(k) { return navigate([...this].map(e => e[0]), k, (c) => c >= 0, false, this.comparator); }
+
+  higherKey(k) { return navigate([...this].map(e => e[0]), k, (c) => c > 0, false, this.comparator); }
+
+  toString() { return `{${[...this].map(([k, v]) => `${javaString(k)}=${javaString(v)}`).join(', ')}}`; }
+}
+
+// TreeMap/TreeSet navigation over sorted keys.
+function navigate(sorted, k, accepts, fromEnd, comparator) {
+  const cmp = comparator ? (a, b) => Number(comparator(a, b)) : compare;
+  const candidates = sorted.filter(x => accepts(cmp(x, k)));
+  if (!candidates.length) return null;
+  return fromEnd ? candidates[candidates.length - 1] : candidates[0];
+}
+
+// java.util.HashSet / LinkedHashSet / TreeSet
+export class JavaSet extends KeyedSet {
+  constructor(order, comparator) {
+    super();
+    this.order = order;
+    Object.defineProperty(this, 'comparator', { value: comparator });
+  }
+
+  *[Symbol.iterator]() {
+    const items = [...super.values()];
+    yield* this.comparator ? items.sort((a, b) => Number(this.comparator(a, b))) : this.ordered(items, k => k);
+  }
+
+  add(k) {
+    if (this.has(k)) return false;
+    super.add(this.remember(k));
+    return true;
+  }
+
+  remove(k) { return this.delete(k); }
+
+  addAll(items) {
+    let changed = false;
+    [...items].forEach(k => { changed = this.add(k) || changed; });
+    return changed;
+  }
+
+  removeAll(items) { [...items].forEach(k => this.delete(k)); }
+
+  retainAll(items) {
+    const keep = JavaSet.prototype.add ? [...items] : [];
+    [...this].filter(k => !keep.some(x => equals(x, k))).forEach(k => this.delete(k));
+  }
+
+  forEach(fn) { [...this].forEach(k => fn(k)); }
+
+  first() {
+    if (!this.size()) fail('NoSuchElementException', '');
+    return [...this][0];
+  }
+
+  last() {
+    if (!this.size()) fail('NoSuchElementException', '');
+    return [...this].at(-1);
+  }
+
+  pollFirst() {
+    if (!this.size()) return null;
+    const k = [...this][0];
+    this.delete(k);
+    return k;
+  }
+
+  pollLast() {
+    if (!this.size()) return null;
+    const k = [...this].at(-1);
+    this.delete(k);
+    return k;
+  }
+
+  floor(k) { return navigate([...this], k, (c) => c <= 0, true, this.comparator); }
+
+  lower(k) { return navigate([...this], k, (c) => c < 0, true, this.comparator); }
+
+  ceiling(k) { return navigate([...this], k, (c) => c >= 0, false, this.comparator); }
+
+  higher(k) { return navigate([...this], k, (c) => c > 0, false, this.comparator); }
+
+  toString() { return `[${[...this].map(javaString).join(', ')}]`; }
+}
+
+export class StringBuilder {
+  constructor(initial = '') {
+    this.value = typeof initial === 'number' ? '' : String(initial);
+  }
+
+  append(text) { this.value += text; return this; }
+
+  insert(i, text) { this.value = this.value.slice(0, i) + text + this.value.slice(i); return this; }
+
+  reverse() { this.value = [...this.value].reverse().join(''); return this; }
+
+  length() { return this.value.length; }
+
+  charAt(i) { return this.value[checkIndex(this.value, i, 'java')]; }
+
+  setCharAt(i, c) { checkIndex(this.value, i, 'java'); this.value = this.value.slice(0, i) + c + this.value.slice(i + 1); }
+
+  deleteCharAt(i) { checkIndex(this.value, i, 'java'); this.value = this.value.slice(0, i) + this.value.slice(i + 1); return this; }
+
+  delete(from, to) { this.value = this.value.slice(0, from) + this.value.slice(to); return this; }
+
+  replace(from, to, text) { this.value = this.value.slice(0, from) + text + this.value.slice(to); return this; }
+
+  setLength(n) { this.value = this.value.slice(0, n).padEnd(n, '\0'); }
+
+  indexOf(text) { return this.value.indexOf(text); }
+
+  isEmpty() { return this.value.length === 0; }
+
+  toString() { return this.value; }
+}
+
+// Stand-in for `int&`/`int*`: reads and writes go through to the referenced variable or slot.
+export class Ref {
+  constructor(get, set) {
+    Object.defineProperty(this, 'value', { get, set, enumerable: true });
+  }
+}
+
+/* ---------- STRINGS ---------- */
+
+const NPOS = -1;
+
+const substr = (s, pos, len) => {
+  if (pos > s.length) fail('out_of_range', `basic_string::substr: __pos (which is ${pos}) > this->size() (which is ${s.length})`);
+  return len === undefined ? s.slice(pos) : s.slice(pos, pos + Math.max(0, len));
+};
+
+const javaSubstring = (s, from, to = s.length) => {
+  if (from < 0 || to > s.length || from > to) fail('StringIndexOutOfBoundsException', `begin ${from}, end ${to}, length ${s.length}`);
+  return s.slice(from, to);
+};
+
+const parseIntStrict = (text, lang, radix = 10) => {
+  const s = String(text).trim();
+  const valid = radix === 10 ? /^[+-]?\d+/.exec(s) : /^[+-]?[0-9a-zA-Z]+/.exec(s);
+  if (!valid || (lang === 'java' && valid[0].length !== s.length)) {
+    fail(lang === 'java' ? 'NumberFormatException' : 'invalid_argument', `For input string: "${text}"`);
+  }
+  return valid[0];
+};
+
+// Java String / C++ std::string methods, for receivers whose static type is a string.
+const STRING_METHODS = {
+  size: (s) => s.length,
+  length: (s) => s.length,
+  empty: (s) => s.length === 0,
+  isEmpty: (s) => s.length === 0,
+  isBlank: (s) => s.trim().length === 0,
+  substr,
+  substring: javaSubstring,
+  charAt: (s, i) => s[checkIndex(s, i, 'java')],
+  at: (s, i) => s[checkIndex(s, i, 'cpp')],
+  front: (s) => s[0],
+  back: (s) => s[s.length - 1],
+  find: (s, t, from = 0) => s.indexOf(t, from),
+  rfind: (s, t, from = Infinity) => s.lastIndexOf(t, from),
+  indexOf: (s, t, from = 0) => s.indexOf(t, from),
+  lastIndexOf: (s, t) => s.lastIndexOf(t),
+  contains: (s, t) => s.includes(t),
+  startsWith: (s, t) => s.startsWith(t),
+  endsWith: (s, t) => s.endsWith(t),
+  equals: (s, t) => s === t,
+  equalsIgnoreCase: (s, t) => typeof t === 'string' && s.toLowerCase() === t.toLowerCase(),
+  compareTo: (s, t) => {
+    for (let i = 0; i < Math.min(s.length, t.length); i++) if (s[i] !== t[i]) return s.charCodeAt(i) - t.charCodeAt(i);
+    return s.length - t.length;
+  },
+  compare: (s, t) => compare(s, t),
+  toUpperCase: (s) => s.toUpperCase(),
+  toLowerCase: (s) => s.toLowerCase(),
+  trim: (s) => s.trim(),
+  strip: (s) => s.trim(),
+  toCharArray: (s) => [...s],
+  split: (s, regex) => {
+    const parts = s.split(new RegExp(regex));
+    while (parts.length && parts[parts.length - 1] === '') parts.pop();
+    return parts;
+  },
+  replace: (s, a, b) => s.split(a).join(b),
+  replaceAll: (s, regex, b) => s.replace(new RegExp(regex, 'g'), b),
+  repeat: (s, n) => s.repeat(n),
+  chars: (s) => ArrayList.from([...s].map(c => c.charCodeAt(0))),
+  c_str: (s) => s,
+  hashCode: (s) => javaHash(s),
+  matches: (s, regex) => new RegExp(`^(?:${regex})$`).test(s),
+};
+
+// C++ std::string mutators return the new value; codegen assigns it back.
+const STRING_MUTATORS = {
+  push_back: (s, c) => s + c,
+  pop_back: (s) => s.slice(0, -1),
+  append: (s, t, n) => s + (n === undefined ? t : typeof t === 'string' && n !== undefined && typeof n === 'number' && t.length === 1 ? t.repeat(n) : t),
+  insert: (s, i, t) => s.slice(0, i) + t + s.slice(i),
+  erase: (s, i = 0, n = Infinity) => s.slice(0, i) + s.slice(i + n),
+  replace: (s, i, n, t) => s.slice(0, i) + t + s.slice(i + n),
+  clear: () => '',
+  resize: (s, n, c = '\0') => (s.length >= n ? s.slice(0, n) : s + c.repeat(n - s.length)),
+  setChar: (s, i, c) => s.slice(0, i) + c + s.slice(i + 1),
+};
+
+/* ---------- RUNTIME ---------- */
+
+/**
+ * One runtime per run: owns the output streams (flushed line by line into
+ * `console`, the tracer's) and the stdin cursor shared by `cin`, `Scanner`,
+ * `BufferedReader` and `scanf`.
+ */
+export const createRuntime = ({ lang, console, stdin = '' }) => {
+  const pending = { log: '', error: '' };
+  const write = (level, text) => {
+    const lines = (pending[level] + text).split('\n');
+    pending[level] = lines.pop();
+    lines.forEach(line => console[level](line));
+  };
+  const flush = () => {
+    ['log', 'error'].forEach(level => {
+      if (pending[level]) console[level](pending[level]);
+      pending[level] = '';
+    });
+  };
+
+  /* ---- input ---- */
+  let cursor = 0;
+  let failed = false;
+  const skipSpace = () => { while (cursor < stdin.length && /\s/.test(stdin[cursor])) cursor++; };
+  const token = () => {
+    skipSpace();
+    const start = cursor;
+    while (cursor < stdin.length && !/\s/.test(stdin[cursor])) cursor++;
+    return start === cursor ? null : stdin.slice(start, cursor);
+  };
+  const readLine = () => {
+    if (cursor >= stdin.length) return null;
+    const end = stdin.indexOf('\n', cursor);
+    const line = stdin.slice(cursor, end === -1 ? stdin.length : end).replace(/\r$/, '');
+    cursor = end === -1 ? stdin.length : end + 1;
+    return line;
+  };
+  const parseToken = (kind, text) => {
+    if (kind === 'string') return text;
+    if (kind === 'char') return text[0];
+    if (kind === 'double') {
+      const value = Number(text);
+      return Number.isNaN(value) ? null : value;
+    }
+    if (!/^[+-]?\d+$/.test(text)) return null;
+    if (kind === 'long') return BigInt.asIntN(64, BigInt(text));
+    if (kind === 'bool') return text !== '0';
+    return Number(BigInt.asIntN(32, BigInt(text)));
+  };
+
+  // `cin >> x`: on failure the stream stays failed and x keeps its value.
+  const cin = {
+    read(kind, current) {
+      if (failed) return current;
+      if (kind === 'char') {
+        skipSpace();
+        if (cursor >= stdin.length) { failed = true; return current; }
+        return stdin[cursor++];
+      }
+      const text = token();
+      const value = text === null ? null : parseToken(kind, text);
+      if (value === null) { failed = true; return current; }
+      return value;
+    },
+    line() {
+      const line = readLine();
+      if (line === null) failed = true;
+      return line ?? '';
+    },
+    ignore() { if (stdin[cursor] === '\n') cursor++; else readLine(); },
+    get(current) {
+      if (cursor >= stdin.length) { failed = true; return current; }
+      return stdin[cursor++];
+    },
+    ok: () => !failed,
+    eof: () => cursor >= stdin.length,
+    tie() {},
+    sync_with_stdio() {},
+  };
+
+  class Scanner {
+    constructor() {
+      this.source = 'System.in';
+    }
+
+    next(kind = 'string') {
+      const text = token();
+      if (text === null) fail('NoSuchElementException', 'no more input (stdin is empty)');
+      const value = parseToken(kind, text);
+      if (value === null) fail('InputMismatchException', `For input string: "${text}"`);
+      return value;
+    }
+
+    nextInt() { return this.next('int'); }
+
+    nextLong() { return this.next('long'); }
+
+    nextDouble() { return this.next('double'); }
+
+    nextFloat() { return this.next('double'); }
+
+    nextBoolean() { return this.next('string').toLowerCase() === 'true'; }
+
+    nextLine() {
+      const line = readLine();
+      if (line === null) fail('NoSuchElementException', 'No line found');
+      return line;
+    }
+
+    hasNext() { skipSpace(); return cursor < stdin.length; }
+
+    hasNextInt() {
+      const saved = cursor;
+      const text = token();
+      cursor = saved;
+      return text !== null && /^[+-]?\d+$/.test(text);
+    }
+
+    hasNextLine() { return cursor < stdin.length; }
+
+    close() {}
+  }
+
+  class BufferedReader {
+    readLine() { return readLine(); }
+
+    read() { return cursor < stdin.length ? stdin.charCodeAt(cursor++) : -1; }
+
+    ready() { return cursor < stdin.length; }
+
+    close() {}
+  }
+
+  class StringTokenizer {
+    constructor(text, delimiters = ' \t\n\r\f') {
+      const escaped = [...delimiters].map(c => c.replace(/[\\^\]-]/g, '\\$&')).join('');
+      this.tokens = String(text ?? '').split(new RegExp(`[${escaped}]+`)).filter(Boolean);
+    }
+
+    hasMoreTokens() { return this.tokens.length > 0; }
+
+    hasMoreElements() { return this.tokens.length > 0; }
+
+    nextToken() {
+      if (!this.tokens.length) fail('NoSuchElementException', '');
+      return this.tokens.shift();
+    }
+
+    countTokens() { return this.tokens.length; }
+  }
+
+  const scanf = (format, ...refs) => {
+    let read = 0;
+    for (const [, conv] of String(format).matchAll(/%l{0,2}([dicsf]|lf)/g)) {
+      const ref = refs[read];
+      if (!ref) break;
+      const kind = conv === 'c' ? 'char' : conv === 's' ? 'string' : conv === 'f' || conv === 'lf' ? 'double' : ref.value !== undefined && typeof ref.value === 'bigint' ? 'long' : 'int';
+      const value = cin.read(kind, ref.value);
+      if (failed) return read || -1;
+      ref.value = value;
+      read++;
+    }
+    return read;
+  };
+
+  /* ---- output ---- */
+
+  // std::cout / std::cerr with the formatting state their manipulators change.
+  const createStream = (level) => {
+    const state = { fixed: false, scientific: false, precision: 6, width: 0, fill: ' ', boolalpha: false, left: false };
+    const stream = {
+      put(kind, value) {
+        let text;
+        if (kind === 'bool') text = state.boolalpha ? String(Boolean(value)) : value ? '1' : '0';
+        else if (kind === 'double') {
+          const x = toDouble(value);
+          text = state.fixed ? x.toFixed(state.precision) : state.scientific ? formatPrintf('cpp', `%.${state.precision}e`, [x]) : formatGeneral(x, state.precision);
+        } else if (kind === 'char') text = typeof value === 'string' ? value : chr(value);
+        else if (kind === 'pointer') text = value === null ? '0' : `0x${identityHash(value).toString(16)}`;
+        else if (typeof value === 'number' && !Number.isInteger(value)) text = formatGeneral(value, state.precision);
+        else text = String(value);
+        if (state.width && text.length < state.width) {
+          text = state.left ? text.padEnd(state.width, state.fill) : text.padStart(state.width, state.fill);
+        }
+        state.width = 0;
+        write(level, text);
+        return stream;
+      },
+      endl() { write(level, '\n'); return stream; },
+      flush() { return stream; },
+      fixed() { state.fixed = true; state.scientific = false; return stream; },
+      scientific() { state.scientific = true; state.fixed = false; return stream; },
+      defaultfloat() { state.fixed = false; state.scientific = false; return stream; },
+      setprecision(n) { state.precision = Number(n); return stream; },
+      setw(n) { state.width = Number(n); return stream; },
+      setfill(c) { state.fill = c; return stream; },
+      boolalpha() { state.boolalpha = true; return stream; },
+      noboolalpha() { state.boolalpha = false; return stream; },
+      left() { state.left = true; return stream; },
+      right() { state.left = false; return stream; },
+      showpoint() { return stream; },
+      tie() {},
+      sync_with_stdio() {},
+    };
+    return stream;
+  };
+
+  // System.out / System.err; values arrive already converted with `str`.
+  const createPrintStream = (level) => ({
+    println: (text = '') => write(level, `${text}\n`),
+    print: (text) => write(level, String(text)),
+    printf: (format, ...args) => write(level, formatPrintf('java', format, args)),
+    format: (format, ...args) => write(level, formatPrintf('java', format, args)),
+    flush() {},
+  });
+
+  /* ---- helpers used by generated code ---- */
+
+  const int = {
+    wrap: (v) => v | 0,
+    add: (a, b) => (a + b) | 0,
+    sub: (a, b) => (a - b) | 0,
+    mul: (a, b) => Math.imul(a, b),
+    div: (a, b) => { checkZero(b, lang); return (a / b) | 0; },
+    mod: (a, b) => { checkZero(b, lang); return (a % b) | 0; },
+  };
+  const uint = {
+    wrap: (v) => v >>> 0,
+    add: (a, b) => (a + b) >>> 0,
+    sub: (a, b) => (a - b) >>> 0,
+    mul: (a, b) => Math.imul(a, b) >>> 0,
+    div: (a, b) => { checkZero(b, lang); return Math.trunc(a / b) >>> 0; },
+    mod: (a, b) => { checkZero(b, lang); return (a % b) >>> 0; },
+  };
+  const long = {
+    wrap: (v) => BigInt.asIntN(64, v),
+    add: (a, b) => BigInt.asIntN(64, a + b),
+    sub: (a, b) => BigInt.asIntN(64, a - b),
+    mul: (a, b) => BigInt.asIntN(64, a * b),
+    div: (a, b) => { checkZero(b, lang); return BigInt.asIntN(64, a / b); },
+    mod: (a, b) => { checkZero(b, lang); return a % b; },
+    shl: (a, b) => BigInt.asIntN(64, a << (BigInt(b) & 63n)),
+    shr: (a, b) => a >> (BigInt(b) & 63n),
+    ushr: (a, b) => BigInt.asIntN(64, BigInt.asUintN(64, a) >> (BigInt(b) & 63n)),
+  };
+  const ulong = {
+    wrap: (v) => BigInt.asUintN(64, v),
+    add: (a, b) => BigInt.asUintN(64, a + b),
+    sub: (a, b) => BigInt.asUintN(64, a - b),
+    mul: (a, b) => BigInt.asUintN(64, a * b),
+    div: (a, b) => { checkZero(b, lang); return a / b; },
+    mod: (a, b) => { checkZero(b, lang); return a % b; },
+    shl: (a, b) => BigInt.asUintN(64, a << (BigInt(b) & 63n)),
+    shr: (a, b) => a >> (BigInt(b) & 63n),
+  };
+
+  // `a = b` for C++ references to containers and structs: overwrite in place.
+  const assignInto = (target, source) => {
+    const copy = clone(source, Infinity);
+    if (Array.isArray(target)) target.splice(0, target.length, ...copy);
+    else if (target instanceof Map) { target.clear(); [...copy].forEach(([k, v]) => target.set(k, v)); }
+    else if (target instanceof Set) { target.clear(); [...copy].forEach(k => target.add(k)); }
+    else Object.assign(target, copy);
+    return target;
+  };
+
+  const iterate = (value) => {
+    if (value instanceof CppMap) return value.pairs();
+    if (value instanceof JavaMap) fail('UnsupportedOperationException', 'iterate over map.entrySet(), keySet() or values()');
+    if (typeof value === 'string') return [...value];
+    if (value === null || value === undefined) fail(lang === 'java' ? 'NullPointerException' : 'SegmentationFault', 'iterating over null');
+    return value;
+  };
+
+  // `[begin, end)` of a container, for the <algorithm> functions.
+  const range = (container, from = 0, to = container.length) => [Number(from), Number(to)];
+
+  const sortRange = (a, from, to, comparator, isJava) => {
+    const [start, end] = range(a, from, to);
+    const order = comparator
+      ? (isJava ? (x, y) => Number(comparator(x, y)) : (x, y) => (comparator(x, y) ? -1 : comparator(y, x) ? 1 : 0))
+      : compare;
+    const sorted = a.slice(start, end).sort(order);
+    sorted.forEach((v, i) => { a[start + i] = v; });
+  };
+
+  const reverseRange = (a, from, to) => {
+    const [start, end] = range(a, from, to);
+    const part = a.slice(start, end).reverse();
+    part.forEach((v, i) => { a[start + i] = v; });
+  };
+
+  const less = (x, y) => compare(x, y) < 0;
+
+  // std::max_element / min_element: the first best element, as an index.
+  const extremeIndex = (a, from, to, wantMax, before = less) => {
+    const [start, end] = range(a, from, to);
+    let best = start;
+    for (let i = start + 1; i < end; i++) if (wantMax ? before(a[best], a[i]) : before(a[i], a[best])) best = i;
+    return best;
+  };
+
+  // std::lower_bound / upper_bound over a sorted range, as an index.
+  const bound = (a, from, to, value, strict, before = less) => {
+    let [lo, hi] = range(a, from, to);
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (strict ? !before(value, a[mid]) : before(a[mid], value)) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  // Set and map iterators are positions in iteration order.
+  const keysOf = (collection) => (collection instanceof Map ? [...collection].map(e => e[0]) : [...collection]);
+  const checkPosition = (collection, i) => {
+    const n = collection instanceof Map || collection instanceof Set ? collection.size() : collection.length;
+    if (!Number.isInteger(i) || i < 0 || i >= n) fail('out_of_range', 'dereferencing an end() or out-of-range iterator');
+    return i;
+  };
+  const nthKey = (collection, i) => keysOf(collection)[checkPosition(collection, i)];
+
+  // `*it` on a map: a pair whose `second` writes through to the map, as a reference would.
+  const nthPair = (map, i) => {
+    const key = nthKey(map, i);
+    const pair = new Pair(key, undefined);
+    Object.defineProperty(pair, 'second', { get: () => map.get(key), set: (v) => { map.set(key, v); }, enumerable: true });
+    return pair;
+  };
+
+  const findIndex = (collection, k) => {
+    if (!collection.has(k)) return collection.size();
+    const key = collection.canonical(k);
+    return keysOf(collection).indexOf(key);
+  };
+
+  const boundIndex = (collection, k, strict) => {
+    const before = collection.before || (collection.order === 'sorted-desc' ? (x, y) => compare(x, y) > 0 : less);
+    return bound(keysOf(collection), 0, collection.size(), k, strict, before);
+  };
+
+  // Appends to any container: arrays, queues, sets, maps (from pairs or [k, v]) and priority queues.
+  const build = (container, items) => {
+    [...items].forEach(item => {
+      if (container instanceof PriorityQueue) container.push(item);
+      else if (container instanceof Map) {
+        if (item instanceof Pair) container.set(item.first, item.second);
+        else if (item instanceof Entry) container.set(item.key, item.value);
+        else container.set(item[0], item[1]);
+      } else if (container instanceof Set) container.add(item);
+      else Array.prototype.push.call(container, item);
+    });
+    return container;
+  };
+
+  // Items of an iterator range `[from, to)`.
+  const slice = (container, from, to) => {
+    if (typeof container === 'string') return [...container.slice(from, to)];
+    return [...(container instanceof Map ? container.pairs() : container)].slice(from, to);
+  };
+
+  // memset(a, byte, ...) for the byte patterns that make sense on int arrays.
+  const memset = (a, byte) => {
+    const b = Number(byte) & 0xff;
+    const fillValue = (v) => (typeof v === 'bigint' ? BigInt.asIntN(64, BigInt(`0x${b.toString(16).padStart(2, '0').repeat(8)}`))
+      : typeof v === 'boolean' ? b !== 0 : typeof v === 'string' ? String.fromCharCode(b) : (b * 0x01010101) | 0);
+    const fillAll = (arr) => arr.forEach((v, i) => { if (Array.isArray(v)) fillAll(v); else arr[i] = fillValue(v); });
+    fillAll(a);
+  };
+
+  // std::to_string
+  const toString = (value, kind) => (kind === 'double' ? toDouble(value).toFixed(6) : kind === 'char' ? String(ord(value)) : String(value));
+
+  // String conversion as Java does it for `+` and print, given the static kind.
+  const str = (value, kind) => {
+    if (value === null || value === undefined) return 'null';
+    if (kind === 'double') return formatJavaDouble(toDouble(value));
+    if (kind === 'char') return typeof value === 'string' ? value : chr(value);
+    return javaString(value);
+  };
+
+  const make = (Class, ...args) => new Class(...args);
+
+  const api = {
+    lang,
+    cin,
+    cout: createStream('log'),
+    cerr: createStream('error'),
+    out: createPrintStream('log'),
+    err: createPrintStream('error'),
+    flush,
+    printf: (format, ...args) => write('log', formatPrintf(lang, format, args)),
+    format: (format, ...args) => formatPrintf(lang, format, args),
+    puts: (text) => write('log', `${text}\n`),
+    putchar: (c) => write('log', typeof c === 'string' ? c : chr(c)),
+    scanf,
+    getline: () => cin.line(),
+    int,
+    uint,
+    long,
+    ulong,
+    toInt,
+    toLong,
+    toDouble,
+    toUint: (v) => toInt(v) >>> 0,
+    toUlong: (v) => BigInt.asUintN(64, toLong(v)),
+    ord,
+    chr,
+    idx: (container, i) => (container === null ? fail(lang === 'java' ? 'NullPointerException' : 'SegmentationFault', 'indexing a null array') : checkIndex(container, i, lang)),
+    clone,
+    assignInto,
+    iterate,
+    compare,
+    equals,
+    str,
+    toString,
+    formatDouble: formatJavaDouble,
+    substr,
+    STRING_METHODS,
+    STRING_MUTATORS,
+    NPOS,
+    parseInt: (text, radix = 10) => Number(BigInt.asIntN(32, BigInt(radix === 10 ? parseIntStrict(text, lang) : parseInt(parseIntStrict(text, lang, radix), radix)))),
+    parseLong: (text) => BigInt.asIntN(64, BigInt(parseIntStrict(text, lang))),
+    parseDouble: (text) => {
+      const value = Number(String(text).trim());
+      if (Number.isNaN(value) && String(text).trim() !== 'NaN') fail(lang === 'java' ? 'NumberFormatException' : 'invalid_argument', `For input string: "${text}"`);
+      return value;
+    },
+    abs: (x) => (typeof x === 'bigint' ? (x < 0n ? -x : x) : Math.abs(x)),
+    max: (...xs) => xs.reduce((a, b) => (compare(b, a) > 0 ? b : a)),
+    min: (...xs) => xs.reduce((a, b) => (compare(b, a) < 0 ? b : a)),
+    gcd: (a, b) => {
+      let [x, y] = [a < 0 ? -a : a, b < 0 ? -b : b];
+      while (y) [x, y] = [y, x % y];
+      return x;
+    },
+    lcm: (a, b) => {
+      if (!a || !b) return typeof a === 'bigint' ? 0n : 0;
+      const g = api.gcd(a, b);
+      return typeof a === 'bigint' ? BigInt.asIntN(64, (a / g) * b) : Math.imul((a / g) | 0, b);
+    },
+    popcount: (x) => [...BigInt.asUintN(typeof x === 'bigint' ? 64 : 32, BigInt(x)).toString(2)].filter(c => c === '1').length,
+    // Math.floorDiv / floorMod round toward negative infinity.
+    floorDiv: (a, b) => {
+      const q = typeof a === 'bigint' ? long.div(a, b) : int.div(a, b);
+      const inexact = typeof a === 'bigint' ? q * b !== a : Math.imul(q, b) !== a;
+      return inexact && (a < 0) !== (b < 0) ? q - (typeof q === 'bigint' ? 1n : 1) : q;
+    },
+    floorMod: (a, b) => {
+      const r = typeof a === 'bigint' ? long.mod(a, b) : int.mod(a, b);
+      return r !== 0 && r !== 0n && (r < 0) !== (b < 0) ? r + b : r;
+    },
+    digit: (c) => (/[0-9]/.test(c) ? ord(c) - 48 : /[a-z]/i.test(c) ? ord(c.toLowerCase()) - 87 : -1),
+    getchar: () => {
+      const c = cin.get(null);
+      return c === null ? -1 : ord(c);
+    },
+    // std::swap of two containers or structs: contents trade places, so references see the change.
+    swapContents: (a, b) => {
+      const saved = clone(a, Infinity);
+      assignInto(a, b);
+      assignInto(b, saved);
+    },
+    swapAt: (list, i, j) => {
+      const [x, y] = [checkIndex(list, i, lang), checkIndex(list, j, lang)];
+      [list[x], list[y]] = [list[y], list[x]];
+    },
+    // Collections.max / min, with an optional Java comparator.
+    pick: (items, wantMax, comparator = compare) => {
+      const all = [...items];
+      if (!all.length) fail('NoSuchElementException', '');
+      return all.reduce((best, v) => ((wantMax ? comparator(v, best) > 0 : comparator(v, best) < 0) ? v : best));
+    },
+    arraycopy: (src, from, dest, to, n) => {
+      if (from < 0 || to < 0 || n < 0 || from + n > src.length || to + n > dest.length) fail('ArrayIndexOutOfBoundsException', 'arraycopy: last source index out of bounds');
+      src.slice(from, from + n).forEach((v, i) => { dest[to + i] = v; });
+    },
+    sortRange,
+    reverseRange,
+    extremeIndex,
+    bound,
+    memset,
+    fill: (a, from, to, value) => { for (let i = Number(from); i < Number(to); i++) a[i] = value; },
+    accumulate: (a, from, to, init, add) => a.slice(Number(from), Number(to)).reduce((acc, v) => add(acc, v), init),
+    count: (a, from, to, value) => a.slice(Number(from), Number(to)).filter(v => equals(v, value)).length,
+    find: (a, from, to, value) => {
+      const i = a.slice(Number(from), Number(to)).findIndex(v => equals(v, value));
+      return i === -1 ? Number(to) : Number(from) + i;
+    },
+    nextPermutation: (a, from, to) => {
+      const [start, end] = range(a, from, to);
+      let i = end - 2;
+      while (i >= start && compare(a[i], a[i + 1]) >= 0) i--;
+      if (i >= start) {
+        let j = end - 1;
+        while (compare(a[j], a[i]) <= 0) j--;
+        [a[i], a[j]] = [a[j], a[i]];
+      }
+      reverseRange(a, i + 1, end);
+      return i >= start;
+    },
+    prevPermutation: (a, from, to) => {
+      const [start, end] = range(a, from, to);
+      let i = end - 2;
+      while (i >= start && compare(a[i], a[i + 1]) <= 0) i--;
+      if (i >= start) {
+        let j = end - 1;
+        while (compare(a[j], a[i]) >= 0) j--;
+        [a[i], a[j]] = [a[j], a[i]];
+      }
+      reverseRange(a, i + 1, end);
+      return i >= start;
+    },
+    binarySearch: (a, from, to, value) => {
+      const i = bound(a, from, to, value, false);
+      return i < Number(to) && !less(value, a[i]);
+    },
+    // Arrays.binarySearch: the index, or -(insertion point) - 1.
+    javaBinarySearch: (a, value) => {
+      const i = bound(a, 0, a.length, value, false);
+      return i < a.length && equals(a[i], value) ? i : -i - 1;
+    },
+    unique: (a, from, to) => {
+      const [start, end] = range(a, from, to);
+      let w = start;
+      for (let r = start; r < end; r++) if (r === start || !equals(a[r], a[w - 1])) a[w++] = a[r];
+      return w;
+    },
+    arraysToString: (a, kind) => (a === null ? 'null' : `[${a.map(v => str(v, kind)).join(', ')}]`),
+    deepToString: function deepToString(a, kind) { return `[${a.map(v => (Array.isArray(v) ? deepToString(v, kind) : str(v, kind))).join(', ')}]`; },
+    // `int a[n][m]` / `new int[n][m]`: every cell is its own copy of `template`.
+    newArray: (dims, template) => {
+      const create = (level) => {
+        const n = Number(dims[level]);
+        if (n < 0) fail(lang === 'java' ? 'NegativeArraySizeException' : 'bad_array_new_length', String(n));
+        return Array.from({ length: n }, () => (level + 1 < dims.length ? create(level + 1) : clone(template, Infinity)));
+      };
+      return create(0);
+    },
+    // `int a[5] = {1, 2}`: the rest is zero-filled, at every level.
+    padded: function padded(list, dims, template) {
+      const n = dims[0] === null ? list.length : Number(dims[0]);
+      const rest = dims.slice(1);
+      const filled = list.map(x => (rest.length && Array.isArray(x) ? padded(x, rest, template) : x));
+      while (filled.length < n) filled.push(rest.length ? padded([], rest, template) : clone(template, Infinity));
+      return filled;
+    },
+    make,
+    ref: (get, set) => new Ref(get, set),
+    slot: (object, key) => new Ref(() => object[key], (v) => { object[key] = v; }),
+    mapSlot: (map, key) => new Ref(() => map.access(key), (v) => { map.assign(key, v); }),
+    isInstance: (e, type) => isInstance(e, type, lang),
+    error: (e) => translateError(e, lang),
+    throwValue: (type, message) => new ThrownError(type, message),
+    fail,
+    exit: (code) => { throw new ExitSignal(code); },
+    assert: (ok, text) => { if (!ok) fail(lang === 'java' ? 'AssertionError' : 'assertion', `Assertion \`${text}' failed`); },
+    init: (object, method, ...args) => { object[method](...args); return object; },
+    now: () => Date.now(),
+    hash: javaHash,
+    // `v[i]`, checked: out-of-range indexing is reported instead of reading undefined.
+    at: (container, i) => {
+      if (container === null || container === undefined) fail(lang === 'java' ? 'NullPointerException' : 'SegmentationFault', 'indexing a null array');
+      return container[checkIndex(container, i, lang)];
+    },
+    // `a[f()]++`: the slot is located once and `fn` maps its old value to the new one.
+    modify: (container, key, fn, post) => {
+      const isMap = container instanceof CppMap;
+      const old = isMap ? container.access(key) : api.at(container, key);
+      const next = fn(old);
+      if (isMap) container.assign(key, next);
+      else container[checkIndex(container, key, lang)] = next;
+      return post ? old : next;
+    },
+    put: (container, i, v) => {
+      if (container === null || container === undefined) fail(lang === 'java' ? 'NullPointerException' : 'SegmentationFault', 'indexing a null array');
+      container[checkIndex(container, i, lang)] = v;
+      return v;
+    },
+    // `s[i]`; `s[s.size()]` is the terminating '\0'.
+    charAt: (s, i) => (Number(i) === s.length ? '\0' : s[checkIndex(s, i, lang)]),
+    setChar: (s, i, c) => STRING_MUTATORS.setChar(s, checkIndex(s, i, lang), c),
+    withChars: (ref, fn) => {
+      const chars = [...ref.value];
+      const result = fn(chars);
+      ref.value = chars.join('');
+      return result;
+    },
+    nth: (collection, i) => nthKey(collection, i),
+    nthKey,
+    nthPair,
+    findIndex,
+    boundIndex,
+    build,
+    slice,
+    remove: (a, from, to, value) => {
+      const [start, end] = range(a, from, to);
+      let w = start;
+      for (let r = start; r < end; r++) if (!equals(a[r], value)) a[w++] = a[r];
+      return w;
+    },
+    iota: (a, from, to, value) => {
+      let v = value;
+      for (let i = Number(from); i < Number(to); i++) {
+        a[i] = v;
+        v = typeof v === 'bigint' ? BigInt.asIntN(64, v + 1n) : typeof v === 'string' ? chr(ord(v) + 1) : (v + 1) | 0;
+      }
+    },
+    round: (x) => (lang === 'java' ? toLong(Math.floor(x + 0.5)) : Math.sign(x) * Math.round(Math.abs(x))),
+    greater: (a, b) => compare(a, b) > 0,
+    less,
+    // Comparators: functions, C++ function objects (`operator()`) or Java Comparator objects.
+    toComparator: (f) => {
+      if (f === null || f === undefined || typeof f === 'function') return f;
+      if (typeof f.__call === 'function') return (a, b) => f.__call(a, b);
+      if (typeof f.compare === 'function') return (a, b) => f.compare(a, b);
+      return fail('Error', 'not a comparator');
+    },
+    comparing: (key, order = compare) => (a, b) => order(key(a), key(b)),
+    reversed: (cmp = compare) => (a, b) => cmp(b, a),
+    thenComparing: (first, next) => {
+      const second = next.length === 1 ? (a, b) => compare(next(a), next(b)) : next;
+      return (a, b) => first(a, b) || second(a, b);
+    },
+    Vector, Deque, Queue, Stack, ArrayList, LinkedList, JavaStack, PriorityQueue, Pair, CppMap, CppSet,
+    JavaMap, JavaSet, Entry, StringBuilder, Ref, Scanner, BufferedReader, StringTokenizer, ThrownError,
+  };
+  return api;
+};
@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileProgram } from '../linker.js';
+import { createRuntime, ExitSignal } from './index.js';
+
+const ENTRY = { cpp: 'main.cpp', java: 'Main.java' };
+const COUNTER = { step() {}, enter() {}, exit() {}, ret: (line, value) => value };
+
+// Runs a C++ or Java program the way the visualizer does and returns what it printed, or its compile error.
+const run = async (language, lines, stdin = '') => {
+  const output = [];
+  const console = { log: line => output.push(line), error: line => output.push(`stderr: ${line}`) };
+  const { run: start, error } = compileProgram({ files: [{ name: ENTRY[language], content: lines.join('\n') }], entry: ENTRY[language] }, language);
+  if (error) return { error };
+  const runtime = createRuntime({ lang: language, console, stdin });
+  try {
+    await start({ traceAt: () => COUNTER, runtime, console });
+  } catch (e) {
+    const thrown = runtime.error(e);
+    if (!(thrown instanceof ExitSignal)) throw thrown;
+  } finally {
+    runtime.flush();
+  }
+  return { output };
+};
+
+const cpp = (...body) => ['#include <bits/stdc++.h>', 'using namespace std;', ...body];
+const java = (...body) => ['import java.util.*;', 'public class Main {', ...body, '}'];
+
+test('C++ integer division truncates toward zero', async () => {
+  const { output } = await run('cpp', cpp(
+    'int main() {',
+    '  int a = 7, b = -7;',
+    '  double d = -3.9;',
+    '  cout << a / 2 << " " << b / 2 << " " << b % 3 << " " << (int)d << " " << 7 / 2.0 << endl;',
+    '}',
+  ));
+  assert.deepEqual(output, ['3 -3 -1 -3 3.5']);
+});
+
+test('Java integer division truncates toward zero', async () => {
+  const { output } = await run('java', java(
+    '  public static void main(String[] args) {',
+    '    int a = 7, b = -7;',
+    '    double d = -3.9;',
+    '    System.out.println(a / 2 + " " + b / 2 + " " + b % 3 + " " + (int) d + " " + a / 2.0);',
+    '  }',
+  ));
+  assert.deepEqual(output, ['3 -3 -1 -3 3.5']);
+});
+
+test('C++ int and long long wrap around at 32 and 64 bits', async () => {
+  const { output } = await run('cpp', cpp(
+    'int main() {',
+    '  int x = INT_MAX;',
+    '  x++;',
+    '  int m = 100000;',
+    '  long long y = LLONG_MAX;',
+    '  y = y + 1;',
+    '  long long wide = (long long)m * m;',
+    '  cout << x << " " << m * m << " " << y << " " << wide << endl;',
+    '}',
+  ));
+  assert.deepEqual(output, ['-2147483648 1410065408 -9223372036854775808 10000000000']);
+});
+
+test('Java int and long wrap around at 32 and 64 bits', async () => {
+  const { output } = await run('java', java(
+    '  public static void main(String[] args) {',
+    '    int x = Integer.MAX_VALUE;',
+    '    x += 1;',
+    '    long y = Long.MAX_VALUE;',
+    '    y++;',
+    '    int m = 100000;',
+    '    System.out.println(x + " " + (m * m) + " " + y + " " + ((long) m * m));',
+    '  }',
+  ));
+  assert.deepEqual(output, ['-2147483648 1410065408 -9223372036854775808 10000000000']);
+});
+
+test('C++ passes by value unless the parameter is a reference', async () => {
+  const { output } = await run('cpp', cpp(
+    'void byValue(int n, vector<int> v) { n++; v.push_back(1); }',
+    'void byRef(int& n, vector<int>& v) { n++; v.push_back(1); }',
+    'int main() {',
+    '  int n = 0;',
+    '  vector<int> v;',
+    '  byValue(n, v);',
+    '  cout << n << " " << v.size() << endl;',
+    '  byRef(n, v);',
+    '  cout << n << " " << v.size() << endl;',
+    '  vector<int> copy = v;',
+    '  copy.push_back(2);',
+    '  cout << v.size() << " " << copy.size() << endl;',
+    '}',
+  ));
+  assert.deepEqual(output, ['0 0', '1 1', '1 2']);
+});
+
+test('Java passes primitives by value and objects by reference', async () => {
+  const { output } = await run('java', java(
+    '  static class Box { int value; }',
+    '  static void bump(int n, Box box, int[] arr) { n++; box.value++; arr[0]++; }',
+    '  public static void main(String[] args) {',
+    '    int n = 0;',
+    '    Box box = new Box();',
+    '    int[] arr = new int[1];',
+    '    bump(n, box, arr);',
+    '    Box alias = box;',
+    '    alias.value += 10;',
+    '    System.out.println(n + " " + box.value + " " + arr[0]);',
+    '  }',
+  ));
+  assert.deepEqual(output, ['0 11 1']);
+});
+
+test('C++ vector and map behave like the standard library', async () => {
+  const { output } = await run('cpp', cpp(
+    'int main() {',
+    '  vector<int> v = {5, 1, 4};',
+    '  v.push_back(2);',
+    '  sort(v.begin(), v.end());',
+    '  for (int x : v) cout << x << " ";',
+    '  cout << v.size() << " " << v.back() << endl;',
+    '  map<string, int> count;',
+    '  count["pear"]++;',
+    '  count["apple"] += 2;',
+    '  count["pear"]++;',
+    '  for (auto& [name, n] : count) cout << name << "=" << n << " ";',
+    '  cout << count.size() << " " << count.count("fig") << endl;',
+    '}',
+  ));
+  assert.deepEqual(output, ['1 2 4 5 4 5', 'apple=2 pear=2 2 0']);
+});
+
+test('Java ArrayList and HashMap behave like the standard library', async () => {
+  const { output } = await run('java', java(
+    '  public static void main(String[] args) {',
+    '    List<Integer> list = new ArrayList<>();',
+    '    list.add(3);',
+    '    list.add(1);',
+    '    list.add(2);',
+    '    list.remove(0);',
+    '    Collections.sort(list);',
+    '    System.out.println(list + " " + list.size() + " " + list.get(1) + " " + list.contains(3));',
+    '    Map<String, Integer> count = new HashMap<>();',
+    '    for (String word : new String[] {"a", "b", "a"}) count.put(word, count.getOrDefault(word, 0) + 1);',
+    '    System.out.println(count.get("a") + " " + count.get("b") + " " + count.containsKey("c") + " " + count.size());',
+    '  }',
+  ));
+  assert.deepEqual(output, ['[1, 2] 2 2 false', '2 1 false 2']);
+});
+
+test('C++ programs read their input with cin', async () => {
+  const { output } = await run('cpp', cpp(
+    'int main() {',
+    '  int n; cin >> n;',
+    '  long long sum = 0;',
+    '  for (int i = 0; i < n; i++) { int x; cin >> x; sum += x; }',
+    '  cout << sum << endl;',
+    '}',
+  ), '3\n1 2 3\n');
+  assert.deepEqual(output, ['6']);
+});
+
+test('unsupported constructs are reported with their line', async () => {
+  const { error } = await run('cpp', cpp(
+    'int main() {',
+    '  int x = 3;',
+    '  int y = x[0];',
+    '}',
+  ));
+  assert.equal(error.kind, 'unsupported');
+  assert.equal(error.line, 5);
+  assert.equal(error.file, 'main.cpp');
+  assert.match(error.message, /indexing an int/);
+
+  const { error: javaError } = await run('java', java(
+    '  public static void main(String[] args) {',
+    '    int x = 1;',
+    '    int y = x[0];',
+    '  }',
+  ));
+  assert.equal(javaError.kind, 'unsupported');
+  assert.equal(javaError.line, 5);
+});
+
+test('syntax errors are reported with their line', async () => {
+  const { error } = await run('cpp', cpp('int main() {', '  int x = ;', '}'));
+  assert.equal(error.kind, 'syntax');
+  assert.equal(error.line, 4);
+});
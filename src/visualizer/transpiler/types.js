@@ -0,0 +1,187 @@
+/**
+ * --- C++/JAVA TYPE MODEL ---
+ * Maps the parser's written types (`{ name, args, ptr, ref, dims }`) onto the
+ * kinds codegen works with: `{ kind, args, cls?, ref?, ptr?, boxed?, variant? }`.
+ * Primitive kinds: int, uint, long, ulong, double, char, bool, void.
+ * Everything else is a string, an array, a library container, a user class
+ * (`kind: 'class'`) or one of the dynamic kinds `object` / `unknown`.
+ */
+const CPP_NAMES = {
+  void: 'void', bool: 'bool', char: 'char', 'signed char': 'char', 'unsigned char': 'char', wchar_t: 'char',
+  short: 'int', 'short int': 'int', int: 'int', signed: 'int', 'signed int': 'int', int8_t: 'int', int16_t: 'int', int32_t: 'int',
+  'unsigned short': 'int', 'unsigned short int': 'int', uint8_t: 'int', uint16_t: 'int',
+  unsigned: 'uint', 'unsigned int': 'uint', uint32_t: 'uint',
+  long: 'long', 'long int': 'long', 'long long': 'long', 'long long int': 'long', int64_t: 'long', intmax_t: 'long', ptrdiff_t: 'long',
+  'unsigned long': 'ulong', 'unsigned long int': 'ulong', 'unsigned long long': 'ulong', 'unsigned long long int': 'ulong', uint64_t: 'ulong',
+  // size_t is 64-bit in practice, but almost always holds small sizes and indexes; an int keeps loops cheap.
+  size_t: 'int',
+  float: 'double', double: 'double', 'long double': 'double',
+  auto: 'auto', string: 'string', string_view: 'string',
+  vector: 'vector', array: 'vector', deque: 'deque', list: 'deque', queue: 'queue', stack: 'stack', priority_queue: 'pq',
+  map: 'map', unordered_map: 'umap', set: 'set', unordered_set: 'uset', pair: 'pair',
+  function: 'function', greater: 'comparator', less: 'comparator',
+  istream: 'stream', ostream: 'stream',
+  exception: 'exception', runtime_error: 'exception', logic_error: 'exception', out_of_range: 'exception',
+  invalid_argument: 'exception', length_error: 'exception', overflow_error: 'exception', underflow_error: 'exception',
+};
+
+// Library types the simulation does not model; declaring one is reported rather than guessed at.
+const CPP_UNSUPPORTED = new Set(['multiset', 'multimap', 'unordered_multimap', 'unordered_multiset', 'tuple', 'bitset', 'forward_list', 'optional', 'variant', 'any', 'complex', 'stringstream', 'istringstream', 'ostringstream', 'thread', 'mutex', 'shared_ptr', 'unique_ptr', 'weak_ptr']);
+
+const JAVA_NAMES = {
+  void: 'void', boolean: 'bool', char: 'char', byte: 'int', short: 'int', int: 'int', long: 'long', float: 'double', double: 'double', var: 'auto', auto: 'auto',
+  Boolean: 'bool', Character: 'char', Byte: 'int', Short: 'int', Integer: 'int', Long: 'long', Float: 'double', Double: 'double',
+  String: 'string', CharSequence: 'string', Object: 'object', Number: 'object', Comparable: 'object',
+  List: 'jlist', ArrayList: 'jlist', Vector: 'jlist', Collection: 'jlist', Iterable: 'jlist',
+  LinkedList: 'jdeque', ArrayDeque: 'jdeque', Deque: 'jdeque', Queue: 'jdeque',
+  Stack: 'jstack', PriorityQueue: 'pq',
+  Map: 'jmap', HashMap: 'jmap', LinkedHashMap: 'jmap', TreeMap: 'jmap', SortedMap: 'jmap', NavigableMap: 'jmap',
+  Set: 'jset', HashSet: 'jset', LinkedHashSet: 'jset', TreeSet: 'jset', SortedSet: 'jset', NavigableSet: 'jset',
+  'Map.Entry': 'entry', Entry: 'entry', StringBuilder: 'sb', StringBuffer: 'sb',
+  Scanner: 'scanner', BufferedReader: 'reader', InputStreamReader: 'reader', StringTokenizer: 'tokenizer',
+  Comparator: 'function', Runnable: 'function', Function: 'function', BiFunction: 'function', Supplier: 'function',
+  Consumer: 'function', BiConsumer: 'function', Predicate: 'function', UnaryOperator: 'function', BinaryOperator: 'function',
+  IntBinaryOperator: 'function', IntUnaryOperator: 'function', IntPredicate: 'function',
+};
+
+const JAVA_UNSUPPORTED = new Set(['Iterator', 'ListIterator', 'Optional', 'Stream', 'IntStream', 'BigInteger', 'BigDecimal', 'Thread', 'AtomicInteger', 'EnumMap', 'BitSet', 'Random', 'PrintWriter', 'StreamTokenizer']);
+
+// Which runtime ordering each Java map/set class iterates in.
+const JAVA_VARIANTS = {
+  HashMap: 'java-hash', Map: 'java-hash', HashSet: 'java-hash', Set: 'java-hash',
+  LinkedHashMap: 'insertion', LinkedHashSet: 'insertion',
+  TreeMap: 'sorted', SortedMap: 'sorted', NavigableMap: 'sorted', TreeSet: 'sorted', SortedSet: 'sorted', NavigableSet: 'sorted',
+};
+
+export const JAVA_EXCEPTIONS = new Set([
+  'Throwable', 'Exception', 'Error', 'RuntimeException', 'IOException', 'ArithmeticException', 'IllegalArgumentException',
+  'NumberFormatException', 'IllegalStateException', 'IndexOutOfBoundsException', 'ArrayIndexOutOfBoundsException',
+  'StringIndexOutOfBoundsException', 'NullPointerException', 'NoSuchElementException', 'EmptyStackException',
+  'ClassCastException', 'UnsupportedOperationException', 'InputMismatchException', 'StackOverflowError',
+]);
+
+const tableFor = (lang) => (lang === 'java' ? JAVA_NAMES : CPP_NAMES);
+
+export const isKnownType = (name, lang) => name in tableFor(lang)
+  || (lang === 'java' ? JAVA_UNSUPPORTED.has(name) || JAVA_EXCEPTIONS.has(name) : CPP_UNSUPPORTED.has(name));
+
+export const isUnsupportedType = (name, lang) => (lang === 'java' ? JAVA_UNSUPPORTED : CPP_UNSUPPORTED).has(name);
+
+export const t = (kind, args = [], extra = {}) => ({ kind, args, ...extra });
+
+export const INT = t('int');
+export const LONG = t('long');
+export const DOUBLE = t('double');
+export const CHAR = t('char');
+export const BOOL = t('bool');
+export const STRING = t('string');
+export const VOID = t('void');
+export const UNKNOWN = t('unknown');
+export const OBJECT = t('object');
+
+const INTEGRAL = new Set(['int', 'uint', 'long', 'ulong', 'char', 'bool']);
+const NUMERIC = new Set(['int', 'uint', 'long', 'ulong', 'double', 'char', 'bool']);
+
+export const isIntegral = (type) => INTEGRAL.has(type.kind) && !type.ptr;
+export const isNumeric = (type) => NUMERIC.has(type.kind) && !type.ptr;
+export const isBig = (type) => type.kind === 'long' || type.kind === 'ulong';
+export const isDynamic = (type) => type.kind === 'unknown' || type.kind === 'object' || type.kind === 'auto';
+export const isPrimitive = (type) => (NUMERIC.has(type.kind) || type.kind === 'string') && !type.ptr;
+
+// Random-access sequences that generated code indexes with `[]`.
+export const isSequence = (type) => ['array', 'vector', 'deque', 'jlist', 'jdeque', 'jstack'].includes(type.kind);
+export const isMapKind = (type) => ['map', 'umap', 'jmap'].includes(type.kind);
+export const isSetKind = (type) => ['set', 'uset', 'jset'].includes(type.kind);
+
+// C++ objects with value semantics: copied on assignment, by-value passing and insertion.
+export const isValueObject = (type, lang) => lang === 'cpp' && !type.ptr && !type.ref
+  && ['vector', 'deque', 'queue', 'stack', 'pq', 'map', 'umap', 'set', 'uset', 'pair', 'class', 'array'].includes(type.kind);
+
+// How many nested levels `__rt.clone` must copy: `vector<vector<int>>` is 2, `vector<Node*>` is 1.
+export const valueDepth = (type, lang) => {
+  if (!isValueObject(type, lang)) return 0;
+  if (type.kind === 'class') return 1;
+  return 1 + Math.max(0, ...type.args.map(a => valueDepth(a, lang)));
+};
+
+// The usual arithmetic conversions.
+export const promote = (a, b) => {
+  const kinds = [a.kind, b.kind];
+  if (kinds.includes('double')) return DOUBLE;
+  if (kinds.includes('ulong')) return t('ulong');
+  if (kinds.includes('long')) return LONG;
+  if (kinds.includes('uint')) return t('uint');
+  return INT;
+};
+
+export const elementOf = (type) => {
+  if (type.kind === 'string') return CHAR;
+  if (type.kind === 'array' || type.kind === 'ptr') return type.args[0] || UNKNOWN;
+  if (isMapKind(type)) return t('pair', [type.args[0] || UNKNOWN, type.args[1] || UNKNOWN]);
+  return type.args[0] || UNKNOWN;
+};
+
+export const sameType = (a, b) => a.kind === b.kind && a.cls === b.cls && a.args.length === b.args.length
+  && a.args.every((x, i) => sameType(x, b.args[i]));
+
+export const describeType = (type) => {
+  const name = type.cls || type.kind;
+  return type.args.length ? `${name}<${type.args.map(describeType).join(', ')}>` : name;
+};
+
+// `a vector<int>`, `an int`: for messages that name a type in running text.
+export const describeTypeWithArticle = (type) => {
+  const described = describeType(type);
+  return `${/^[aeiou]/i.test(described) ? 'an' : 'a'} ${described}`;
+};
+
+/**
+ * Resolves a parsed type. `lookup(name)` answers for user classes and aliases
+ * (returning a resolved type) or null; `report` records unsupported ones.
+ */
+export const resolveType = (written, lang, lookup, report = () => {}) => {
+  if (!written) return UNKNOWN;
+  const table = tableFor(lang);
+  const parts = written.name.split(/::|\./);
+  const short = parts[parts.length - 1];
+  let result;
+
+  const user = lookup(written.name) || (parts.length > 1 ? lookup(short) : null);
+  if (user) {
+    result = { ...user, args: user.args.length ? user.args : written.args.map(a => resolveType(a, lang, lookup, report)) };
+  } else if (written.name in table || short in table || (written.name === 'Map.Entry')) {
+    const kind = table[written.name] || table[short];
+    const args = written.args.filter(a => !a.isValue).map(a => resolveType(a, lang, lookup, report));
+    // `function<int(int)>` keeps just the return type.
+    result = t(kind, kind === 'function' && args[0]?.kind === 'function' ? args[0].args : args);
+    if (lang === 'java') {
+      if (/^[A-Z]/.test(written.name) && ['int', 'long', 'double', 'char', 'bool'].includes(kind)) result.boxed = true;
+      if (kind === 'jmap' || kind === 'jset') result.variant = JAVA_VARIANTS[short] || 'java-hash';
+      if (kind === 'jdeque' || kind === 'function') result.variant = short;
+    }
+    if (kind === 'exception') result.cls = short;
+    if (kind === 'comparator') result.variant = short;
+    if (short === 'array') result.fixed = written.args.find(a => a.isValue)?.name;
+  } else if (lang === 'java' && JAVA_EXCEPTIONS.has(short)) {
+    result = t('exception', [], { cls: short });
+  } else if (isUnsupportedType(short, lang)) {
+    report(`the type '${short}'`, written.line);
+    result = t('unknown');
+  } else {
+    report(`the type '${written.name}'`, written.line);
+    result = t('unknown');
+  }
+
+  if (written.isConst) result.isConst = true;
+  for (let i = 0; i < (written.dims || 0); i++) result = t('array', [result]);
+  if (written.ptr) {
+    if (isNumeric(result) || result.kind === 'string') {
+      // `char*` strings are the only pointer-to-primitive codegen treats as a value.
+      result = result.kind === 'char' && written.ptr === 1 ? { ...STRING } : t('ptr', [result]);
+    } else {
+      result = { ...result, ptr: written.ptr };
+    }
+  }
+  if (written.ref) result = { ...result, ref: true };
+  return result;
+};
@@ -1,7 +1,30 @@
+import { readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { dirname, join } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const require = createRequire(import.meta.url)
+
+// Pyodide fetches these next to its own module at runtime, so ship them beside the bundled worker.
+const PYODIDE_FILES = ['pyodide-lock.json', 'pyodide.asm.mjs', 'pyodide.asm.wasm', 'python_stdlib.zip']
+
+const pyodideAssets = () => ({
+  name: 'pyodide-assets',
+  apply: 'build',
+  generateBundle() {
+    const dir = dirname(require.resolve('pyodide/package.json'))
+    PYODIDE_FILES.forEach(file => this.emitFile({
+      type: 'asset',
+      fileName: `assets/${file}`,
+      source: readFileSync(join(dir, file)),
+    }))
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  optimizeDeps: { exclude: ['pyodide'] },
+  worker: { format: 'es', plugins: () => [pyodideAssets()] },
 })